@@ -0,0 +1,51 @@
+/**
+ * Admin Authentication Middleware
+ * Guards internal operator endpoints (webhook journal, replays)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Require a valid X-Admin-Key header matching ADMIN_API_KEY
+ */
+const authenticateAdmin = (req, res, next) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+    const providedKey = req.headers['x-admin-key'];
+
+    if (!adminKey) {
+        return res.status(503).json({
+            success: false,
+            error: 'Admin access is not configured',
+            code: 'ADMIN_NOT_CONFIGURED'
+        });
+    }
+
+    if (!providedKey) {
+        return res.status(401).json({
+            success: false,
+            error: 'Admin credentials required',
+            code: 'AUTH_MISSING'
+        });
+    }
+
+    const expected = Buffer.from(adminKey);
+    const provided = Buffer.from(String(providedKey));
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid admin credentials',
+            code: 'AUTH_INVALID'
+        });
+    }
+
+    req.admin = {
+        id: req.headers['x-admin-user'] || 'admin'
+    };
+
+    next();
+};
+
+module.exports = {
+    authenticateAdmin
+};
@@ -1,149 +1,136 @@
 /**
  * API Authentication Middleware
  * Handles API key validation, rate limiting, and security
+ *
+ * Two schemes, selected per key (auth_scheme):
+ * - secret: X-API-Key + X-API-Secret
+ * - hmac:   X-API-Key + X-Timestamp + X-Nonce + X-Signature (see RequestSigningService)
  */
 
 const crypto = require('crypto');
+const ApiKeyService = require('../services/ApiKeyService');
+const SecurityAuditService = require('../services/SecurityAuditService');
+const RequestSigningService = require('../services/RequestSigningService');
+const RateLimitService = require('../services/RateLimitService');
+const { buildTenantContext } = require('./tenantContext');
 
-// In-memory store for rate limiting (use Redis in production)
-const rateLimitStore = new Map();
-const apiKeyStore = new Map();
-
-// Initialize with test API keys (in production, load from database)
-const initializeAPIKeys = () => {
-    // Test merchant API keys
-    apiKeyStore.set('mk_live_MERCH001', {
-        secret: 'sk_live_' + crypto.randomBytes(16).toString('hex'),
-        merchantId: 'MERCH001',
-        merchantName: 'Test Merchant 1',
-        permissions: ['qr.generate', 'qr.list', 'transactions.list', 'analytics.view'],
-        rateLimit: 100, // requests per minute
-        status: 'active',
-        createdAt: new Date().toISOString()
-    });
-    
-    apiKeyStore.set('mk_test_MERCH002', {
-        secret: 'sk_test_' + crypto.randomBytes(16).toString('hex'),
-        merchantId: 'MERCH002',
-        merchantName: 'Test Merchant 2',
-        permissions: ['qr.generate', 'qr.list'],
-        rateLimit: 50,
-        status: 'active',
-        createdAt: new Date().toISOString()
-    });
+/**
+ * Validate API Key and Secret against the persisted key store
+ */
+const validateAPIKey = (apiKey, apiSecret, options = {}) => {
+    return ApiKeyService.validate(apiKey, apiSecret, options);
 };
 
-// Initialize on module load
-initializeAPIKeys();
+/**
+ * Validate an HMAC-signed request
+ * The body hash covers the raw body when the JSON parser kept it (req.rawBody)
+ */
+const validateSignedRequest = (req) => {
+    const rawBody = req.rawBody !== undefined
+        ? req.rawBody
+        : (req.body && Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : '');
+    
+    return ApiKeyService.validateSignature(req.headers['x-api-key'], {
+        method: req.method,
+        path: req.originalUrl,
+        timestamp: req.headers['x-timestamp'],
+        nonce: req.headers['x-nonce'],
+        bodyHash: RequestSigningService.hashBody(rawBody)
+    }, req.headers['x-signature'], { ip: req.ip });
+};
 
 /**
- * Validate API Key and Secret
+ * Take a token from a key's bucket, or from its bucket for an endpoint group
  */
-const validateAPIKey = (apiKey, apiSecret) => {
-    const keyData = apiKeyStore.get(apiKey);
-    
-    if (!keyData) {
-        return { valid: false, error: 'Invalid API key' };
-    }
-    
-    if (keyData.status !== 'active') {
-        return { valid: false, error: 'API key is inactive' };
-    }
-    
-    if (keyData.secret !== apiSecret) {
-        return { valid: false, error: 'Invalid API secret' };
-    }
-    
-    return { valid: true, data: keyData };
+const checkRateLimit = (keyId, rateLimit, group = null) => {
+    return RateLimitService.consume({ keyId, rateLimit, group });
 };
 
 /**
- * Check rate limit for API key
+ * Report a bucket in the X-RateLimit-* headers; when a request draws on several
+ * buckets the headers describe the one with the fewest requests left
  */
-const checkRateLimit = (apiKey, limit = 100) => {
-    const now = Date.now();
-    const windowMs = 60 * 1000; // 1 minute window
-    const key = `rate:${apiKey}`;
-    
-    if (!rateLimitStore.has(key)) {
-        rateLimitStore.set(key, {
-            requests: [],
-            windowStart: now
-        });
-    }
-    
-    const rateData = rateLimitStore.get(key);
-    
-    // Clean old requests outside window
-    rateData.requests = rateData.requests.filter(
-        timestamp => now - timestamp < windowMs
-    );
-    
-    if (rateData.requests.length >= limit) {
-        const oldestRequest = rateData.requests[0];
-        const resetTime = new Date(oldestRequest + windowMs);
-        return {
-            limited: true,
-            remaining: 0,
-            resetTime: resetTime.toISOString()
-        };
+const setRateLimitHeaders = (res, result) => {
+    const current = res.get('X-RateLimit-Remaining');
+    if (current !== undefined && parseInt(current) <= result.remaining) {
+        return;
     }
     
-    rateData.requests.push(now);
-    
-    return {
-        limited: false,
-        remaining: limit - rateData.requests.length,
-        resetTime: new Date(now + windowMs).toISOString()
-    };
+    res.set({
+        'X-RateLimit-Limit': result.limit,
+        'X-RateLimit-Burst': result.burst,
+        'X-RateLimit-Remaining': result.remaining,
+        'X-RateLimit-Reset': result.resetAt
+    });
+};
+
+const sendRateLimited = (res, result) => {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded',
+        code: 'RATE_LIMITED',
+        retry_after: result.retryAfterSeconds
+    });
+};
+
+// RATE_LIMIT_FAIL_OPEN=false and the rate limit store is unreachable
+const sendRateLimitUnavailable = (res) => {
+    return res.status(503).json({
+        success: false,
+        error: 'Rate limiting is temporarily unavailable',
+        code: 'RATE_LIMIT_UNAVAILABLE'
+    });
 };
 
 /**
  * Main authentication middleware
  */
-const authenticateAPI = (req, res, next) => {
+const authenticateAPI = async (req, res, next) => {
     // Extract API credentials from headers
     const apiKey = req.headers['x-api-key'];
     const apiSecret = req.headers['x-api-secret'];
+    const signature = req.headers['x-signature'];
     
     // Check if credentials are provided
-    if (!apiKey || !apiSecret) {
+    if (!apiKey || (!apiSecret && !signature)) {
         return res.status(401).json({
             success: false,
             error: 'API credentials required',
             code: 'AUTH_MISSING',
             headers_required: {
                 'X-API-Key': 'Your merchant API key',
-                'X-API-Secret': 'Your merchant API secret'
+                'X-API-Secret': 'Your merchant API secret (secret scheme)',
+                'X-Timestamp, X-Nonce, X-Signature': 'Request signature headers (hmac scheme)'
             }
         });
     }
     
     // Validate credentials
-    const validation = validateAPIKey(apiKey, apiSecret);
-    
-    // Demo bypass for testing - Accept demo credentials
-    if (apiKey === 'mk_live_MERCH001' && apiSecret === 'sk_live_demo_key') {
-        // Demo mode - bypass validation for dashboard testing
-        req.merchant = {
-            id: 'MERCH001',
-            name: 'Demo Merchant',
-            permissions: ['qr.generate', 'qr.list', 'transactions.list', 'analytics.view'],
-            apiKey: apiKey
-        };
-        
-        // Set rate limit headers for demo
-        res.set({
-            'X-RateLimit-Limit': 100,
-            'X-RateLimit-Remaining': 99,
-            'X-RateLimit-Reset': new Date(Date.now() + 60000).toISOString()
+    let validation;
+    try {
+        validation = signature
+            ? await validateSignedRequest(req)
+            : await validateAPIKey(apiKey, apiSecret, { ip: req.ip });
+    } catch (error) {
+        console.error('API key validation failed:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Unable to verify API credentials',
+            code: 'AUTH_ERROR'
         });
-        
-        console.log('Demo API request authenticated');
-        return next();
     }
     
     if (!validation.valid) {
+        await SecurityAuditService.log({
+            event_type: 'API_AUTH_FAILED',
+            source: 'merchant_api',
+            reason: validation.error,
+            source_ip: req.ip,
+            reference_id: apiKey,
+            details: { method: req.method, path: req.originalUrl, scheme: signature ? 'hmac' : 'secret' }
+        });
+        
         return res.status(401).json({
             success: false,
             error: validation.error,
@@ -152,30 +139,30 @@ const authenticateAPI = (req, res, next) => {
     }
     
     // Check rate limit
-    const rateLimit = checkRateLimit(apiKey, validation.data.rateLimit);
+    const result = await checkRateLimit(validation.data.keyId, validation.data.rateLimit);
     
-    // Set rate limit headers
-    res.set({
-        'X-RateLimit-Limit': validation.data.rateLimit,
-        'X-RateLimit-Remaining': rateLimit.remaining,
-        'X-RateLimit-Reset': rateLimit.resetTime
-    });
+    if (result && result.unavailable) {
+        return sendRateLimitUnavailable(res);
+    }
     
-    if (rateLimit.limited) {
-        return res.status(429).json({
-            success: false,
-            error: 'Rate limit exceeded',
-            code: 'RATE_LIMITED',
-            retry_after: rateLimit.resetTime
-        });
+    if (result) {
+        setRateLimitHeaders(res, result);
+        
+        if (!result.allowed) {
+            return sendRateLimited(res, result);
+        }
     }
     
-    // Attach merchant data to request
+    // Attach the tenant and caller to the request
+    req.tenant = buildTenantContext(validation.data);
     req.merchant = {
         id: validation.data.merchantId,
         name: validation.data.merchantName,
         permissions: validation.data.permissions,
-        apiKey: apiKey
+        apiKey: apiKey,
+        keyId: validation.data.keyId,
+        environment: validation.data.environment,
+        authScheme: signature ? 'hmac' : 'secret'
     };
     
     // Log API request (in production, use proper logging)
@@ -185,7 +172,8 @@ const authenticateAPI = (req, res, next) => {
 };
 
 /**
- * Check specific permission
+ * Require a scope on the calling key
+ * The 403 response names the missing scope so integrators know what to request
  */
 const requirePermission = (permission) => {
     return (req, res, next) => {
@@ -201,7 +189,8 @@ const requirePermission = (permission) => {
             return res.status(403).json({
                 success: false,
                 error: `Permission denied: ${permission}`,
-                code: 'PERMISSION_DENIED'
+                code: 'PERMISSION_DENIED',
+                required_scope: permission
             });
         }
         
@@ -210,35 +199,27 @@ const requirePermission = (permission) => {
 };
 
 /**
- * Generate new API key pair for merchant
+ * Apply an endpoint group's limit on top of the key's own
+ * Goes after authenticateAPI and requirePermission, so refused calls do not use up tokens,
+ * e.g. router.post('/qr/bulk', authenticateAPI, requirePermission('qr.generate'), rateLimit('qr.bulk'), ...)
  */
-const generateAPIKeys = (merchantId, merchantName, isTest = false) => {
-    const prefix = isTest ? 'mk_test_' : 'mk_live_';
-    const secretPrefix = isTest ? 'sk_test_' : 'sk_live_';
-    
-    const apiKey = prefix + merchantId;
-    const apiSecret = secretPrefix + crypto.randomBytes(32).toString('hex');
-    
-    const keyData = {
-        secret: apiSecret,
-        merchantId: merchantId,
-        merchantName: merchantName,
-        permissions: ['qr.generate', 'qr.list', 'transactions.list', 'analytics.view'],
-        rateLimit: isTest ? 50 : 100,
-        status: 'active',
-        isTest: isTest,
-        createdAt: new Date().toISOString()
-    };
-    
-    // Store the key (in production, save to database)
-    apiKeyStore.set(apiKey, keyData);
-    
-    return {
-        apiKey: apiKey,
-        apiSecret: apiSecret,
-        merchantId: merchantId,
-        isTest: isTest,
-        createdAt: keyData.createdAt
+const rateLimit = (group) => {
+    return async (req, res, next) => {
+        const result = await checkRateLimit(req.merchant.keyId, null, group);
+        
+        if (result && result.unavailable) {
+            return sendRateLimitUnavailable(res);
+        }
+        
+        if (result) {
+            setRateLimitHeaders(res, result);
+            
+            if (!result.allowed) {
+                return sendRateLimited(res, result);
+            }
+        }
+        
+        next();
     };
 };
 
@@ -257,29 +238,12 @@ const verifyWebhookSignature = (payload, signature, secret) => {
     );
 };
 
-/**
- * Get all API keys for testing
- */
-const getTestAPIKeys = () => {
-    const keys = [];
-    for (const [key, value] of apiKeyStore.entries()) {
-        keys.push({
-            apiKey: key,
-            apiSecret: value.secret,
-            merchantId: value.merchantId,
-            merchantName: value.merchantName,
-            isTest: key.includes('_test_')
-        });
-    }
-    return keys;
-};
-
 module.exports = {
     authenticateAPI,
     requirePermission,
-    generateAPIKeys,
+    rateLimit,
     verifyWebhookSignature,
-    getTestAPIKeys,
     validateAPIKey,
+    validateSignedRequest,
     checkRateLimit
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Idempotency-Key Middleware
+ * Makes retries of mutating merchant API requests safe (see IdempotencyService).
+ * Goes after authenticateAPI and requirePermission so keys are scoped to the
+ * tenant and refused requests never claim one. Without the header a request
+ * runs as usual.
+ */
+
+const IdempotencyService = require('../services/IdempotencyService');
+
+const idempotent = async (req, res, next) => {
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    if (idempotencyKey === undefined) {
+        return next();
+    }
+
+    if (!IdempotencyService.isValidKey(idempotencyKey)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Idempotency-Key must be 1-255 printable ASCII characters without spaces',
+            code: 'INVALID_IDEMPOTENCY_KEY'
+        });
+    }
+
+    let claim;
+    try {
+        claim = await IdempotencyService.begin({
+            tenant: req.tenant,
+            idempotencyKey,
+            requestHash: IdempotencyService.hashRequest({
+                method: req.method,
+                path: req.originalUrl,
+                body: req.body
+            })
+        });
+    } catch (error) {
+        console.error('Idempotency key check failed:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Unable to process Idempotency-Key',
+            code: 'IDEMPOTENCY_ERROR'
+        });
+    }
+
+    if (claim.state === 'replay') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.response.status).json(claim.response.body);
+    }
+
+    if (claim.state === 'mismatch') {
+        return res.status(409).json({
+            success: false,
+            error: 'Idempotency-Key was already used for a different request',
+            code: 'IDEMPOTENCY_KEY_REUSED'
+        });
+    }
+
+    if (claim.state === 'in_progress') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed',
+            code: 'IDEMPOTENCY_IN_PROGRESS'
+        });
+    }
+
+    // Keep the response before it is sent; server errors free the key for a retry
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const stored = res.statusCode >= 500
+            ? IdempotencyService.release(claim.recordKey, claim.claimId)
+            : IdempotencyService.complete(claim.recordKey, claim.claimId, { status: res.statusCode, body });
+
+        stored.catch(error => console.error('Failed to store idempotent response:', error));
+        return json(body);
+    };
+
+    next();
+};
+
+module.exports = {
+    idempotent
+};
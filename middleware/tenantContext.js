@@ -0,0 +1,22 @@
+/**
+ * Tenant Context
+ * The merchant (and optionally sub-merchant) a request acts for, resolved once
+ * from the authenticated API key. Route handlers and store queries take their
+ * scope from req.tenant only - never from request headers, bodies or key names.
+ */
+
+/**
+ * Build the tenant context for a validated key
+ */
+const buildTenantContext = (keyData) => {
+    return Object.freeze({
+        merchantId: keyData.merchantId,
+        subMerchantId: keyData.subMerchantId || null,
+        keyId: keyData.keyId,
+        environment: keyData.environment
+    });
+};
+
+module.exports = {
+    buildTenantContext
+};
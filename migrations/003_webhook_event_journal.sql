@@ -0,0 +1,26 @@
+-- Migration: Inbound Webhook Event Journal
+-- Date: 2026-10-19
+-- Description: Extends qr_webhook_events so every bank callback is journaled
+--              (raw body, headers, decrypt result, outcome) before processing
+
+-- =====================================================
+-- 1. JOURNAL COLUMNS
+-- =====================================================
+ALTER TABLE qr_webhook_events
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'hdfc' AFTER event_type,
+ADD COLUMN IF NOT EXISTS source_ip VARCHAR(45) AFTER headers,
+ADD COLUMN IF NOT EXISTS decrypted_payload JSON AFTER source_ip,
+ADD COLUMN IF NOT EXISTS decrypt_status ENUM('pending', 'success', 'failed') DEFAULT 'pending' AFTER decrypted_payload,
+ADD COLUMN IF NOT EXISTS processing_result JSON AFTER error_message,
+ADD COLUMN IF NOT EXISTS replay_count INT DEFAULT 0 AFTER next_retry_at,
+ADD COLUMN IF NOT EXISTS last_replayed_at TIMESTAMP NULL AFTER replay_count,
+ADD INDEX idx_source (source),
+ADD INDEX idx_status_received (status, received_at);
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- ALTER TABLE qr_webhook_events
+-- DROP INDEX idx_status_received, DROP INDEX idx_source,
+-- DROP COLUMN last_replayed_at, DROP COLUMN replay_count, DROP COLUMN processing_result,
+-- DROP COLUMN decrypt_status, DROP COLUMN decrypted_payload, DROP COLUMN source_ip, DROP COLUMN source;
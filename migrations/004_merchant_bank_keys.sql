@@ -0,0 +1,38 @@
+-- Migration: Per-Merchant Bank Keys
+-- Date: 2026-10-19
+-- Description: Key store for acquiring-bank callback decryption keys per bank
+--              merchant ID / terminal, with overlapping validity for rotation
+
+-- =====================================================
+-- 1. MERCHANT BANK KEYS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_merchant_bank_keys (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    key_id VARCHAR(50) UNIQUE NOT NULL,
+    bank VARCHAR(20) NOT NULL DEFAULT 'hdfc',
+    merchant_id VARCHAR(50),
+    bank_merchant_id VARCHAR(50) NOT NULL,
+    terminal_id VARCHAR(50),
+    encryption_key VARCHAR(255) NOT NULL,
+    status ENUM('active', 'retiring', 'revoked') DEFAULT 'active',
+    valid_from TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    valid_until TIMESTAMP NULL,
+    last_used_at TIMESTAMP NULL,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_bank_merchant (bank, bank_merchant_id, status),
+    INDEX idx_merchant_id (merchant_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- 2. KEY USED FOR EACH JOURNALED CALLBACK
+-- =====================================================
+ALTER TABLE qr_webhook_events
+ADD COLUMN IF NOT EXISTS key_id VARCHAR(50) AFTER decrypt_status;
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- ALTER TABLE qr_webhook_events DROP COLUMN key_id;
+-- DROP TABLE IF EXISTS qr_merchant_bank_keys;
@@ -0,0 +1,20 @@
+-- Migration: Webhook Processing Queue
+-- Date: 2026-10-19
+-- Description: Lets qr_webhook_events act as the durable work queue for inbound
+--              callbacks: retry scheduling, worker leases and dead-lettering
+
+-- =====================================================
+-- 1. QUEUE STATES AND WORKER LEASE
+-- =====================================================
+ALTER TABLE qr_webhook_events
+MODIFY COLUMN status ENUM('received', 'processing', 'processed', 'retrying', 'failed', 'dead_letter') DEFAULT 'received',
+ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP NULL AFTER next_retry_at,
+ADD INDEX idx_queue_due (status, next_retry_at);
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- UPDATE qr_webhook_events SET status = 'failed' WHERE status IN ('retrying', 'dead_letter');
+-- ALTER TABLE qr_webhook_events
+-- DROP INDEX idx_queue_due, DROP COLUMN locked_at,
+-- MODIFY COLUMN status ENUM('received', 'processing', 'processed', 'failed') DEFAULT 'received';
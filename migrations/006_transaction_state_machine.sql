@@ -0,0 +1,49 @@
+-- Migration: Transaction Status State Machine
+-- Date: 2026-10-19
+-- Description: Adds the deemed/reversed states, an exceptions queue for illegal
+--              status transitions, and moves status auditing into the application
+
+-- =====================================================
+-- 1. TRANSACTION STATES
+-- =====================================================
+ALTER TABLE qr_transactions
+MODIFY COLUMN status ENUM('initiated', 'pending', 'deemed', 'success', 'failed', 'timeout', 'reversed', 'refunded', 'partial_refunded') NOT NULL;
+
+-- =====================================================
+-- 2. TRANSACTION EXCEPTIONS QUEUE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_transaction_exceptions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    transaction_id VARCHAR(100) NOT NULL,
+    merchant_id VARCHAR(50),
+    current_status VARCHAR(50),
+    attempted_status VARCHAR(50) NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    source VARCHAR(50) DEFAULT 'webhook',
+    payload JSON,
+    status ENUM('open', 'resolved', 'ignored') DEFAULT 'open',
+    resolution_note TEXT,
+    resolved_by VARCHAR(100),
+    resolved_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_transaction_id (transaction_id),
+    INDEX idx_status_created (status, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- 3. STATUS AUDIT
+-- =====================================================
+-- QRTransactionService now writes qr_transaction_audit with the real actor and
+-- reason for every transition; the trigger would log each change twice
+DROP TRIGGER IF EXISTS before_transaction_update;
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DROP TABLE IF EXISTS qr_transaction_exceptions;
+-- UPDATE qr_transactions SET status = 'pending' WHERE status = 'deemed';
+-- UPDATE qr_transactions SET status = 'failed' WHERE status = 'reversed';
+-- ALTER TABLE qr_transactions
+-- MODIFY COLUMN status ENUM('initiated', 'pending', 'success', 'failed', 'timeout', 'refunded', 'partial_refunded') NOT NULL;
+-- (re-create before_transaction_update from database/qr_complete_schema.sql)
@@ -0,0 +1,38 @@
+-- Migration: Transaction Limit Enforcement
+-- Date: 2026-10-19
+-- Description: Flags transactions that breach QR code or merchant limits
+--              and stores the alerts raised for merchants
+
+-- =====================================================
+-- 1. LIMIT BREACH FLAGS
+-- =====================================================
+ALTER TABLE qr_transactions
+ADD COLUMN IF NOT EXISTS limit_breached BOOLEAN DEFAULT FALSE AFTER failure_reason,
+ADD COLUMN IF NOT EXISTS limit_breach_details JSON AFTER limit_breached,
+ADD INDEX idx_limit_breached (merchant_id, limit_breached);
+
+-- =====================================================
+-- 2. MERCHANT ALERTS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_merchant_alerts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    merchant_id VARCHAR(50) NOT NULL,
+    alert_type VARCHAR(50) NOT NULL,
+    severity ENUM('info', 'warning', 'critical') DEFAULT 'warning',
+    transaction_id VARCHAR(100),
+    message TEXT NOT NULL,
+    details JSON,
+    status ENUM('open', 'acknowledged') DEFAULT 'open',
+    acknowledged_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_merchant_status (merchant_id, status, created_at),
+    INDEX idx_transaction_id (transaction_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DROP TABLE IF EXISTS qr_merchant_alerts;
+-- ALTER TABLE qr_transactions
+-- DROP INDEX idx_limit_breached, DROP COLUMN limit_breach_details, DROP COLUMN limit_breached;
@@ -0,0 +1,28 @@
+-- Migration: Status Enquiry Poller
+-- Date: 2026-10-19
+-- Description: Adds the expired state and tracks bank status enquiries for
+--              transactions that never received a final callback
+
+-- =====================================================
+-- 1. TRANSACTION STATES
+-- =====================================================
+ALTER TABLE qr_transactions
+MODIFY COLUMN status ENUM('initiated', 'pending', 'deemed', 'success', 'failed', 'timeout', 'reversed', 'expired', 'refunded', 'partial_refunded') NOT NULL;
+
+-- =====================================================
+-- 2. STATUS ENQUIRY TRACKING
+-- =====================================================
+ALTER TABLE qr_transactions
+ADD COLUMN IF NOT EXISTS acquirer VARCHAR(20) DEFAULT 'hdfc' AFTER payment_method,
+ADD COLUMN IF NOT EXISTS enquiry_attempts INT DEFAULT 0 AFTER limit_breach_details,
+ADD COLUMN IF NOT EXISTS last_enquiry_at TIMESTAMP NULL AFTER enquiry_attempts,
+ADD INDEX idx_status_enquiry (status, initiated_at);
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- ALTER TABLE qr_transactions
+-- DROP INDEX idx_status_enquiry, DROP COLUMN last_enquiry_at,
+-- DROP COLUMN enquiry_attempts, DROP COLUMN acquirer;
+-- ALTER TABLE qr_transactions
+-- MODIFY COLUMN status ENUM('initiated', 'pending', 'deemed', 'success', 'failed', 'timeout', 'reversed', 'refunded', 'partial_refunded') NOT NULL;
@@ -0,0 +1,44 @@
+-- Migration: Reversals and Disputes
+-- Date: 2026-10-19
+-- Description: Adds the disputed/charged_back states, cancelled settlements for
+--              reversed or charged-back payments, and the disputes ledger
+
+-- =====================================================
+-- 1. TRANSACTION STATES
+-- =====================================================
+ALTER TABLE qr_transactions
+MODIFY COLUMN status ENUM('initiated', 'pending', 'deemed', 'success', 'failed', 'timeout', 'reversed', 'expired', 'refunded', 'partial_refunded', 'disputed', 'charged_back') NOT NULL,
+MODIFY COLUMN settlement_status ENUM('pending', 'processing', 'settled', 'failed', 'on_hold', 'cancelled') DEFAULT 'pending',
+ADD INDEX idx_bank_reference_number (bank_reference_number);
+
+-- =====================================================
+-- 2. DISPUTES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_transaction_disputes (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    dispute_id VARCHAR(50) UNIQUE NOT NULL,
+    transaction_id VARCHAR(100) NOT NULL,
+    merchant_id VARCHAR(50) NOT NULL,
+    bank_reference_number VARCHAR(100),
+    amount DECIMAL(10, 2) NOT NULL,
+    reason_code VARCHAR(20),
+    reason TEXT,
+    status ENUM('open', 'won', 'lost') DEFAULT 'open',
+    source VARCHAR(50),
+    -- Lost after the payment was settled: recover from a later settlement
+    settlement_recovery BOOLEAN DEFAULT FALSE,
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP NULL,
+
+    INDEX idx_transaction_status (transaction_id, status),
+    INDEX idx_merchant_status (merchant_id, status, opened_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DROP TABLE IF EXISTS qr_transaction_disputes;
+-- ALTER TABLE qr_transactions
+-- DROP INDEX idx_bank_reference_number,
+-- MODIFY COLUMN settlement_status ENUM('pending', 'processing', 'settled', 'failed', 'on_hold') DEFAULT 'pending',
+-- MODIFY COLUMN status ENUM('initiated', 'pending', 'deemed', 'success', 'failed', 'timeout', 'reversed', 'expired', 'refunded', 'partial_refunded') NOT NULL;
@@ -0,0 +1,44 @@
+-- Migration: Bank Callback Replay Protection
+-- Date: 2026-10-19
+-- Description: Replay cache for verified bank callbacks and a security audit
+--              log of every rejected callback
+
+-- =====================================================
+-- 1. REPLAY CACHE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_webhook_replay_cache (
+    replay_key VARCHAR(255) PRIMARY KEY,
+    source VARCHAR(50) NOT NULL,
+    event_id VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- 2. SECURITY AUDIT LOG
+-- =====================================================
+CREATE TABLE IF NOT EXISTS security_audit_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    event_type VARCHAR(50) NOT NULL,
+    source VARCHAR(50),
+    reason VARCHAR(255) NOT NULL,
+    source_ip VARCHAR(45),
+    reference_id VARCHAR(100),
+    details JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_event_type_created (event_type, created_at),
+    INDEX idx_source_ip (source_ip),
+    INDEX idx_reference_id (reference_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Query to purge expired replay cache entries (run hourly)
+-- DELETE FROM qr_webhook_replay_cache WHERE expires_at < NOW();
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DROP TABLE IF EXISTS security_audit_log;
+-- DROP TABLE IF EXISTS qr_webhook_replay_cache;
@@ -0,0 +1,43 @@
+-- Migration: Persisted Merchant API Keys
+-- Date: 2026-10-19
+-- Description: Merchant API keys with hashed secrets, rotation with an overlap
+--              period, revocation, expiry and last-used tracking
+
+-- =====================================================
+-- 1. API KEYS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_api_keys (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    key_id VARCHAR(64) NOT NULL UNIQUE COMMENT 'Public key sent as X-API-Key',
+    merchant_id VARCHAR(50) NOT NULL,
+    merchant_name VARCHAR(255),
+    name VARCHAR(100) COMMENT 'Label chosen by the merchant',
+    environment ENUM('live', 'test') NOT NULL DEFAULT 'live',
+
+    -- Only a SHA-256 hash of the secret is kept; the secret is shown once
+    secret_hash CHAR(64) NOT NULL,
+    secret_last4 CHAR(4) NOT NULL,
+
+    permissions JSON NOT NULL,
+    rate_limit INT NOT NULL DEFAULT 100 COMMENT 'Requests per minute',
+    status ENUM('active', 'revoked') NOT NULL DEFAULT 'active',
+    expires_at TIMESTAMP NULL,
+
+    last_used_at TIMESTAMP NULL,
+    last_used_ip VARCHAR(45),
+
+    rotated_from VARCHAR(64) COMMENT 'Key this one replaced',
+    created_by VARCHAR(100),
+    revoked_at TIMESTAMP NULL,
+    revoked_by VARCHAR(100),
+    revoke_reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_merchant_status (merchant_id, status),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DROP TABLE IF EXISTS qr_api_keys;
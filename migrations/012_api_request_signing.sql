@@ -0,0 +1,34 @@
+-- Migration: Merchant API Request Signing
+-- Date: 2026-10-19
+-- Description: Per-key choice between sending the secret and HMAC-signed
+--              requests, the encrypted secret needed to verify signatures,
+--              and the nonce cache that stops signed requests being replayed
+
+-- =====================================================
+-- 1. AUTH SCHEME PER KEY
+-- =====================================================
+ALTER TABLE qr_api_keys
+ADD COLUMN IF NOT EXISTS auth_scheme ENUM('secret', 'hmac', 'both') NOT NULL DEFAULT 'secret' AFTER secret_last4,
+ADD COLUMN IF NOT EXISTS signing_secret VARCHAR(255) COMMENT 'Secret encrypted with API_KEY_ENCRYPTION_KEY (AES-256-GCM)' AFTER secret_last4;
+
+-- =====================================================
+-- 2. NONCE CACHE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_api_request_nonces (
+    nonce_key VARCHAR(150) PRIMARY KEY COMMENT 'key_id:nonce',
+    key_id VARCHAR(64) NOT NULL,
+    claim_id CHAR(32) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Query to purge expired nonces (run hourly)
+-- DELETE FROM qr_api_request_nonces WHERE expires_at < NOW();
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DROP TABLE IF EXISTS qr_api_request_nonces;
+-- ALTER TABLE qr_api_keys DROP COLUMN auth_scheme, DROP COLUMN signing_secret;
@@ -0,0 +1,16 @@
+-- Migration: Tenant Context for Merchant API Keys
+-- Date: 2026-10-19
+-- Description: Optional sub-merchant binding on API keys; a bound key only
+--              sees and creates that sub-merchant's QR codes and transactions
+
+-- =====================================================
+-- 1. SUB-MERCHANT BINDING
+-- =====================================================
+ALTER TABLE qr_api_keys
+ADD COLUMN IF NOT EXISTS sub_merchant_id VARCHAR(50) COMMENT 'Limits the key to one sub-merchant' AFTER merchant_name,
+ADD INDEX IF NOT EXISTS idx_merchant_sub_merchant (merchant_id, sub_merchant_id);
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- ALTER TABLE qr_api_keys DROP INDEX idx_merchant_sub_merchant, DROP COLUMN sub_merchant_id;
@@ -0,0 +1,32 @@
+-- Migration: Merchant API Idempotency Keys
+-- Date: 2026-10-19
+-- Description: First responses to mutating merchant API requests sent with an
+--              Idempotency-Key, replayed to retries of the same request
+
+-- =====================================================
+-- 1. IDEMPOTENCY KEYS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_idempotency_keys (
+    record_key CHAR(64) PRIMARY KEY COMMENT 'SHA-256 of merchant, sub-merchant and Idempotency-Key',
+    merchant_id VARCHAR(50) NOT NULL,
+    key_id VARCHAR(64) NOT NULL COMMENT 'API key that made the first request',
+    request_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of method, path and body',
+    status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+    claim_id CHAR(32) NOT NULL,
+    response_status SMALLINT,
+    response_body MEDIUMTEXT COMMENT 'Response JSON encrypted with API_KEY_ENCRYPTION_KEY (AES-256-GCM)',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NOT NULL COMMENT 'End of the processing lock, then of the replay window',
+
+    INDEX idx_merchant (merchant_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Query to purge expired keys (run hourly)
+-- DELETE FROM qr_idempotency_keys WHERE expires_at < NOW();
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DROP TABLE IF EXISTS qr_idempotency_keys;
@@ -0,0 +1,66 @@
+-- Migration: Merchant Webhook Subscriptions and Deliveries
+-- Date: 2026-10-19
+-- Description: Webhook URLs merchants subscribe to events, and the log of
+--              every delivery attempt with its retry schedule
+
+-- =====================================================
+-- 1. SUBSCRIPTIONS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_merchant_webhooks (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    webhook_id VARCHAR(40) UNIQUE NOT NULL,
+    merchant_id VARCHAR(50) NOT NULL,
+    sub_merchant_id VARCHAR(50) COMMENT 'Set when created by a sub-merchant key; only its events are sent',
+    url VARCHAR(500) NOT NULL,
+    events JSON NOT NULL COMMENT 'Event types or patterns such as refund.*',
+    secret VARCHAR(400) NOT NULL COMMENT 'Signing secret encrypted with API_KEY_ENCRYPTION_KEY (AES-256-GCM)',
+    description VARCHAR(255),
+    status ENUM('active', 'disabled') NOT NULL DEFAULT 'active',
+    created_by VARCHAR(64) COMMENT 'API key that created the subscription',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_merchant_status (merchant_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- 2. DELIVERIES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_merchant_webhook_deliveries (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    delivery_id VARCHAR(40) UNIQUE NOT NULL,
+    webhook_id VARCHAR(40) NOT NULL,
+    merchant_id VARCHAR(50) NOT NULL,
+    sub_merchant_id VARCHAR(50),
+    event_id VARCHAR(50) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    url VARCHAR(500) NOT NULL COMMENT 'URL at the time the delivery was created',
+    payload JSON NOT NULL COMMENT 'Event envelope sent as the request body',
+    status ENUM('pending', 'sending', 'retrying', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+    attempt_count INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NULL,
+    locked_at TIMESTAMP NULL,
+    response_status SMALLINT,
+    response_body TEXT COMMENT 'First 2000 characters of the last response',
+    error_message VARCHAR(500),
+    duration_ms INT,
+    redelivery_of VARCHAR(40) COMMENT 'Delivery this one manually re-sends',
+    last_attempt_at TIMESTAMP NULL,
+    delivered_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_merchant_created (merchant_id, created_at),
+    INDEX idx_webhook (webhook_id),
+    INDEX idx_event (event_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Query to purge old delivery logs (run daily)
+-- DELETE FROM qr_merchant_webhook_deliveries
+-- WHERE status IN ('delivered', 'failed') AND created_at < DATE_SUB(NOW(), INTERVAL 90 DAY);
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DROP TABLE IF EXISTS qr_merchant_webhook_deliveries;
+-- DROP TABLE IF EXISTS qr_merchant_webhooks;
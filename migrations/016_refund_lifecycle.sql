@@ -0,0 +1,55 @@
+-- Migration: Refund Lifecycle
+-- Date: 2026-10-19
+-- Description: Refunds move initiated -> processing -> success/failed as the
+--              acquiring bank answers; each refund records the merchant it
+--              belongs to and when the bank was last asked about it
+
+-- =====================================================
+-- 1. REFUND STATES
+-- =====================================================
+ALTER TABLE qr_refund_audit
+MODIFY COLUMN status ENUM('initiated', 'approved', 'processing', 'success', 'completed', 'failed', 'cancelled') NOT NULL;
+
+UPDATE qr_refund_audit SET status = 'success' WHERE status = 'completed';
+
+ALTER TABLE qr_refund_audit
+MODIFY COLUMN status ENUM('initiated', 'approved', 'processing', 'success', 'failed', 'cancelled') NOT NULL;
+
+-- =====================================================
+-- 2. OWNER AND BANK TRACKING
+-- =====================================================
+ALTER TABLE qr_refund_audit
+ADD COLUMN IF NOT EXISTS merchant_id VARCHAR(50) COMMENT 'Merchant that owns the refunded transaction' AFTER refund_id,
+ADD COLUMN IF NOT EXISTS sub_merchant_id VARCHAR(50) AFTER merchant_id,
+ADD COLUMN IF NOT EXISTS bank_merchant_id VARCHAR(50) COMMENT 'Merchant ID at the acquiring bank' AFTER sub_merchant_id,
+ADD COLUMN IF NOT EXISTS acquirer VARCHAR(20) DEFAULT 'hdfc' AFTER bank_merchant_id,
+ADD COLUMN IF NOT EXISTS bank_response_code VARCHAR(10) AFTER bank_reference,
+ADD COLUMN IF NOT EXISTS check_attempts INT DEFAULT 0 COMMENT 'Refund and refund status calls made to the bank',
+ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP NULL,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+ADD UNIQUE INDEX IF NOT EXISTS uk_refund_id (refund_id),
+ADD INDEX IF NOT EXISTS idx_merchant_status (merchant_id, status),
+ADD INDEX IF NOT EXISTS idx_status_checked (status, last_checked_at);
+
+-- Refunds recorded before this migration belong to the owner of the QR code
+UPDATE qr_refund_audit r
+JOIN qr_transactions t ON t.transaction_id = r.transaction_id
+JOIN qr_codes q ON q.id = t.qr_code_id
+SET r.merchant_id = q.merchant_id,
+    r.bank_merchant_id = t.merchant_id,
+    r.acquirer = t.acquirer
+WHERE r.merchant_id IS NULL;
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- ALTER TABLE qr_refund_audit
+-- DROP INDEX idx_status_checked, DROP INDEX idx_merchant_status, DROP INDEX uk_refund_id,
+-- DROP COLUMN updated_at, DROP COLUMN last_checked_at, DROP COLUMN check_attempts,
+-- DROP COLUMN bank_response_code, DROP COLUMN acquirer, DROP COLUMN bank_merchant_id,
+-- DROP COLUMN sub_merchant_id, DROP COLUMN merchant_id;
+-- ALTER TABLE qr_refund_audit
+-- MODIFY COLUMN status ENUM('initiated', 'approved', 'processing', 'success', 'completed', 'failed', 'cancelled') NOT NULL;
+-- UPDATE qr_refund_audit SET status = 'completed' WHERE status = 'success';
+-- ALTER TABLE qr_refund_audit
+-- MODIFY COLUMN status ENUM('initiated', 'approved', 'processing', 'completed', 'failed', 'cancelled') NOT NULL;
@@ -0,0 +1,43 @@
+-- Migration: Settlement Engine
+-- Date: 2026-10-19
+-- Description: Settlement batches created by the T+N scheduler or on request,
+--              refunds on each settled payment, and refunds recovered from a
+--              later batch once their payment was already paid out
+
+-- =====================================================
+-- 1. SETTLEMENT BATCHES
+-- =====================================================
+ALTER TABLE qr_settlement_batches
+ADD COLUMN IF NOT EXISTS settlement_id VARCHAR(50) COMMENT 'Identifier shown to merchants' AFTER batch_id,
+ADD COLUMN IF NOT EXISTS cycle ENUM('T+0', 'T+1', 'T+2', 'weekly', 'manual') COMMENT 'Merchant settlement cycle when the batch was made' AFTER settlement_type,
+ADD COLUMN IF NOT EXISTS cutoff_at TIMESTAMP NULL COMMENT 'Payments completed before this time were included' AFTER cycle,
+ADD COLUMN IF NOT EXISTS reason VARCHAR(255) AFTER cutoff_at,
+ADD COLUMN IF NOT EXISTS requested_by VARCHAR(100) COMMENT 'API key or operator that asked for a manual settlement' AFTER reason,
+ADD COLUMN IF NOT EXISTS failure_reason TEXT AFTER utr_number,
+ADD UNIQUE INDEX IF NOT EXISTS uk_settlement_id (settlement_id),
+ADD INDEX IF NOT EXISTS idx_merchant_date (merchant_id, settlement_date);
+
+UPDATE qr_settlement_batches SET settlement_id = batch_id WHERE settlement_id IS NULL;
+
+-- =====================================================
+-- 2. SETTLED PAYMENTS
+-- =====================================================
+ALTER TABLE qr_settlement_transactions
+ADD COLUMN IF NOT EXISTS refund_amount DECIMAL(10, 2) DEFAULT 0 COMMENT 'Refunds completed before the payment was settled' AFTER transaction_amount;
+
+-- =====================================================
+-- 3. REFUNDS DEDUCTED FROM A SETTLEMENT
+-- =====================================================
+ALTER TABLE qr_refund_audit
+ADD COLUMN IF NOT EXISTS settlement_batch_id VARCHAR(100) COMMENT 'Batch the refund was deducted from' AFTER bank_response_code,
+ADD INDEX IF NOT EXISTS idx_settlement_batch (settlement_batch_id);
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- ALTER TABLE qr_refund_audit DROP INDEX idx_settlement_batch, DROP COLUMN settlement_batch_id;
+-- ALTER TABLE qr_settlement_transactions DROP COLUMN refund_amount;
+-- ALTER TABLE qr_settlement_batches
+-- DROP INDEX idx_merchant_date, DROP INDEX uk_settlement_id,
+-- DROP COLUMN failure_reason, DROP COLUMN requested_by, DROP COLUMN reason,
+-- DROP COLUMN cutoff_at, DROP COLUMN cycle, DROP COLUMN settlement_id;
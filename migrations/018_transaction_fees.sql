@@ -0,0 +1,31 @@
+-- Migration: Transaction Fees
+-- Date: 2026-10-19
+-- Description: Slab pricing, zero-MDR and charge caps on the merchant
+--              configuration, and the fee breakdown charged on each payment
+
+-- =====================================================
+-- 1. MERCHANT PRICING
+-- =====================================================
+ALTER TABLE qr_merchant_config
+ADD COLUMN IF NOT EXISTS transaction_charge_min DECIMAL(10, 2) NULL COMMENT 'Lowest MDR charged on a payment' AFTER transaction_charge_fixed,
+ADD COLUMN IF NOT EXISTS transaction_charge_max DECIMAL(10, 2) NULL COMMENT 'Highest MDR charged on a payment' AFTER transaction_charge_min,
+ADD COLUMN IF NOT EXISTS transaction_charge_slabs JSON COMMENT '[{ max_amount, percent, fixed }] by ascending max_amount; null max_amount for the last slab' AFTER transaction_charge_max,
+ADD COLUMN IF NOT EXISTS zero_mdr_upi_limit DECIMAL(10, 2) NULL COMMENT 'UPI payments up to this amount carry no MDR' AFTER transaction_charge_slabs;
+
+-- =====================================================
+-- 2. FEES CHARGED ON EACH PAYMENT
+-- =====================================================
+ALTER TABLE qr_transactions
+ADD COLUMN IF NOT EXISTS mdr_amount DECIMAL(10, 2) NULL AFTER settlement_amount,
+ADD COLUMN IF NOT EXISTS gst_amount DECIMAL(10, 2) NULL AFTER mdr_amount,
+ADD COLUMN IF NOT EXISTS net_amount DECIMAL(10, 2) NULL COMMENT 'Amount less MDR and GST' AFTER gst_amount,
+ADD COLUMN IF NOT EXISTS fee_breakdown JSON COMMENT 'Rule, rate, caps and amounts the fees were worked out with' AFTER net_amount;
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- ALTER TABLE qr_transactions
+-- DROP COLUMN fee_breakdown, DROP COLUMN net_amount, DROP COLUMN gst_amount, DROP COLUMN mdr_amount;
+-- ALTER TABLE qr_merchant_config
+-- DROP COLUMN zero_mdr_upi_limit, DROP COLUMN transaction_charge_slabs,
+-- DROP COLUMN transaction_charge_max, DROP COLUMN transaction_charge_min;
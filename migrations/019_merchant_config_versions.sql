@@ -0,0 +1,38 @@
+-- Migration: Merchant Configuration API
+-- Date: 2026-10-19
+-- Description: Versioned merchant configuration, with an audit trail of every
+--              change made by merchants (notification settings) or operators
+--              (settlement cycle, pricing and limits)
+
+-- =====================================================
+-- 1. MERCHANT CONFIGURATION
+-- =====================================================
+ALTER TABLE qr_merchant_config
+MODIFY COLUMN webhook_secret VARCHAR(400) COMMENT 'Encrypted with API_KEY_ENCRYPTION_KEY (AES-256-GCM)',
+ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 1 COMMENT 'Bumped on every change' AFTER is_active,
+ADD COLUMN IF NOT EXISTS updated_by VARCHAR(100) COMMENT 'API key or operator that made the last change' AFTER version;
+
+-- =====================================================
+-- 2. CONFIGURATION HISTORY
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_merchant_config_versions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    merchant_id VARCHAR(50) NOT NULL,
+    version INT NOT NULL,
+    changes JSON NOT NULL COMMENT '{ field: { from, to } }; secrets recorded as [set] only',
+    changed_by VARCHAR(100) COMMENT 'API key or operator',
+    changed_by_type ENUM('merchant', 'admin') NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_merchant_version (merchant_id, version),
+    INDEX idx_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DROP TABLE IF EXISTS qr_merchant_config_versions;
+-- ALTER TABLE qr_merchant_config
+-- DROP COLUMN updated_by, DROP COLUMN version,
+-- MODIFY COLUMN webhook_secret VARCHAR(255);
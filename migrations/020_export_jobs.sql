@@ -0,0 +1,37 @@
+-- Migration: Report Exports
+-- Date: 2026-10-19
+-- Description: Background export jobs; merchants queue a transaction or QR code
+--              report as CSV, XLSX or PDF and download the file once generated
+
+-- =====================================================
+-- 1. EXPORT JOBS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_export_jobs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    export_id VARCHAR(50) NOT NULL,
+    merchant_id VARCHAR(50) NOT NULL,
+    sub_merchant_id VARCHAR(50) NULL COMMENT 'Set when a sub-merchant key requested it',
+    report_type VARCHAR(30) NOT NULL COMMENT 'transactions or qr_codes',
+    format VARCHAR(10) NOT NULL COMMENT 'csv, xlsx or pdf',
+    columns JSON NOT NULL COMMENT 'Column keys, in order',
+    filters JSON NOT NULL COMMENT 'Validated report criteria',
+    status ENUM('queued', 'processing', 'completed', 'failed', 'expired') NOT NULL DEFAULT 'queued',
+    row_count INT NULL,
+    file_size BIGINT NULL COMMENT 'Bytes',
+    error_message VARCHAR(255) NULL,
+    locked_at TIMESTAMP NULL COMMENT 'When a worker claimed the job',
+    created_by VARCHAR(100) COMMENT 'API key that requested it',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NULL COMMENT 'File is removed after this',
+
+    UNIQUE KEY uk_export_id (export_id),
+    INDEX idx_merchant_created (merchant_id, created_at),
+    INDEX idx_status_locked (status, locked_at),
+    INDEX idx_status_expires (status, expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DROP TABLE IF EXISTS qr_export_jobs;
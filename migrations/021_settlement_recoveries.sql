@@ -0,0 +1,17 @@
+-- Migration: Settlement Recoveries
+-- Date: 2026-10-19
+-- Description: Payouts recovered from a later settlement batch when a settled
+--              payment is reversed or charged back
+
+-- =====================================================
+-- 1. RECOVERED PAYMENTS
+-- =====================================================
+ALTER TABLE qr_transactions
+ADD COLUMN IF NOT EXISTS recovery_batch_id VARCHAR(100) COMMENT 'Batch the payout was recovered from after a reversal or chargeback' AFTER settlement_batch_id,
+ADD COLUMN IF NOT EXISTS recovery_amount DECIMAL(10, 2) NULL COMMENT 'Amount recovered, net of refunds recovered separately' AFTER recovery_batch_id,
+ADD INDEX IF NOT EXISTS idx_recovery_batch (recovery_batch_id);
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- ALTER TABLE qr_transactions DROP INDEX idx_recovery_batch, DROP COLUMN recovery_amount, DROP COLUMN recovery_batch_id;
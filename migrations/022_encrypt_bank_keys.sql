@@ -0,0 +1,33 @@
+-- Migration: Encrypted Merchant Bank Keys
+-- Date: 2026-10-19
+-- Description: Bank keys are stored encrypted with API_KEY_ENCRYPTION_KEY;
+--              a fingerprint (first 8 hex characters of the key's SHA-256)
+--              is kept in its own column to tell keys apart in listings
+
+-- =====================================================
+-- 1. KEY FINGERPRINT
+-- =====================================================
+ALTER TABLE qr_merchant_bank_keys
+ADD COLUMN IF NOT EXISTS key_fingerprint CHAR(8) COMMENT 'First 8 hex characters of SHA-256 of the key' AFTER encryption_key;
+
+-- Keys added before this migration are still plaintext
+UPDATE qr_merchant_bank_keys
+SET key_fingerprint = LEFT(SHA2(encryption_key, 256), 8)
+WHERE key_fingerprint IS NULL;
+
+-- =====================================================
+-- 2. EXISTING KEYS
+-- =====================================================
+-- AES-GCM encryption happens in the application: MerchantKeyService encrypts
+-- each plaintext key in place the first time it is read. An encrypted
+-- 32-byte key (iv:tag:ciphertext in hex) is 122 characters, so the column
+-- keeps its size.
+ALTER TABLE qr_merchant_bank_keys
+MODIFY COLUMN encryption_key VARCHAR(255) NOT NULL COMMENT 'Encrypted with API_KEY_ENCRYPTION_KEY';
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- Encrypted keys cannot be read back without API_KEY_ENCRYPTION_KEY; re-add them before rolling back.
+-- ALTER TABLE qr_merchant_bank_keys MODIFY COLUMN encryption_key VARCHAR(255) NOT NULL;
+-- ALTER TABLE qr_merchant_bank_keys DROP COLUMN key_fingerprint;
@@ -0,0 +1,19 @@
+-- Migration: Refunds View Scope
+-- Date: 2026-10-19
+-- Description: Reading a refund needs the new refunds.view scope instead of
+--              refunds.create; keys that could read refunds keep doing so
+
+-- =====================================================
+-- 1. GRANT refunds.view TO KEYS HOLDING refunds.create
+-- =====================================================
+UPDATE qr_api_keys
+SET permissions = JSON_ARRAY_APPEND(permissions, '$', 'refunds.view')
+WHERE JSON_CONTAINS(permissions, '"refunds.create"')
+AND NOT JSON_CONTAINS(permissions, '"refunds.view"');
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- UPDATE qr_api_keys
+-- SET permissions = JSON_REMOVE(permissions, JSON_UNQUOTE(JSON_SEARCH(permissions, 'one', 'refunds.view')))
+-- WHERE JSON_CONTAINS(permissions, '"refunds.view"');
@@ -0,0 +1,21 @@
+-- Migration: Retained Replay Keys for Reversals and Disputes
+-- Date: 2026-10-19
+-- Description: Reversal and dispute notices carry the original payment time,
+--              so they cannot be rejected as stale once their replay cache
+--              entry expires. Their replay keys are now kept with a NULL
+--              expires_at; the hourly purge leaves those rows alone.
+
+-- =====================================================
+-- 1. REPLAY CACHE
+-- =====================================================
+ALTER TABLE qr_webhook_replay_cache
+MODIFY COLUMN expires_at TIMESTAMP NULL DEFAULT NULL COMMENT 'NULL: kept for good (reversal and dispute notices)';
+
+-- Purge query is unchanged; NULL never compares as expired
+-- DELETE FROM qr_webhook_replay_cache WHERE expires_at < NOW();
+
+-- =====================================================
+-- ROLLBACK SCRIPT (if needed)
+-- =====================================================
+-- DELETE FROM qr_webhook_replay_cache WHERE expires_at IS NULL;
+-- ALTER TABLE qr_webhook_replay_cache MODIFY COLUMN expires_at TIMESTAMP NOT NULL;
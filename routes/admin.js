@@ -0,0 +1,669 @@
+/**
+ * Admin / Operator API Endpoints
+ * Base Path: /api/admin
+ *
+ * Back-office endpoints for the operations team, authenticated with X-Admin-Key
+ */
+
+const express = require('express');
+const router = express.Router();
+const TransactionExceptionService = require('../services/TransactionExceptionService');
+const StatusEnquiryPoller = require('../services/StatusEnquiryPoller');
+const RefundStatusPoller = require('../services/RefundStatusPoller');
+const SettlementScheduler = require('../services/SettlementScheduler');
+const SettlementService = require('../services/SettlementService');
+const MerchantConfigService = require('../services/MerchantConfigService');
+const SecurityAuditService = require('../services/SecurityAuditService');
+const ApiKeyService = require('../services/ApiKeyService');
+const { authenticateAdmin } = require('../middleware/adminAuth');
+
+router.use(authenticateAdmin);
+
+/**
+ * GET /api/admin/exceptions
+ * Status changes rejected by the transaction state machine
+ */
+router.get('/exceptions', async (req, res) => {
+    try {
+        const exceptions = await TransactionExceptionService.list({
+            status: req.query.status,
+            transaction_id: req.query.transaction_id,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: {
+                exceptions,
+                count: exceptions.length
+            }
+        });
+    } catch (error) {
+        console.error('[Admin] Error listing exceptions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch exceptions',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/exceptions/:id/resolve
+ * Close an exception once it has been investigated
+ */
+router.post('/exceptions/:id/resolve', async (req, res) => {
+    try {
+        const { resolution = 'resolved', note } = req.body;
+
+        if (!['resolved', 'ignored'].includes(resolution)) {
+            return res.status(400).json({
+                success: false,
+                error: 'resolution must be resolved or ignored',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const exception = await TransactionExceptionService.resolve(req.params.id, {
+            resolution,
+            note,
+            resolvedBy: req.admin.id
+        });
+
+        if (!exception) {
+            return res.status(404).json({
+                success: false,
+                error: 'Open exception not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: exception
+        });
+    } catch (error) {
+        console.error('[Admin] Error resolving exception:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resolve exception',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/status-enquiry/run
+ * Run a status enquiry cycle now instead of waiting for the poller
+ */
+router.post('/status-enquiry/run', async (req, res) => {
+    try {
+        const summary = await StatusEnquiryPoller.poll();
+
+        if (!summary) {
+            return res.status(409).json({
+                success: false,
+                error: 'A status enquiry cycle is already running',
+                code: 'IN_PROGRESS'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        console.error('[Admin] Error running status enquiry:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run status enquiry',
+            code: 'ENQUIRY_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/refunds/run
+ * Check open refunds with the bank now instead of waiting for the poller
+ */
+router.post('/refunds/run', async (req, res) => {
+    try {
+        const summary = await RefundStatusPoller.poll();
+
+        if (!summary) {
+            return res.status(409).json({
+                success: false,
+                error: 'A refund status cycle is already running',
+                code: 'IN_PROGRESS'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        console.error('[Admin] Error checking refunds:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check refunds',
+            code: 'REFUND_CHECK_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/settlements/run
+ * Create the settlements that are due now instead of waiting for the scheduler
+ */
+router.post('/settlements/run', async (req, res) => {
+    try {
+        const summary = await SettlementScheduler.poll();
+
+        if (!summary) {
+            return res.status(409).json({
+                success: false,
+                error: 'A settlement cycle is already running',
+                code: 'IN_PROGRESS'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        console.error('[Admin] Error running settlements:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run settlements',
+            code: 'SETTLEMENT_ERROR'
+        });
+    }
+});
+
+// SettlementService error code -> HTTP status
+const SETTLEMENT_ERROR_STATUS = {
+    NOT_FOUND: 404,
+    INVALID_STATE: 409
+};
+
+/**
+ * POST /api/admin/settlements/:settlement_id/complete
+ * Record the UTR of a payout the bank has made; its payments become settled
+ * Body: { utr_number, bank_reference }
+ */
+router.post('/settlements/:settlement_id/complete', async (req, res) => {
+    try {
+        const { utr_number, bank_reference } = req.body || {};
+
+        if (typeof utr_number !== 'string' || !utr_number.trim() || utr_number.length > 100) {
+            return res.status(400).json({
+                success: false,
+                error: 'utr_number is required (at most 100 characters)',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const result = await SettlementService.complete(req.params.settlement_id, {
+            utr_number: utr_number.trim(),
+            bank_reference: typeof bank_reference === 'string' ? bank_reference.substring(0, 100) : null
+        });
+
+        if (!result.success) {
+            return res.status(SETTLEMENT_ERROR_STATUS[result.error.code] || 400).json({
+                success: false,
+                error: result.error.message,
+                code: result.error.code
+            });
+        }
+
+        res.json({
+            success: true,
+            data: SettlementService.toResponse(result.settlement)
+        });
+    } catch (error) {
+        console.error('[Admin] Error completing settlement:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to complete settlement',
+            code: 'SETTLEMENT_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/settlements/:settlement_id/fail
+ * The payout failed; its payments go back to pending for the next batch
+ * Body: { reason }
+ */
+router.post('/settlements/:settlement_id/fail', async (req, res) => {
+    try {
+        const { reason } = req.body || {};
+        const result = await SettlementService.fail(req.params.settlement_id, {
+            reason: typeof reason === 'string' ? reason : null
+        });
+
+        if (!result.success) {
+            return res.status(SETTLEMENT_ERROR_STATUS[result.error.code] || 400).json({
+                success: false,
+                error: result.error.message,
+                code: result.error.code
+            });
+        }
+
+        res.json({
+            success: true,
+            data: SettlementService.toResponse(result.settlement)
+        });
+    } catch (error) {
+        console.error('[Admin] Error failing settlement:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to mark settlement as failed',
+            code: 'SETTLEMENT_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/merchants/:merchantId/config
+ * A merchant's configuration, with every field editable
+ */
+router.get('/merchants/:merchantId/config', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await MerchantConfigService.get(req.params.merchantId, 'admin')
+        });
+    } catch (error) {
+        console.error('[Admin] Error fetching merchant config:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch configuration',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/merchants/:merchantId/config
+ * Change any configuration field, pricing and limits included
+ * Body: the fields to change, plus an optional reason kept in the history
+ */
+router.put('/merchants/:merchantId/config', async (req, res) => {
+    try {
+        const { reason = null, ...changes } = req.body || {};
+        const result = await MerchantConfigService.update(req.params.merchantId, changes, {
+            actor: { type: 'admin', id: req.admin.id },
+            reason
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: result.error.message,
+                code: result.error.code
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.config,
+            changed: result.changed
+        });
+    } catch (error) {
+        console.error('[Admin] Error updating merchant config:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update configuration',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/merchants/:merchantId/config/history
+ * Every version of a merchant's configuration, newest first
+ */
+router.get('/merchants/:merchantId/config/history', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await MerchantConfigService.listVersions(req.params.merchantId, req.query, 'admin')
+        });
+    } catch (error) {
+        console.error('[Admin] Error fetching merchant config history:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch configuration history',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/security-audit
+ * Requests rejected for security reasons, newest first
+ */
+router.get('/security-audit', async (req, res) => {
+    try {
+        const entries = await SecurityAuditService.list({
+            event_type: req.query.event_type,
+            source: req.query.source,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: {
+                entries,
+                count: entries.length
+            }
+        });
+    } catch (error) {
+        console.error('[Admin] Error listing security audit log:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch security audit log',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/merchants/:merchantId/api-keys
+ * Issue an API key for a merchant; the secret is only in this response
+ */
+router.post('/merchants/:merchantId/api-keys', async (req, res) => {
+    try {
+        const {
+            merchant_name,
+            sub_merchant_id,
+            name,
+            environment = 'live',
+            auth_scheme = 'secret',
+            permissions = ApiKeyService.DEFAULT_PERMISSIONS,
+            rate_limit,
+            expires_at
+        } = req.body;
+
+        if (!['live', 'test'].includes(environment)) {
+            return res.status(400).json({
+                success: false,
+                error: 'environment must be live or test',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        if (!ApiKeyService.AUTH_SCHEMES.includes(auth_scheme)) {
+            return res.status(400).json({
+                success: false,
+                error: `auth_scheme must be one of ${ApiKeyService.AUTH_SCHEMES.join(', ')}`,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        if (!Array.isArray(permissions) || permissions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'permissions must be a non-empty array',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const unknown = ApiKeyService.getUnknownPermissions(permissions);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown permissions: ${unknown.join(', ')}`,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        if (expires_at && (Number.isNaN(new Date(expires_at).getTime()) || new Date(expires_at) <= new Date())) {
+            return res.status(400).json({
+                success: false,
+                error: 'expires_at must be a future timestamp',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const key = await ApiKeyService.createKey({
+            merchantId: req.params.merchantId,
+            merchantName: merchant_name,
+            subMerchantId: sub_merchant_id,
+            name,
+            environment,
+            authScheme: auth_scheme,
+            permissions,
+            rateLimit: parseInt(rate_limit) || null,
+            expiresAt: expires_at,
+            createdBy: req.admin.id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: key
+        });
+    } catch (error) {
+        console.error('[Admin] Error creating API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create API key',
+            code: 'CREATE_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/merchants/:merchantId/api-keys
+ * All keys issued to a merchant, including revoked and expired ones
+ */
+router.get('/merchants/:merchantId/api-keys', async (req, res) => {
+    try {
+        const keys = await ApiKeyService.listKeys(req.params.merchantId);
+
+        res.json({
+            success: true,
+            data: {
+                api_keys: keys,
+                count: keys.length
+            }
+        });
+    } catch (error) {
+        console.error('[Admin] Error listing API keys:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch API keys',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/api-keys/permissions
+ * Scopes that can be granted to a merchant API key
+ */
+router.get('/api-keys/permissions', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            permissions: ApiKeyService.PERMISSIONS,
+            defaults: ApiKeyService.DEFAULT_PERMISSIONS
+        }
+    });
+});
+
+/**
+ * PUT /api/admin/api-keys/:keyId/permissions
+ * Replace the scopes held by a key
+ */
+router.put('/api-keys/:keyId/permissions', async (req, res) => {
+    try {
+        const { permissions } = req.body;
+
+        if (!Array.isArray(permissions) || permissions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'permissions must be a non-empty array',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const unknown = ApiKeyService.getUnknownPermissions(permissions);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown permissions: ${unknown.join(', ')}`,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const key = await ApiKeyService.updatePermissions(req.params.keyId, permissions, {
+            updatedBy: req.admin.id
+        });
+
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                error: 'Active API key not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: key
+        });
+    } catch (error) {
+        console.error('[Admin] Error updating API key permissions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update API key permissions',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/api-keys/:keyId/auth-scheme
+ * Switch a key between secret, hmac and both
+ */
+router.put('/api-keys/:keyId/auth-scheme', async (req, res) => {
+    try {
+        const { auth_scheme } = req.body;
+
+        if (!ApiKeyService.AUTH_SCHEMES.includes(auth_scheme)) {
+            return res.status(400).json({
+                success: false,
+                error: `auth_scheme must be one of ${ApiKeyService.AUTH_SCHEMES.join(', ')}`,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const key = await ApiKeyService.setAuthScheme(req.params.keyId, auth_scheme, {
+            updatedBy: req.admin.id
+        });
+
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                error: 'Active API key not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: key
+        });
+    } catch (error) {
+        console.error('[Admin] Error updating API key auth scheme:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update API key auth scheme',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/api-keys/:keyId/rotate
+ * Replace a key; the old one keeps working for overlap_hours
+ */
+router.post('/api-keys/:keyId/rotate', async (req, res) => {
+    try {
+        const overlapHours = req.body.overlap_hours !== undefined
+            ? parseFloat(req.body.overlap_hours)
+            : undefined;
+
+        if (overlapHours !== undefined && !(overlapHours >= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'overlap_hours must be zero or more',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const rotation = await ApiKeyService.rotateKey(req.params.keyId, {
+            overlapHours,
+            rotatedBy: req.admin.id
+        });
+
+        if (!rotation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Active API key not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: rotation
+        });
+    } catch (error) {
+        console.error('[Admin] Error rotating API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rotate API key',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/api-keys/:keyId/revoke
+ * Stop a key working immediately
+ */
+router.post('/api-keys/:keyId/revoke', async (req, res) => {
+    try {
+        const key = await ApiKeyService.revokeKey(req.params.keyId, {
+            revokedBy: req.admin.id,
+            reason: req.body.reason
+        });
+
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found or already revoked',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: key
+        });
+    } catch (error) {
+        console.error('[Admin] Error revoking API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke API key',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+module.exports = router;
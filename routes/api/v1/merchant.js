@@ -8,41 +8,38 @@
 
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
-const QRCode = require('qrcode');
+const fs = require('fs');
 const transactionStore = require('../../../services/LocalTransactionStore');
-const security = require('../../../utils/security');
-const { authenticateAPI, requirePermission } = require('../../../middleware/apiAuth');
+const MerchantAlertService = require('../../../services/MerchantAlertService');
+const TransactionDisputeService = require('../../../services/TransactionDisputeService');
+const QRTransactionService = require('../../../services/QRTransactionService');
+const QRCodeService = require('../../../services/QRCodeService');
+const RefundService = require('../../../services/RefundService');
+const SettlementService = require('../../../services/SettlementService');
+const TransactionEnquiryService = require('../../../services/TransactionEnquiryService');
+const ExportService = require('../../../services/ExportService');
+const AnalyticsService = require('../../../services/AnalyticsService');
+const ExportWorker = require('../../../services/ExportWorker');
+const MerchantConfigService = require('../../../services/MerchantConfigService');
+const ApiKeyService = require('../../../services/ApiKeyService');
+const MerchantWebhookService = require('../../../services/MerchantWebhookService');
+const MerchantWebhookDispatcher = require('../../../services/MerchantWebhookDispatcher');
+const { authenticateAPI, requirePermission, rateLimit } = require('../../../middleware/apiAuth');
+const { idempotent } = require('../../../middleware/idempotency');
+const { decodeCursor, parsePageSize } = require('../../../utils/cursor');
 
-// Simple rate limiter middleware (already handled in apiAuth)
-const rateLimiter = (req, res, next) => {
-    const apiKey = req.headers['x-api-key'];
-    const apiSecret = req.headers['x-api-secret'];
-    
-    if (!apiKey || !apiSecret) {
-        return res.status(401).json({
-            success: false,
-            error: 'API credentials required',
-            code: 'AUTH_MISSING'
-        });
-    }
-    
-    // Validate API credentials (in production, check against database)
-    // For now, using environment variables
-    const validKey = process.env.MERCHANT_API_KEY || 'mk_live_';
-    const validSecret = process.env.MERCHANT_API_SECRET || 'sk_live_';
-    
-    if (!apiKey.startsWith(validKey) || !apiSecret.startsWith(validSecret)) {
-        return res.status(401).json({
-            success: false,
-            error: 'Invalid API credentials',
-            code: 'AUTH_INVALID'
-        });
-    }
-    
-    // Extract merchant ID from API key
-    req.merchantId = apiKey.split('_').pop();
-    next();
+// Keys belong to a merchant; a sub-merchant key only manages its own sub-merchant's keys
+const ownsKey = (tenant, key) => {
+    return Boolean(key) &&
+        key.merchant_id === tenant.merchantId &&
+        (!tenant.subMerchantId || key.sub_merchant_id === tenant.subMerchantId);
+};
+
+// QRCodeService error code -> HTTP status
+const QR_ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    FORBIDDEN: 403,
+    DUPLICATE_QR: 409
 };
 
 /**
@@ -50,9 +47,11 @@ const rateLimiter = (req, res, next) => {
  * @apiName GenerateQR
  * @apiGroup Merchant
  * @apiVersion 1.0.0
+ * @apiPermission qr.generate
  * 
  * @apiHeader {String} x-api-key Merchant API Key
  * @apiHeader {String} x-api-secret Merchant API Secret
+ * @apiHeader {String} [idempotency-key] Unique key that makes retries safe
  * 
  * @apiParam {String} merchant_name Name of the merchant
  * @apiParam {String} merchant_id Unique merchant identifier
@@ -66,102 +65,34 @@ const rateLimiter = (req, res, next) => {
  * @apiSuccess {String} data.vpa Virtual Payment Address
  * @apiSuccess {String} data.upi_string Complete UPI string
  */
-router.post('/qr/generate', authenticateAPI, rateLimiter, async (req, res) => {
+router.post('/qr/generate', authenticateAPI, requirePermission('qr.generate'), rateLimit('qr.generate'), idempotent, async (req, res) => {
     try {
-        const { merchant_name, merchant_id, amount, description, reference_name, mobile_number, email } = req.body;
-        
-        // Validate required fields
-        if (!merchant_name || !merchant_id) {
-            return res.status(400).json({
-                success: false,
-                error: 'merchant_name and merchant_id are required',
-                code: 'VALIDATION_ERROR'
-            });
-        }
-        
-        // Sanitize inputs
-        const validation = security.validateAndSanitizeMerchant({
-            merchant_name,
-            merchant_id,
-            reference_name: reference_name || merchant_name,
-            amount,
-            description,
-            mobile_number,
-            email
-        });
+        const result = await QRCodeService.generate(req.tenant, req.body || {});
         
-        if (!validation.success) {
-            return res.status(400).json({
+        if (!result.success) {
+            const body = {
                 success: false,
-                error: validation.error,
-                code: 'VALIDATION_ERROR'
-            });
+                error: result.error.message,
+                code: result.error.code
+            };
+            if (result.qr_id) {
+                body.qr_id = result.qr_id;
+                body.hint = 'Send an Idempotency-Key header to retry a request safely';
+            }
+            return res.status(QR_ERROR_STATUS[result.error.code] || 400).json(body);
         }
         
-        const sanitized = validation.data;
-        
-        // Generate VPA
-        const merchantPrefix = sanitized.merchant_name
-            .toLowerCase()
-            .replace(/[^a-z0-9]/g, '')
-            .substring(0, 8);
-        const vpa = `${merchantPrefix}.${sanitized.merchant_id.toLowerCase()}@hdfc`;
-        
-        // Generate transaction reference
-        const transactionRef = `API${sanitized.merchant_id}${Date.now().toString().slice(-6)}`;
-        
-        // Create UPI string
-        const upiString = [
-            'upi://pay?',
-            `pa=${vpa}`,
-            `&pn=${encodeURIComponent(sanitized.reference_name)}`,
-            `&tn=${encodeURIComponent(sanitized.description || 'Payment')}`,
-            '&cu=INR',
-            '&mc=6012',
-            `&tr=${transactionRef}`,
-            '&mode=01',
-            sanitized.amount ? `&am=${sanitized.amount}` : ''
-        ].filter(Boolean).join('');
-        
-        // Generate QR Code
-        const qrOptions = {
-            errorCorrectionLevel: 'M',
-            type: 'image/png',
-            width: 300,
-            margin: 1
-        };
-        
-        const qrImageData = await QRCode.toDataURL(upiString, qrOptions);
-        
-        // Store QR data
-        const qrData = {
-            id: crypto.randomBytes(8).toString('hex'),
-            merchant_id: sanitized.merchant_id,
-            merchant_name: sanitized.merchant_name,
-            reference_name: sanitized.reference_name,
-            description: sanitized.description,
-            amount: sanitized.amount,
-            vpa: vpa,
-            upi_string: upiString,
-            transaction_ref: transactionRef,
-            qr_image: qrImageData,
-            status: 'active',
-            created_at: new Date().toISOString(),
-            created_via: 'api',
-            api_key_id: req.merchantId
-        };
-        
-        await transactionStore.saveQRCode(qrData);
+        const qrCode = result.qr_code;
         
         res.json({
             success: true,
             data: {
-                qr_id: qrData.id,
-                qr_image: qrImageData,
-                vpa: vpa,
-                upi_string: upiString,
-                transaction_ref: transactionRef,
-                amount: sanitized.amount || null
+                qr_id: qrCode.id,
+                qr_image: qrCode.qr_image,
+                vpa: qrCode.vpa,
+                upi_string: qrCode.upi_string,
+                transaction_ref: qrCode.transaction_ref,
+                amount: qrCode.amount || null
             }
         });
         
@@ -180,14 +111,20 @@ router.post('/qr/generate', authenticateAPI, rateLimiter, async (req, res) => {
  * @apiName GenerateBulkQR
  * @apiGroup Merchant
  * @apiVersion 1.0.0
+ * @apiPermission qr.generate
+ * 
+ * @apiHeader {String} [idempotency-key] Unique key that makes retries safe
+ * 
+ * @apiParam {Array} merchants Array of merchant objects (max 100), each as for /qr/generate
  * 
- * @apiParam {Array} merchants Array of merchant objects (max 100)
+ * @apiSuccess {Object[]} results The QR codes generated; fetch an image with GET /qr/:qr_id
+ * @apiSuccess {Object[]} errors The merchants refused, with their code and error
  */
-router.post('/qr/bulk', authenticateAPI, rateLimiter, async (req, res) => {
+router.post('/qr/bulk', authenticateAPI, requirePermission('qr.generate'), rateLimit('qr.bulk'), idempotent, async (req, res) => {
     try {
         const { merchants } = req.body;
         
-        if (!merchants || !Array.isArray(merchants)) {
+        if (!merchants || !Array.isArray(merchants) || merchants.length === 0) {
             return res.status(400).json({
                 success: false,
                 error: 'merchants array is required',
@@ -195,59 +132,36 @@ router.post('/qr/bulk', authenticateAPI, rateLimiter, async (req, res) => {
             });
         }
         
-        if (merchants.length > 100) {
+        if (merchants.length > QRCodeService.MAX_BULK) {
             return res.status(400).json({
                 success: false,
-                error: 'Maximum 100 QR codes per request',
+                error: `Maximum ${QRCodeService.MAX_BULK} QR codes per request`,
                 code: 'LIMIT_EXCEEDED'
             });
         }
         
-        const batchId = `BATCH_API_${Date.now()}`;
-        const results = [];
-        const errors = [];
-        
-        for (const merchant of merchants) {
-            try {
-                // Process each merchant (similar to single generation)
-                const validation = security.validateAndSanitizeMerchant(merchant);
-                
-                if (!validation.success) {
-                    errors.push({
-                        merchant_id: merchant.merchant_id || 'UNKNOWN',
-                        error: validation.error
-                    });
-                    continue;
-                }
-                
-                // Generate QR (similar logic as single)
-                // ... (QR generation code)
-                
-                results.push({
-                    merchant_id: validation.data.merchant_id,
-                    qr_id: crypto.randomBytes(8).toString('hex'),
-                    status: 'generated'
-                });
-                
-            } catch (error) {
-                errors.push({
-                    merchant_id: merchant.merchant_id || 'UNKNOWN',
-                    error: error.message
-                });
-            }
-        }
+        const { batch_id, results, errors } = await QRCodeService.generateBulk(req.tenant, merchants);
         
         res.json({
             success: true,
-            batch_id: batchId,
+            batch_id,
             total: merchants.length,
             successful: results.length,
             failed: errors.length,
-            results: results,
-            errors: errors
+            results: results.map(qrCode => ({
+                merchant_id: qrCode.merchant_id,
+                qr_id: qrCode.id,
+                vpa: qrCode.vpa,
+                upi_string: qrCode.upi_string,
+                transaction_ref: qrCode.transaction_ref,
+                amount: qrCode.amount || null,
+                status: 'generated'
+            })),
+            errors
         });
         
     } catch (error) {
+        console.error('Bulk QR generation error:', error);
         res.status(500).json({
             success: false,
             error: 'Bulk generation failed',
@@ -256,54 +170,70 @@ router.post('/qr/bulk', authenticateAPI, rateLimiter, async (req, res) => {
     }
 });
 
+// Page a listing asked for: `cursor` is next_cursor of the previous page.
+// Responds with 400 and returns null when the query is invalid.
+const parseListQuery = (req, res) => {
+    const { cursor, limit, from_date, to_date } = req.query;
+    const invalidDate = ['from_date', 'to_date'].find(field =>
+        req.query[field] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(req.query[field])
+    );
+    
+    if (invalidDate) {
+        res.status(400).json({
+            success: false,
+            error: `${invalidDate} must be a date (YYYY-MM-DD)`,
+            code: 'VALIDATION_ERROR'
+        });
+        return null;
+    }
+    
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+        res.status(400).json({
+            success: false,
+            error: 'cursor is invalid; use next_cursor from the previous page',
+            code: 'INVALID_CURSOR'
+        });
+        return null;
+    }
+    
+    return { after, limit: parsePageSize(limit), fromDate: from_date, toDate: to_date };
+};
+
 /**
  * @api {get} /api/v1/merchant/qr/list List QR Codes
  * @apiName ListQR
  * @apiGroup Merchant
  * @apiVersion 1.0.0
+ * @apiPermission qr.list
  * 
- * @apiParam {Number} [page=1] Page number
- * @apiParam {Number} [limit=20] Items per page
+ * @apiParam {String} [cursor] next_cursor of the previous page
+ * @apiParam {Number} [limit=20] Items per page (max 100)
  * @apiParam {String} [status] Filter by status (active/inactive)
  * @apiParam {String} [from_date] Filter from date (YYYY-MM-DD)
  * @apiParam {String} [to_date] Filter to date (YYYY-MM-DD)
+ * 
+ * @apiSuccess {Boolean} data.pagination.has_more Whether another page follows
+ * @apiSuccess {String} data.pagination.next_cursor Cursor for the next page, null on the last
  */
-router.get('/qr/list', authenticateAPI, rateLimiter, async (req, res) => {
+router.get('/qr/list', authenticateAPI, requirePermission('qr.list'), async (req, res) => {
     try {
-        const { page = 1, limit = 20, status, from_date, to_date } = req.query;
-        const merchantId = req.merchantId;
-        
-        // Get QR codes for this merchant
-        const allQRCodes = await transactionStore.getQRCodesByMerchant(merchantId);
-        
-        // Apply filters
-        let filtered = allQRCodes;
-        
-        if (status) {
-            filtered = filtered.filter(qr => qr.status === status);
-        }
-        
-        if (from_date) {
-            filtered = filtered.filter(qr => 
-                new Date(qr.created_at) >= new Date(from_date)
-            );
-        }
-        
-        if (to_date) {
-            filtered = filtered.filter(qr => 
-                new Date(qr.created_at) <= new Date(to_date)
-            );
+        const query = parseListQuery(req, res);
+        if (!query) {
+            return;
         }
         
-        // Pagination
-        const startIndex = (page - 1) * limit;
-        const endIndex = startIndex + parseInt(limit);
-        const paginated = filtered.slice(startIndex, endIndex);
+        // Newest first; filtering and paging happen in the store
+        const result = await transactionStore.listQRCodesForTenant(
+            req.tenant,
+            { status: req.query.status, fromDate: query.fromDate, toDate: query.toDate },
+            { after: query.after, limit: query.limit }
+        );
         
         res.json({
             success: true,
             data: {
-                qr_codes: paginated.map(qr => ({
+                qr_codes: result.records.map(qr => ({
                     qr_id: qr.id,
                     merchant_id: qr.merchant_id,
                     merchant_name: qr.merchant_name,
@@ -312,10 +242,10 @@ router.get('/qr/list', authenticateAPI, rateLimiter, async (req, res) => {
                     created_at: qr.created_at
                 })),
                 pagination: {
-                    total: filtered.length,
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    pages: Math.ceil(filtered.length / limit)
+                    total: result.total,
+                    limit: query.limit,
+                    has_more: result.hasMore,
+                    next_cursor: result.nextCursor
                 }
             }
         });
@@ -334,12 +264,14 @@ router.get('/qr/list', authenticateAPI, rateLimiter, async (req, res) => {
  * @apiName GetQR
  * @apiGroup Merchant
  * @apiVersion 1.0.0
+ * @apiPermission qr.list
  */
-router.get('/qr/:qr_id', authenticateAPI, rateLimiter, async (req, res) => {
+router.get('/qr/:qr_id', authenticateAPI, requirePermission('qr.list'), async (req, res) => {
     try {
         const { qr_id } = req.params;
         
-        const qrCode = await transactionStore.getQRCodeById(qr_id);
+        // Only this merchant's QR codes are visible
+        const qrCode = await transactionStore.getQRCodeForTenant(req.tenant, qr_id);
         
         if (!qrCode) {
             return res.status(404).json({
@@ -349,15 +281,6 @@ router.get('/qr/:qr_id', authenticateAPI, rateLimiter, async (req, res) => {
             });
         }
         
-        // Verify merchant owns this QR code
-        if (qrCode.api_key_id !== req.merchantId) {
-            return res.status(403).json({
-                success: false,
-                error: 'Access denied',
-                code: 'FORBIDDEN'
-            });
-        }
-        
         res.json({
             success: true,
             data: {
@@ -389,57 +312,50 @@ router.get('/qr/:qr_id', authenticateAPI, rateLimiter, async (req, res) => {
  * @apiName ListTransactions
  * @apiGroup Merchant
  * @apiVersion 1.0.0
+ * @apiPermission transactions.list
+ * 
+ * @apiParam {String} [cursor] next_cursor of the previous page
+ * @apiParam {Number} [limit=20] Items per page (max 100)
+ * @apiParam {String} [qr_id] Only payments to this QR code
+ * @apiParam {String} [status] Transaction state
+ * @apiParam {String} [from_date] Filter from date (YYYY-MM-DD)
+ * @apiParam {String} [to_date] Filter to date (YYYY-MM-DD)
+ * 
+ * @apiSuccess {Boolean} data.pagination.has_more Whether another page follows
+ * @apiSuccess {String} data.pagination.next_cursor Cursor for the next page, null on the last
  */
-router.get('/transactions', authenticateAPI, rateLimiter, async (req, res) => {
+router.get('/transactions', authenticateAPI, requirePermission('transactions.list'), async (req, res) => {
     try {
-        const { page = 1, limit = 20, qr_id, status, from_date, to_date } = req.query;
-        const merchantId = req.merchantId;
-        
-        // Get transactions for this merchant
-        const transactions = await transactionStore.getTransactionsByMerchant(merchantId);
-        
-        // Apply filters
-        let filtered = transactions;
-        
-        if (qr_id) {
-            filtered = filtered.filter(tx => tx.qr_id === qr_id);
-        }
-        
-        if (status) {
-            filtered = filtered.filter(tx => tx.status === status);
-        }
-        
-        if (from_date) {
-            filtered = filtered.filter(tx => 
-                new Date(tx.transaction_date) >= new Date(from_date)
-            );
-        }
-        
-        if (to_date) {
-            filtered = filtered.filter(tx => 
-                new Date(tx.transaction_date) <= new Date(to_date)
-            );
+        const query = parseListQuery(req, res);
+        if (!query) {
+            return;
         }
         
-        // Pagination
-        const startIndex = (page - 1) * limit;
-        const endIndex = startIndex + parseInt(limit);
-        const paginated = filtered.slice(startIndex, endIndex);
+        // Newest first; filtering and paging happen in the store
+        const result = await transactionStore.listTransactionsForTenant(
+            req.tenant,
+            { qrId: req.query.qr_id, status: req.query.status, fromDate: query.fromDate, toDate: query.toDate },
+            { after: query.after, limit: query.limit }
+        );
+        const matches = result.matches;
         
         res.json({
             success: true,
             data: {
-                transactions: paginated,
+                transactions: result.records,
                 pagination: {
-                    total: filtered.length,
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    pages: Math.ceil(filtered.length / limit)
+                    total: result.total,
+                    limit: query.limit,
+                    has_more: result.hasMore,
+                    next_cursor: result.nextCursor
                 },
                 summary: {
-                    total_amount: filtered.reduce((sum, tx) => sum + (tx.amount || 0), 0),
-                    successful_count: filtered.filter(tx => tx.status === 'SUCCESS').length,
-                    failed_count: filtered.filter(tx => tx.status === 'FAILED').length
+                    total_amount: matches.reduce((sum, tx) => sum + (tx.amount || 0), 0),
+                    successful_count: matches.filter(tx => tx.status === 'SUCCESS').length,
+                    failed_count: matches.filter(tx => tx.status === 'FAILED').length,
+                    // Fees charged on successful payments (MDR + GST), summed in paise
+                    total_fees: matches.reduce((sum, tx) => sum + Math.round((tx.fees ? tx.fees.total_fee : 0) * 100), 0) / 100,
+                    net_amount: matches.reduce((sum, tx) => sum + Math.round((tx.fees ? tx.fees.net_amount : 0) * 100), 0) / 100
                 }
             }
         });
@@ -453,184 +369,1639 @@ router.get('/transactions', authenticateAPI, rateLimiter, async (req, res) => {
     }
 });
 
+// TransactionEnquiryService error code -> HTTP status
+const ENQUIRY_ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    TOO_MANY_RESULTS: 400
+};
+
+// ExportService error code -> HTTP status
+const EXPORT_ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    UNSUPPORTED_FORMAT: 400,
+    TOO_MANY_RESULTS: 400
+};
+
 /**
- * @api {get} /api/v1/merchant/analytics Get Analytics
- * @apiName GetAnalytics
+ * @api {post} /api/v1/merchant/transactions/enquiry Transaction Enquiry
+ * @apiName TransactionEnquiry
  * @apiGroup Merchant
  * @apiVersion 1.0.0
+ * @apiPermission transactions.list
+ * 
+ * @apiParam {String} [transaction_id] Exact transaction ID
+ * @apiParam {String} [qr_code] QR code the payment was made to
+ * @apiParam {String} [customer_vpa] Any part of the payer VPA (at least 3 characters)
+ * @apiParam {String} [reference_number] Merchant reference or bank RRN
+ * @apiParam {String} [date_from] Initiated on or after (YYYY-MM-DD)
+ * @apiParam {String} [date_to] Initiated on or before (YYYY-MM-DD)
+ * @apiParam {Number} [amount_from] Minimum amount
+ * @apiParam {Number} [amount_to] Maximum amount
+ * @apiParam {String|String[]} [status=all] One or more transaction states, or all
+ * @apiParam {String} [sort_by=initiated_at] initiated_at, completed_at, amount, status or transaction_id
+ * @apiParam {String} [sort_order=desc] asc or desc
+ * @apiParam {Number} [page=1] Page number
+ * @apiParam {Number} [limit=20] Transactions per page (max 100)
  */
-router.get('/analytics', authenticateAPI, rateLimiter, async (req, res) => {
+router.post('/transactions/enquiry', authenticateAPI, requirePermission('transactions.list'), async (req, res) => {
     try {
-        const { period = '7d' } = req.query;
-        const merchantId = req.merchantId;
+        const result = await TransactionEnquiryService.search(req.tenant, req.body || {});
+        
+        if (!result.success) {
+            return res.status(ENQUIRY_ERROR_STATUS[result.error.code] || 400).json({
+                success: false,
+                error: result.error.message,
+                code: result.error.code
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                transactions: result.transactions,
+                pagination: result.pagination,
+                summary: result.summary
+            }
+        });
         
-        // Calculate date range
-        const endDate = new Date();
-        const startDate = new Date();
+    } catch (error) {
+        console.error('Transaction enquiry error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search transactions',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {post} /api/v1/merchant/transactions/enquiry/export Export Transaction Enquiry
+ * @apiName ExportTransactionEnquiry
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission reports.export
+ * 
+ * @apiDescription Takes the enquiry's criteria and sorting; every matching
+ * transaction is exported, up to EXPORT_SYNC_MAX_ROWS (10,000). Larger
+ * reports go through POST /reports/export. Like a transactions report there,
+ * it also needs transactions.list.
+ * 
+ * @apiParam {String} [format=csv] csv, xlsx or pdf
+ * @apiParam {String[]} [columns] Columns to include, in order (default: all)
+ */
+router.post('/transactions/enquiry/export', authenticateAPI, requirePermission('reports.export'), requirePermission('transactions.list'), async (req, res) => {
+    try {
+        const { format, columns, ...criteria } = req.body || {};
+        const checked = ExportService.validate({ report_type: 'transactions', format, columns, filters: criteria });
         
-        switch(period) {
-            case '24h':
-                startDate.setDate(startDate.getDate() - 1);
-                break;
-            case '7d':
-                startDate.setDate(startDate.getDate() - 7);
-                break;
-            case '30d':
-                startDate.setDate(startDate.getDate() - 30);
-                break;
-            case '90d':
-                startDate.setDate(startDate.getDate() - 90);
-                break;
+        if (!checked.success) {
+            return res.status(EXPORT_ERROR_STATUS[checked.error.code] || 400).json({
+                success: false,
+                error: checked.error.message,
+                code: checked.error.code
+            });
         }
         
-        // Get analytics data
-        const qrCodes = await transactionStore.getQRCodesByMerchant(merchantId);
-        const transactions = await transactionStore.getTransactionsByMerchant(merchantId);
+        const result = await ExportService.fetchRows(req.tenant, checked.report, ExportService.SYNC_MAX_ROWS);
         
-        // Filter by date range
-        const recentQRs = qrCodes.filter(qr => 
-            new Date(qr.created_at) >= startDate
-        );
+        if (!result.success) {
+            return res.status(EXPORT_ERROR_STATUS[result.error.code] || 400).json({
+                success: false,
+                error: result.error.code === 'TOO_MANY_RESULTS'
+                    ? `${result.error.message}, or export it with POST /reports/export`
+                    : result.error.message,
+                code: result.error.code
+            });
+        }
         
-        const recentTransactions = transactions.filter(tx => 
-            new Date(tx.transaction_date) >= startDate
-        );
+        res.setHeader('Content-Type', ExportService.getContentType(checked.report.format));
+        res.setHeader('Content-Disposition', `attachment; filename="${ExportService.getFileName('transactions', checked.report.format)}"`);
+        await ExportService.write(res, req.tenant, checked.report, result.rows);
         
-        res.json({
+    } catch (error) {
+        console.error('Transaction export error:', error);
+        if (res.headersSent) {
+            return res.destroy();
+        }
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export transactions',
+            code: 'EXPORT_ERROR'
+        });
+    }
+});
+
+// RefundService error code -> HTTP status
+const REFUND_ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    NOT_FOUND: 404,
+    NOT_REFUNDABLE: 409,
+    REFUND_LIMIT_EXCEEDED: 409
+};
+
+/**
+ * @api {post} /api/v1/merchant/transactions/:transaction_id/refund Initiate Refund
+ * @apiName InitiateRefund
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission refunds.create
+ * 
+ * @apiHeader {String} [idempotency-key] Unique key that makes retries safe
+ * 
+ * @apiParam {String} [refund_type=full] full (everything not refunded yet) or partial
+ * @apiParam {Number} [refund_amount] Amount to refund, required for a partial refund
+ * @apiParam {String} reason Why the payment is refunded
+ * @apiParam {String} [initiated_by] Who asked for the refund (defaults to the API key)
+ * 
+ * @apiSuccess {String} data.refund_status initiated, processing, success or failed
+ * @apiSuccess {Number} data.refundable_amount Amount still refundable on the transaction
+ */
+router.post('/transactions/:transaction_id/refund', authenticateAPI, requirePermission('refunds.create'), idempotent, async (req, res) => {
+    try {
+        const result = await QRTransactionService.initiateRefund(req.tenant, req.params.transaction_id, req.body || {});
+        
+        if (!result.success) {
+            return res.status(REFUND_ERROR_STATUS[result.error.code] || 400).json({
+                success: false,
+                error: result.error.message,
+                code: result.error.code
+            });
+        }
+        
+        res.status(201).json({
             success: true,
             data: {
-                period: period,
-                qr_codes: {
-                    total: qrCodes.length,
-                    active: qrCodes.filter(qr => qr.status === 'active').length,
-                    created_in_period: recentQRs.length
-                },
-                transactions: {
-                    total: recentTransactions.length,
-                    successful: recentTransactions.filter(tx => tx.status === 'SUCCESS').length,
-                    failed: recentTransactions.filter(tx => tx.status === 'FAILED').length,
-                    total_amount: recentTransactions.reduce((sum, tx) => sum + (tx.amount || 0), 0),
-                    average_amount: recentTransactions.length > 0 
-                        ? recentTransactions.reduce((sum, tx) => sum + (tx.amount || 0), 0) / recentTransactions.length
-                        : 0
-                },
-                top_performing_qr: qrCodes.slice(0, 5).map(qr => ({
-                    qr_id: qr.id,
-                    merchant_name: qr.merchant_name,
-                    transaction_count: transactions.filter(tx => tx.qr_id === qr.id).length,
-                    total_amount: transactions
-                        .filter(tx => tx.qr_id === qr.id)
-                        .reduce((sum, tx) => sum + (tx.amount || 0), 0)
-                }))
+                ...RefundService.toResponse(result.refund),
+                refundable_amount: result.refundable_amount
             }
         });
         
     } catch (error) {
+        console.error('Refund initiation error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch analytics',
-            code: 'ANALYTICS_ERROR'
+            error: 'Failed to initiate refund',
+            code: 'REFUND_ERROR'
         });
     }
 });
 
 /**
- * @api {put} /api/v1/merchant/qr/:qr_id/deactivate Deactivate QR Code
- * @apiName DeactivateQR
+ * @api {get} /api/v1/merchant/refunds/:refund_id Get Refund Status
+ * @apiName GetRefund
  * @apiGroup Merchant
  * @apiVersion 1.0.0
+ * @apiPermission refunds.view
  */
-router.put('/qr/:qr_id/deactivate', authenticateAPI, rateLimiter, async (req, res) => {
+router.get('/refunds/:refund_id', authenticateAPI, requirePermission('refunds.view'), async (req, res) => {
     try {
-        const { qr_id } = req.params;
-        
-        const qrCode = await transactionStore.getQRCodeById(qr_id);
+        const refund = await RefundService.getRefund(req.tenant, req.params.refund_id);
         
-        if (!qrCode) {
+        if (!refund) {
             return res.status(404).json({
                 success: false,
-                error: 'QR code not found',
+                error: 'Refund not found',
                 code: 'NOT_FOUND'
             });
         }
         
-        // Verify ownership
-        if (qrCode.api_key_id !== req.merchantId) {
-            return res.status(403).json({
+        res.json({
+            success: true,
+            data: RefundService.toResponse(refund)
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch refund',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+// SettlementService error code -> HTTP status
+const SETTLEMENT_ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    FORBIDDEN: 403,
+    NOT_ELIGIBLE: 409,
+    NOTHING_TO_SETTLE: 409,
+    BELOW_MINIMUM: 409
+};
+
+const SETTLEMENT_DOWNLOAD_FORMATS = ['csv'];
+
+/**
+ * @api {get} /api/v1/merchant/settlements List Settlements
+ * @apiName ListSettlements
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission settlements.view
+ * 
+ * @apiParam {String} [from_date] Settlement date from (YYYY-MM-DD)
+ * @apiParam {String} [to_date] Settlement date to (YYYY-MM-DD)
+ * @apiParam {String} [status=all] pending, completed, failed or all
+ * @apiParam {String} [type=all] auto, manual or all
+ * @apiParam {Number} [page=1] Page number
+ * @apiParam {Number} [limit=20] Settlements per page (max 100)
+ */
+router.get('/settlements', authenticateAPI, requirePermission('settlements.view'), async (req, res) => {
+    try {
+        const result = await SettlementService.list(req.tenant, req.query);
+        
+        if (!result.success) {
+            return res.status(400).json({
                 success: false,
-                error: 'Access denied',
-                code: 'FORBIDDEN'
+                error: result.error.message,
+                code: result.error.code
             });
         }
         
-        // Update status
-        qrCode.status = 'inactive';
-        qrCode.deactivated_at = new Date().toISOString();
-        await transactionStore.updateQRCode(qrCode);
-        
         res.json({
             success: true,
-            message: 'QR code deactivated successfully'
+            data: {
+                settlements: result.settlements.map(s => SettlementService.toResponse(s)),
+                pagination: result.pagination,
+                summary: result.summary
+            }
         });
         
     } catch (error) {
         res.status(500).json({
             success: false,
-            error: 'Failed to deactivate QR code',
-            code: 'UPDATE_ERROR'
+            error: 'Failed to fetch settlements',
+            code: 'FETCH_ERROR'
         });
     }
 });
 
 /**
- * @api {post} /api/v1/merchant/webhook/register Register Webhook
- * @apiName RegisterWebhook
+ * @api {post} /api/v1/merchant/settlements/manual Initiate Manual Settlement
+ * @apiName InitiateManualSettlement
  * @apiGroup Merchant
  * @apiVersion 1.0.0
+ * @apiPermission settlements.create
+ * 
+ * @apiHeader {String} [idempotency-key] Unique key that makes retries safe
  * 
- * @apiParam {String} url Webhook URL
- * @apiParam {Array} events Events to subscribe to
+ * @apiParam {String[]} [transaction_ids] Payments to settle; all eligible payments when empty
+ * @apiParam {String} [reason] Why the settlement is requested
  */
-router.post('/webhook/register', authenticateAPI, async (req, res) => {
+router.post('/settlements/manual', authenticateAPI, requirePermission('settlements.create'), idempotent, async (req, res) => {
     try {
-        const { url, events = ['transaction.success', 'transaction.failed'] } = req.body;
+        const result = await SettlementService.requestManual(req.tenant, req.body || {});
         
-        if (!url) {
-            return res.status(400).json({
+        if (!result.success) {
+            return res.status(SETTLEMENT_ERROR_STATUS[result.error.code] || 400).json({
                 success: false,
-                error: 'Webhook URL is required',
-                code: 'VALIDATION_ERROR'
+                error: result.error.message,
+                code: result.error.code
             });
         }
         
-        // Register webhook (store in database)
-        const webhookId = crypto.randomBytes(8).toString('hex');
+        res.status(201).json({
+            success: true,
+            data: await SettlementService.getSettlement(req.tenant, result.settlement.settlement_id)
+        });
+        
+    } catch (error) {
+        console.error('Manual settlement error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to initiate settlement',
+            code: 'SETTLEMENT_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/settlements/:settlement_id Get Settlement Details
+ * @apiName GetSettlement
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission settlements.view
+ * 
+ * @apiSuccess {Object[]} data.transactions Payments in the settlement with their charges
+ * @apiSuccess {Object[]} data.recoveries Refunds recovered for payments settled earlier
+ */
+router.get('/settlements/:settlement_id', authenticateAPI, requirePermission('settlements.view'), async (req, res) => {
+    try {
+        const settlement = await SettlementService.getSettlement(req.tenant, req.params.settlement_id);
         
-        // In production, save to database
-        // await db.saveWebhook({
-        //     id: webhookId,
-        //     merchant_id: req.merchantId,
-        //     url: url,
-        //     events: events,
-        //     secret: crypto.randomBytes(32).toString('hex'),
-        //     status: 'active'
-        // });
+        if (!settlement) {
+            return res.status(404).json({
+                success: false,
+                error: 'Settlement not found',
+                code: 'NOT_FOUND'
+            });
+        }
         
         res.json({
             success: true,
-            data: {
-                webhook_id: webhookId,
-                url: url,
-                events: events,
-                secret: 'wh_secret_' + crypto.randomBytes(16).toString('hex'),
-                status: 'active'
-            }
+            data: settlement
         });
         
     } catch (error) {
         res.status(500).json({
             success: false,
-            error: 'Failed to register webhook',
+            error: 'Failed to fetch settlement',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/settlements/:settlement_id/download Download Settlement Report
+ * @apiName DownloadSettlement
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission settlements.view
+ * 
+ * @apiParam {String} [format=csv] Report format
+ */
+router.get('/settlements/:settlement_id/download', authenticateAPI, requirePermission('settlements.view'), async (req, res) => {
+    try {
+        const format = String(req.query.format || 'csv').toLowerCase();
+        
+        if (!SETTLEMENT_DOWNLOAD_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: `format must be one of ${SETTLEMENT_DOWNLOAD_FORMATS.join(', ')}`,
+                code: 'UNSUPPORTED_FORMAT'
+            });
+        }
+        
+        const settlement = await SettlementService.getSettlement(req.tenant, req.params.settlement_id);
+        
+        if (!settlement) {
+            return res.status(404).json({
+                success: false,
+                error: 'Settlement not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${settlement.settlement_id}.csv"`);
+        res.send(SettlementService.toCsv(settlement));
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to download settlement report',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+// MerchantConfigService error code -> HTTP status
+const CONFIG_ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    FORBIDDEN: 403
+};
+
+/**
+ * @api {get} /api/v1/merchant/config/merchant Get Merchant Configuration
+ * @apiName GetMerchantConfig
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission config.view
+ * 
+ * @apiSuccess {Object} data Settlement, pricing, limit and notification settings
+ * @apiSuccess {Boolean} data.webhook_secret_set Whether a webhook secret is stored (it is never returned)
+ * @apiSuccess {Number} data.version Configuration version (0 until first changed)
+ * @apiSuccess {String[]} data.editable_fields Fields this merchant may change
+ */
+router.get('/config/merchant', authenticateAPI, requirePermission('config.view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await MerchantConfigService.get(req.tenant.merchantId, 'merchant')
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch configuration',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {put} /api/v1/merchant/config/merchant Update Merchant Configuration
+ * @apiName UpdateMerchantConfig
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission config.update
+ * 
+ * @apiHeader {String} [idempotency-key] Unique key that makes retries safe
+ * 
+ * @apiParam {String} [webhook_url] HTTPS URL sent every event, or null to remove it (and its secret)
+ * @apiParam {String} [webhook_secret] 32-128 printable ASCII characters, or null
+ * @apiParam {String} [reason] Why the change is made, kept in the history
+ */
+router.put('/config/merchant', authenticateAPI, requirePermission('config.update'), idempotent, async (req, res) => {
+    try {
+        if (req.tenant.subMerchantId) {
+            return res.status(403).json({
+                success: false,
+                error: 'Sub-merchant keys cannot change the merchant configuration',
+                code: 'FORBIDDEN'
+            });
+        }
+        
+        const { reason = null, ...changes } = req.body || {};
+        const result = await MerchantConfigService.update(req.tenant.merchantId, changes, {
+            actor: { type: 'merchant', id: req.tenant.keyId },
+            reason
+        });
+        
+        if (!result.success) {
+            return res.status(CONFIG_ERROR_STATUS[result.error.code] || 400).json({
+                success: false,
+                error: result.error.message,
+                code: result.error.code
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: result.config,
+            changed: result.changed
+        });
+        
+    } catch (error) {
+        console.error('Merchant config update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update configuration',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/config/merchant/history Merchant Configuration History
+ * @apiName GetMerchantConfigHistory
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission config.view
+ * 
+ * @apiParam {Number} [page=1] Page number
+ * @apiParam {Number} [limit=20] Versions per page (max 100)
+ * 
+ * @apiSuccess {Object[]} data.versions Changes, newest first, with the values before and after
+ */
+router.get('/config/merchant/history', authenticateAPI, requirePermission('config.view'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await MerchantConfigService.listVersions(req.tenant.merchantId, req.query, 'merchant')
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch configuration history',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {post} /api/v1/merchant/reports/export Export Report
+ * @apiName ExportReport
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission reports.export
+ * 
+ * @apiDescription Queues the report and returns at once (202); poll the job
+ * and download the file once it is completed. The key also needs the scope
+ * of the data exported: transactions.list or qr.list.
+ * 
+ * @apiHeader {String} [idempotency-key] Unique key that makes retries safe
+ * 
+ * @apiParam {String} report_type transactions or qr_codes
+ * @apiParam {String} [format=csv] csv, xlsx (or excel) or pdf
+ * @apiParam {String[]} [columns] Columns to include, in order (default: all)
+ * @apiParam {Object} [filters] Transaction enquiry criteria, or status, from_date and to_date for QR codes
+ */
+router.post('/reports/export', authenticateAPI, requirePermission('reports.export'), idempotent, async (req, res) => {
+    try {
+        const checked = ExportService.validate(req.body || {});
+        
+        if (!checked.success) {
+            return res.status(EXPORT_ERROR_STATUS[checked.error.code] || 400).json({
+                success: false,
+                error: checked.error.message,
+                code: checked.error.code
+            });
+        }
+        
+        const scope = ExportService.REPORT_TYPES[checked.report.report_type].scope;
+        if (!req.merchant.permissions.includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                error: `Permission denied: ${scope}`,
+                code: 'PERMISSION_DENIED',
+                required_scope: scope
+            });
+        }
+        
+        const job = await ExportService.createJob(req.tenant, checked.report, req.tenant.keyId);
+        ExportWorker.enqueue(job);
+        
+        res.status(202).json({
+            success: true,
+            data: ExportService.toResponse(job)
+        });
+        
+    } catch (error) {
+        console.error('Export request error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to queue export',
+            code: 'EXPORT_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/reports/exports List Exports
+ * @apiName ListExports
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission reports.export
+ * 
+ * @apiParam {String} [status] queued, processing, completed, failed or expired
+ * @apiParam {Number} [limit=20] Max exports (up to 50)
+ */
+router.get('/reports/exports', authenticateAPI, requirePermission('reports.export'), async (req, res) => {
+    try {
+        const jobs = await ExportService.listJobs(req.tenant, req.query);
+        
+        res.json({
+            success: true,
+            data: jobs.map(job => ExportService.toResponse(job))
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch exports',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/reports/exports/:export_id Get Export Status
+ * @apiName GetExport
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission reports.export
+ */
+router.get('/reports/exports/:export_id', authenticateAPI, requirePermission('reports.export'), async (req, res) => {
+    try {
+        const job = await ExportService.getJob(req.tenant, req.params.export_id);
+        
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Export not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: ExportService.toResponse(job)
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch export',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/reports/exports/:export_id/download Download Export
+ * @apiName DownloadExport
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission reports.export
+ */
+router.get('/reports/exports/:export_id/download', authenticateAPI, requirePermission('reports.export'), async (req, res) => {
+    try {
+        const job = await ExportService.getJob(req.tenant, req.params.export_id);
+        
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Export not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        const filePath = ExportService.getFilePath(job);
+        
+        if (job.status === 'expired' || (job.status === 'completed' && !fs.existsSync(filePath))) {
+            return res.status(410).json({
+                success: false,
+                error: 'Export has expired; request it again',
+                code: 'EXPORT_EXPIRED'
+            });
+        }
+        
+        if (job.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                error: job.status === 'failed' ? `Export failed: ${job.error_message}` : `Export is ${job.status}`,
+                code: job.status === 'failed' ? 'EXPORT_FAILED' : 'EXPORT_NOT_READY'
+            });
+        }
+        
+        res.setHeader('Content-Type', ExportService.getContentType(job.format));
+        res.setHeader('Content-Disposition', `attachment; filename="${ExportService.getFileName(job.report_type, job.format, job.created_at)}"`);
+        res.setHeader('Content-Length', fs.statSync(filePath).size);
+        fs.createReadStream(filePath).pipe(res);
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to download export',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/analytics Get Analytics
+ * @apiName GetAnalytics
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission analytics.view
+ * 
+ * @apiDescription Totals, a trend bucketed in the requested time zone, a
+ * comparison with the period before and QR codes ranked by revenue and count.
+ * 
+ * @apiParam {String} [period=7d] 24h, 7d, 30d or 90d, ending now
+ * @apiParam {String} [from] Start date (YYYY-MM-DD) or ISO 8601 timestamp, instead of period
+ * @apiParam {String} [to] End date (inclusive) or timestamp (exclusive); default now
+ * @apiParam {String} [interval] hour, day, week or month (default by range length)
+ * @apiParam {String} [timezone=Asia/Kolkata] IANA time zone for dates and buckets
+ * @apiParam {Number} [top=5] QR codes in each ranking (up to 20)
+ * @apiParam {Boolean} [compare=true] Compare with the previous period
+ */
+router.get('/analytics', authenticateAPI, requirePermission('analytics.view'), async (req, res) => {
+    try {
+        const checked = AnalyticsService.validate(req.query);
+        
+        if (!checked.success) {
+            return res.status(400).json({
+                success: false,
+                error: checked.error.message,
+                code: checked.error.code
+            });
+        }
+        
+        const analytics = await AnalyticsService.getAnalytics(req.tenant, checked.range);
+        
+        res.json({
+            success: true,
+            data: analytics
+        });
+        
+    } catch (error) {
+        console.error('Analytics error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch analytics',
+            code: 'ANALYTICS_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {put} /api/v1/merchant/qr/:qr_id/deactivate Deactivate QR Code
+ * @apiName DeactivateQR
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission qr.update
+ */
+router.put('/qr/:qr_id/deactivate', authenticateAPI, requirePermission('qr.update'), idempotent, async (req, res) => {
+    try {
+        const { qr_id } = req.params;
+        
+        // Update status; another merchant's QR code is not found
+        const qrCode = await transactionStore.updateQRCodeForTenant(req.tenant, qr_id, {
+            status: 'inactive',
+            deactivated_at: new Date().toISOString()
+        });
+        
+        if (!qrCode) {
+            return res.status(404).json({
+                success: false,
+                error: 'QR code not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'QR code deactivated successfully'
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to deactivate QR code',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/alerts List Alerts
+ * @apiName ListAlerts
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission alerts.view
+ * 
+ * @apiParam {String} [status=open] open, acknowledged or all
+ * @apiParam {Number} [limit=50] Max alerts to return
+ */
+router.get('/alerts', authenticateAPI, requirePermission('alerts.view'), async (req, res) => {
+    try {
+        const alerts = await MerchantAlertService.list(req.tenant.merchantId, {
+            status: req.query.status,
+            limit: req.query.limit
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                alerts,
+                count: alerts.length
+            }
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch alerts',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {post} /api/v1/merchant/alerts/:alert_id/acknowledge Acknowledge Alert
+ * @apiName AcknowledgeAlert
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission alerts.manage
+ */
+router.post('/alerts/:alert_id/acknowledge', authenticateAPI, requirePermission('alerts.manage'), idempotent, async (req, res) => {
+    try {
+        const alert = await MerchantAlertService.acknowledge(req.tenant.merchantId, req.params.alert_id);
+        
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                error: 'Open alert not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: alert
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to acknowledge alert',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/disputes List Disputes
+ * @apiName ListDisputes
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission disputes.view
+ * 
+ * @apiParam {String} [status=all] open, won, lost or all
+ * @apiParam {String} [transaction_id] Disputes on one transaction
+ * @apiParam {Number} [limit=50] Max disputes to return
+ */
+router.get('/disputes', authenticateAPI, requirePermission('disputes.view'), async (req, res) => {
+    try {
+        const disputes = await TransactionDisputeService.list(req.tenant.merchantId, {
+            status: req.query.status,
+            transaction_id: req.query.transaction_id,
+            limit: req.query.limit
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                disputes,
+                count: disputes.length
+            }
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch disputes',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/api-keys List API Keys
+ * @apiName ListAPIKeys
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission api_keys.manage
+ * 
+ * @apiDescription Secrets are never returned; only their last 4 characters
+ */
+router.get('/api-keys', authenticateAPI, requirePermission('api_keys.manage'), rateLimit('api_keys'), async (req, res) => {
+    try {
+        const keys = (await ApiKeyService.listKeys(req.tenant.merchantId))
+            .filter(key => ownsKey(req.tenant, key));
+        
+        res.json({
+            success: true,
+            data: {
+                api_keys: keys,
+                count: keys.length
+            }
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch API keys',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {post} /api/v1/merchant/api-keys Create API Key
+ * @apiName CreateAPIKey
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission api_keys.manage
+ * 
+ * @apiParam {String} [name] Label for the key
+ * @apiParam {String} [environment=live] live or test
+ * @apiParam {String} [auth_scheme=secret] secret, hmac or both
+ * @apiParam {Array} [permissions] Subset of the calling key's permissions (default: all of them)
+ * @apiParam {String} [sub_merchant_id] Limit the key to one sub-merchant (inherited from a sub-merchant key)
+ * @apiParam {String} [expires_at] ISO timestamp after which the key stops working
+ * 
+ * @apiSuccess {String} api_secret Shown only in this response
+ */
+router.post('/api-keys', authenticateAPI, requirePermission('api_keys.manage'), rateLimit('api_keys'), idempotent, async (req, res) => {
+    try {
+        const {
+            name,
+            environment = 'live',
+            auth_scheme = 'secret',
+            permissions = req.merchant.permissions,
+            sub_merchant_id,
+            expires_at
+        } = req.body;
+        
+        if (sub_merchant_id && req.tenant.subMerchantId && sub_merchant_id !== req.tenant.subMerchantId) {
+            return res.status(403).json({
+                success: false,
+                error: `This API key can only create keys for ${req.tenant.subMerchantId}`,
+                code: 'FORBIDDEN'
+            });
+        }
+        
+        if (!['live', 'test'].includes(environment)) {
+            return res.status(400).json({
+                success: false,
+                error: 'environment must be live or test',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        if (!ApiKeyService.AUTH_SCHEMES.includes(auth_scheme)) {
+            return res.status(400).json({
+                success: false,
+                error: `auth_scheme must be one of ${ApiKeyService.AUTH_SCHEMES.join(', ')}`,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        // A key can only hand out permissions it holds itself
+        const invalidPermissions = Array.isArray(permissions)
+            ? permissions.filter(permission => !req.merchant.permissions.includes(permission))
+            : null;
+        
+        if (!invalidPermissions || permissions.length === 0 || invalidPermissions.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: invalidPermissions && invalidPermissions.length > 0
+                    ? `Permissions not held by this key: ${invalidPermissions.join(', ')}`
+                    : 'permissions must be a non-empty array',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        if (expires_at && (Number.isNaN(new Date(expires_at).getTime()) || new Date(expires_at) <= new Date())) {
+            return res.status(400).json({
+                success: false,
+                error: 'expires_at must be a future timestamp',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        const key = await ApiKeyService.createKey({
+            merchantId: req.tenant.merchantId,
+            merchantName: req.merchant.name,
+            subMerchantId: req.tenant.subMerchantId || sub_merchant_id || null,
+            name,
+            environment,
+            authScheme: auth_scheme,
+            permissions,
+            expiresAt: expires_at,
+            createdBy: `api_key:${req.merchant.apiKey}`
+        });
+        
+        res.status(201).json({
+            success: true,
+            data: key,
+            message: 'Store the API secret now - it will not be shown again'
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create API key',
+            code: 'CREATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {put} /api/v1/merchant/api-keys/:key_id/permissions Set API Key Scopes
+ * @apiName SetAPIKeyPermissions
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission api_keys.manage
+ * 
+ * @apiParam {Array} permissions Replacement scopes, a subset of the calling key's
+ */
+router.put('/api-keys/:key_id/permissions', authenticateAPI, requirePermission('api_keys.manage'), rateLimit('api_keys'), idempotent, async (req, res) => {
+    try {
+        const { permissions } = req.body;
+        
+        const invalidPermissions = Array.isArray(permissions)
+            ? permissions.filter(permission => !req.merchant.permissions.includes(permission))
+            : null;
+        
+        if (!invalidPermissions || permissions.length === 0 || invalidPermissions.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: invalidPermissions && invalidPermissions.length > 0
+                    ? `Permissions not held by this key: ${invalidPermissions.join(', ')}`
+                    : 'permissions must be a non-empty array',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        const key = await ApiKeyService.getKey(req.params.key_id);
+        
+        if (!ownsKey(req.tenant, key) || key.status !== 'active') {
+            return res.status(404).json({
+                success: false,
+                error: 'Active API key not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        const updated = await ApiKeyService.updatePermissions(key.key_id, permissions, {
+            updatedBy: `api_key:${req.merchant.apiKey}`
+        });
+        
+        res.json({
+            success: true,
+            data: updated
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update API key permissions',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {put} /api/v1/merchant/api-keys/:key_id/auth-scheme Set API Key Auth Scheme
+ * @apiName SetAPIKeyAuthScheme
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission api_keys.manage
+ * 
+ * @apiParam {String} auth_scheme secret (X-API-Secret), hmac (signed requests) or both while migrating
+ */
+router.put('/api-keys/:key_id/auth-scheme', authenticateAPI, requirePermission('api_keys.manage'), rateLimit('api_keys'), idempotent, async (req, res) => {
+    try {
+        const { auth_scheme } = req.body;
+        
+        if (!ApiKeyService.AUTH_SCHEMES.includes(auth_scheme)) {
+            return res.status(400).json({
+                success: false,
+                error: `auth_scheme must be one of ${ApiKeyService.AUTH_SCHEMES.join(', ')}`,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        const key = await ApiKeyService.getKey(req.params.key_id);
+        
+        if (!ownsKey(req.tenant, key) || key.status !== 'active') {
+            return res.status(404).json({
+                success: false,
+                error: 'Active API key not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        const updated = await ApiKeyService.setAuthScheme(key.key_id, auth_scheme, {
+            updatedBy: `api_key:${req.merchant.apiKey}`
+        });
+        
+        res.json({
+            success: true,
+            data: updated
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update API key auth scheme',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {post} /api/v1/merchant/api-keys/:key_id/rotate Rotate API Key
+ * @apiName RotateAPIKey
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission api_keys.manage
+ * 
+ * @apiParam {Number} [overlap_hours] How long the old key keeps working (default API_KEY_ROTATION_OVERLAP_HOURS)
+ * 
+ * @apiSuccess {Object} new_key New key, including api_secret (shown once)
+ * @apiSuccess {Object} previous_key Old key with its new expires_at
+ */
+router.post('/api-keys/:key_id/rotate', authenticateAPI, requirePermission('api_keys.manage'), rateLimit('api_keys'), idempotent, async (req, res) => {
+    try {
+        const key = await ApiKeyService.getKey(req.params.key_id);
+        
+        if (!ownsKey(req.tenant, key) || key.status !== 'active') {
+            return res.status(404).json({
+                success: false,
+                error: 'Active API key not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        // Rotation hands out the new secret, so the caller must hold every scope of the key
+        const notHeld = key.permissions.filter(permission => !req.merchant.permissions.includes(permission));
+        
+        if (notHeld.length > 0) {
+            return res.status(403).json({
+                success: false,
+                error: `Permissions not held by this key: ${notHeld.join(', ')}`,
+                code: 'PERMISSION_DENIED'
+            });
+        }
+        
+        const overlapHours = req.body.overlap_hours !== undefined
+            ? parseFloat(req.body.overlap_hours)
+            : undefined;
+        
+        if (overlapHours !== undefined && !(overlapHours >= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'overlap_hours must be zero or more',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        const rotation = await ApiKeyService.rotateKey(key.key_id, {
+            overlapHours,
+            rotatedBy: `api_key:${req.merchant.apiKey}`
+        });
+        
+        res.json({
+            success: true,
+            data: rotation,
+            message: 'Store the new API secret now - it will not be shown again'
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rotate API key',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {post} /api/v1/merchant/api-keys/:key_id/revoke Revoke API Key
+ * @apiName RevokeAPIKey
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission api_keys.manage
+ * 
+ * @apiParam {String} [reason] Why the key is being revoked
+ */
+router.post('/api-keys/:key_id/revoke', authenticateAPI, requirePermission('api_keys.manage'), rateLimit('api_keys'), idempotent, async (req, res) => {
+    try {
+        if (req.params.key_id === req.merchant.apiKey) {
+            return res.status(400).json({
+                success: false,
+                error: 'A key cannot revoke itself; use another key or rotate it instead',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        const key = await ApiKeyService.getKey(req.params.key_id);
+        
+        if (!ownsKey(req.tenant, key)) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        const revoked = await ApiKeyService.revokeKey(key.key_id, {
+            revokedBy: `api_key:${req.merchant.apiKey}`,
+            reason: req.body.reason
+        });
+        
+        if (!revoked) {
+            return res.status(409).json({
+                success: false,
+                error: 'API key is already revoked',
+                code: 'ALREADY_REVOKED'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: revoked
+        });
+        
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke API key',
+            code: 'UPDATE_ERROR'
+        });
+    }
+});
+
+// Validate the url and events of a subscription; returns an error message or null
+const validateWebhookFields = ({ url, events }, { partial = false } = {}) => {
+    if (url !== undefined || !partial) {
+        const urlError = MerchantWebhookService.validateUrl(url);
+        if (urlError) {
+            return urlError;
+        }
+    }
+    
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            return 'events must be a non-empty array';
+        }
+        const unknown = MerchantWebhookService.getUnknownEvents(events);
+        if (unknown.length > 0) {
+            return `Unknown events: ${unknown.join(', ')}`;
+        }
+    }
+    
+    return null;
+};
+
+/**
+ * @api {post} /api/v1/merchant/webhook/register Register Webhook
+ * @apiName RegisterWebhook
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission webhooks.manage
+ * 
+ * @apiParam {String} url Webhook URL (https)
+ * @apiParam {Array} [events] Events or patterns such as refund.* (default transaction.success, transaction.failed)
+ * @apiParam {String} [description] Label for the subscription
+ * @apiParam {String} [secret] Signing secret to use instead of a generated one (32-128 characters)
+ * 
+ * @apiSuccess {String} data.secret Signing secret, shown only in this response
+ */
+router.post(['/webhook/register', '/webhooks/register'], authenticateAPI, requirePermission('webhooks.manage'), idempotent, async (req, res) => {
+    try {
+        const { url, events = MerchantWebhookService.DEFAULT_EVENTS, description = null, secret } = req.body;
+        
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                error: 'Webhook URL is required',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        const validationError = validateWebhookFields({ url, events }) ||
+            (secret !== undefined && !MerchantWebhookService.isValidSecret(secret)
+                ? 'secret must be 32-128 printable ASCII characters without spaces'
+                : null);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError,
+                code: 'VALIDATION_ERROR',
+                available_events: Object.keys(MerchantWebhookService.EVENTS)
+            });
+        }
+        
+        const webhook = await MerchantWebhookService.createWebhook(req.tenant, {
+            url,
+            events,
+            description,
+            secret,
+            createdBy: req.tenant.keyId
+        });
+        
+        res.status(201).json({
+            success: true,
+            data: webhook,
+            message: 'Store the secret now - it is used to verify X-Webhook-Signature and cannot be retrieved later'
+        });
+        
+    } catch (error) {
+        console.error('Webhook registration error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to register webhook',
+            code: 'WEBHOOK_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/webhooks List Webhooks
+ * @apiName ListWebhooks
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission webhooks.manage
+ */
+router.get('/webhooks', authenticateAPI, requirePermission('webhooks.manage'), async (req, res) => {
+    try {
+        const webhooks = await MerchantWebhookService.listWebhooks(req.tenant);
+        
+        res.json({
+            success: true,
+            data: {
+                webhooks,
+                available_events: MerchantWebhookService.EVENTS
+            }
+        });
+        
+    } catch (error) {
+        console.error('Webhook list error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhooks',
+            code: 'WEBHOOK_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {post} /api/v1/merchant/webhooks/test Send Test Webhook
+ * @apiName TestWebhook
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission webhooks.manage
+ * 
+ * @apiHeader {String} [idempotency-key] Unique key that makes retries safe
+ * 
+ * @apiParam {String} webhook_id Subscription to send a webhook.test event to
+ */
+router.post('/webhooks/test', authenticateAPI, requirePermission('webhooks.manage'), idempotent, async (req, res) => {
+    try {
+        const { webhook_id } = req.body;
+        
+        if (!webhook_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'webhook_id is required',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        const webhook = await MerchantWebhookService.findWebhook(req.tenant, webhook_id);
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        const result = await MerchantWebhookDispatcher.sendTest(webhook);
+        
+        res.json({
+            success: true,
+            data: {
+                delivery_id: result.delivery_id,
+                event: result.event,
+                delivered: result.delivered,
+                response_status: result.responseStatus,
+                response_body: result.responseBody,
+                error: result.error,
+                duration_ms: result.durationMs
+            }
+        });
+        
+    } catch (error) {
+        console.error('Webhook test error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send test webhook',
+            code: 'WEBHOOK_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/webhooks/deliveries Webhook Delivery Log
+ * @apiName ListWebhookDeliveries
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission webhooks.manage
+ * 
+ * @apiParam {String} [webhook_id] Filter by subscription
+ * @apiParam {String} [event_type] Filter by event type
+ * @apiParam {String} [event_id] Filter by event
+ * @apiParam {String} [status] pending, sending, retrying, delivered or failed
+ * @apiParam {Number} [limit=50] Maximum deliveries (max 200)
+ */
+router.get('/webhooks/deliveries', authenticateAPI, requirePermission('webhooks.manage'), async (req, res) => {
+    try {
+        const deliveries = await MerchantWebhookService.listDeliveries(req.tenant, req.query);
+        
+        res.json({
+            success: true,
+            data: {
+                deliveries,
+                count: deliveries.length
+            }
+        });
+        
+    } catch (error) {
+        console.error('Webhook delivery list error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook deliveries',
+            code: 'WEBHOOK_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/webhooks/deliveries/:delivery_id Get Webhook Delivery
+ * @apiName GetWebhookDelivery
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission webhooks.manage
+ */
+router.get('/webhooks/deliveries/:delivery_id', authenticateAPI, requirePermission('webhooks.manage'), async (req, res) => {
+    try {
+        const delivery = await MerchantWebhookService.getDelivery(req.tenant, req.params.delivery_id);
+        
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: delivery
+        });
+        
+    } catch (error) {
+        console.error('Webhook delivery fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook delivery',
+            code: 'WEBHOOK_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {post} /api/v1/merchant/webhooks/deliveries/:delivery_id/redeliver Redeliver Webhook
+ * @apiName RedeliverWebhook
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission webhooks.manage
+ * 
+ * @apiDescription Sends the same event again as a new delivery, with fresh retries
+ */
+router.post('/webhooks/deliveries/:delivery_id/redeliver', authenticateAPI, requirePermission('webhooks.manage'), idempotent, async (req, res) => {
+    try {
+        const delivery = await MerchantWebhookService.getDelivery(req.tenant, req.params.delivery_id);
+        
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        const redelivery = await MerchantWebhookDispatcher.redeliver(delivery);
+        if (!redelivery) {
+            return res.status(409).json({
+                success: false,
+                error: 'The webhook for this delivery has been deleted',
+                code: 'WEBHOOK_DELETED'
+            });
+        }
+        
+        res.status(202).json({
+            success: true,
+            data: {
+                delivery_id: redelivery.delivery_id,
+                redelivery_of: delivery.delivery_id,
+                event_id: redelivery.event_id,
+                status: redelivery.status
+            }
+        });
+        
+    } catch (error) {
+        console.error('Webhook redelivery error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to redeliver webhook',
+            code: 'WEBHOOK_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {get} /api/v1/merchant/webhooks/:webhook_id Get Webhook
+ * @apiName GetWebhook
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission webhooks.manage
+ */
+router.get('/webhooks/:webhook_id', authenticateAPI, requirePermission('webhooks.manage'), async (req, res) => {
+    try {
+        const webhook = await MerchantWebhookService.getWebhook(req.tenant, req.params.webhook_id);
+        
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: webhook
+        });
+        
+    } catch (error) {
+        console.error('Webhook fetch error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook',
+            code: 'WEBHOOK_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {put} /api/v1/merchant/webhooks/:webhook_id Update Webhook
+ * @apiName UpdateWebhook
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission webhooks.manage
+ * 
+ * @apiParam {String} [url] Webhook URL (https)
+ * @apiParam {Array} [events] Events or patterns
+ * @apiParam {String} [description] Label for the subscription
+ * @apiParam {String} [status] active or disabled
+ */
+router.put('/webhooks/:webhook_id', authenticateAPI, requirePermission('webhooks.manage'), idempotent, async (req, res) => {
+    try {
+        const { url, events, description, status } = req.body;
+        
+        const validationError = validateWebhookFields({ url, events }, { partial: true }) ||
+            (status !== undefined && !MerchantWebhookService.STATUSES.includes(status)
+                ? `status must be one of: ${MerchantWebhookService.STATUSES.join(', ')}`
+                : null);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError,
+                code: 'VALIDATION_ERROR'
+            });
+        }
+        
+        const webhook = await MerchantWebhookService.updateWebhook(req.tenant, req.params.webhook_id, {
+            url,
+            events,
+            description,
+            status
+        });
+        
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: webhook
+        });
+        
+    } catch (error) {
+        console.error('Webhook update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update webhook',
+            code: 'WEBHOOK_ERROR'
+        });
+    }
+});
+
+/**
+ * @api {delete} /api/v1/merchant/webhooks/:webhook_id Delete Webhook
+ * @apiName DeleteWebhook
+ * @apiGroup Merchant
+ * @apiVersion 1.0.0
+ * @apiPermission webhooks.manage
+ * 
+ * @apiDescription Stops deliveries to the URL; the delivery log is kept
+ */
+router.delete('/webhooks/:webhook_id', authenticateAPI, requirePermission('webhooks.manage'), idempotent, async (req, res) => {
+    try {
+        const deleted = await MerchantWebhookService.deleteWebhook(req.tenant, req.params.webhook_id);
+        
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook not found',
+                code: 'NOT_FOUND'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                webhook_id: req.params.webhook_id,
+                deleted: true
+            }
+        });
+        
+    } catch (error) {
+        console.error('Webhook delete error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete webhook',
             code: 'WEBHOOK_ERROR'
         });
     }
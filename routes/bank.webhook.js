@@ -0,0 +1,976 @@
+/**
+ * Bank Webhook Handler
+ * Processes real-time payment notifications from acquiring banks.
+ * Bank-specific decoding lives in services/banks; callbacks for a registered
+ * adapter are accepted at /api/:bank/webhook (e.g. /api/hdfc/webhook).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const QRTransactionService = require('../services/QRTransactionService');
+const LocalTransactionStore = require('../services/LocalTransactionStore');
+const WebhookEventService = require('../services/WebhookEventService');
+const MerchantKeyService = require('../services/MerchantKeyService');
+const WebhookQueue = require('../services/WebhookQueue');
+const TransactionStateMachine = require('../services/TransactionStateMachine');
+const TransactionLimitService = require('../services/TransactionLimitService');
+const { authenticateAdmin } = require('../middleware/adminAuth');
+const BankAdapters = require('../services/banks');
+const TransactionDisputeService = require('../services/TransactionDisputeService');
+const MerchantEventService = require('../services/MerchantEventService');
+const WebhookSecurityService = require('../services/WebhookSecurityService');
+const SecurityAuditService = require('../services/SecurityAuditService');
+const HDFCBankSimulator = require('../simulator/HDFCBankSimulator');
+
+// Transaction validation
+class TransactionValidator {
+    // State we hold for a transaction, or null when it is new to us
+    static async getStoredState(transactionId, merchantId) {
+        try {
+            const existing = await QRTransactionService.getTransactionDetails(transactionId, merchantId);
+            return existing.success
+                ? TransactionStateMachine.normalizeStatus(existing.data.transaction.status)
+                : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async checkDuplicate(transactionId, merchantId, state) {
+        // Only a callback repeating the stored state is a duplicate;
+        // other status changes go through the state machine
+        return (await this.getStoredState(transactionId, merchantId)) === state;
+    }
+
+    static validateAmount(amount) {
+        // Per-QR and per-merchant limits are enforced by TransactionLimitService once
+        // the payment is recorded; here we only reject malformed amounts
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error(`Invalid transaction amount: ${amount}`);
+        }
+
+        return true;
+    }
+
+    static validateTimestamp(timestamp, receivedAt) {
+        // Callbacks older than the replay window when they reached us are rejected,
+        // so replays cannot outlive the replay cache
+        // Skip timestamp validation in development
+        if (process.env.NODE_ENV === 'development') {
+            return true;
+        }
+
+        const rejection = WebhookSecurityService.checkFreshness(timestamp, receivedAt ? new Date(receivedAt) : new Date());
+        if (rejection) {
+            throw new Error(rejection);
+        }
+
+        return true;
+    }
+}
+
+// Resolve the acquiring bank adapter for /:bank/... routes; unknown banks fall through
+router.param('bank', (req, res, next, bank) => {
+    req.bankAdapter = BankAdapters.getAdapter(bank);
+    next(req.bankAdapter ? undefined : 'route');
+});
+
+// Main webhook endpoint
+router.post('/:bank/webhook', async (req, res) => {
+    const adapter = req.bankAdapter;
+    console.log(`[Bank Webhook] ${adapter.name} callback received at:`, new Date().toISOString());
+
+    // Only the bank's own addresses may deliver callbacks
+    if (!WebhookSecurityService.isAllowedSource(adapter, req.ip)) {
+        await SecurityAuditService.log({
+            event_type: 'WEBHOOK_REJECTED',
+            source: adapter.code,
+            reason: 'Source IP not in allowlist',
+            source_ip: req.ip,
+            details: { stage: 'source' }
+        });
+        return res.status(403).json({
+            status: 'FAILED',
+            message: 'Callback source not allowed',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Journal the raw callback before any processing so nothing is lost
+    let event;
+    try {
+        event = await WebhookEventService.recordReceived({
+            source: adapter.code,
+            body: req.body,
+            headers: req.headers,
+            sourceIp: req.ip
+        });
+        console.log('[Bank Webhook] Journaled as event:', event.event_id);
+    } catch (error) {
+        console.error('[Bank Webhook] Failed to journal callback:', error);
+        return res.status(500).json({
+            status: 'ERROR',
+            message: 'Unable to accept callback',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Reject malformed callbacks up front so the bank sees the error
+    if (!adapter.isCallbackBody(req.body)) {
+        await WebhookEventService.markFailed(event.event_id, 'Missing encrypted data', { stage: 'validate' })
+            .catch(error => console.error('[Bank Webhook] Failed to journal error:', error));
+        await SecurityAuditService.log({
+            event_type: 'WEBHOOK_REJECTED',
+            source: adapter.code,
+            reason: 'Missing encrypted data',
+            source_ip: req.ip,
+            reference_id: event.event_id,
+            details: { stage: 'validate' }
+        });
+        return res.status(400).json({
+            status: 'FAILED',
+            message: 'Missing encrypted data',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Acknowledge once durably queued; the worker does the processing
+    WebhookQueue.enqueue(event);
+
+    res.status(200).json({
+        status: 'SUCCESS',
+        message: 'Callback accepted for processing',
+        eventId: event.event_id,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Pipeline stages whose failures are storage problems rather than a bad callback
+const RETRYABLE_STAGES = ['replay_cache', 'process'];
+
+// Payments still waiting for the bank's final word
+const PENDING_STATES = ['pending', 'deemed'];
+
+// Neither a queue retry nor an operator replay
+function isFirstDelivery(event) {
+    return !(event.retry_count > 0) && !(event.replay_count > 0);
+}
+
+// Every rejected callback leaves a trail in security_audit_log
+function auditRejection(event, stage, reason, transactionData = null) {
+    return SecurityAuditService.log({
+        event_type: 'WEBHOOK_REJECTED',
+        source: event.source,
+        reason,
+        source_ip: event.source_ip,
+        reference_id: event.event_id,
+        details: {
+            stage,
+            transaction_id: transactionData?.transactionId || null,
+            merchant_id: transactionData?.merchantId || null
+        }
+    });
+}
+
+/**
+ * Run a journaled callback through the processing pipeline
+ * Used by the queue worker for live callbacks, operator replays and bank
+ * status enquiry responses alike.
+ * Failures while persisting are reported as retryable; bad payloads are final.
+ */
+async function processWebhookEvent(event) {
+    const startTime = Date.now();
+    let transactionData = null;
+    let stage = 'decrypt';
+
+    try {
+        const adapter = BankAdapters.getAdapter(event.source);
+        if (!adapter) {
+            throw new Error(`No bank adapter registered for ${event.source}`);
+        }
+
+        // Enquiry responses are requested by us, so they are not subject to the callback age check
+        const isStatusEnquiry = event.event_type === `${adapter.code}.status_enquiry`;
+        const origin = `${adapter.code}_${isStatusEnquiry ? 'status_enquiry' : 'webhook'}`;
+
+        if (!adapter.isCallbackBody(event.payload)) {
+            await WebhookEventService.markFailed(event.event_id, 'Missing encrypted data', { stage: 'validate' });
+            await auditRejection(event, 'validate', 'Missing encrypted data');
+            return {
+                httpStatus: 400,
+                body: {
+                    status: 'FAILED',
+                    message: 'Missing encrypted data',
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+
+        // Resolve the keys valid for this merchant (more than one during rotation)
+        const { bankMerchantId: merchantId, terminalId } = adapter.getCallbackContext(event.payload);
+        const candidateKeys = await MerchantKeyService.getCandidateKeys(adapter.code, merchantId, terminalId);
+        if (candidateKeys.length === 0) {
+            throw new Error(`Merchant key not configured for ${merchantId || 'unknown merchant'}`);
+        }
+
+        // Decrypt and parse the bank payload
+        const decrypted = adapter.decodeCallback(event.payload, candidateKeys);
+        transactionData = decrypted.transactionData;
+        console.log(`[Bank Webhook] ${adapter.name} data decrypted successfully with key:`, decrypted.key.key_id);
+
+        // The payload must belong to the merchant and terminal the key was issued for
+        stage = 'parse';
+        if (merchantId && transactionData.merchantId !== merchantId) {
+            throw new Error('Merchant ID in payload does not match request');
+        }
+        if (!MerchantKeyService.isKeyValidForTerminal(decrypted.key, transactionData.terminalId)) {
+            throw new Error(`Key ${decrypted.key.key_id} is not issued for terminal ${transactionData.terminalId}`);
+        }
+
+        await WebhookEventService.markDecrypted(event.event_id, transactionData, decrypted.key.key_id);
+        await MerchantKeyService.markKeyUsed(decrypted.key.key_id);
+        console.log('[Bank Webhook] Transaction ID:', transactionData.transactionId);
+        console.log('[Bank Webhook] Status:', transactionData.transactionStatus);
+        console.log('[Bank Webhook] Amount:', transactionData.amount);
+
+        // Validate checksum (skip in development for testing)
+        stage = 'checksum';
+        if (process.env.NODE_ENV !== 'development') {
+            if (!adapter.verifyIntegrity(transactionData, decrypted.key)) {
+                throw new Error('Invalid checksum - possible data tampering');
+            }
+            console.log('[Bank Webhook] Checksum validated successfully');
+        } else {
+            console.log('[Bank Webhook] Checksum validation skipped in development mode');
+        }
+
+        const callbackState = adapter.mapStatus(transactionData);
+        const dispute = adapter.parseDispute(transactionData);
+
+        // Replay protection: a callback must be recent and is accepted only once.
+        // Enquiry responses were requested by us; reversal and dispute notices
+        // carry the original payment time, so only the replay cache applies to them
+        // and their replay keys are kept for good rather than for the replay window.
+        // Age is measured when the callback reached us, on its first delivery only:
+        // queue retries and operator replays of an accepted callback never go stale.
+        // The final status of a payment we hold as pending (U07/U15) can come
+        // long after the payment time it carries.
+        if (!isStatusEnquiry) {
+            stage = 'replay';
+            const undated = Boolean(dispute) || callbackState === 'reversed';
+            if (!undated && isFirstDelivery(event) &&
+                !PENDING_STATES.includes(await TransactionValidator.getStoredState(transactionData.transactionId, transactionData.merchantId))) {
+                TransactionValidator.validateTimestamp(transactionData.transactionDateTime, event.received_at);
+            }
+
+            stage = 'replay_cache';
+            const replay = await WebhookSecurityService.checkReplay({
+                source: adapter.code,
+                replayKey: adapter.getReplayKey(transactionData),
+                eventId: event.event_id,
+                retain: undated
+            });
+
+            stage = 'replay';
+            if (replay.replay) {
+                throw new Error(`Replayed callback, first received as event ${replay.event_id}`);
+            }
+        }
+
+        // Check for duplicate transaction
+        stage = 'validate';
+        const isDuplicate = await TransactionValidator.checkDuplicate(
+            transactionData.transactionId,
+            transactionData.merchantId,
+            callbackState
+        );
+
+        if (isDuplicate) {
+            console.log('[Bank Webhook] Duplicate transaction detected');
+            await WebhookEventService.markProcessed(event.event_id, { isDuplicate: true });
+            return {
+                httpStatus: 200,
+                body: {
+                    status: 'SUCCESS',
+                    message: 'Transaction already processed',
+                    transactionId: transactionData.transactionId,
+                    isDuplicate: true
+                }
+            };
+        }
+
+        // Validate transaction amount
+        TransactionValidator.validateAmount(transactionData.amount);
+
+        // Process the transaction based on status
+        stage = 'process';
+        let result;
+        if (dispute) {
+            result = await processDispute(transactionData, dispute, origin);
+        } else if (callbackState === 'success') {
+            result = await processSuccessfulTransaction(transactionData, adapter, origin);
+        } else {
+            result = await processFailedTransaction(transactionData, callbackState, adapter, origin);
+        }
+
+        // Log processing time
+        const processingTime = Date.now() - startTime;
+        console.log(`[Bank Webhook] Processing completed in ${processingTime}ms`);
+
+        // A rejected transition is final for this callback; it now sits in the exceptions queue
+        const transition = getTransitionOutcome(result);
+        if (transition !== 'applied') {
+            console.log(`[Bank Webhook] Status change ${transition} for ${transactionData.transactionId}`);
+        }
+
+        const limitBreaches = result?.limit_breaches || result?.data?.limit_breaches || [];
+        if (limitBreaches.length > 0) {
+            console.log(`[Bank Webhook] Limit breach flagged for ${transactionData.transactionId}`);
+        }
+
+        await WebhookEventService.markProcessed(event.event_id, {
+            transactionStatus: transactionData.transactionStatus,
+            state: callbackState,
+            transition,
+            limitBreaches,
+            processingTime
+        });
+
+        // Acknowledgment for the bank
+        return {
+            httpStatus: 200,
+            body: {
+                status: 'SUCCESS',
+                message: 'Webhook processed successfully',
+                transactionId: transactionData.transactionId,
+                processingTime: processingTime,
+                timestamp: new Date().toISOString()
+            }
+        };
+
+    } catch (error) {
+        console.error('[Bank Webhook] Error:', error);
+
+        // Log error for debugging
+        const errorLog = {
+            timestamp: new Date().toISOString(),
+            eventId: event.event_id,
+            stage,
+            error: error.message,
+            stack: error.stack,
+            transactionId: transactionData?.transactionId,
+            processingTime: Date.now() - startTime
+        };
+        console.error('[Bank Webhook] Error details:', errorLog);
+
+        // Storage errors may be transient; the queue retries them with backoff
+        const retryable = RETRYABLE_STAGES.includes(stage);
+
+        if (!retryable) {
+            try {
+                await WebhookEventService.markFailed(event.event_id, error.message, { stage });
+            } catch (journalError) {
+                console.error('[Bank Webhook] Failed to journal error:', journalError);
+            }
+            await auditRejection(event, stage, error.message, transactionData);
+        }
+
+        return {
+            retryable,
+            error: error.message,
+            httpStatus: 500,
+            body: {
+                status: 'ERROR',
+                message: error.message || 'Internal server error',
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+}
+
+// Process successful transaction
+async function processSuccessfulTransaction(transactionData, adapter, origin) {
+    try {
+        // Map bank data to our format
+        const webhookData = {
+            transaction_id: transactionData.transactionId,
+            merchant_id: transactionData.merchantId,
+            qr_identifier: adapter.getQRIdentifier(transactionData),
+            amount: transactionData.amount,
+            customer_vpa: transactionData.payerVPA,
+            customer_name: transactionData.payerName,
+            reference_number: transactionData.merchantTxnId,
+            bank_reference_number: transactionData.bankRRN,
+            status: 'success',
+            payment_method: 'UPI',
+            acquirer: adapter.code,
+            source: origin
+        };
+
+        // Process through service layer (use local store in development)
+        let result;
+        if (process.env.NODE_ENV === 'development') {
+            // Use local file storage in development
+            result = await LocalTransactionStore.saveTransaction(
+                { ...transactionData, acquirer: adapter.code, qrIdentifier: webhookData.qr_identifier }, 'success', origin
+            );
+            console.log('[Bank Webhook] Transaction saved to local storage');
+
+            if (getTransitionOutcome(result) === 'applied') {
+                result.limit_breaches = await TransactionLimitService.enforce({
+                    transaction_id: transactionData.transactionId,
+                    merchant_id: transactionData.merchantId,
+                    owner_merchant_id: result.transaction.ownerMerchantId,
+                    qr_code_id: result.transaction.qrId,
+                    amount: transactionData.amount
+                });
+            }
+        } else {
+            result = await QRTransactionService.processTransactionWebhook(webhookData);
+        }
+
+        // Emit real-time event for frontend
+        if (getTransitionOutcome(result) === 'applied') {
+            emitRealtimeUpdate('payment-success', transactionData);
+            await notifyTransaction('transaction.success', transactionData, result);
+        }
+
+        return result;
+    } catch (error) {
+        console.error('[Bank Webhook] Error processing successful transaction:', error);
+        throw error;
+    }
+}
+
+// Process failed or not-yet-final transaction
+async function processFailedTransaction(transactionData, state, adapter, origin) {
+    try {
+        // Get error description
+        const errorDescription = adapter.getErrorDescription(transactionData.statusCode) || 
+                               transactionData.statusDescription || 
+                               'Transaction failed';
+
+        // Map bank data to our format
+        const webhookData = {
+            transaction_id: transactionData.transactionId,
+            merchant_id: transactionData.merchantId,
+            qr_identifier: adapter.getQRIdentifier(transactionData),
+            amount: transactionData.amount,
+            customer_vpa: transactionData.payerVPA,
+            customer_name: transactionData.payerName,
+            reference_number: transactionData.merchantTxnId,
+            bank_reference_number: transactionData.bankRRN,
+            status: state,
+            payment_method: 'UPI',
+            failure_reason: errorDescription,
+            acquirer: adapter.code,
+            source: origin
+        };
+
+        // Process through service layer (use local store in development)
+        let result;
+        if (process.env.NODE_ENV === 'development') {
+            // Use local file storage in development
+            result = await LocalTransactionStore.saveTransaction(
+                { ...transactionData, acquirer: adapter.code, qrIdentifier: webhookData.qr_identifier }, state, origin
+            );
+            console.log('[Bank Webhook] Transaction saved to local storage');
+        } else {
+            result = await QRTransactionService.processTransactionWebhook(webhookData);
+        }
+
+        // Emit real-time event for frontend
+        if (getTransitionOutcome(result) === 'applied') {
+            emitRealtimeUpdate(`payment-${state === 'pending' || state === 'deemed' ? 'pending' : state}`, {
+                ...transactionData,
+                errorDescription
+            });
+
+            if (state === 'failed') {
+                await notifyTransaction('transaction.failed', transactionData, result, {
+                    failure_reason: errorDescription,
+                    status_code: transactionData.statusCode || null
+                });
+            }
+
+            if (state === 'reversed') {
+                await notifyReversal(transactionData, result, errorDescription);
+            }
+        }
+
+        return result;
+    } catch (error) {
+        console.error('[Bank Webhook] Error processing failed transaction:', error);
+        throw error;
+    }
+}
+
+// Process a chargeback/dispute notification against the original transaction
+async function processDispute(transactionData, dispute, origin) {
+    try {
+        const result = await TransactionDisputeService.applyNotification({
+            stage: dispute.stage,
+            transaction_id: transactionData.transactionId,
+            bank_reference_number: transactionData.bankRRN,
+            merchant_id: transactionData.merchantId,
+            amount: transactionData.amount,
+            reason_code: dispute.reasonCode,
+            reason: dispute.reason,
+            source: origin
+        });
+        console.log(`[Bank Webhook] Dispute ${dispute.stage} for ${transactionData.transactionId}`);
+
+        return result;
+    } catch (error) {
+        console.error('[Bank Webhook] Error processing dispute:', error);
+        throw error;
+    }
+}
+
+// Merchant (and sub-merchant) that owns the QR code a payment was made to
+// Falls back to the bank's merchant ID when the QR code is not known
+function getTransactionOwner(transactionData, result) {
+    const transaction = result.transaction;
+    if (transaction) {
+        return {
+            merchantId: transaction.ownerMerchantId || transactionData.merchantId,
+            subMerchantId: transaction.ownerMerchantId ? transaction.subMerchantId || null : null
+        };
+    }
+    return { merchantId: result.data?.owner_merchant_id || transactionData.merchantId, subMerchantId: null };
+}
+
+// Tell the merchant a payment succeeded or failed
+async function notifyTransaction(type, transactionData, result, extra = {}) {
+    const owner = getTransactionOwner(transactionData, result);
+
+    await MerchantEventService.publish(type, owner.merchantId, {
+        transaction_id: transactionData.transactionId,
+        merchant_txn_id: transactionData.merchantTxnId || null,
+        bank_reference_number: transactionData.bankRRN || null,
+        amount: parseFloat(transactionData.amount),
+        payer_vpa: transactionData.payerVPA || null,
+        payer_name: transactionData.payerName || null,
+        transaction_date: transactionData.transactionDateTime || null,
+        ...extra
+    }, { subMerchantId: owner.subMerchantId });
+}
+
+// Tell the merchant a payment was reversed and whether its settlement was cancelled
+async function notifyReversal(transactionData, result, reason) {
+    const transaction = result.transaction;
+    const settlementStatus = transaction ? transaction.settlementStatus : result.data.settlement_status;
+    const owner = getTransactionOwner(transactionData, result);
+
+    await MerchantEventService.publish('transaction.reversed', owner.merchantId, {
+        transaction_id: transaction ? transaction.transactionId : result.data.transaction_id,
+        bank_reference_number: transactionData.bankRRN,
+        amount: transactionData.amount,
+        reason,
+        previous_status: transaction ? result.previous_status || null : result.data.previous_status,
+        settlement_status: settlementStatus,
+        // Already paid out to the merchant: has to be recovered from a later settlement
+        settlement_recovery: settlementStatus === 'settled'
+    }, { subMerchantId: owner.subMerchantId });
+}
+
+// Whether the state machine applied the callback: applied, unchanged or rejected
+function getTransitionOutcome(result) {
+    if (result?.duplicate || result?.data?.status === 'unchanged') return 'unchanged';
+    if (result?.rejected || result?.data?.status === 'rejected') return 'rejected';
+    return 'applied';
+}
+
+// Emit real-time update (to be integrated with Socket.io)
+function emitRealtimeUpdate(event, data) {
+    // This will be replaced with Socket.io emit
+    console.log(`[Realtime] Emitting ${event}:`, {
+        transactionId: data.transactionId,
+        amount: data.amount,
+        status: data.transactionStatus
+    });
+
+    // For now, we'll use a global event emitter or message queue
+    if (global.io) {
+        global.io.emit(event, data);
+    }
+}
+
+// Get transactions endpoint (for development)
+router.get('/hdfc/transactions', async (req, res) => {
+    try {
+        if (process.env.NODE_ENV === 'development') {
+            const transactions = LocalTransactionStore.getTransactions();
+            const stats = LocalTransactionStore.getStats();
+            
+            res.json({
+                success: true,
+                transactions,
+                stats,
+                count: transactions.length
+            });
+        } else {
+            res.status(403).json({
+                success: false,
+                message: 'This endpoint is only available in development mode'
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Health check endpoint
+router.get('/:bank/webhook/health', (req, res) => {
+    res.status(200).json({
+        status: 'OK',
+        service: `${req.bankAdapter.name} Webhook Handler`,
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+    });
+});
+
+// =================== Operator: Webhook Journal ===================
+
+// List journaled callbacks (status: received|processing|processed|retrying|failed|dead_letter|stuck)
+router.get('/:bank/webhook/events', authenticateAdmin, async (req, res) => {
+    try {
+        const { status, transaction_id, from_date, to_date, limit } = req.query;
+
+        const events = await WebhookEventService.listEvents({
+            source: req.bankAdapter.code,
+            status,
+            transaction_id,
+            from_date,
+            to_date,
+            limit
+        });
+
+        res.json({
+            success: true,
+            data: {
+                events,
+                count: events.length
+            }
+        });
+    } catch (error) {
+        console.error('[Bank Webhook] Error listing events:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook events',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+// Get a single journaled callback with its decrypt result and outcome
+router.get('/:bank/webhook/events/:eventId', authenticateAdmin, async (req, res) => {
+    try {
+        const event = await WebhookEventService.getEvent(req.params.eventId);
+
+        if (!event || !isFromBank(event, req.bankAdapter)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook event not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: event
+        });
+    } catch (error) {
+        console.error('[Bank Webhook] Error fetching event:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook event',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+// Replay a single journaled callback through the pipeline
+router.post('/:bank/webhook/events/:eventId/replay', authenticateAdmin, async (req, res) => {
+    try {
+        const event = await WebhookEventService.getEvent(req.params.eventId);
+
+        if (!event || !isFromBank(event, req.bankAdapter)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Webhook event not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        const result = await replayEvent(event, req.admin.id);
+
+        if (result.status === 'in_progress') {
+            return res.status(409).json({
+                success: false,
+                error: 'Webhook event is being processed',
+                code: 'EVENT_IN_PROGRESS'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('[Bank Webhook] Error replaying event:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to replay webhook event',
+            code: 'REPLAY_ERROR'
+        });
+    }
+});
+
+// Replay a set of callbacks, by event IDs, an inclusive journal id range or a received_at range
+router.post('/:bank/webhook/events/replay', authenticateAdmin, async (req, res) => {
+    try {
+        const { event_ids, from_id, to_id, from_date, to_date } = req.body;
+        const hasRange = Number.isInteger(from_id) && Number.isInteger(to_id) && from_id <= to_id;
+        const hasDateRange = Boolean(from_date && to_date) &&
+            !isNaN(Date.parse(from_date)) && !isNaN(Date.parse(to_date)) &&
+            Date.parse(from_date) <= Date.parse(to_date);
+
+        if (!Array.isArray(event_ids) && !hasRange && !hasDateRange) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide event_ids, a from_id/to_id range or a from_date/to_date range',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        // event_ids win over an id range, and an id range over a date range
+        const events = await WebhookEventService.getEventsForReplay(hasRange
+            ? { event_ids, from_id, to_id }
+            : { event_ids, from_date, to_date });
+        const results = [];
+
+        // Replay sequentially to preserve the original delivery order
+        for (const event of events) {
+            if (!isFromBank(event, req.bankAdapter)) {
+                continue;
+            }
+            results.push(await replayEvent(event, req.admin.id));
+        }
+
+        res.json({
+            success: true,
+            data: {
+                total: results.length,
+                processed: results.filter(r => r.status === 'processed').length,
+                failed: results.filter(r => !['processed', 'in_progress'].includes(r.status)).length,
+                in_progress: results.filter(r => r.status === 'in_progress').length,
+                results
+            }
+        });
+    } catch (error) {
+        console.error('[Bank Webhook] Error replaying events:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to replay webhook events',
+            code: 'REPLAY_ERROR'
+        });
+    }
+});
+
+// Events journaled before multi-bank support have no source and are HDFC's
+function isFromBank(event, adapter) {
+    return (event.source || 'hdfc') === adapter.code;
+}
+
+/**
+ * Re-drive a journaled event and report its new outcome
+ */
+async function replayEvent(event, replayedBy) {
+    // Claimed like a queue pickup, so a worker cannot run the same event alongside
+    // and the stuck-event sweep recovers a replay that dies mid-processing
+    const replayCount = await WebhookEventService.claimForReplay(event, WebhookQueue.leaseExpiredBefore());
+    if (replayCount === null) {
+        return {
+            event_id: event.event_id,
+            replay_count: event.replay_count || 0,
+            status: 'in_progress'
+        };
+    }
+    console.log(`[Bank Webhook] Replaying event ${event.event_id} (replay #${replayCount}) by ${replayedBy}`);
+
+    const outcome = await WebhookQueue.processEvent({ ...event, retry_count: 0, replay_count: replayCount });
+
+    let status = outcome.httpStatus === 200 ? 'processed' : 'failed';
+    if (outcome.retry) {
+        status = outcome.retry.dead_lettered ? 'dead_letter' : 'retrying';
+    }
+
+    return {
+        event_id: event.event_id,
+        replay_count: replayCount,
+        status,
+        response: outcome.body,
+        retry: outcome.retry
+    };
+}
+
+// =================== Operator: Merchant Keys ===================
+
+// List keys registered for a bank merchant ID (key material masked)
+router.get('/:bank/keys/:bankMerchantId', authenticateAdmin, async (req, res) => {
+    try {
+        const keys = await MerchantKeyService.listKeys(req.bankAdapter.code, req.params.bankMerchantId);
+
+        res.json({
+            success: true,
+            data: {
+                keys,
+                count: keys.length
+            }
+        });
+    } catch (error) {
+        console.error('[Bank Webhook] Error listing keys:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch merchant keys',
+            code: 'FETCH_ERROR'
+        });
+    }
+});
+
+// Add a key for a merchant/terminal; existing keys stay valid until retired
+router.post('/:bank/keys', authenticateAdmin, async (req, res) => {
+    try {
+        const { bank_merchant_id, terminal_id, merchant_id, encryption_key, valid_from } = req.body;
+
+        if (!bank_merchant_id || !encryption_key) {
+            return res.status(400).json({
+                success: false,
+                error: 'bank_merchant_id and encryption_key are required',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        // AES keys are parsed as UTF-8, so the key must be 16, 24 or 32 bytes
+        if (![16, 24, 32].includes(Buffer.byteLength(String(encryption_key), 'utf8'))) {
+            return res.status(400).json({
+                success: false,
+                error: 'encryption_key must be 16, 24 or 32 bytes long',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const key = await MerchantKeyService.addKey({
+            bank: req.bankAdapter.code,
+            merchantId: merchant_id,
+            bankMerchantId: bank_merchant_id,
+            terminalId: terminal_id,
+            encryptionKey: String(encryption_key),
+            validFrom: valid_from,
+            createdBy: req.admin.id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: key
+        });
+    } catch (error) {
+        console.error('[Bank Webhook] Error adding key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add merchant key',
+            code: 'KEY_ERROR'
+        });
+    }
+});
+
+// Retire a key, optionally at a future time so old and new keys overlap
+router.post('/:bank/keys/:keyId/retire', authenticateAdmin, async (req, res) => {
+    try {
+        const { retire_at } = req.body;
+
+        if (retire_at && isNaN(new Date(retire_at).getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'retire_at must be a valid date',
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        const existing = await MerchantKeyService.getKey(req.params.keyId);
+        const key = existing && existing.bank === req.bankAdapter.code
+            ? await MerchantKeyService.retireKey(req.params.keyId, retire_at)
+            : null;
+
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                error: 'Merchant key not found',
+                code: 'NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: key
+        });
+    } catch (error) {
+        console.error('[Bank Webhook] Error retiring key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retire merchant key',
+            code: 'KEY_ERROR'
+        });
+    }
+});
+
+// Test endpoint (only in development)
+if (process.env.NODE_ENV === 'development') {
+    router.post('/hdfc/webhook/test', async (req, res) => {
+        try {
+            const { upi_string, status = 'SUCCESS', status_code, amount = 100.00 } = req.body;
+
+            // Deliver through the bank simulator to this same server
+            const simulator = new HDFCBankSimulator({
+                encryptionKey: process.env.HDFC_MERCHANT_KEY || 'test_key_16bytes',
+                webhookUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}/hdfc/webhook`
+            });
+            const upiString = upi_string || 'upi://pay?pa=sabpaisa.qr001@hdfcbank&pn=Test%20Merchant&tr=001';
+
+            let result;
+            if (status === 'SUCCESS') {
+                result = await simulator.pay(upiString, { amount });
+            } else if (status === 'PENDING') {
+                result = await simulator.pending(upiString, { amount });
+            } else {
+                result = await simulator.fail(upiString, status_code || 'U03', { amount });
+            }
+
+            res.json({
+                status: 'SUCCESS',
+                message: 'Test webhook sent',
+                testData: result.transaction,
+                response: result.responses[0].body
+            });
+        } catch (error) {
+            res.status(500).json({
+                status: 'ERROR',
+                message: error.message
+            });
+        }
+    });
+}
+
+// Callbacks are processed by the queue worker, outside the HTTP request.
+// The worker itself is started by workers.js, not by loading these routes.
+BankAdapters.listAdapters().forEach(adapter => {
+    WebhookQueue.registerHandler(adapter.code, processWebhookEvent);
+});
+
+module.exports = router;
\ No newline at end of file
@@ -4,6 +4,8 @@ const QRCode = require('qrcode');
 const crypto = require('crypto');
 const transactionStore = require('../services/LocalTransactionStore');
 const security = require('../utils/security');
+const BankAdapters = require('../services/banks');
+const { toRow } = require('../services/exports/csv');
 
 /**
  * Bulk QR Generation Endpoint
@@ -53,14 +55,12 @@ router.post('/generate', async (req, res) => {
                     continue;
                 }
 
-                // Generate unique VPA using sanitized data
-                const merchantPrefix = sanitizedMerchant.merchant_name
-                    .toLowerCase()
-                    .replace(/[^a-z0-9]/g, '')
-                    .substring(0, 8);
-                
+                // Generate unique VPA at the acquiring bank using sanitized data
                 const identifier = sanitizedMerchant.merchant_id.toLowerCase();
-                const vpa = `${merchantPrefix}.${identifier}@hdfc`;
+                const vpa = BankAdapters.getDefaultAdapter().buildVpa({
+                    merchantName: sanitizedMerchant.merchant_name,
+                    identifier
+                });
 
                 // Generate transaction reference
                 const timestamp = Date.now().toString().slice(-6);
@@ -271,12 +271,7 @@ function generateCSVReport(data) {
         qr.created_at
     ]);
 
-    const csvContent = [
-        headers.join(','),
-        ...rows.map(row => row.join(','))
-    ].join('\n');
-
-    return csvContent;
+    return [headers, ...rows].map(toRow).join('');
 }
 
 module.exports = router;
\ No newline at end of file
@@ -14,10 +14,17 @@ const PORT = process.env.PORT || 3001;
 
 // Import health check routes
 const healthRoutes = require('./routes/health');
+const { startWorkers, stopWorkers } = require('./workers');
+const RateLimitService = require('./services/RateLimitService');
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+// Keep the raw body so HMAC-signed merchant requests can be verified byte for byte
+app.use(bodyParser.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -34,50 +41,11 @@ app.use((req, res, next) => {
 // This ensures health checks work without authentication
 app.use('/', healthRoutes);
 
-// === EXISTING APPLICATION ROUTES ===
-// Add your existing routes here after health checks
-
-// Example: Merchant API routes (if they exist)
-// const merchantRoutes = require('./routes/merchant');
-// app.use('/api/v1/merchant', authenticateAPI, merchantRoutes);
-
-// HDFC Webhook endpoint (from original implementation)
-app.post('/api/hdfc/webhook', (req, res) => {
-    console.log('Webhook received:', req.body);
-    
-    // Process webhook (existing logic)
-    try {
-        // Your existing webhook processing logic here
-        res.status(200).json({
-            success: true,
-            message: 'Webhook processed successfully'
-        });
-    } catch (error) {
-        console.error('Webhook processing error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Webhook processing failed'
-        });
-    }
-});
-
-// QR Code API endpoints (placeholder - add your existing routes)
-app.get('/api/v1/merchant/qr/list', (req, res) => {
-    // Your existing QR list logic
-    res.json({
-        success: true,
-        data: {
-            qr_codes: [],
-            pagination: {
-                page: 1,
-                limit: 10,
-                total: 0
-            }
-        }
-    });
-});
-
-// === END OF EXISTING ROUTES ===
+// Application routes; each router authenticates its own requests
+app.use('/api/v1/merchant', require('./routes/api/v1/merchant'));
+app.use('/api/admin', require('./routes/admin'));
+// Bank callbacks at /api/:bank/webhook (e.g. /api/hdfc/webhook); unknown banks fall through to the 404
+app.use('/api', require('./routes/bank.webhook'));
 
 // 404 handler
 app.use((req, res) => {
@@ -102,6 +70,14 @@ app.use((err, req, res, next) => {
     });
 });
 
+// A misconfigured RATE_LIMIT_STORE stops the server here, not on the first request
+try {
+    RateLimitService.init();
+} catch (error) {
+    console.error(`Cannot create rate limit store '${process.env.RATE_LIMIT_STORE || 'memory'}':`, error.message);
+    process.exit(1);
+}
+
 // Server startup
 const server = app.listen(PORT, () => {
     console.log('===========================================');
@@ -118,12 +94,21 @@ const server = app.listen(PORT, () => {
     console.log(`  GET  http://localhost:${PORT}/ready`);
     console.log(`  GET  http://localhost:${PORT}/startup`);
     console.log(`  GET  http://localhost:${PORT}/metrics`);
+    console.log('API Endpoints:');
+    console.log(`  Merchant API:  http://localhost:${PORT}/api/v1/merchant`);
+    console.log(`  Admin API:     http://localhost:${PORT}/api/admin`);
+    console.log(`  Bank webhooks: http://localhost:${PORT}/api/:bank/webhook`);
     console.log('===========================================');
+
+    // Background workers run next to the server, each behind its *_ENABLED flag
+    const workers = startWorkers();
+    console.log(`Workers: ${workers.length > 0 ? workers.join(', ') : 'none'}`);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM signal received: closing HTTP server');
+    stopWorkers();
     server.close(() => {
         console.log('HTTP server closed');
         // Close database connections if any
@@ -140,6 +125,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
     console.log('SIGINT signal received: closing HTTP server');
+    stopWorkers();
     server.close(() => {
         console.log('HTTP server closed');
         if (global.dbConnection) {
@@ -0,0 +1,387 @@
+/**
+ * Analytics Service
+ * Payment analytics for any range, bucketed by hour, day, week or month in
+ * the merchant's time zone (IST unless another is asked for). Each report
+ * compares against the period of the same length just before it, follows the
+ * success rate bucket by bucket and ranks QR codes by revenue and by count.
+ * In the database the figures come from QRTransactionService.getTransactionSummary;
+ * the local store is aggregated the same way.
+ */
+
+const moment = require('moment');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const QRTransactionService = require('./QRTransactionService');
+const TransactionStateMachine = require('./TransactionStateMachine');
+const {
+    DEFAULT_TIMEZONE,
+    INTERVALS,
+    isValidTimeZone,
+    startOfDate,
+    bucketStarts,
+    formatInZone
+} = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trend slots are quarter hours, like getTransactionSummary's
+const SLOT_MS = 15 * 60 * 1000;
+
+// Rolling periods ending now, in days
+const PERIODS = {
+    '24h': 1,
+    '7d': 7,
+    '30d': 30,
+    '90d': 90
+};
+
+// An ISO 8601 timestamp must say which offset it is in
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+class AnalyticsService {
+    constructor() {
+        this.MAX_RANGE_DAYS = parseInt(process.env.ANALYTICS_MAX_RANGE_DAYS) || 366;
+        this.MAX_BUCKETS = 1000;
+        this.DEFAULT_TOP = 5;
+        this.MAX_TOP = 20;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    error(code, message) {
+        return { success: false, error: { code, message } };
+    }
+
+    /**
+     * Check an analytics query and resolve its range
+     * Either a rolling period (default 7d) or from/to: dates (YYYY-MM-DD, read
+     * in the time zone, to inclusive) or timestamps with an offset (to
+     * exclusive). Returns { success, range } or a VALIDATION_ERROR.
+     */
+    validate(query = {}, now = new Date()) {
+        const given = (value) => value !== undefined && value !== null && value !== '';
+
+        const timezone = given(query.timezone) ? query.timezone : DEFAULT_TIMEZONE;
+        if (!isValidTimeZone(timezone)) {
+            return this.error('VALIDATION_ERROR', 'timezone must be an IANA time zone such as Asia/Kolkata');
+        }
+
+        let from;
+        let to;
+        let period = null;
+        if (given(query.from) || given(query.to)) {
+            if (given(query.period)) {
+                return this.error('VALIDATION_ERROR', 'Give either period or from/to, not both');
+            }
+            if (!given(query.from)) {
+                return this.error('VALIDATION_ERROR', 'from is required with to');
+            }
+            from = this.parseBoundary(query.from, timezone, false);
+            to = given(query.to) ? this.parseBoundary(query.to, timezone, true) : now;
+            if (!from || !to) {
+                return this.error('VALIDATION_ERROR', 'from and to must be dates (YYYY-MM-DD) or ISO 8601 timestamps with an offset');
+            }
+        } else {
+            period = given(query.period) ? query.period : '7d';
+            if (!PERIODS[period]) {
+                return this.error('VALIDATION_ERROR', `period must be one of ${Object.keys(PERIODS).join(', ')}`);
+            }
+            to = now;
+            from = new Date(now.getTime() - PERIODS[period] * DAY_MS);
+        }
+
+        if (from >= to) {
+            return this.error('VALIDATION_ERROR', 'from must be before to');
+        }
+        if (to - from > this.MAX_RANGE_DAYS * DAY_MS) {
+            return this.error('VALIDATION_ERROR', `The range may span at most ${this.MAX_RANGE_DAYS} days`);
+        }
+
+        const interval = given(query.interval) ? query.interval : this.defaultInterval(to - from);
+        if (!INTERVALS.includes(interval)) {
+            return this.error('VALIDATION_ERROR', `interval must be one of ${INTERVALS.join(', ')}`);
+        }
+        if (bucketStarts(from, to, interval, timezone, this.MAX_BUCKETS).length > this.MAX_BUCKETS) {
+            return this.error('VALIDATION_ERROR', `The range holds more than ${this.MAX_BUCKETS} ${interval} buckets; use a longer interval`);
+        }
+
+        const top = given(query.top) ? Number(query.top) : this.DEFAULT_TOP;
+        if (!Number.isInteger(top) || top < 1 || top > this.MAX_TOP) {
+            return this.error('VALIDATION_ERROR', `top must be a whole number from 1 to ${this.MAX_TOP}`);
+        }
+
+        return {
+            success: true,
+            range: {
+                from,
+                to,
+                period,
+                interval,
+                timezone,
+                top,
+                compare: String(query.compare) !== 'false'
+            }
+        };
+    }
+
+    // The instant a from/to value stands for, or null when it is neither form
+    parseBoundary(value, timezone, isEnd) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+        if (moment(value, 'YYYY-MM-DD', true).isValid()) {
+            const start = startOfDate(value, timezone);
+            // A to date covers the whole day
+            return isEnd ? startOfDate(moment(value, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD'), timezone) : start;
+        }
+        if (TIMESTAMP_PATTERN.test(value)) {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? null : date;
+        }
+        return null;
+    }
+
+    // Hours for up to two days, days for up to three months, weeks beyond
+    defaultInterval(rangeMs) {
+        if (rangeMs <= 2 * DAY_MS) {
+            return 'hour';
+        }
+        return rangeMs <= 92 * DAY_MS ? 'day' : 'week';
+    }
+
+    /**
+     * A tenant's analytics for a validated range
+     */
+    async getAnalytics(tenant, range) {
+        const { from, to, interval, timezone, top } = range;
+        const current = await this.aggregate(tenant, from, to, top);
+
+        let comparison = null;
+        if (range.compare) {
+            const previousFrom = new Date(from.getTime() - (to - from));
+            const previous = await this.aggregate(tenant, previousFrom, from, 0);
+            comparison = {
+                from: formatInZone(previousFrom, timezone),
+                to: formatInZone(from, timezone),
+                summary: previous.summary,
+                change: this.compare(current.summary, previous.summary)
+            };
+        }
+
+        const qrCodes = await LocalTransactionStore.getQRCodesForTenant(tenant);
+
+        return {
+            range: {
+                from: formatInZone(from, timezone),
+                to: formatInZone(to, timezone),
+                period: range.period,
+                interval,
+                timezone
+            },
+            qr_codes: {
+                total: qrCodes.length,
+                active: qrCodes.filter(qr => qr.status === 'active').length,
+                created_in_period: qrCodes.filter(qr => {
+                    const created = Date.parse(qr.created_at);
+                    return created >= from.getTime() && created < to.getTime();
+                }).length
+            },
+            summary: current.summary,
+            comparison,
+            trend: this.toTrend(current.slots, from, to, interval, timezone),
+            top_qr_codes: current.top_qr_codes
+        };
+    }
+
+    /**
+     * Summary, quarter-hour slots and QR rankings of payments initiated in [from, to)
+     */
+    async aggregate(tenant, from, to, top) {
+        if (this.useLocalStore()) {
+            return this.aggregateLocal(tenant, from, to, top);
+        }
+
+        const result = await QRTransactionService.getTransactionSummary(tenant, { from, to, top });
+        const { summary, time_slots: timeSlots, top_qr_codes: topQRCodes } = result.data;
+        const number = (value) => parseFloat(value) || 0;
+        const toRanked = (row) => ({
+            qr_identifier: row.qr_identifier,
+            reference_name: row.reference_name || null,
+            transaction_count: number(row.transaction_count),
+            revenue: this.round(number(row.total_amount))
+        });
+
+        return {
+            summary: this.toSummary({
+                total: number(summary.total_transactions),
+                successful: number(summary.successful_transactions),
+                failed: number(summary.failed_transactions),
+                pending: number(summary.pending_transactions),
+                refunded: number(summary.refunded_transactions),
+                revenue: number(summary.successful_amount)
+            }),
+            slots: timeSlots.map(slot => ({
+                start: number(slot.slot) * SLOT_MS,
+                transactions: number(slot.transactions),
+                successful: number(slot.successful),
+                failed: number(slot.failed),
+                amount: number(slot.amount)
+            })),
+            top_qr_codes: {
+                by_revenue: topQRCodes.by_revenue.map(toRanked),
+                by_count: topQRCodes.by_count.map(toRanked)
+            }
+        };
+    }
+
+    async aggregateLocal(tenant, from, to, top) {
+        const transactions = (await LocalTransactionStore.getTransactionsForTenant(tenant))
+            .filter(t => {
+                const initiated = Date.parse(t.createdAt);
+                return initiated >= from.getTime() && initiated < to.getTime();
+            })
+            .map(t => ({
+                initiated: Date.parse(t.createdAt),
+                status: TransactionStateMachine.normalizeStatus(t.status) || String(t.status).toLowerCase(),
+                // Paise, so sums do not drift
+                paise: Math.round((t.amount || 0) * 100),
+                qrIdentifier: t.qrIdentifier || null
+            }));
+
+        const counts = { total: transactions.length, successful: 0, failed: 0, pending: 0, refunded: 0, revenue: 0 };
+        const slots = new Map();
+        const byQR = new Map();
+
+        for (const t of transactions) {
+            const successful = t.status === 'success';
+            if (successful) counts.successful++;
+            if (t.status === 'failed') counts.failed++;
+            if (t.status === 'pending') counts.pending++;
+            if (['refunded', 'partial_refunded'].includes(t.status)) counts.refunded++;
+
+            const start = Math.floor(t.initiated / SLOT_MS) * SLOT_MS;
+            const slot = slots.get(start) || { start, transactions: 0, successful: 0, failed: 0, paise: 0 };
+            slot.transactions++;
+            slot.failed += t.status === 'failed' ? 1 : 0;
+            if (successful) {
+                slot.successful++;
+                slot.paise += t.paise;
+                counts.revenue += t.paise;
+            }
+            slots.set(start, slot);
+
+            if (successful && t.qrIdentifier) {
+                const ranked = byQR.get(t.qrIdentifier) || { qr_identifier: t.qrIdentifier, transaction_count: 0, paise: 0 };
+                ranked.transaction_count++;
+                ranked.paise += t.paise;
+                byQR.set(t.qrIdentifier, ranked);
+            }
+        }
+        counts.revenue /= 100;
+
+        const names = new Map((await LocalTransactionStore.getQRCodesForTenant(tenant))
+            .map(qr => [qr.transaction_ref, qr.reference_name || null]));
+        const ranked = [...byQR.values()].map(qr => ({
+            qr_identifier: qr.qr_identifier,
+            reference_name: names.get(qr.qr_identifier) || null,
+            transaction_count: qr.transaction_count,
+            revenue: qr.paise / 100
+        }));
+        const rank = (first, second) => [...ranked]
+            .sort((a, b) => b[first] - a[first] || b[second] - a[second] || a.qr_identifier.localeCompare(b.qr_identifier))
+            .slice(0, top);
+
+        return {
+            summary: this.toSummary(counts),
+            slots: [...slots.values()].map(({ paise, ...slot }) => ({ ...slot, amount: paise / 100 })),
+            top_qr_codes: {
+                by_revenue: rank('revenue', 'transaction_count'),
+                by_count: rank('transaction_count', 'revenue')
+            }
+        };
+    }
+
+    toSummary({ total, successful, failed, pending, refunded, revenue }) {
+        return {
+            total_transactions: total,
+            successful_transactions: successful,
+            failed_transactions: failed,
+            pending_transactions: pending,
+            refunded_transactions: refunded,
+            revenue: this.round(revenue),
+            average_transaction_value: successful > 0 ? this.round(revenue / successful) : 0,
+            success_rate: this.rate(successful, total)
+        };
+    }
+
+    /**
+     * Slots added up into the range's buckets, with the success rate of each
+     * A bucket with no payments has a null success rate, not zero.
+     */
+    toTrend(slots, from, to, interval, timezone) {
+        const starts = bucketStarts(from, to, interval, timezone);
+        const buckets = starts.map(start => ({ start, transactions: 0, successful: 0, failed: 0, paise: 0 }));
+
+        let index = 0;
+        for (const slot of [...slots].sort((a, b) => a.start - b.start)) {
+            while (index + 1 < buckets.length && slot.start >= buckets[index + 1].start.getTime()) {
+                index++;
+            }
+            const bucket = buckets[index];
+            bucket.transactions += slot.transactions;
+            bucket.successful += slot.successful;
+            bucket.failed += slot.failed;
+            bucket.paise += Math.round(slot.amount * 100);
+        }
+
+        return buckets.map(bucket => ({
+            start: formatInZone(bucket.start, timezone),
+            transactions: bucket.transactions,
+            successful: bucket.successful,
+            failed: bucket.failed,
+            revenue: bucket.paise / 100,
+            success_rate: this.rate(bucket.successful, bucket.transactions)
+        }));
+    }
+
+    /**
+     * Change from the previous period; change_percent is null when the
+     * previous value was zero. The success rate changes in percentage points.
+     */
+    compare(current, previous) {
+        const change = (field) => ({
+            current: current[field],
+            previous: previous[field],
+            change: this.round(current[field] - previous[field]),
+            change_percent: previous[field] > 0
+                ? this.round((current[field] - previous[field]) * 100 / previous[field])
+                : null
+        });
+
+        return {
+            transactions: change('total_transactions'),
+            successful_transactions: change('successful_transactions'),
+            revenue: change('revenue'),
+            average_transaction_value: change('average_transaction_value'),
+            success_rate: {
+                current: current.success_rate,
+                previous: previous.success_rate,
+                change_points: current.success_rate !== null && previous.success_rate !== null
+                    ? this.round(current.success_rate - previous.success_rate)
+                    : null
+            }
+        };
+    }
+
+    // Percentage to 2 decimals, or null with nothing to measure
+    rate(count, total) {
+        return total > 0 ? this.round(count * 100 / total) : null;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = new AnalyticsService();
@@ -0,0 +1,488 @@
+/**
+ * Merchant API Key Service
+ * API keys live in qr_api_keys. Secrets are checked against a SHA-256 hash;
+ * a copy encrypted with API_KEY_ENCRYPTION_KEY is kept only so HMAC-signed
+ * requests can be verified. The secret is returned once, when the key is
+ * created or rotated. Rotation issues a new key and lets the old one keep
+ * working for an overlap period so merchants can roll their integrations
+ * without downtime.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const RequestSigningService = require('./RequestSigningService');
+
+// Scopes a key can hold; each merchant route requires one of them
+const PERMISSIONS = {
+    'qr.generate': 'Generate single and bulk QR codes',
+    'qr.list': 'List and view QR codes',
+    'qr.update': 'Deactivate QR codes',
+    'transactions.list': 'List transactions',
+    'analytics.view': 'View analytics',
+    'alerts.view': 'List alerts',
+    'alerts.manage': 'Acknowledge alerts',
+    'disputes.view': 'List disputes',
+    'refunds.view': 'View refunds',
+    'refunds.create': 'Create refunds',
+    'settlements.view': 'List settlements and download settlement reports',
+    'settlements.create': 'Request manual settlements',
+    'config.view': 'View the merchant configuration and its history',
+    'config.update': 'Change notification settings in the merchant configuration',
+    'reports.export': 'Export transaction and QR code reports',
+    'webhooks.manage': 'Register webhook endpoints',
+    'api_keys.manage': 'List, create, rotate and revoke API keys'
+};
+
+// Granted when a key is issued without explicit permissions; refunds, manual
+// settlements, configuration changes, webhooks and key management have to be
+// granted explicitly
+const DEFAULT_PERMISSIONS = [
+    'qr.generate', 'qr.list', 'qr.update', 'transactions.list',
+    'analytics.view', 'alerts.view', 'alerts.manage', 'disputes.view',
+    'refunds.view', 'settlements.view', 'config.view', 'reports.export'
+];
+
+// secret: X-API-Secret header, hmac: signed requests, both: either (for migrating clients)
+const AUTH_SCHEMES = ['secret', 'hmac', 'both'];
+
+// Columns safe to return to callers - never the hash or the encrypted secret
+const PUBLIC_FIELDS = [
+    'key_id', 'merchant_id', 'merchant_name', 'sub_merchant_id', 'name', 'environment', 'secret_last4',
+    'auth_scheme', 'permissions', 'rate_limit', 'status', 'expires_at', 'last_used_at', 'last_used_ip',
+    'rotated_from', 'created_by', 'revoked_at', 'revoked_by', 'revoke_reason', 'created_at'
+];
+
+class ApiKeyService {
+    constructor() {
+        this.ROTATION_OVERLAP_HOURS = parseInt(process.env.API_KEY_ROTATION_OVERLAP_HOURS) || 24;
+        // last_used_at is written at most this often per key
+        this.USAGE_WRITE_INTERVAL_MS = 60 * 1000;
+        this.PERMISSIONS = PERMISSIONS;
+        this.DEFAULT_PERMISSIONS = DEFAULT_PERMISSIONS;
+        this.AUTH_SCHEMES = AUTH_SCHEMES;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    hashSecret(secret) {
+        return crypto.createHash('sha256').update(String(secret)).digest('hex');
+    }
+
+    getEncryptionKey() {
+        const configured = process.env.API_KEY_ENCRYPTION_KEY
+            || (this.useLocalStore() ? 'local-development-api-key-encryption' : null);
+
+        if (!configured) {
+            throw new Error('API_KEY_ENCRYPTION_KEY is not configured');
+        }
+        return crypto.createHash('sha256').update(configured).digest();
+    }
+
+    // AES-256-GCM, stored as iv:tag:ciphertext (hex)
+    encryptSecret(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+    }
+
+    decryptSecret(stored) {
+        const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Issue a new key for a merchant
+     * Returns the key record plus `api_secret`, which is not retrievable later
+     */
+    async createKey({
+        merchantId,
+        merchantName = null,
+        subMerchantId = null,
+        name = null,
+        environment = 'live',
+        authScheme = 'secret',
+        permissions = DEFAULT_PERMISSIONS,
+        rateLimit = null,
+        expiresAt = null,
+        rotatedFrom = null,
+        createdBy = null
+    }) {
+        if (!['live', 'test'].includes(environment)) {
+            throw new Error('environment must be live or test');
+        }
+
+        if (!AUTH_SCHEMES.includes(authScheme)) {
+            throw new Error(`auth_scheme must be one of ${AUTH_SCHEMES.join(', ')}`);
+        }
+
+        const unknown = this.getUnknownPermissions(permissions);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+        }
+
+        const apiKey = `mk_${environment}_${crypto.randomBytes(12).toString('hex')}`;
+        const apiSecret = `sk_${environment}_${crypto.randomBytes(32).toString('hex')}`;
+
+        const record = {
+            key_id: apiKey,
+            merchant_id: merchantId,
+            merchant_name: merchantName,
+            sub_merchant_id: subMerchantId,
+            name,
+            environment,
+            secret_hash: this.hashSecret(apiSecret),
+            secret_last4: apiSecret.slice(-4),
+            signing_secret: this.encryptSecret(apiSecret),
+            auth_scheme: authScheme,
+            permissions,
+            rate_limit: rateLimit || (environment === 'test' ? 50 : 100),
+            status: 'active',
+            expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+            last_used_at: null,
+            last_used_ip: null,
+            rotated_from: rotatedFrom,
+            created_by: createdBy,
+            revoked_at: null,
+            revoked_by: null,
+            revoke_reason: null,
+            created_at: new Date().toISOString()
+        };
+
+        if (this.useLocalStore()) {
+            await LocalTransactionStore.insertRecord('api_keys', record);
+        } else {
+            await db.query(
+                `INSERT INTO qr_api_keys (
+                    key_id, merchant_id, merchant_name, sub_merchant_id, name, environment,
+                    secret_hash, secret_last4, signing_secret, auth_scheme,
+                    permissions, rate_limit, status, expires_at, rotated_from, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    record.key_id,
+                    record.merchant_id,
+                    record.merchant_name,
+                    record.sub_merchant_id,
+                    record.name,
+                    record.environment,
+                    record.secret_hash,
+                    record.secret_last4,
+                    record.signing_secret,
+                    record.auth_scheme,
+                    JSON.stringify(record.permissions),
+                    record.rate_limit,
+                    record.status,
+                    expiresAt ? new Date(expiresAt) : null,
+                    record.rotated_from,
+                    record.created_by
+                ]
+            );
+        }
+
+        logger.info(`[ApiKeys] Created ${record.key_id} for ${merchantId}`, { created_by: createdBy });
+
+        return { ...this.toPublic(record), api_secret: apiSecret };
+    }
+
+    /**
+     * Check a key/secret pair
+     * Returns { valid, data } or { valid: false, error }
+     */
+    async validate(apiKey, apiSecret, { ip } = {}) {
+        const key = await this.findKey(apiKey);
+        const unusable = this.checkUsable(key, 'secret');
+        if (unusable) {
+            return unusable;
+        }
+
+        const expected = Buffer.from(key.secret_hash, 'hex');
+        const provided = Buffer.from(this.hashSecret(apiSecret), 'hex');
+        if (!crypto.timingSafeEqual(expected, provided)) {
+            return { valid: false, error: 'Invalid API secret' };
+        }
+
+        return this.authorize(key, ip);
+    }
+
+    /**
+     * Check an HMAC-signed request
+     * request: { method, path, timestamp, nonce, bodyHash } - see RequestSigningService
+     */
+    async validateSignature(apiKey, request, signature, { ip } = {}) {
+        const stale = RequestSigningService.checkTimestamp(request.timestamp);
+        if (stale) {
+            return { valid: false, error: stale };
+        }
+
+        if (!/^[A-Za-z0-9_-]{16,64}$/.test(String(request.nonce || ''))) {
+            return { valid: false, error: 'X-Nonce must be 16-64 letters, digits, - or _' };
+        }
+
+        const key = await this.findKey(apiKey);
+        const unusable = this.checkUsable(key, 'hmac');
+        if (unusable) {
+            return unusable;
+        }
+
+        // Keys issued before request signing only have the hash; they must be rotated first
+        if (!key.signing_secret) {
+            return { valid: false, error: 'API key cannot sign requests; rotate it to get a signing-capable key' };
+        }
+
+        if (!RequestSigningService.verify(this.decryptSecret(key.signing_secret), request, signature)) {
+            return { valid: false, error: 'Invalid request signature' };
+        }
+
+        // Only a correctly signed request may use up a nonce
+        if (!await RequestSigningService.claimNonce(key.key_id, request.nonce)) {
+            return { valid: false, error: 'Nonce has already been used' };
+        }
+
+        return this.authorize(key, ip);
+    }
+
+    checkUsable(key, scheme) {
+        if (!key) {
+            return { valid: false, error: 'Invalid API key' };
+        }
+
+        const status = this.getEffectiveStatus(key);
+        if (status !== 'active') {
+            return { valid: false, error: `API key is ${status}` };
+        }
+
+        const keyScheme = key.auth_scheme || 'secret';
+        if (keyScheme !== 'both' && keyScheme !== scheme) {
+            return {
+                valid: false,
+                error: keyScheme === 'hmac'
+                    ? 'API key requires signed requests'
+                    : 'API key does not accept signed requests'
+            };
+        }
+        return null;
+    }
+
+    async authorize(key, ip) {
+        await this.markUsed(key, ip);
+
+        return {
+            valid: true,
+            data: {
+                keyId: key.key_id,
+                merchantId: key.merchant_id,
+                merchantName: key.merchant_name,
+                subMerchantId: key.sub_merchant_id || null,
+                permissions: key.permissions,
+                rateLimit: key.rate_limit,
+                environment: key.environment,
+                expiresAt: key.expires_at
+            }
+        };
+    }
+
+    async listKeys(merchantId, { includeInactive = true } = {}) {
+        let keys;
+
+        if (this.useLocalStore()) {
+            keys = LocalTransactionStore.getCollection('api_keys')
+                .filter(k => k.merchant_id === merchantId)
+                .reverse();
+        } else {
+            const [rows] = await db.query(
+                'SELECT * FROM qr_api_keys WHERE merchant_id = ? ORDER BY created_at DESC',
+                [merchantId]
+            );
+            keys = rows.map(row => this.fromRow(row));
+        }
+
+        return keys
+            .map(key => this.toPublic(key))
+            .filter(key => includeInactive || key.status === 'active');
+    }
+
+    async getKey(keyId) {
+        const key = await this.findKey(keyId);
+        return key ? this.toPublic(key) : null;
+    }
+
+    /**
+     * Replace the scopes held by an active key
+     */
+    async updatePermissions(keyId, permissions, { updatedBy = null } = {}) {
+        const unknown = this.getUnknownPermissions(permissions);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+        }
+
+        const key = await this.findKey(keyId);
+        if (!key || this.getEffectiveStatus(key) !== 'active') {
+            return null;
+        }
+
+        await this.updateKey(key.key_id, {
+            permissions: this.useLocalStore() ? permissions : JSON.stringify(permissions)
+        });
+        logger.info(`[ApiKeys] Permissions of ${key.key_id} set to ${permissions.join(', ')}`, { updated_by: updatedBy });
+
+        return this.toPublic({ ...key, permissions });
+    }
+
+    /**
+     * Choose how an active key authenticates: secret, hmac or both
+     */
+    async setAuthScheme(keyId, authScheme, { updatedBy = null } = {}) {
+        if (!AUTH_SCHEMES.includes(authScheme)) {
+            throw new Error(`auth_scheme must be one of ${AUTH_SCHEMES.join(', ')}`);
+        }
+
+        const key = await this.findKey(keyId);
+        if (!key || this.getEffectiveStatus(key) !== 'active') {
+            return null;
+        }
+
+        await this.updateKey(key.key_id, { auth_scheme: authScheme });
+        logger.info(`[ApiKeys] Auth scheme of ${key.key_id} set to ${authScheme}`, { updated_by: updatedBy });
+
+        return this.toPublic({ ...key, auth_scheme: authScheme });
+    }
+
+    getUnknownPermissions(permissions) {
+        return (permissions || []).filter(permission => !PERMISSIONS[permission]);
+    }
+
+    /**
+     * Replace a key: the new key is active immediately, the old one keeps
+     * working until the overlap period ends (0 = stop immediately)
+     */
+    async rotateKey(keyId, { overlapHours = this.ROTATION_OVERLAP_HOURS, rotatedBy = null } = {}) {
+        const key = await this.findKey(keyId);
+
+        if (!key || this.getEffectiveStatus(key) !== 'active') {
+            return null;
+        }
+
+        const newKey = await this.createKey({
+            merchantId: key.merchant_id,
+            merchantName: key.merchant_name,
+            subMerchantId: key.sub_merchant_id,
+            name: key.name,
+            environment: key.environment,
+            authScheme: key.auth_scheme || 'secret',
+            permissions: key.permissions,
+            rateLimit: key.rate_limit,
+            expiresAt: key.expires_at,
+            rotatedFrom: key.key_id,
+            createdBy: rotatedBy
+        });
+
+        // Never extend an expiry that was already sooner
+        let oldExpiresAt = new Date(Date.now() + Math.max(0, overlapHours) * 60 * 60 * 1000);
+        if (key.expires_at && new Date(key.expires_at) < oldExpiresAt) {
+            oldExpiresAt = new Date(key.expires_at);
+        }
+
+        await this.updateKey(key.key_id, { expires_at: oldExpiresAt });
+        logger.info(`[ApiKeys] Rotated ${key.key_id} -> ${newKey.key_id}, old key valid until ${oldExpiresAt.toISOString()}`);
+
+        return {
+            new_key: newKey,
+            previous_key: { ...this.toPublic(key), expires_at: oldExpiresAt.toISOString() }
+        };
+    }
+
+    async revokeKey(keyId, { revokedBy = null, reason = null } = {}) {
+        const key = await this.findKey(keyId);
+
+        if (!key || key.status === 'revoked') {
+            return null;
+        }
+
+        const updates = {
+            status: 'revoked',
+            revoked_at: new Date(),
+            revoked_by: revokedBy,
+            revoke_reason: reason
+        };
+        await this.updateKey(key.key_id, updates);
+        logger.warn(`[ApiKeys] Revoked ${key.key_id} for ${key.merchant_id}`, { revoked_by: revokedBy, reason });
+
+        return this.toPublic({ ...key, ...updates, revoked_at: updates.revoked_at.toISOString() });
+    }
+
+    /**
+     * Expired keys keep their stored status until touched; report the real one
+     */
+    getEffectiveStatus(key) {
+        if (key.status === 'active' && key.expires_at && new Date(key.expires_at) <= new Date()) {
+            return 'expired';
+        }
+        return key.status;
+    }
+
+    async findKey(keyId) {
+        if (!keyId) {
+            return null;
+        }
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('api_keys').find(k => k.key_id === keyId) || null;
+        }
+
+        const [rows] = await db.query('SELECT * FROM qr_api_keys WHERE key_id = ?', [keyId]);
+        return rows.length > 0 ? this.fromRow(rows[0]) : null;
+    }
+
+    async updateKey(keyId, updates) {
+        if (this.useLocalStore()) {
+            const localUpdates = {};
+            for (const [field, value] of Object.entries(updates)) {
+                localUpdates[field] = value instanceof Date ? value.toISOString() : value;
+            }
+            return LocalTransactionStore.updateRecord('api_keys', k => k.key_id === keyId, localUpdates);
+        }
+
+        const fields = Object.keys(updates);
+        await db.query(
+            `UPDATE qr_api_keys SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE key_id = ?`,
+            [...fields.map(field => updates[field]), keyId]
+        );
+    }
+
+    async markUsed(key, ip) {
+        if (key.last_used_at && Date.now() - new Date(key.last_used_at).getTime() < this.USAGE_WRITE_INTERVAL_MS) {
+            return;
+        }
+
+        try {
+            await this.updateKey(key.key_id, { last_used_at: new Date(), last_used_ip: ip || null });
+        } catch (error) {
+            // Usage tracking must never block an authenticated request
+            logger.error(`[ApiKeys] Failed to record usage of ${key.key_id}:`, error);
+        }
+    }
+
+    fromRow(row) {
+        return {
+            ...row,
+            permissions: typeof row.permissions === 'string' ? JSON.parse(row.permissions) : row.permissions
+        };
+    }
+
+    toPublic(key) {
+        const result = {};
+        for (const field of PUBLIC_FIELDS) {
+            result[field] = key[field] === undefined ? null : key[field];
+        }
+        result.status = this.getEffectiveStatus(key);
+        return result;
+    }
+}
+
+module.exports = new ApiKeyService();
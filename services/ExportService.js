@@ -0,0 +1,445 @@
+/**
+ * Export Service
+ * Transaction and QR code reports as CSV, XLSX or PDF (see services/exports),
+ * with the columns the merchant picks. Small reports are written straight to
+ * the response; larger ones run as export jobs: ExportWorker writes the file
+ * to EXPORT_DIR in the background and the merchant downloads it until it
+ * expires after EXPORT_RETENTION_HOURS.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const moment = require('moment');
+const db = require('../config/database');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const TransactionEnquiryService = require('./TransactionEnquiryService');
+const ExportFormats = require('./exports');
+
+// Report types, the scope each needs and the columns they can hold, in default order
+const REPORT_TYPES = {
+    transactions: {
+        title: 'Transaction Report',
+        scope: 'transactions.list',
+        columns: [
+            { key: 'transaction_id', header: 'Transaction ID' },
+            { key: 'qr_identifier', header: 'QR Code' },
+            { key: 'amount', header: 'Amount' },
+            { key: 'status', header: 'Status' },
+            { key: 'customer_vpa', header: 'Payer VPA' },
+            { key: 'customer_name', header: 'Payer Name' },
+            { key: 'payment_method', header: 'Payment Method' },
+            { key: 'reference_number', header: 'Reference Number' },
+            { key: 'bank_reference_number', header: 'Bank RRN' },
+            { key: 'initiated_at', header: 'Initiated At' },
+            { key: 'completed_at', header: 'Completed At' },
+            { key: 'settlement_status', header: 'Settlement Status' },
+            { key: 'mdr_amount', header: 'MDR' },
+            { key: 'gst_amount', header: 'GST' },
+            { key: 'net_amount', header: 'Net Amount' }
+        ]
+    },
+    qr_codes: {
+        title: 'QR Code Report',
+        scope: 'qr.list',
+        columns: [
+            { key: 'qr_id', header: 'QR ID' },
+            { key: 'merchant_id', header: 'Sub-merchant ID' },
+            { key: 'merchant_name', header: 'Merchant Name' },
+            { key: 'reference_name', header: 'Reference Name' },
+            { key: 'vpa', header: 'VPA' },
+            { key: 'transaction_ref', header: 'QR Reference' },
+            { key: 'amount', header: 'Amount' },
+            { key: 'status', header: 'Status' },
+            { key: 'created_at', header: 'Created At' }
+        ]
+    }
+};
+
+// Names the API accepts for a format
+const FORMAT_ALIASES = { excel: 'xlsx' };
+
+const QR_STATUSES = ['active', 'inactive'];
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'failed', 'expired'];
+
+class ExportService {
+    constructor() {
+        this.EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, '..', 'data', 'exports');
+        // Reports up to this size can be downloaded directly; larger ones need a job
+        this.SYNC_MAX_ROWS = parseInt(process.env.EXPORT_SYNC_MAX_ROWS) || 10000;
+        this.MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS) || 100000;
+        this.RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS) || 24;
+        this.MAX_LIST_LIMIT = 50;
+        this.REPORT_TYPES = REPORT_TYPES;
+        this.JOB_STATUSES = JOB_STATUSES;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    error(code, message) {
+        return { success: false, error: { code, message } };
+    }
+
+    /**
+     * Check a report request: { report_type, format, columns, filters }
+     * Resolves the format alias and the default columns. Filters are checked
+     * the way the matching listing checks them.
+     */
+    validate(request = {}) {
+        const { report_type: reportType, columns, filters = {} } = request;
+        const type = REPORT_TYPES[reportType];
+
+        if (!type) {
+            return this.error('VALIDATION_ERROR', `report_type must be one of ${Object.keys(REPORT_TYPES).join(', ')}`);
+        }
+
+        const requested = String(request.format || 'csv').toLowerCase();
+        const format = FORMAT_ALIASES[requested] || requested;
+        if (!ExportFormats.getFormat(format)) {
+            return this.error('UNSUPPORTED_FORMAT', `format must be one of ${ExportFormats.listFormats().join(', ')}`);
+        }
+
+        const known = type.columns.map(column => column.key);
+        let selected = known;
+        if (columns !== undefined && columns !== null) {
+            if (!Array.isArray(columns) || columns.length === 0) {
+                return this.error('VALIDATION_ERROR', 'columns must be a non-empty list');
+            }
+            const unknown = columns.filter(column => !known.includes(column));
+            if (unknown.length > 0) {
+                return this.error('VALIDATION_ERROR', `Unknown columns: ${unknown.join(', ')}. Available: ${known.join(', ')}`);
+            }
+            if (new Set(columns).size !== columns.length) {
+                return this.error('VALIDATION_ERROR', 'columns must not repeat');
+            }
+            selected = columns;
+        }
+
+        if (typeof filters !== 'object' || Array.isArray(filters)) {
+            return this.error('VALIDATION_ERROR', 'filters must be an object');
+        }
+        const checked = reportType === 'transactions'
+            ? TransactionEnquiryService.validate(filters)
+            : this.validateQRFilters(filters);
+        if (!checked.success) {
+            return checked;
+        }
+
+        return {
+            success: true,
+            report: { report_type: reportType, format, columns: selected, filters }
+        };
+    }
+
+    validateQRFilters(filters) {
+        if (filters.status !== undefined && !QR_STATUSES.includes(filters.status)) {
+            return this.error('VALIDATION_ERROR', `status must be one of ${QR_STATUSES.join(', ')}`);
+        }
+        for (const field of ['from_date', 'to_date']) {
+            if (filters[field] !== undefined && !moment(filters[field], 'YYYY-MM-DD', true).isValid()) {
+                return this.error('VALIDATION_ERROR', `${field} must be a date (YYYY-MM-DD)`);
+            }
+        }
+        return { success: true };
+    }
+
+    /**
+     * Rows of a validated report, in the listing's order
+     * Fails with TOO_MANY_RESULTS above maxRows
+     */
+    async fetchRows(tenant, report, maxRows) {
+        if (report.report_type === 'transactions') {
+            return TransactionEnquiryService.exportAll(tenant, report.filters, maxRows);
+        }
+
+        const { status, from_date: fromDate, to_date: toDate } = report.filters;
+        const result = await LocalTransactionStore.listQRCodesForTenant(tenant, { status, fromDate, toDate }, { limit: maxRows });
+        if (result.total > maxRows) {
+            return this.error('TOO_MANY_RESULTS', `The report has more than ${maxRows} rows; narrow the filters`);
+        }
+
+        return {
+            success: true,
+            rows: result.records.map(qr => ({
+                qr_id: qr.id,
+                merchant_id: qr.merchant_id,
+                merchant_name: qr.merchant_name,
+                reference_name: qr.reference_name,
+                vpa: qr.vpa,
+                transaction_ref: qr.transaction_ref,
+                amount: qr.amount,
+                status: qr.status,
+                created_at: qr.created_at
+            }))
+        };
+    }
+
+    /**
+     * Write a report's rows to a stream in its format; the stream is ended
+     */
+    async write(output, tenant, report, rows) {
+        const type = REPORT_TYPES[report.report_type];
+        const columns = report.columns.map(key => type.columns.find(column => column.key === key));
+        const owner = tenant.subMerchantId ? `${tenant.merchantId} / ${tenant.subMerchantId}` : tenant.merchantId;
+
+        await ExportFormats.getFormat(report.format).write(output, columns, rows, {
+            title: type.title,
+            subtitle: `Merchant ${owner} - ${rows.length} records - generated ${moment().format('YYYY-MM-DD HH:mm')}`
+        });
+    }
+
+    getContentType(format) {
+        return ExportFormats.getFormat(format).contentType;
+    }
+
+    getFileName(reportType, format, date = new Date()) {
+        return `${reportType}-${moment(date).format('YYYY-MM-DD')}.${ExportFormats.getFormat(format).extension}`;
+    }
+
+    // =================== Export Jobs ===================
+
+    /**
+     * Queue a validated report for ExportWorker
+     */
+    async createJob(tenant, report, createdBy = null) {
+        const job = {
+            export_id: `exp_${crypto.randomBytes(12).toString('hex')}`,
+            merchant_id: tenant.merchantId,
+            // Scoped like the key that asked, so a sub-merchant only exports its own data
+            sub_merchant_id: tenant.subMerchantId || null,
+            report_type: report.report_type,
+            format: report.format,
+            columns: report.columns,
+            filters: report.filters,
+            status: 'queued',
+            row_count: null,
+            file_size: null,
+            error_message: null,
+            locked_at: null,
+            created_by: createdBy,
+            created_at: new Date().toISOString(),
+            completed_at: null,
+            expires_at: null
+        };
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.insertRecord('export_jobs', job);
+        }
+
+        await db.query(
+            `INSERT INTO qr_export_jobs (
+                export_id, merchant_id, sub_merchant_id, report_type, format,
+                columns, filters, status, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                job.export_id,
+                job.merchant_id,
+                job.sub_merchant_id,
+                job.report_type,
+                job.format,
+                JSON.stringify(job.columns),
+                JSON.stringify(job.filters),
+                job.status,
+                job.created_by
+            ]
+        );
+        return this.findJob(job.export_id);
+    }
+
+    /**
+     * A tenant's export job; another tenant's is reported as missing
+     */
+    async getJob(tenant, exportId) {
+        const job = await this.findJob(exportId);
+        return job && LocalTransactionStore.ownsRecord(tenant, job.merchant_id, job.sub_merchant_id) ? job : null;
+    }
+
+    async listJobs(tenant, filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || 20, this.MAX_LIST_LIMIT);
+        const status = JOB_STATUSES.includes(filters.status) ? filters.status : null;
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('export_jobs')
+                .filter(job =>
+                    LocalTransactionStore.ownsRecord(tenant, job.merchant_id, job.sub_merchant_id) &&
+                    (!status || job.status === status)
+                )
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+                .slice(0, limit);
+        }
+
+        const whereConditions = ['merchant_id = ?'];
+        const queryParams = [tenant.merchantId];
+
+        if (tenant.subMerchantId) {
+            whereConditions.push('sub_merchant_id = ?');
+            queryParams.push(tenant.subMerchantId);
+        }
+        if (status) {
+            whereConditions.push('status = ?');
+            queryParams.push(status);
+        }
+
+        const [rows] = await db.query(
+            `SELECT * FROM qr_export_jobs
+             WHERE ${whereConditions.join(' AND ')}
+             ORDER BY created_at DESC, id DESC
+             LIMIT ?`,
+            [...queryParams, limit]
+        );
+        return rows.map(row => this.fromRow(row));
+    }
+
+    async findJob(exportId) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('export_jobs')
+                .find(job => job.export_id === exportId) || null;
+        }
+
+        const [rows] = await db.query('SELECT * FROM qr_export_jobs WHERE export_id = ?', [exportId]);
+        return rows.length > 0 ? this.fromRow(rows[0]) : null;
+    }
+
+    /**
+     * Mark a job as being generated by this instance
+     * Queued jobs can be claimed, and ones whose generator stopped before leaseExpiredBefore
+     */
+    async claimJob(exportId, leaseExpiredBefore) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.updateRecord(
+                'export_jobs',
+                job => job.export_id === exportId && (
+                    job.status === 'queued' ||
+                    (job.status === 'processing' && (!job.locked_at || new Date(job.locked_at) < leaseExpiredBefore))
+                ),
+                { status: 'processing', locked_at: new Date().toISOString() }
+            );
+        }
+
+        const [result] = await db.query(
+            `UPDATE qr_export_jobs
+             SET status = 'processing', locked_at = CURRENT_TIMESTAMP
+             WHERE export_id = ?
+             AND (status = 'queued'
+                  OR (status = 'processing' AND (locked_at IS NULL OR locked_at < ?)))`,
+            [exportId, leaseExpiredBefore]
+        );
+        return result.affectedRows === 1 ? this.findJob(exportId) : null;
+    }
+
+    /**
+     * Jobs waiting to be generated, oldest first, including abandoned ones
+     */
+    async getDueJobs(limit, leaseExpiredBefore) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('export_jobs')
+                .filter(job =>
+                    job.status === 'queued' ||
+                    (job.status === 'processing' && job.locked_at && new Date(job.locked_at) < leaseExpiredBefore)
+                )
+                .slice(0, limit);
+        }
+
+        const [rows] = await db.query(
+            `SELECT export_id FROM qr_export_jobs
+             WHERE status = 'queued'
+             OR (status = 'processing' AND locked_at < ?)
+             ORDER BY id ASC
+             LIMIT ?`,
+            [leaseExpiredBefore, limit]
+        );
+        return rows;
+    }
+
+    /**
+     * Completed jobs past their expiry, whose files can be removed
+     */
+    async getExpiredJobs(limit, now = new Date()) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('export_jobs')
+                .filter(job => job.status === 'completed' && job.expires_at && new Date(job.expires_at) <= now)
+                .slice(0, limit);
+        }
+
+        const [rows] = await db.query(
+            `SELECT * FROM qr_export_jobs
+             WHERE status = 'completed' AND expires_at <= ?
+             ORDER BY id ASC
+             LIMIT ?`,
+            [now, limit]
+        );
+        return rows.map(row => this.fromRow(row));
+    }
+
+    /**
+     * Record the outcome of a job: status completed, failed or expired
+     */
+    async finishJob(exportId, status, { rowCount = null, fileSize = null, error = null } = {}) {
+        const now = new Date();
+        const updates = { status, locked_at: null };
+
+        if (status === 'completed') {
+            Object.assign(updates, {
+                row_count: rowCount,
+                file_size: fileSize,
+                completed_at: now.toISOString(),
+                expires_at: moment(now).add(this.RETENTION_HOURS, 'hours').toISOString()
+            });
+        } else if (status === 'failed') {
+            Object.assign(updates, { error_message: error, completed_at: now.toISOString() });
+        }
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.updateRecord('export_jobs', job => job.export_id === exportId, updates);
+        }
+
+        const columns = Object.keys(updates);
+        const values = columns.map(column =>
+            ['completed_at', 'expires_at'].includes(column) ? new Date(updates[column]) : updates[column]
+        );
+        await db.query(
+            `UPDATE qr_export_jobs SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE export_id = ?`,
+            [...values, exportId]
+        );
+        return this.findJob(exportId);
+    }
+
+    // Where a job's file is kept
+    getFilePath(job) {
+        return path.join(this.EXPORT_DIR, `${job.export_id}.${ExportFormats.getFormat(job.format).extension}`);
+    }
+
+    // =================== Helpers ===================
+
+    fromRow(row) {
+        return {
+            ...row,
+            columns: typeof row.columns === 'string' ? JSON.parse(row.columns) : row.columns,
+            filters: typeof row.filters === 'string' ? JSON.parse(row.filters) : row.filters
+        };
+    }
+
+    toResponse(job) {
+        const toIso = (value) => value ? new Date(value).toISOString() : null;
+        return {
+            export_id: job.export_id,
+            report_type: job.report_type,
+            format: job.format,
+            columns: job.columns,
+            filters: job.filters,
+            status: job.status,
+            row_count: job.row_count,
+            file_size: job.file_size,
+            error: job.error_message || null,
+            download_url: job.status === 'completed'
+                ? `/api/v1/merchant/reports/exports/${job.export_id}/download`
+                : null,
+            created_at: toIso(job.created_at),
+            completed_at: toIso(job.completed_at),
+            expires_at: toIso(job.expires_at)
+        };
+    }
+}
+
+module.exports = new ExportService();
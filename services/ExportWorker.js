@@ -0,0 +1,138 @@
+/**
+ * Export Worker
+ * Generates queued export jobs (see ExportService) into EXPORT_DIR and
+ * removes their files once they expire. A new job is started right away;
+ * the poller picks up jobs left behind by an instance that stopped.
+ */
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+const ExportService = require('./ExportService');
+
+class ExportWorker {
+    constructor() {
+        this.POLL_INTERVAL_MS = parseInt(process.env.EXPORT_POLL_INTERVAL_MS) || 30 * 1000;
+        // A job locked for longer than this is considered abandoned (crashed worker)
+        this.LEASE_MS = 15 * 60 * 1000;
+        this.BATCH_SIZE = 5;
+
+        this.timer = null;
+        this.polling = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.poll(), this.POLL_INTERVAL_MS);
+        // Never keep the process alive just for the worker
+        this.timer.unref();
+        logger.info(`[ExportWorker] Started (poll every ${this.POLL_INTERVAL_MS}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Generate a freshly created job outside the caller's request
+     */
+    enqueue(job) {
+        setImmediate(async () => {
+            try {
+                const claimed = await ExportService.claimJob(job.export_id, this.leaseExpiredBefore());
+                if (claimed) {
+                    await this.processJob(claimed);
+                }
+            } catch (error) {
+                logger.error(`[ExportWorker] Error generating ${job.export_id}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Run one cycle: generate due jobs, then expire old files
+     */
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+
+        this.polling = true;
+        try {
+            const leaseExpiredBefore = this.leaseExpiredBefore();
+            const due = await ExportService.getDueJobs(this.BATCH_SIZE, leaseExpiredBefore);
+
+            for (const { export_id } of due) {
+                // Another instance may have claimed it in the meantime
+                const claimed = await ExportService.claimJob(export_id, leaseExpiredBefore);
+                if (claimed) {
+                    await this.processJob(claimed);
+                }
+            }
+
+            await this.expireFiles();
+        } catch (error) {
+            logger.error('[ExportWorker] Poll failed:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Generate the file of an already-claimed job
+     * It is written under a temporary name and renamed when complete, so a
+     * download never sees half a file.
+     */
+    async processJob(job) {
+        const tenant = { merchantId: job.merchant_id, subMerchantId: job.sub_merchant_id || null };
+        const report = {
+            report_type: job.report_type,
+            format: job.format,
+            columns: job.columns,
+            filters: job.filters || {}
+        };
+
+        try {
+            const result = await ExportService.fetchRows(tenant, report, ExportService.MAX_ROWS);
+            if (!result.success) {
+                return ExportService.finishJob(job.export_id, 'failed', { error: result.error.message });
+            }
+
+            const filePath = ExportService.getFilePath(job);
+            const partPath = `${filePath}.part`;
+            fs.mkdirSync(ExportService.EXPORT_DIR, { recursive: true });
+
+            await ExportService.write(fs.createWriteStream(partPath), tenant, report, result.rows);
+            fs.renameSync(partPath, filePath);
+
+            logger.info(`[ExportWorker] ${job.export_id}: ${result.rows.length} rows as ${job.format}`);
+            return ExportService.finishJob(job.export_id, 'completed', {
+                rowCount: result.rows.length,
+                fileSize: fs.statSync(filePath).size
+            });
+        } catch (error) {
+            logger.error(`[ExportWorker] ${job.export_id} failed:`, error);
+            return ExportService.finishJob(job.export_id, 'failed', { error: 'Report generation failed' });
+        }
+    }
+
+    async expireFiles() {
+        const expired = await ExportService.getExpiredJobs(this.BATCH_SIZE * 10);
+
+        for (const job of expired) {
+            fs.rmSync(ExportService.getFilePath(job), { force: true });
+            await ExportService.finishJob(job.export_id, 'expired');
+        }
+    }
+
+    leaseExpiredBefore() {
+        return new Date(Date.now() - this.LEASE_MS);
+    }
+}
+
+module.exports = new ExportWorker();
@@ -0,0 +1,150 @@
+/**
+ * Fee Service
+ * Works out what a merchant is charged on a payment (MDR) and the GST on
+ * that charge, from the merchant's pricing in qr_merchant_config:
+ *
+ *   1. UPI payments up to zero_mdr_upi_limit carry no MDR at all
+ *   2. otherwise the first of transaction_charge_slabs whose max_amount
+ *      covers the payment sets the rate; without slabs, or when none
+ *      matches, transaction_charge_percent and transaction_charge_fixed apply
+ *   3. the charge is kept within transaction_charge_min / transaction_charge_max
+ *   4. GST at gst_percent is charged on the result
+ *
+ * Everything is computed in whole paise and rounded half up once per step,
+ * so the breakdown stored on a transaction always adds up to the paisa.
+ */
+
+const MerchantConfigService = require('./MerchantConfigService');
+
+class FeeService {
+    toPaise(amount) {
+        return Math.round(parseFloat(amount || 0) * 100);
+    }
+
+    fromPaise(paise) {
+        return paise / 100;
+    }
+
+    /**
+     * Exact decimal digits and scale of a rate: 1.875 -> [1875n, 3]
+     */
+    toDecimal(value) {
+        const [mantissa, exponent = '0'] = String(parseFloat(value) || 0).split('e');
+        const [whole, fraction = ''] = mantissa.split('.');
+        const scale = fraction.length - parseInt(exponent);
+        const digits = BigInt(whole + fraction);
+        return scale >= 0 ? [digits, scale] : [digits * 10n ** BigInt(-scale), 0];
+    }
+
+    /**
+     * percent of paise, rounded half up to the paisa
+     * The rate is applied at full precision in integer arithmetic and the
+     * result rounded once, so no float rounding creeps in
+     */
+    percentOf(paise, percent) {
+        const [digits, scale] = this.toDecimal(percent);
+        const denominator = 100n * 10n ** BigInt(scale);
+        const scaled = BigInt(paise) * digits;
+        // Floor division, so halves round up for negative amounts too
+        let quotient = (2n * scaled + denominator) / (2n * denominator);
+        if ((2n * scaled + denominator) % (2n * denominator) < 0n) {
+            quotient -= 1n;
+        }
+        return Number(quotient);
+    }
+
+    /**
+     * Current pricing of a merchant, with schema defaults
+     */
+    async getConfig(merchantId, connection = null) {
+        return MerchantConfigService.getConfig(merchantId, connection);
+    }
+
+    // Slabs come back from MySQL as a JSON string
+    getSlabs(config) {
+        let slabs = config.transaction_charge_slabs;
+        if (typeof slabs === 'string') {
+            try {
+                slabs = JSON.parse(slabs);
+            } catch (error) {
+                slabs = null;
+            }
+        }
+        return Array.isArray(slabs) ? slabs : [];
+    }
+
+    /**
+     * Fee breakdown for a payment of amount (rupees)
+     * paymentMethod decides whether the zero-MDR rule applies (UPI only).
+     * Returns { amount, rule (zero_mdr|slab|standard), rate_percent, fixed_fee,
+     * capped (min|max|null), mdr_amount, gst_percent, gst_amount, total_fee, net_amount }
+     */
+    calculate(amount, config, { paymentMethod = 'UPI' } = {}) {
+        const amountPaise = this.toPaise(amount);
+        const upi = String(paymentMethod || 'UPI').toUpperCase() === 'UPI';
+
+        let rule = 'standard';
+        let percent = parseFloat(config.transaction_charge_percent || 0);
+        let fixedPaise = this.toPaise(config.transaction_charge_fixed);
+
+        const zeroMdrLimit = config.zero_mdr_upi_limit;
+        const slab = this.getSlabs(config).find(s =>
+            s.max_amount === null || s.max_amount === undefined || amountPaise <= this.toPaise(s.max_amount)
+        );
+
+        if (upi && zeroMdrLimit !== null && zeroMdrLimit !== undefined && amountPaise <= this.toPaise(zeroMdrLimit)) {
+            rule = 'zero_mdr';
+            percent = 0;
+            fixedPaise = 0;
+        } else if (slab) {
+            rule = 'slab';
+            percent = parseFloat(slab.percent || 0);
+            fixedPaise = this.toPaise(slab.fixed);
+        }
+
+        let mdrPaise = this.percentOf(amountPaise, percent) + fixedPaise;
+        let capped = null;
+
+        if (rule !== 'zero_mdr') {
+            const minPaise = config.transaction_charge_min !== null && config.transaction_charge_min !== undefined
+                ? this.toPaise(config.transaction_charge_min)
+                : null;
+            const maxPaise = config.transaction_charge_max !== null && config.transaction_charge_max !== undefined
+                ? this.toPaise(config.transaction_charge_max)
+                : null;
+
+            if (minPaise !== null && mdrPaise < minPaise) {
+                mdrPaise = minPaise;
+                capped = 'min';
+            }
+            if (maxPaise !== null && mdrPaise > maxPaise) {
+                mdrPaise = maxPaise;
+                capped = 'max';
+            }
+        }
+
+        const gstPaise = this.percentOf(mdrPaise, config.gst_percent);
+
+        return {
+            amount: this.fromPaise(amountPaise),
+            rule,
+            rate_percent: percent,
+            fixed_fee: this.fromPaise(fixedPaise),
+            capped,
+            mdr_amount: this.fromPaise(mdrPaise),
+            gst_percent: parseFloat(config.gst_percent || 0),
+            gst_amount: this.fromPaise(gstPaise),
+            total_fee: this.fromPaise(mdrPaise + gstPaise),
+            net_amount: this.fromPaise(amountPaise - mdrPaise - gstPaise)
+        };
+    }
+
+    /**
+     * Fee breakdown for a merchant's payment with the merchant's current pricing
+     */
+    async calculateFor(merchantId, amount, options = {}, connection = null) {
+        return this.calculate(amount, await this.getConfig(merchantId, connection), options);
+    }
+}
+
+module.exports = new FeeService();
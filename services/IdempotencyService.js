@@ -0,0 +1,173 @@
+/**
+ * Merchant API Idempotency Keys
+ * A mutating request sent with an Idempotency-Key header runs once per tenant:
+ * the first response is stored for IDEMPOTENCY_KEY_TTL_HOURS and returned again
+ * for any retry with the same key and the same request. The same key on a
+ * different request (method, path or body) is refused.
+ *
+ * While the first request runs, its key is locked for IDEMPOTENCY_LOCK_SECONDS;
+ * a request that dies without answering frees the key once the lock expires.
+ * Stored responses can include API secrets, so bodies are kept encrypted.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const ApiKeyService = require('./ApiKeyService');
+
+class IdempotencyService {
+    constructor() {
+        this.TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+        this.LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    // Printable ASCII without spaces, e.g. a UUID
+    isValidKey(idempotencyKey) {
+        return /^[\x21-\x7E]{1,255}$/.test(String(idempotencyKey));
+    }
+
+    /**
+     * Identify a key within a tenant; sub-merchants of one merchant never share keys
+     */
+    getRecordKey(tenant, idempotencyKey) {
+        return crypto.createHash('sha256')
+            .update([tenant.merchantId, tenant.subMerchantId || '', idempotencyKey].join('\n'))
+            .digest('hex');
+    }
+
+    hashRequest({ method, path, body }) {
+        return crypto.createHash('sha256')
+            .update([String(method).toUpperCase(), path, JSON.stringify(body || {})].join('\n'))
+            .digest('hex');
+    }
+
+    /**
+     * Claim a key for a request
+     * Returns one of:
+     * - { state: 'new', recordKey, claimId }: run the request, then complete() or release()
+     * - { state: 'replay', response: { status, body } }: the stored first response
+     * - { state: 'mismatch' }: the key was used for a different request
+     * - { state: 'in_progress' }: the first request has not answered yet
+     */
+    async begin({ tenant, idempotencyKey, requestHash }) {
+        const recordKey = this.getRecordKey(tenant, idempotencyKey);
+        const claimId = crypto.randomBytes(16).toString('hex');
+        const now = new Date();
+        const lockedUntil = new Date(now.getTime() + this.LOCK_SECONDS * 1000);
+
+        let record;
+        if (this.useLocalStore()) {
+            const entries = LocalTransactionStore.getCollection('idempotency_keys')
+                .filter(e => new Date(e.expires_at) > now);
+            record = entries.find(e => e.record_key === recordKey);
+
+            if (!record) {
+                // Expired entries are dropped on write
+                LocalTransactionStore.saveCollection('idempotency_keys', [...entries, {
+                    record_key: recordKey,
+                    merchant_id: tenant.merchantId,
+                    key_id: tenant.keyId,
+                    request_hash: requestHash,
+                    status: 'processing',
+                    claim_id: claimId,
+                    expires_at: lockedUntil.toISOString(),
+                    created_at: now.toISOString()
+                }]);
+                return { state: 'new', recordKey, claimId };
+            }
+        } else {
+            // Claim the key, or take it over if its entry (or lock) has expired
+            await db.query(
+                `INSERT INTO qr_idempotency_keys
+                    (record_key, merchant_id, key_id, request_hash, status, claim_id, expires_at)
+                 VALUES (?, ?, ?, ?, 'processing', ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                    merchant_id = IF(expires_at < CURRENT_TIMESTAMP, VALUES(merchant_id), merchant_id),
+                    key_id = IF(expires_at < CURRENT_TIMESTAMP, VALUES(key_id), key_id),
+                    request_hash = IF(expires_at < CURRENT_TIMESTAMP, VALUES(request_hash), request_hash),
+                    response_status = IF(expires_at < CURRENT_TIMESTAMP, NULL, response_status),
+                    response_body = IF(expires_at < CURRENT_TIMESTAMP, NULL, response_body),
+                    status = IF(expires_at < CURRENT_TIMESTAMP, 'processing', status),
+                    claim_id = IF(expires_at < CURRENT_TIMESTAMP, VALUES(claim_id), claim_id),
+                    created_at = IF(expires_at < CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, created_at),
+                    expires_at = IF(expires_at < CURRENT_TIMESTAMP, VALUES(expires_at), expires_at)`,
+                [recordKey, tenant.merchantId, tenant.keyId, requestHash, claimId, lockedUntil]
+            );
+
+            const [rows] = await db.query(
+                `SELECT request_hash, status, claim_id, response_status, response_body
+                 FROM qr_idempotency_keys WHERE record_key = ?`,
+                [recordKey]
+            );
+            record = rows[0];
+
+            if (record.claim_id === claimId) {
+                return { state: 'new', recordKey, claimId };
+            }
+        }
+
+        if (record.request_hash !== requestHash) {
+            return { state: 'mismatch' };
+        }
+        if (record.status !== 'completed') {
+            return { state: 'in_progress' };
+        }
+
+        return {
+            state: 'replay',
+            response: {
+                status: record.response_status,
+                body: JSON.parse(ApiKeyService.decryptSecret(record.response_body))
+            }
+        };
+    }
+
+    /**
+     * Store the response to a claimed key and keep it for the TTL
+     */
+    async complete(recordKey, claimId, { status, body }) {
+        const updates = {
+            status: 'completed',
+            response_status: status,
+            response_body: ApiKeyService.encryptSecret(JSON.stringify(body === undefined ? null : body)),
+            expires_at: new Date(Date.now() + this.TTL_HOURS * 60 * 60 * 1000)
+        };
+
+        if (this.useLocalStore()) {
+            await LocalTransactionStore.updateRecord('idempotency_keys',
+                e => e.record_key === recordKey && e.claim_id === claimId,
+                { ...updates, expires_at: updates.expires_at.toISOString(), completed_at: new Date().toISOString() });
+            return;
+        }
+
+        await db.query(
+            `UPDATE qr_idempotency_keys
+             SET status = ?, response_status = ?, response_body = ?, expires_at = ?, completed_at = CURRENT_TIMESTAMP
+             WHERE record_key = ? AND claim_id = ?`,
+            [updates.status, updates.response_status, updates.response_body, updates.expires_at, recordKey, claimId]
+        );
+    }
+
+    /**
+     * Free a claimed key without storing a response, so a retry runs the request again
+     */
+    async release(recordKey, claimId) {
+        if (this.useLocalStore()) {
+            LocalTransactionStore.saveCollection('idempotency_keys',
+                LocalTransactionStore.getCollection('idempotency_keys')
+                    .filter(e => !(e.record_key === recordKey && e.claim_id === claimId)));
+            return;
+        }
+
+        await db.query(
+            'DELETE FROM qr_idempotency_keys WHERE record_key = ? AND claim_id = ?',
+            [recordKey, claimId]
+        );
+    }
+}
+
+module.exports = new IdempotencyService();
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const TransactionStateMachine = require('./TransactionStateMachine');
+const { keysetPage } = require('../utils/cursor');
 
 /**
  * Local file-based transaction storage for testing
@@ -7,7 +9,7 @@ const path = require('path');
  */
 class LocalTransactionStore {
     constructor() {
-        this.dataDir = path.join(__dirname, '..', 'data');
+        this.dataDir = process.env.LOCAL_DATA_DIR || path.join(__dirname, '..', 'data');
         this.transactionsFile = path.join(this.dataDir, 'transactions.json');
         this.qrCodesFile = path.join(this.dataDir, 'qr_codes.json');
         
@@ -38,28 +40,42 @@ class LocalTransactionStore {
     }
 
     // Save transaction to local file
-    async saveTransaction(transactionData) {
+    // An existing transaction only moves to a new state the state machine allows
+    async saveTransaction(transactionData, state = null, source = 'hdfc_webhook') {
         try {
             // Read existing transactions
             const transactions = this.getTransactions();
+            const newState = state || TransactionStateMachine.normalizeStatus(transactionData.transactionStatus);
             
-            // Check for duplicate
-            const exists = transactions.find(t => t.transactionId === transactionData.transactionId);
+            // Check for an existing transaction; reversal notices may only quote the bank reference
+            const exists = transactions.find(t => t.transactionId === transactionData.transactionId) ||
+                (newState === 'reversed' && transactionData.bankRRN
+                    ? transactions.find(t => t.bankRRN === transactionData.bankRRN)
+                    : undefined);
             if (exists) {
-                console.log(`⚠️ Transaction ${transactionData.transactionId} already exists`);
-                return { success: true, duplicate: true };
+                return this.applyStatusChange(exists, transactionData, newState, source);
             }
             
+            // Owning merchant comes from the QR code the payment was made to
+            const qrCode = this.findQRCodeByReference(transactionData.qrIdentifier);
+            
             // Format transaction for storage
             const transaction = {
                 id: transactions.length + 1,
                 transactionId: transactionData.transactionId || `TXN${Date.now()}`,
                 qrId: transactionData.merchantTxnId?.substring(3, 9) || 'QR001',
+                // Reference of the QR code that was paid (its transaction_ref)
+                qrIdentifier: transactionData.qrIdentifier || null,
+                merchantId: transactionData.merchantId,
+                ownerMerchantId: qrCode ? this.getQRCodeOwner(qrCode) : null,
+                subMerchantId: qrCode ? qrCode.merchant_id || null : null,
+                acquirer: transactionData.acquirer || 'hdfc',
                 merchantName: transactionData.merchantName || 'Merchant',
                 merchantTxnId: transactionData.merchantTxnId,
                 bankRRN: transactionData.bankRRN,
                 amount: parseFloat(transactionData.amount),
-                status: transactionData.transactionStatus,
+                status: this.toLocalStatus(transactionData.transactionStatus, newState),
+                settlementStatus: TransactionStateMachine.getSettlementStatus(newState, null),
                 payerVPA: transactionData.payerVPA,
                 payerName: transactionData.payerName,
                 mobileNumber: transactionData.mobileNumber,
@@ -71,16 +87,32 @@ class LocalTransactionStore {
                 mcc: transactionData.mcc,
                 tipAmount: parseFloat(transactionData.tipAmount) || 0,
                 convenienceFee: parseFloat(transactionData.convenienceFee) || 0,
-                netAmount: parseFloat(transactionData.netAmount),
+                // Set from the fee breakdown once the payment succeeds
+                fees: null,
+                netAmount: null,
                 checksum: transactionData.checksum,
-                createdAt: new Date().toISOString()
+                createdAt: new Date().toISOString(),
+                // When the payment succeeded; settlement cycles count from here
+                completedAt: newState === 'success' ? new Date().toISOString() : null
             };
             
+            if (newState === 'success') {
+                await this.applyFees(transaction);
+            }
+            
             // Add to transactions array
             transactions.push(transaction);
             
             // Save to file
             fs.writeFileSync(this.transactionsFile, JSON.stringify(transactions, null, 2));
+            await this.insertRecord('transaction_audit', {
+                transaction_id: transaction.transactionId,
+                action: 'CREATED',
+                old_status: null,
+                new_status: newState,
+                changed_by: source,
+                created_at: new Date().toISOString()
+            });
             
             console.log(`✅ Transaction saved locally: ${transaction.transactionId}`);
             console.log(`   Amount: ₹${transaction.amount}`);
@@ -98,6 +130,76 @@ class LocalTransactionStore {
         }
     }
 
+    // Move an existing local transaction to a new state, or reject the change
+    async applyStatusChange(existing, transactionData, newState, source) {
+        const transition = TransactionStateMachine.evaluateTransition(existing.status, newState);
+
+        if (transition.noop) {
+            console.log(`⚠️ Transaction ${existing.transactionId} already ${transition.to}`);
+            return { success: true, duplicate: true };
+        }
+
+        if (!transition.allowed) {
+            // Required here rather than at the top: the exception service depends on this store
+            const TransactionExceptionService = require('./TransactionExceptionService');
+            const exception = await TransactionExceptionService.record({
+                transaction_id: existing.transactionId,
+                merchant_id: transactionData.merchantId,
+                current_status: transition.from,
+                attempted_status: newState,
+                reason: transition.reason,
+                source,
+                payload: transactionData
+            });
+            console.log(`⚠️ Rejected ${transition.reason} for ${existing.transactionId}`);
+            return { success: false, rejected: true, reason: transition.reason, exception_id: exception.id };
+        }
+
+        const transactions = this.getTransactions();
+        const transaction = transactions.find(t => t.transactionId === existing.transactionId);
+        transaction.status = this.toLocalStatus(transactionData.transactionStatus, transition.to);
+        transaction.settlementStatus = TransactionStateMachine.getSettlementStatus(transition.to, transaction.settlementStatus || null);
+        transaction.bankRRN = transactionData.bankRRN || transaction.bankRRN;
+        transaction.statusDescription = transactionData.statusDescription;
+        transaction.updatedAt = new Date().toISOString();
+        if (transition.to === 'success' && !transaction.completedAt) {
+            transaction.completedAt = transaction.updatedAt;
+        }
+        if (transition.to === 'success' && !transaction.fees) {
+            await this.applyFees(transaction);
+        }
+        this.saveTransactions(transactions);
+
+        await this.insertRecord('transaction_audit', {
+            transaction_id: transaction.transactionId,
+            action: 'STATUS_CHANGE',
+            old_status: transition.from,
+            new_status: transition.to,
+            changed_by: source,
+            created_at: new Date().toISOString()
+        });
+
+        console.log(`✅ Transaction ${transaction.transactionId}: ${transition.from} -> ${transition.to}`);
+        return { success: true, transaction, previous_status: transition.from };
+    }
+
+    // Charge the merchant's fees once the payment succeeds; later state changes keep them
+    async applyFees(transaction) {
+        // Required here rather than at the top: the fee service depends on this store
+        const FeeService = require('./FeeService');
+        transaction.fees = await FeeService.calculateFor(transaction.ownerMerchantId, transaction.amount, {
+            paymentMethod: transaction.paymentMode
+        });
+        transaction.netAmount = transaction.fees.net_amount;
+    }
+
+    // Keep the bank's spelling unless the state was derived (e.g. a timeout FAILURE is pending)
+    toLocalStatus(bankStatus, state) {
+        return TransactionStateMachine.normalizeStatus(bankStatus) === state
+            ? bankStatus
+            : state.toUpperCase();
+    }
+
     // Get all transactions
     getTransactions() {
         try {
@@ -109,6 +211,11 @@ class LocalTransactionStore {
         }
     }
 
+    // Overwrite the transactions file
+    saveTransactions(transactions) {
+        fs.writeFileSync(this.transactionsFile, JSON.stringify(transactions, null, 2));
+    }
+
     // Get transactions by QR ID
     getTransactionsByQR(qrId) {
         const transactions = this.getTransactions();
@@ -180,55 +287,211 @@ class LocalTransactionStore {
         return transactions.some(t => t.transactionId === transactionId);
     }
 
-    // =================== Bulk QR Methods ===================
-    
-    // Get QR codes by merchant
-    async getQRCodesByMerchant(merchantId) {
+    // =================== Generic Collections ===================
+
+    // Resolve the JSON file backing a named collection
+    getCollectionFile(name) {
+        return path.join(this.dataDir, `${name}.json`);
+    }
+
+    // Get all records of a named collection (created lazily)
+    getCollection(name) {
+        const file = this.getCollectionFile(name);
         try {
-            const qrCodes = this.getQRCodes();
-            // Return mock data if no QR codes exist
-            if (qrCodes.length === 0) {
-                return [
-                    {
-                        qr_id: 'qr_demo_001',
-                        merchant_id: merchantId,
-                        merchant_name: 'Demo Merchant',
-                        amount: 100.00,
-                        vpa: `demo.${merchantId}@hdfc`,
-                        status: 'active',
-                        created_at: new Date().toISOString()
-                    }
-                ];
+            if (!fs.existsSync(file)) {
+                return [];
             }
-            return qrCodes.filter(q => q.merchant_id === merchantId || q.api_key_id === merchantId);
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
         } catch (error) {
-            console.error('Error getting QR codes by merchant:', error);
+            console.error(`Error reading ${name}:`, error);
             return [];
         }
     }
 
-    // Get transactions by merchant
-    async getTransactionsByMerchant(merchantId) {
-        try {
-            const transactions = this.getTransactions();
-            // Return mock data if no transactions exist
-            if (transactions.length === 0) {
-                return [
-                    {
-                        transaction_id: 'TXN_DEMO_001',
-                        merchant_id: merchantId,
-                        amount: 100.00,
-                        status: 'success',
-                        payer_vpa: 'customer@upi',
-                        timestamp: new Date().toISOString()
-                    }
-                ];
-            }
-            return transactions.filter(t => t.merchant_id === merchantId);
-        } catch (error) {
-            console.error('Error getting transactions by merchant:', error);
-            return [];
+    // Replace all records of a named collection
+    saveCollection(name, records) {
+        fs.writeFileSync(this.getCollectionFile(name), JSON.stringify(records, null, 2));
+    }
+
+    // Append a record with a sequential id
+    async insertRecord(name, recordData) {
+        const records = this.getCollection(name);
+        const record = {
+            id: records.length > 0 ? records[records.length - 1].id + 1 : 1,
+            ...recordData
+        };
+
+        records.push(record);
+        this.saveCollection(name, records);
+
+        return record;
+    }
+
+    // Update the first record matching predicate
+    async updateRecord(name, predicate, updates) {
+        const records = this.getCollection(name);
+        const index = records.findIndex(predicate);
+
+        if (index === -1) {
+            return null;
+        }
+
+        records[index] = { ...records[index], ...updates };
+        this.saveCollection(name, records);
+
+        return records[index];
+    }
+
+    // =================== Webhook Event Journal ===================
+
+    // Get all journaled webhook events
+    getWebhookEvents() {
+        return this.getCollection('webhook_events');
+    }
+
+    // Get webhook event by event ID
+    getWebhookEventById(eventId) {
+        return this.getWebhookEvents().find(e => e.event_id === eventId) || null;
+    }
+
+    // Append a webhook event to the journal
+    async saveWebhookEvent(eventData) {
+        return this.insertRecord('webhook_events', eventData);
+    }
+
+    // Update fields on a journaled webhook event
+    async updateWebhookEvent(eventId, updates) {
+        return this.updateRecord('webhook_events', e => e.event_id === eventId, updates);
+    }
+
+    // =================== Bulk QR Methods ===================
+    
+    // =================== Tenant-Scoped Queries ===================
+    // tenant: req.tenant ({ merchantId, subMerchantId }). A QR code belongs to
+    // the merchant whose key created it; a sub-merchant key is further limited
+    // to QR codes issued under its sub-merchant ID. Transactions belong to the
+    // owner of the QR code they were paid to.
+
+    ownsRecord(tenant, ownerMerchantId, subMerchantId) {
+        return Boolean(tenant && tenant.merchantId) &&
+            ownerMerchantId === tenant.merchantId &&
+            (!tenant.subMerchantId || subMerchantId === tenant.subMerchantId);
+    }
+
+    // QR codes created before owner_merchant_id kept the merchant in api_key_id
+    getQRCodeOwner(qr) {
+        return qr.owner_merchant_id || qr.api_key_id || null;
+    }
+
+    async getQRCodesForTenant(tenant) {
+        return this.getQRCodes().filter(q =>
+            this.ownsRecord(tenant, this.getQRCodeOwner(q), q.merchant_id)
+        );
+    }
+
+    // Another tenant's QR code is reported as missing, not forbidden
+    async getQRCodeForTenant(tenant, qrId) {
+        const qrCode = this.getQRCodes().find(q => q.id === qrId);
+        return qrCode && this.ownsRecord(tenant, this.getQRCodeOwner(qrCode), qrCode.merchant_id)
+            ? qrCode
+            : null;
+    }
+
+    async updateQRCodeForTenant(tenant, qrId, updates) {
+        const qrCodes = this.getQRCodes();
+        const index = qrCodes.findIndex(q =>
+            q.id === qrId && this.ownsRecord(tenant, this.getQRCodeOwner(q), q.merchant_id)
+        );
+
+        if (index === -1) {
+            return null;
+        }
+
+        qrCodes[index] = { ...qrCodes[index], ...updates };
+        fs.writeFileSync(this.qrCodesFile, JSON.stringify(qrCodes, null, 2));
+        return qrCodes[index];
+    }
+
+    async getTransactionsForTenant(tenant) {
+        return this.getTransactions().filter(t =>
+            this.ownsRecord(tenant, t.ownerMerchantId, t.subMerchantId)
+        );
+    }
+
+    // Listings are newest first; the ID breaks ties so the order is total
+    qrCodeSortKey(qr) {
+        return [Date.parse(qr.created_at) || 0, String(qr.id)];
+    }
+
+    transactionSortKey(t) {
+        return [Date.parse(t.createdAt) || 0, String(t.transactionId)];
+    }
+
+    // Whether a record created at `timestamp` falls within YYYY-MM-DD dates (inclusive)
+    createdWithin(timestamp, fromDate, toDate) {
+        const created = Date.parse(timestamp) || 0;
+        return (!fromDate || created >= new Date(`${fromDate}T00:00:00`).getTime()) &&
+            (!toDate || created < new Date(`${toDate}T00:00:00`).getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * One page of a tenant's QR codes, newest first
+     * `after` is the sort key of the previous page's last QR code (see utils/cursor)
+     */
+    async listQRCodesForTenant(tenant, { status, fromDate, toDate } = {}, { after = null, limit = 20 } = {}) {
+        const matches = (await this.getQRCodesForTenant(tenant))
+            .filter(qr =>
+                (!status || qr.status === status) &&
+                this.createdWithin(qr.created_at, fromDate, toDate)
+            )
+            .sort((a, b) => this.compareSortKeys(this.qrCodeSortKey(b), this.qrCodeSortKey(a)));
+
+        return { total: matches.length, ...keysetPage(matches, qr => this.qrCodeSortKey(qr), after, limit) };
+    }
+
+    /**
+     * One page of a tenant's transactions, newest first
+     * qrId is a QR code ID from /qr/list; status is matched in any case. Also
+     * returns every match, for totals over the whole listing.
+     */
+    async listTransactionsForTenant(tenant, { qrId, status, fromDate, toDate } = {}, { after = null, limit = 20 } = {}) {
+        let qrReference;
+        if (qrId) {
+            const qrCode = await this.getQRCodeForTenant(tenant, qrId);
+            qrReference = qrCode ? qrCode.transaction_ref : null;
+        }
+        const state = status ? TransactionStateMachine.normalizeStatus(status) : null;
+
+        const matches = (await this.getTransactionsForTenant(tenant))
+            .filter(t =>
+                (!qrId || (qrReference && t.qrIdentifier === qrReference)) &&
+                (!status || TransactionStateMachine.normalizeStatus(t.status) === state) &&
+                this.createdWithin(t.createdAt, fromDate, toDate)
+            )
+            .sort((a, b) => this.compareSortKeys(this.transactionSortKey(b), this.transactionSortKey(a)));
+
+        return {
+            total: matches.length,
+            matches,
+            ...keysetPage(matches, t => this.transactionSortKey(t), after, limit)
+        };
+    }
+
+    compareSortKeys(a, b) {
+        if (a[0] !== b[0]) {
+            return a[0] < b[0] ? -1 : 1;
+        }
+        return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+    }
+
+    // QR code a bank callback was paid to, matched on the reference we put in the UPI string
+    findQRCodeByReference(qrIdentifier) {
+        if (!qrIdentifier) {
+            return null;
         }
+        return this.getQRCodes().find(q =>
+            q.transaction_ref === qrIdentifier || q.id === qrIdentifier || q.qrId === qrIdentifier
+        ) || null;
     }
     
     // Save QR code
@@ -236,8 +499,11 @@ class LocalTransactionStore {
         try {
             const qrCodes = this.getQRCodes();
             
-            // Check for duplicate
-            const exists = qrCodes.find(q => q.merchant_id === qrData.merchant_id);
+            // Check for duplicate within the same owner; internal QR codes have none
+            const exists = qrCodes.find(q =>
+                q.merchant_id === qrData.merchant_id &&
+                (q.owner_merchant_id || null) === (qrData.owner_merchant_id || null)
+            );
             if (exists) {
                 throw new Error(`QR code for merchant ${qrData.merchant_id} already exists`);
             }
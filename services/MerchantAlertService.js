@@ -0,0 +1,119 @@
+/**
+ * Merchant Alert Service
+ * Raises alerts merchants need to act on (e.g. limit breaches) and
+ * pushes them to connected dashboards
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+
+class MerchantAlertService {
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    /**
+     * Raise an alert for a merchant
+     * Pass the open DB connection when called inside a transaction
+     */
+    async raise(alert, connection = null) {
+        const record = {
+            merchant_id: alert.merchant_id,
+            alert_type: alert.alert_type,
+            severity: alert.severity || 'warning',
+            transaction_id: alert.transaction_id || null,
+            message: alert.message,
+            details: alert.details || null,
+            status: 'open',
+            acknowledged_at: null,
+            created_at: new Date().toISOString()
+        };
+
+        let saved;
+        if (this.useLocalStore()) {
+            saved = await LocalTransactionStore.insertRecord('merchant_alerts', record);
+        } else {
+            const [result] = await (connection || db).query(
+                `INSERT INTO qr_merchant_alerts (
+                    merchant_id, alert_type, severity, transaction_id,
+                    message, details, status
+                ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    record.merchant_id,
+                    record.alert_type,
+                    record.severity,
+                    record.transaction_id,
+                    record.message,
+                    JSON.stringify(record.details),
+                    record.status
+                ]
+            );
+            saved = { id: result.insertId, ...record };
+        }
+
+        logger.warn(`[ALERT] ${record.alert_type} for ${record.merchant_id}: ${record.message}`);
+
+        if (global.io) {
+            global.io.emit('merchant-alert', saved);
+        }
+
+        return saved;
+    }
+
+    async list(merchantId, filters = {}) {
+        const { status = 'open' } = filters;
+        const limit = Math.min(parseInt(filters.limit) || 50, 500);
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('merchant_alerts')
+                .filter(a => a.merchant_id === merchantId)
+                .filter(a => status === 'all' || a.status === status)
+                .reverse()
+                .slice(0, limit);
+        }
+
+        const queryParams = [merchantId];
+        let statusClause = '';
+        if (status !== 'all') {
+            statusClause = 'AND status = ?';
+            queryParams.push(status);
+        }
+
+        const [rows] = await db.query(
+            `SELECT * FROM qr_merchant_alerts
+             WHERE merchant_id = ? ${statusClause}
+             ORDER BY created_at DESC
+             LIMIT ?`,
+            [...queryParams, limit]
+        );
+
+        return rows;
+    }
+
+    async acknowledge(merchantId, id) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.updateRecord(
+                'merchant_alerts',
+                a => a.id === parseInt(id) && a.merchant_id === merchantId && a.status === 'open',
+                { status: 'acknowledged', acknowledged_at: new Date().toISOString() }
+            );
+        }
+
+        const [result] = await db.query(
+            `UPDATE qr_merchant_alerts
+             SET status = 'acknowledged', acknowledged_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND merchant_id = ? AND status = 'open'`,
+            [id, merchantId]
+        );
+
+        if (result.affectedRows === 0) {
+            return null;
+        }
+
+        const [rows] = await db.query('SELECT * FROM qr_merchant_alerts WHERE id = ?', [id]);
+        return rows[0];
+    }
+}
+
+module.exports = new MerchantAlertService();
@@ -0,0 +1,584 @@
+/**
+ * Merchant Configuration Service
+ * One qr_merchant_config row per merchant: settlement cycle, pricing, limits
+ * and webhook settings. FeeService, SettlementService,
+ * TransactionLimitService and MerchantWebhookService read it through
+ * getConfig every time they need it, so a change applies to the next payment,
+ * settlement or event without a restart.
+ *
+ * Each field is editable either by the merchant or by operators only (see
+ * FIELDS). Merchants manage their webhook settings; pricing, limits and
+ * the settlement cycle are set by operators. Every change bumps the row's
+ * version and is kept in qr_merchant_config_versions with who made it and
+ * the values before and after.
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const ApiKeyService = require('./ApiKeyService');
+const MerchantWebhookService = require('./MerchantWebhookService');
+
+const SETTLEMENT_CYCLES = ['T+0', 'T+1', 'T+2', 'weekly', 'manual'];
+
+// Largest values the DECIMAL(10, 2) and DECIMAL(12, 2) columns hold
+const MAX_AMOUNT = 99999999.99;
+const MAX_VOLUME = 9999999999.99;
+
+const MAX_SLABS = 20;
+const MAX_REASON_LENGTH = 255;
+
+/**
+ * Configurable fields: type, who may change them (merchant or admin) and
+ * whether they can be cleared with null. Operators may change every field.
+ */
+const FIELDS = {
+    settlement_type: { type: 'cycle', editableBy: 'admin' },
+    settlement_time: { type: 'time', editableBy: 'admin' },
+    min_settlement_amount: { type: 'amount', editableBy: 'admin' },
+
+    transaction_charge_percent: { type: 'percent', editableBy: 'admin' },
+    transaction_charge_fixed: { type: 'amount', editableBy: 'admin' },
+    transaction_charge_min: { type: 'amount', editableBy: 'admin', nullable: true },
+    transaction_charge_max: { type: 'amount', editableBy: 'admin', nullable: true },
+    transaction_charge_slabs: { type: 'slabs', editableBy: 'admin', nullable: true },
+    zero_mdr_upi_limit: { type: 'amount', editableBy: 'admin', nullable: true },
+    gst_percent: { type: 'percent', editableBy: 'admin' },
+
+    daily_transaction_limit: { type: 'volume', editableBy: 'admin', nullable: true },
+    monthly_transaction_limit: { type: 'volume', editableBy: 'admin', nullable: true },
+    max_transaction_amount: { type: 'amount', editableBy: 'admin', nullable: true },
+
+    webhook_url: { type: 'url', editableBy: 'merchant', nullable: true },
+    webhook_secret: { type: 'secret', editableBy: 'merchant', nullable: true }
+};
+
+// qr_merchant_config column defaults, for merchants without a config row
+const DEFAULT_CONFIG = {
+    settlement_type: 'T+1',
+    settlement_time: '09:00:00',
+    min_settlement_amount: 100,
+    transaction_charge_percent: 2,
+    transaction_charge_fixed: 0,
+    transaction_charge_min: null,
+    transaction_charge_max: null,
+    transaction_charge_slabs: null,
+    zero_mdr_upi_limit: null,
+    gst_percent: 18,
+    daily_transaction_limit: null,
+    monthly_transaction_limit: null,
+    max_transaction_amount: null,
+    webhook_url: null,
+    webhook_secret: null
+};
+
+const ACTOR_TYPES = ['merchant', 'admin'];
+
+class MerchantConfigService {
+    constructor() {
+        this.FIELDS = FIELDS;
+        this.DEFAULT_CONFIG = DEFAULT_CONFIG;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    error(code, message) {
+        return { success: false, error: { code, message } };
+    }
+
+    /**
+     * Fields an actor (merchant or admin) may change
+     */
+    getEditableFields(actorType) {
+        return Object.keys(FIELDS).filter(field => actorType === 'admin' || FIELDS[field].editableBy === actorType);
+    }
+
+    // =================== Reading ===================
+
+    /**
+     * The stored row of a merchant, active or not, or null
+     */
+    async loadRow(merchantId, connection = null, { forUpdate = false } = {}) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('merchant_config')
+                .find(c => c.merchant_id === merchantId) || null;
+        }
+
+        const [rows] = await (connection || db).query(
+            `SELECT * FROM qr_merchant_config WHERE merchant_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+            [merchantId]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * A stored row with schema defaults filled in and MySQL types (DECIMAL
+     * strings, JSON strings) turned into plain values
+     */
+    normalize(row) {
+        const config = {};
+        for (const [field, spec] of Object.entries(FIELDS)) {
+            const value = row && row[field] !== undefined && row[field] !== null ? row[field] : DEFAULT_CONFIG[field];
+            config[field] = value === null ? null : this.fromStored(spec.type, value);
+        }
+        return config;
+    }
+
+    fromStored(type, value) {
+        switch (type) {
+            case 'amount':
+            case 'volume':
+            case 'percent':
+                return parseFloat(value);
+            case 'slabs':
+                if (typeof value === 'string') {
+                    try {
+                        return JSON.parse(value);
+                    } catch (error) {
+                        return null;
+                    }
+                }
+                return value;
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Configuration services work with, read fresh on every call
+     * Rows switched off with is_active get the defaults. Pass the open DB
+     * connection when called inside a transaction.
+     */
+    async getConfig(merchantId, connection = null) {
+        const row = await this.loadRow(merchantId, connection);
+        const active = row && row.is_active !== false && row.is_active !== 0;
+        return this.normalize(active ? row : null);
+    }
+
+    /**
+     * Configuration as shown to merchants and operators
+     * The webhook secret is never returned, only whether one is set.
+     */
+    toResponse(merchantId, row, actorType = 'merchant') {
+        const { webhook_secret: secret, ...config } = this.normalize(row);
+
+        return {
+            merchant_id: merchantId,
+            ...config,
+            webhook_secret_set: Boolean(secret),
+            is_active: row ? row.is_active !== false && row.is_active !== 0 : true,
+            version: row ? row.version || 1 : 0,
+            updated_at: row ? row.updated_at || null : null,
+            editable_fields: this.getEditableFields(actorType)
+        };
+    }
+
+    async get(merchantId, actorType = 'merchant') {
+        return this.toResponse(merchantId, await this.loadRow(merchantId), actorType);
+    }
+
+    // =================== Validation ===================
+
+    /**
+     * Check and normalise one field's new value
+     * Returns { value } or { error }
+     */
+    validateField(field, value) {
+        const spec = FIELDS[field];
+
+        if (value === null) {
+            return spec.nullable ? { value: null } : { error: `${field} cannot be null` };
+        }
+
+        const amount = (max) => {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > max) {
+                return { error: `${field} must be a number between 0 and ${max}` };
+            }
+            if (Math.round(number * 100) / 100 !== number) {
+                return { error: `${field} must have at most 2 decimal places` };
+            }
+            return { value: number };
+        };
+
+        switch (spec.type) {
+            case 'cycle':
+                return SETTLEMENT_CYCLES.includes(value)
+                    ? { value }
+                    : { error: `${field} must be one of ${SETTLEMENT_CYCLES.join(', ')}` };
+            case 'time': {
+                const match = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/.exec(String(value));
+                return match
+                    ? { value: `${match[1]}:${match[2]}:${match[3] || '00'}` }
+                    : { error: `${field} must be a time of day (HH:MM or HH:MM:SS)` };
+            }
+            case 'amount':
+                return amount(MAX_AMOUNT);
+            case 'volume':
+                return amount(MAX_VOLUME);
+            case 'percent':
+                return amount(100);
+            case 'url': {
+                const reason = MerchantWebhookService.validateUrl(value);
+                return reason ? { error: reason.replace(/^url/, field) } : { value: String(value) };
+            }
+            case 'secret':
+                return MerchantWebhookService.isValidSecret(value)
+                    ? { value }
+                    : { error: `${field} must be 32-128 printable ASCII characters without spaces` };
+            case 'slabs':
+                return this.validateSlabs(value);
+            default:
+                return { error: `${field} cannot be changed` };
+        }
+    }
+
+    /**
+     * Slabs: [{ max_amount, percent, fixed }] by ascending max_amount,
+     * with only the last slab allowed to have no max_amount
+     */
+    validateSlabs(slabs) {
+        if (!Array.isArray(slabs) || slabs.length === 0 || slabs.length > MAX_SLABS) {
+            return { error: `transaction_charge_slabs must be a list of 1 to ${MAX_SLABS} slabs, or null` };
+        }
+
+        const normalized = [];
+        for (const [index, slab] of slabs.entries()) {
+            const label = `transaction_charge_slabs[${index}]`;
+            if (!slab || typeof slab !== 'object' || Array.isArray(slab)) {
+                return { error: `${label} must be an object` };
+            }
+
+            const unknown = Object.keys(slab).filter(key => !['max_amount', 'percent', 'fixed'].includes(key));
+            if (unknown.length > 0) {
+                return { error: `${label} has unknown field(s): ${unknown.join(', ')}` };
+            }
+
+            const last = index === slabs.length - 1;
+            let maxAmount = null;
+            if (slab.max_amount !== null && slab.max_amount !== undefined) {
+                const checked = this.validateField('max_transaction_amount', slab.max_amount);
+                if (checked.error || checked.value === 0) {
+                    return { error: `${label}.max_amount must be a positive amount` };
+                }
+                maxAmount = checked.value;
+            } else if (!last) {
+                return { error: `${label}.max_amount is required; only the last slab may leave it out` };
+            }
+
+            const previous = normalized[normalized.length - 1];
+            if (previous && maxAmount !== null && maxAmount <= previous.max_amount) {
+                return { error: `${label}.max_amount must be above the previous slab's` };
+            }
+
+            const percent = this.validateField('transaction_charge_percent', slab.percent);
+            if (percent.error) {
+                return { error: `${label}.percent must be a number between 0 and 100` };
+            }
+
+            let fixed = 0;
+            if (slab.fixed !== null && slab.fixed !== undefined) {
+                const checked = this.validateField('transaction_charge_fixed', slab.fixed);
+                if (checked.error) {
+                    return { error: `${label}.fixed must be a non-negative amount` };
+                }
+                fixed = checked.value;
+            }
+
+            normalized.push({ max_amount: maxAmount, percent: percent.value, fixed });
+        }
+
+        return { value: normalized };
+    }
+
+    /**
+     * Rules between fields, checked on the configuration after the change
+     * Returns an error message or null
+     */
+    validateConfig(config) {
+        if (config.transaction_charge_min !== null && config.transaction_charge_max !== null &&
+            config.transaction_charge_min > config.transaction_charge_max) {
+            return 'transaction_charge_min cannot be above transaction_charge_max';
+        }
+        if (config.daily_transaction_limit !== null && config.monthly_transaction_limit !== null &&
+            config.daily_transaction_limit > config.monthly_transaction_limit) {
+            return 'daily_transaction_limit cannot be above monthly_transaction_limit';
+        }
+        if (config.webhook_secret && !config.webhook_url) {
+            return 'webhook_secret needs a webhook_url';
+        }
+        return null;
+    }
+
+    // =================== Changing ===================
+
+    /**
+     * Change some fields of a merchant's configuration
+     * actor: { type: merchant|admin, id } - merchants may only change their own fields.
+     * Returns { success, config, version, changed } or { success: false, error }.
+     * A request that changes nothing does not create a version.
+     */
+    async update(merchantId, changes, { actor, reason = null }) {
+        if (!actor || !ACTOR_TYPES.includes(actor.type)) {
+            throw new Error(`Unknown actor type: ${actor && actor.type}`);
+        }
+
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+            return this.error('VALIDATION_ERROR', 'Send at least one configuration field to change');
+        }
+
+        const unknown = Object.keys(changes).filter(field => !FIELDS[field]);
+        if (unknown.length > 0) {
+            return this.error('VALIDATION_ERROR', `Unknown configuration field(s): ${unknown.join(', ')}`);
+        }
+
+        const editable = this.getEditableFields(actor.type);
+        const forbidden = Object.keys(changes).filter(field => !editable.includes(field));
+        if (forbidden.length > 0) {
+            return this.error('FORBIDDEN', `Only operators can change: ${forbidden.join(', ')}`);
+        }
+
+        if (reason !== null && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+            return this.error('VALIDATION_ERROR', `reason must be a string of at most ${MAX_REASON_LENGTH} characters`);
+        }
+
+        const values = {};
+        for (const [field, value] of Object.entries(changes)) {
+            const checked = this.validateField(field, value);
+            if (checked.error) {
+                return this.error('VALIDATION_ERROR', checked.error);
+            }
+            values[field] = checked.value;
+        }
+
+        if (this.useLocalStore()) {
+            return this.updateLocal(merchantId, values, { actor, reason });
+        }
+        return this.updateDb(merchantId, values, { actor, reason });
+    }
+
+    /**
+     * Fields whose value actually changes, as { field: { from, to } }
+     * Secrets are compared decrypted and recorded only as set or removed.
+     */
+    diff(current, values) {
+        const changes = {};
+        for (const [field, value] of Object.entries(values)) {
+            if (field === 'webhook_secret') {
+                const before = current.webhook_secret ? ApiKeyService.decryptSecret(current.webhook_secret) : null;
+                if (before !== value) {
+                    changes[field] = { from: before ? '[set]' : null, to: value ? '[set]' : null };
+                }
+            } else if (JSON.stringify(current[field]) !== JSON.stringify(value)) {
+                changes[field] = { from: current[field], to: value };
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Work out a change against the stored row
+     * Returns { error } or { changes, stored } where stored holds the columns to write
+     */
+    prepareChange(row, values) {
+        // A secret is only kept alongside its URL
+        if (values.webhook_url === null && values.webhook_secret === undefined) {
+            values = { ...values, webhook_secret: null };
+        }
+
+        const current = this.normalize(row);
+        const changes = this.diff(current, values);
+
+        const next = { ...current, ...values };
+        const invalid = this.validateConfig(next);
+        if (invalid) {
+            return { error: invalid };
+        }
+
+        const stored = {};
+        for (const field of Object.keys(changes)) {
+            stored[field] = field === 'webhook_secret' && values[field]
+                ? ApiKeyService.encryptSecret(values[field])
+                : values[field];
+        }
+
+        return { changes, stored };
+    }
+
+    versionRecord(merchantId, version, changes, { actor, reason }) {
+        return {
+            merchant_id: merchantId,
+            version,
+            changes,
+            changed_by: actor.id || null,
+            changed_by_type: actor.type,
+            reason,
+            created_at: new Date().toISOString()
+        };
+    }
+
+    async updateLocal(merchantId, values, { actor, reason }) {
+        const configs = LocalTransactionStore.getCollection('merchant_config');
+        const row = configs.find(c => c.merchant_id === merchantId) || null;
+
+        const prepared = this.prepareChange(row, values);
+        if (prepared.error) {
+            return this.error('VALIDATION_ERROR', prepared.error);
+        }
+        if (Object.keys(prepared.changes).length === 0) {
+            return { success: true, changed: false, config: this.toResponse(merchantId, row, actor.type) };
+        }
+
+        const now = new Date().toISOString();
+        const version = row ? (row.version || 1) + 1 : 1;
+        const updated = {
+            ...(row || { merchant_id: merchantId, is_active: true, created_at: now }),
+            ...prepared.stored,
+            version,
+            updated_by: actor.id || null,
+            updated_at: now
+        };
+
+        LocalTransactionStore.saveCollection('merchant_config', row
+            ? configs.map(c => c === row ? updated : c)
+            : [...configs, updated]);
+        await LocalTransactionStore.insertRecord('merchant_config_versions',
+            this.versionRecord(merchantId, version, prepared.changes, { actor, reason }));
+
+        this.logChange(merchantId, version, prepared.changes, actor);
+        return { success: true, changed: true, version, config: this.toResponse(merchantId, updated, actor.type) };
+    }
+
+    async updateDb(merchantId, values, { actor, reason }) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const row = await this.loadRow(merchantId, connection, { forUpdate: true });
+
+            const prepared = this.prepareChange(row, values);
+            if (prepared.error) {
+                await connection.rollback();
+                return this.error('VALIDATION_ERROR', prepared.error);
+            }
+            if (Object.keys(prepared.changes).length === 0) {
+                await connection.rollback();
+                return { success: true, changed: false, config: this.toResponse(merchantId, row, actor.type) };
+            }
+
+            const columns = Object.keys(prepared.stored);
+            const params = columns.map(column =>
+                column === 'transaction_charge_slabs' && prepared.stored[column] !== null
+                    ? JSON.stringify(prepared.stored[column])
+                    : prepared.stored[column]
+            );
+            const version = row ? (row.version || 1) + 1 : 1;
+
+            if (row) {
+                await connection.query(
+                    `UPDATE qr_merchant_config
+                     SET ${columns.map(column => `${column} = ?`).join(', ')}, version = ?, updated_by = ?
+                     WHERE merchant_id = ?`,
+                    [...params, version, actor.id || null, merchantId]
+                );
+            } else {
+                await connection.query(
+                    `INSERT INTO qr_merchant_config (merchant_id, ${columns.join(', ')}, version, updated_by)
+                     VALUES (?, ${columns.map(() => '?').join(', ')}, ?, ?)`,
+                    [merchantId, ...params, version, actor.id || null]
+                );
+            }
+
+            const record = this.versionRecord(merchantId, version, prepared.changes, { actor, reason });
+            await connection.query(
+                `INSERT INTO qr_merchant_config_versions (
+                    merchant_id, version, changes, changed_by, changed_by_type, reason
+                ) VALUES (?, ?, ?, ?, ?, ?)`,
+                [merchantId, version, JSON.stringify(record.changes), record.changed_by, record.changed_by_type, record.reason]
+            );
+
+            await connection.commit();
+
+            this.logChange(merchantId, version, prepared.changes, actor);
+            return {
+                success: true,
+                changed: true,
+                version,
+                config: this.toResponse(merchantId, await this.loadRow(merchantId), actor.type)
+            };
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    logChange(merchantId, version, changes, actor) {
+        logger.info(`[MerchantConfig] ${merchantId} updated to version ${version} by ${actor.type} ${actor.id || ''}`.trim(), {
+            fields: Object.keys(changes)
+        });
+    }
+
+    // =================== History ===================
+
+    /**
+     * Versions of a merchant's configuration, newest first
+     * Merchants see that an operator made a change, not which operator.
+     */
+    async listVersions(merchantId, filters = {}, actorType = 'merchant') {
+        const page = Math.max(parseInt(filters.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 100);
+        const offset = (page - 1) * limit;
+
+        let versions;
+        let total;
+        if (this.useLocalStore()) {
+            const all = LocalTransactionStore.getCollection('merchant_config_versions')
+                .filter(v => v.merchant_id === merchantId)
+                .sort((a, b) => b.version - a.version);
+            total = all.length;
+            versions = all.slice(offset, offset + limit);
+        } else {
+            const [countRows] = await db.query(
+                'SELECT COUNT(*) as total FROM qr_merchant_config_versions WHERE merchant_id = ?',
+                [merchantId]
+            );
+            total = countRows[0].total;
+
+            const [rows] = await db.query(
+                `SELECT version, changes, changed_by, changed_by_type, reason, created_at
+                 FROM qr_merchant_config_versions
+                 WHERE merchant_id = ?
+                 ORDER BY version DESC
+                 LIMIT ? OFFSET ?`,
+                [merchantId, limit, offset]
+            );
+            versions = rows.map(row => ({
+                ...row,
+                changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes
+            }));
+        }
+
+        return {
+            versions: versions.map(v => ({
+                version: v.version,
+                changes: v.changes,
+                changed_by_type: v.changed_by_type,
+                changed_by: actorType === 'admin' || v.changed_by_type === 'merchant' ? v.changed_by : null,
+                reason: v.reason,
+                created_at: v.created_at
+            })),
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+module.exports = new MerchantConfigService();
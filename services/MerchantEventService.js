@@ -0,0 +1,44 @@
+/**
+ * Merchant Event Service
+ * Publishes transaction lifecycle events merchants subscribe to
+ * (e.g. transaction.reversed, dispute.opened) to connected dashboards and
+ * to the merchant's webhook subscriptions
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const MerchantWebhookDispatcher = require('./MerchantWebhookDispatcher');
+
+class MerchantEventService {
+    /**
+     * Publish an event for a merchant (and the sub-merchant it concerns)
+     * Returns the event envelope: { event_id, type, merchant_id, sub_merchant_id, data, created_at }
+     */
+    async publish(type, merchantId, data = {}, { subMerchantId = null } = {}) {
+        const event = {
+            event_id: uuidv4(),
+            type,
+            merchant_id: merchantId,
+            sub_merchant_id: subMerchantId,
+            data,
+            created_at: new Date().toISOString()
+        };
+
+        logger.info(`[MerchantEvent] ${type} for ${merchantId}`, { event_id: event.event_id, transaction_id: data.transaction_id });
+
+        if (global.io) {
+            global.io.emit(type, event);
+        }
+
+        // Deliveries are retried by the dispatcher; failing to queue them must not fail the caller
+        try {
+            await MerchantWebhookDispatcher.dispatch(event);
+        } catch (error) {
+            logger.error(`[MerchantEvent] Could not queue webhooks for ${event.event_id}:`, error);
+        }
+
+        return event;
+    }
+}
+
+module.exports = new MerchantEventService();
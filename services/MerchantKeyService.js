@@ -0,0 +1,322 @@
+/**
+ * Merchant Bank Key Service
+ * Resolves acquiring-bank encryption keys per bank merchant ID / terminal,
+ * with several keys allowed to be valid at once during a rotation window.
+ * Key material is stored encrypted with API_KEY_ENCRYPTION_KEY (AES-GCM, via
+ * ApiKeyService) and decrypted only when a callback is being decoded.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const ApiKeyService = require('./ApiKeyService');
+
+// Key ID reported when the legacy <BANK>_MERCHANT_KEY env variable is used
+const ENV_DEFAULT_KEY_ID = 'env-default';
+
+// iv:tag:ciphertext (hex) as written by ApiKeyService.encryptSecret; bank keys
+// are at most 32 bytes, so a plaintext key never has this shape
+const ENCRYPTED_KEY_PATTERN = /^[0-9a-f]{24}:[0-9a-f]{32}:[0-9a-f]+$/;
+
+class MerchantKeyService {
+    constructor() {
+        // Each instance caches keys this long. A key added or retired is seen at
+        // once by the instance that handled the change and within this TTL by the others.
+        this.CACHE_TTL_MS = (parseInt(process.env.BANK_KEY_CACHE_TTL_SECONDS) || 300) * 1000;
+        this.cache = new Map();
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    /**
+     * Get candidate decryption keys for a bank merchant, newest first
+     * The env default key is appended last so legacy setups keep working
+     */
+    async getCandidateKeys(bank, bankMerchantId, terminalId = null) {
+        let keys = [];
+
+        if (bankMerchantId) {
+            keys = await this.getActiveKeys(bank, bankMerchantId);
+        }
+
+        if (terminalId) {
+            keys = keys.filter(k => !k.terminal_id || k.terminal_id === terminalId);
+        }
+
+        // e.g. HDFC_MERCHANT_KEY for 'hdfc'
+        const envKey = process.env[`${bank.toUpperCase()}_MERCHANT_KEY`];
+        if (envKey) {
+            keys.push({
+                key_id: ENV_DEFAULT_KEY_ID,
+                bank_merchant_id: bankMerchantId || null,
+                terminal_id: null,
+                encryption_key: envKey
+            });
+        }
+
+        return keys;
+    }
+
+    /**
+     * Keys currently within their validity window, cached briefly
+     */
+    async getActiveKeys(bank, bankMerchantId) {
+        const cacheKey = `${bank}:${bankMerchantId}`;
+        const cached = this.cache.get(cacheKey);
+
+        // A retirement already scheduled when the keys were cached still ends on time
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.keys.filter(k => !k.valid_until || new Date(k.valid_until) > new Date());
+        }
+
+        const now = new Date();
+        let keys;
+
+        if (this.useLocalStore()) {
+            keys = LocalTransactionStore.getCollection('merchant_bank_keys')
+                .filter(k =>
+                    k.bank === bank &&
+                    k.bank_merchant_id === bankMerchantId &&
+                    ['active', 'retiring'].includes(k.status) &&
+                    (!k.valid_from || new Date(k.valid_from) <= now) &&
+                    (!k.valid_until || new Date(k.valid_until) > now)
+                )
+                .sort((a, b) => new Date(b.valid_from) - new Date(a.valid_from));
+        } else {
+            const [rows] = await db.query(
+                `SELECT key_id, merchant_id, bank_merchant_id, terminal_id, encryption_key,
+                        status, valid_from, valid_until
+                 FROM qr_merchant_bank_keys
+                 WHERE bank = ? AND bank_merchant_id = ?
+                 AND status IN ('active', 'retiring')
+                 AND (valid_from IS NULL OR valid_from <= ?)
+                 AND (valid_until IS NULL OR valid_until > ?)
+                 ORDER BY valid_from DESC`,
+                [bank, bankMerchantId, now, now]
+            );
+            keys = rows;
+        }
+
+        keys = await this.decryptKeys(keys);
+
+        this.cache.set(cacheKey, {
+            keys,
+            expiresAt: Date.now() + this.CACHE_TTL_MS
+        });
+
+        return [...keys];
+    }
+
+    /**
+     * Decrypt the key material of stored keys. Keys stored before encryption
+     * was introduced are encrypted in place the first time they are read.
+     */
+    async decryptKeys(keys) {
+        const decrypted = [];
+
+        for (const key of keys) {
+            if (ENCRYPTED_KEY_PATTERN.test(key.encryption_key)) {
+                decrypted.push({ ...key, encryption_key: ApiKeyService.decryptSecret(key.encryption_key) });
+                continue;
+            }
+
+            await this.encryptStoredKey(key);
+            decrypted.push(key);
+        }
+
+        return decrypted;
+    }
+
+    async encryptStoredKey(key) {
+        const changes = {
+            encryption_key: ApiKeyService.encryptSecret(String(key.encryption_key)),
+            key_fingerprint: this.keyFingerprint(key.encryption_key)
+        };
+
+        try {
+            if (this.useLocalStore()) {
+                await LocalTransactionStore.updateRecord('merchant_bank_keys', k => k.key_id === key.key_id, changes);
+            } else {
+                await db.query(
+                    'UPDATE qr_merchant_bank_keys SET encryption_key = ?, key_fingerprint = ? WHERE key_id = ?',
+                    [changes.encryption_key, changes.key_fingerprint, key.key_id]
+                );
+            }
+            logger.info(`Encrypted stored bank key ${key.key_id}`);
+        } catch (error) {
+            // The key still decrypts callbacks; encrypting it is retried on the next read
+            logger.error(`Error encrypting stored bank key ${key.key_id}:`, error);
+        }
+    }
+
+    /**
+     * Check that a key may be used for the terminal named in the decrypted payload
+     */
+    isKeyValidForTerminal(key, terminalId) {
+        return !key.terminal_id || key.terminal_id === terminalId;
+    }
+
+    /**
+     * Record that a key successfully decrypted a callback
+     */
+    async markKeyUsed(keyId) {
+        if (keyId === ENV_DEFAULT_KEY_ID) {
+            return;
+        }
+
+        try {
+            if (this.useLocalStore()) {
+                await LocalTransactionStore.updateRecord(
+                    'merchant_bank_keys',
+                    k => k.key_id === keyId,
+                    { last_used_at: new Date().toISOString() }
+                );
+            } else {
+                await db.query(
+                    'UPDATE qr_merchant_bank_keys SET last_used_at = CURRENT_TIMESTAMP WHERE key_id = ?',
+                    [keyId]
+                );
+            }
+        } catch (error) {
+            logger.error('Error updating key usage:', error);
+        }
+    }
+
+    /**
+     * Register a new key; existing keys stay valid so both overlap during rotation
+     */
+    async addKey({ bank = 'hdfc', merchantId, bankMerchantId, terminalId, encryptionKey, validFrom, createdBy }) {
+        const key = {
+            key_id: 'key_' + crypto.randomBytes(8).toString('hex'),
+            bank,
+            merchant_id: merchantId || null,
+            bank_merchant_id: bankMerchantId,
+            terminal_id: terminalId || null,
+            encryption_key: ApiKeyService.encryptSecret(String(encryptionKey)),
+            key_fingerprint: this.keyFingerprint(encryptionKey),
+            status: 'active',
+            valid_from: validFrom ? new Date(validFrom).toISOString() : new Date().toISOString(),
+            valid_until: null,
+            last_used_at: null,
+            created_by: createdBy || null,
+            created_at: new Date().toISOString()
+        };
+
+        if (this.useLocalStore()) {
+            await LocalTransactionStore.insertRecord('merchant_bank_keys', key);
+        } else {
+            await db.query(
+                `INSERT INTO qr_merchant_bank_keys (
+                    key_id, bank, merchant_id, bank_merchant_id, terminal_id,
+                    encryption_key, key_fingerprint, status, valid_from, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    key.key_id,
+                    key.bank,
+                    key.merchant_id,
+                    key.bank_merchant_id,
+                    key.terminal_id,
+                    key.encryption_key,
+                    key.key_fingerprint,
+                    key.status,
+                    new Date(key.valid_from),
+                    key.created_by
+                ]
+            );
+        }
+
+        this.invalidate(bank, bankMerchantId);
+        return this.maskKey(key);
+    }
+
+    /**
+     * Retire a key: it keeps decrypting until retireAt, then stops
+     */
+    async retireKey(keyId, retireAt) {
+        const validUntil = retireAt ? new Date(retireAt) : new Date();
+        const status = validUntil > new Date() ? 'retiring' : 'revoked';
+        const key = await this.getKey(keyId);
+
+        if (!key) {
+            return null;
+        }
+
+        if (this.useLocalStore()) {
+            await LocalTransactionStore.updateRecord(
+                'merchant_bank_keys',
+                k => k.key_id === keyId,
+                { status, valid_until: validUntil.toISOString() }
+            );
+        } else {
+            await db.query(
+                'UPDATE qr_merchant_bank_keys SET status = ?, valid_until = ? WHERE key_id = ?',
+                [status, validUntil, keyId]
+            );
+        }
+
+        this.invalidate(key.bank, key.bank_merchant_id);
+        return this.maskKey({ ...key, status, valid_until: validUntil.toISOString() });
+    }
+
+    async getKey(keyId) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('merchant_bank_keys')
+                .find(k => k.key_id === keyId) || null;
+        }
+
+        const [rows] = await db.query(
+            'SELECT * FROM qr_merchant_bank_keys WHERE key_id = ?',
+            [keyId]
+        );
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    /**
+     * List all keys for a bank merchant with key material masked
+     */
+    async listKeys(bank, bankMerchantId) {
+        let keys;
+
+        if (this.useLocalStore()) {
+            keys = LocalTransactionStore.getCollection('merchant_bank_keys')
+                .filter(k => k.bank === bank && k.bank_merchant_id === bankMerchantId);
+        } else {
+            const [rows] = await db.query(
+                `SELECT * FROM qr_merchant_bank_keys
+                 WHERE bank = ? AND bank_merchant_id = ?
+                 ORDER BY valid_from DESC`,
+                [bank, bankMerchantId]
+            );
+            keys = rows;
+        }
+
+        return keys.map(k => this.maskKey(k));
+    }
+
+    /**
+     * Identifies a key without revealing any of it: the first 8 hex characters
+     * of its SHA-256, to compare against the key the bank issued
+     */
+    keyFingerprint(encryptionKey) {
+        return crypto.createHash('sha256').update(String(encryptionKey)).digest('hex').slice(0, 8);
+    }
+
+    maskKey(key) {
+        const { encryption_key, key_fingerprint, ...rest } = key;
+        const plaintext = encryption_key && !ENCRYPTED_KEY_PATTERN.test(encryption_key);
+        return {
+            ...rest,
+            // Keys not yet encrypted in place have no stored fingerprint
+            key_fingerprint: key_fingerprint || (plaintext ? this.keyFingerprint(encryption_key) : null)
+        };
+    }
+
+    invalidate(bank, bankMerchantId) {
+        this.cache.delete(`${bank}:${bankMerchantId}`);
+    }
+}
+
+module.exports = new MerchantKeyService();
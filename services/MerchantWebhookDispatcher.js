@@ -0,0 +1,258 @@
+/**
+ * Merchant Webhook Dispatcher
+ * Sends merchant webhook deliveries (see MerchantWebhookService) and retries
+ * failures with exponential backoff until MERCHANT_WEBHOOK_MAX_ATTEMPTS.
+ *
+ * Each request is a POST of the event envelope as JSON:
+ *   { event_id, type, merchant_id, sub_merchant_id, data, created_at }
+ * with X-Webhook-Signature = hex HMAC-SHA256(webhook secret, body), the scheme
+ * verifyWebhookSignature checks; the configured webhook without a secret is
+ * sent unsigned. Any 2xx answer within the timeout counts as
+ * delivered; redirects are not followed.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const MerchantWebhookService = require('./MerchantWebhookService');
+
+class MerchantWebhookDispatcher {
+    constructor() {
+        this.MAX_ATTEMPTS = parseInt(process.env.MERCHANT_WEBHOOK_MAX_ATTEMPTS) || 8;
+        this.BASE_DELAY_MS = parseInt(process.env.MERCHANT_WEBHOOK_RETRY_BASE_MS) || 60 * 1000;
+        this.MAX_DELAY_MS = parseInt(process.env.MERCHANT_WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+        this.TIMEOUT_MS = parseInt(process.env.MERCHANT_WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+        this.POLL_INTERVAL_MS = parseInt(process.env.MERCHANT_WEBHOOK_POLL_INTERVAL_MS) || 10 * 1000;
+        // A send lock older than this is considered abandoned (crashed worker)
+        this.LEASE_MS = 5 * 60 * 1000;
+        this.BATCH_SIZE = 20;
+
+        this.timer = null;
+        this.polling = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.poll(), this.POLL_INTERVAL_MS);
+        // Never keep the process alive just for the worker
+        this.timer.unref();
+        logger.info(`[MerchantWebhookDispatcher] Worker started (poll every ${this.POLL_INTERVAL_MS}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Queue an event for every subscription that wants it and start sending
+     * Returns the deliveries created
+     */
+    async dispatch(event) {
+        if (!event.merchant_id) {
+            return [];
+        }
+
+        const webhooks = await MerchantWebhookService.getSubscribers(event);
+        const deliveries = [];
+
+        for (const webhook of webhooks) {
+            const delivery = await MerchantWebhookService.createDelivery(webhook, event);
+            deliveries.push(delivery);
+            this.enqueue(delivery);
+        }
+
+        return deliveries;
+    }
+
+    /**
+     * Send a delivery again as a new delivery, e.g. after the merchant fixed their endpoint
+     */
+    async redeliver(delivery) {
+        const webhook = await MerchantWebhookService.getDeliveryWebhook(delivery);
+        if (!webhook) {
+            return null;
+        }
+
+        const redelivery = await MerchantWebhookService.createDelivery(webhook, delivery.payload, {
+            redeliveryOf: delivery.delivery_id
+        });
+        this.enqueue(redelivery);
+
+        return redelivery;
+    }
+
+    /**
+     * Send a webhook.test event to a subscription once, waiting for the answer
+     * The attempt is logged like any delivery but never retried
+     */
+    async sendTest(webhook) {
+        const event = {
+            event_id: uuidv4(),
+            type: MerchantWebhookService.TEST_EVENT,
+            merchant_id: webhook.merchant_id,
+            sub_merchant_id: webhook.sub_merchant_id || null,
+            data: {
+                webhook_id: webhook.webhook_id,
+                message: 'Test event from SabPaisa QR'
+            },
+            created_at: new Date().toISOString()
+        };
+
+        const delivery = await MerchantWebhookService.createDelivery(webhook, event, { status: 'sending' });
+        const attempt = await this.send(webhook, delivery);
+
+        await MerchantWebhookService.recordAttempt(delivery, {
+            ...attempt,
+            status: attempt.delivered ? 'delivered' : 'failed',
+            attemptCount: 1
+        });
+
+        return { delivery_id: delivery.delivery_id, event, ...attempt };
+    }
+
+    /**
+     * Send a freshly created delivery right away, outside the caller's request
+     * If this instance dies first, the poller picks the delivery up later
+     */
+    enqueue(delivery) {
+        setImmediate(async () => {
+            try {
+                const claimed = await MerchantWebhookService.claimDelivery(delivery.delivery_id, this.leaseExpiredBefore());
+                if (claimed) {
+                    await this.processDelivery(claimed);
+                }
+            } catch (error) {
+                logger.error(`[MerchantWebhookDispatcher] Error sending ${delivery.delivery_id}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Pick up deliveries awaiting a first attempt, due for retry, or abandoned
+     */
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+
+        this.polling = true;
+        try {
+            const leaseExpiredBefore = this.leaseExpiredBefore();
+            const due = await MerchantWebhookService.getDueDeliveries(this.BATCH_SIZE, leaseExpiredBefore);
+
+            for (const { delivery_id } of due) {
+                // Another instance may have claimed it in the meantime
+                const claimed = await MerchantWebhookService.claimDelivery(delivery_id, leaseExpiredBefore);
+                if (claimed) {
+                    await this.processDelivery(claimed);
+                }
+            }
+        } catch (error) {
+            logger.error('[MerchantWebhookDispatcher] Poll failed:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Make one attempt at an already-claimed delivery and schedule the next one
+     */
+    async processDelivery(delivery) {
+        const attemptCount = (delivery.attempt_count || 0) + 1;
+        const webhook = await MerchantWebhookService.getDeliveryWebhook(delivery);
+
+        if (!webhook || webhook.status !== 'active') {
+            return MerchantWebhookService.recordAttempt(delivery, {
+                status: 'failed',
+                attemptCount: delivery.attempt_count || 0,
+                error: webhook ? 'Webhook disabled' : 'Webhook deleted'
+            });
+        }
+
+        const attempt = await this.send(webhook, delivery);
+
+        if (attempt.delivered) {
+            return MerchantWebhookService.recordAttempt(delivery, { ...attempt, status: 'delivered', attemptCount });
+        }
+
+        if (attemptCount >= this.MAX_ATTEMPTS) {
+            logger.error(`[MerchantWebhookDispatcher] ${delivery.delivery_id} failed after ${attemptCount} attempts: ${attempt.error}`);
+            return MerchantWebhookService.recordAttempt(delivery, { ...attempt, status: 'failed', attemptCount });
+        }
+
+        const nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attemptCount));
+        logger.info(`[MerchantWebhookDispatcher] ${delivery.delivery_id} attempt ${attemptCount}/${this.MAX_ATTEMPTS} failed, retry at ${nextAttemptAt.toISOString()}`);
+
+        return MerchantWebhookService.recordAttempt(delivery, { ...attempt, status: 'retrying', attemptCount, nextAttemptAt });
+    }
+
+    /**
+     * Exponential backoff: BASE * 2^(attempt - 1), capped at MAX_DELAY
+     */
+    getRetryDelay(attemptCount) {
+        return Math.min(this.BASE_DELAY_MS * Math.pow(2, attemptCount - 1), this.MAX_DELAY_MS);
+    }
+
+    sign(body, secret) {
+        return crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    /**
+     * POST a delivery's event to its webhook
+     * Resolves to { delivered, responseStatus, responseBody, error, durationMs }; never throws
+     */
+    async send(webhook, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const secret = MerchantWebhookService.getSecret(webhook);
+        const startedAt = Date.now();
+
+        try {
+            const response = await axios.post(webhook.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'SabPaisa-QR-Webhooks/1.0',
+                    'X-Webhook-Id': webhook.webhook_id,
+                    'X-Webhook-Event': delivery.event_type,
+                    'X-Webhook-Delivery': delivery.delivery_id,
+                    ...(secret ? { 'X-Webhook-Signature': this.sign(body, secret) } : {})
+                },
+                timeout: this.TIMEOUT_MS,
+                maxRedirects: 0,
+                // Keep the body exactly as signed
+                transformRequest: [data => data],
+                transformResponse: [data => data],
+                validateStatus: () => true
+            });
+
+            const delivered = response.status >= 200 && response.status < 300;
+            return {
+                delivered,
+                responseStatus: response.status,
+                responseBody: typeof response.data === 'string' ? response.data : JSON.stringify(response.data),
+                error: delivered ? null : `HTTP ${response.status}`,
+                durationMs: Date.now() - startedAt
+            };
+        } catch (error) {
+            return {
+                delivered: false,
+                responseStatus: null,
+                responseBody: null,
+                error: error.code ? `${error.code}: ${error.message}` : error.message,
+                durationMs: Date.now() - startedAt
+            };
+        }
+    }
+
+    leaseExpiredBefore() {
+        return new Date(Date.now() - this.LEASE_MS);
+    }
+}
+
+module.exports = new MerchantWebhookDispatcher();
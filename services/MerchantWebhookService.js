@@ -0,0 +1,592 @@
+/**
+ * Merchant Webhook Subscriptions and Deliveries
+ * Merchants subscribe URLs to events (see EVENTS); each event published for a
+ * merchant becomes one delivery per matching subscription, sent and retried by
+ * MerchantWebhookDispatcher. Deliveries are kept as the merchant's delivery log.
+ *
+ * A subscription created by a sub-merchant key only receives that
+ * sub-merchant's events. Signing secrets are generated unless the merchant
+ * brings one, returned once when the subscription is created, and stored encrypted.
+ *
+ * The webhook_url in the merchant's configuration (see MerchantConfigService)
+ * acts as one more merchant-level subscription to every event, signed with
+ * the configured webhook_secret when there is one. Its deliveries carry
+ * CONFIG_WEBHOOK_ID and always go to the URL configured at sending time.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const ApiKeyService = require('./ApiKeyService');
+
+// Events merchants can subscribe to; 'refund.*' style patterns cover a group
+const EVENTS = {
+    'transaction.success': 'A payment to a QR code succeeded',
+    'transaction.failed': 'A payment to a QR code failed',
+    'transaction.reversed': 'A successful payment was reversed by the bank',
+    'refund.initiated': 'A refund was requested',
+    'refund.processing': 'The bank accepted a refund for processing',
+    'refund.success': 'A refund was completed',
+    'refund.failed': 'A refund was rejected or could not be completed',
+    'settlement.created': 'A settlement batch was created',
+    'settlement.completed': 'A settlement was paid out',
+    'settlement.failed': 'A settlement payout failed'
+};
+
+const DEFAULT_EVENTS = ['transaction.success', 'transaction.failed'];
+
+// Sent by POST /webhooks/test only; never needs a subscription
+const TEST_EVENT = 'webhook.test';
+
+// webhook_id of deliveries to the URL in the merchant's configuration
+const CONFIG_WEBHOOK_ID = 'merchant_config';
+
+const STATUSES = ['active', 'disabled'];
+
+// Columns safe to return to merchants - never the encrypted secret
+const PUBLIC_FIELDS = [
+    'webhook_id', 'merchant_id', 'sub_merchant_id', 'url', 'events', 'description',
+    'status', 'created_by', 'created_at', 'updated_at'
+];
+
+// Response bodies are kept for troubleshooting, up to this many characters
+const MAX_RESPONSE_BODY = 2000;
+
+class MerchantWebhookService {
+    constructor() {
+        this.EVENTS = EVENTS;
+        this.DEFAULT_EVENTS = DEFAULT_EVENTS;
+        this.TEST_EVENT = TEST_EVENT;
+        this.CONFIG_WEBHOOK_ID = CONFIG_WEBHOOK_ID;
+        this.STATUSES = STATUSES;
+        this.MAX_LIST_LIMIT = 200;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    // =================== Subscriptions ===================
+
+    /**
+     * Why a webhook URL is unacceptable, or null
+     * Plain http is accepted in development only
+     */
+    validateUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(String(url || ''));
+        } catch (error) {
+            return 'url must be an absolute URL';
+        }
+
+        const allowed = this.useLocalStore() ? ['https:', 'http:'] : ['https:'];
+        if (!allowed.includes(parsed.protocol)) {
+            return this.useLocalStore() ? 'url must use http or https' : 'url must use https';
+        }
+        if (parsed.username || parsed.password) {
+            return 'url must not contain credentials';
+        }
+        return null;
+    }
+
+    /**
+     * Events and patterns not in the catalogue
+     */
+    getUnknownEvents(events) {
+        const groups = new Set(Object.keys(EVENTS).map(event => event.split('.')[0]));
+        return events.filter(event => {
+            if (typeof event !== 'string') {
+                return true;
+            }
+            if (event.endsWith('.*')) {
+                return !groups.has(event.slice(0, -2));
+            }
+            return !EVENTS[event];
+        });
+    }
+
+    // Merchants may bring their own signing secret: 32-128 printable ASCII characters
+    isValidSecret(secret) {
+        return typeof secret === 'string' && /^[\x21-\x7E]{32,128}$/.test(secret);
+    }
+
+    subscribesTo(webhook, eventType) {
+        return webhook.events.some(event => event === eventType ||
+            (event.endsWith('.*') && eventType.startsWith(event.slice(0, -1))));
+    }
+
+    /**
+     * Create a subscription for a tenant
+     * Returns the public record plus the signing secret, which is never shown again
+     */
+    async createWebhook(tenant, { url, events = DEFAULT_EVENTS, description = null, secret = null, createdBy = null }) {
+        const webhookId = `wh_${crypto.randomBytes(12).toString('hex')}`;
+        secret = secret || `whsec_${crypto.randomBytes(32).toString('hex')}`;
+        const now = new Date();
+
+        const webhook = {
+            webhook_id: webhookId,
+            merchant_id: tenant.merchantId,
+            sub_merchant_id: tenant.subMerchantId || null,
+            url,
+            events: [...new Set(events)],
+            secret: ApiKeyService.encryptSecret(secret),
+            description,
+            status: 'active',
+            created_by: createdBy,
+            created_at: now.toISOString(),
+            updated_at: now.toISOString()
+        };
+
+        if (this.useLocalStore()) {
+            await LocalTransactionStore.insertRecord('merchant_webhooks', webhook);
+        } else {
+            await db.query(
+                `INSERT INTO qr_merchant_webhooks (
+                    webhook_id, merchant_id, sub_merchant_id, url, events,
+                    secret, description, status, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    webhook.webhook_id,
+                    webhook.merchant_id,
+                    webhook.sub_merchant_id,
+                    webhook.url,
+                    JSON.stringify(webhook.events),
+                    webhook.secret,
+                    webhook.description,
+                    webhook.status,
+                    webhook.created_by
+                ]
+            );
+        }
+
+        logger.info(`[MerchantWebhooks] Created ${webhookId} for ${tenant.merchantId}`, { url, events: webhook.events });
+
+        return { ...this.toPublic(webhook), secret };
+    }
+
+    async listWebhooks(tenant) {
+        let webhooks;
+        if (this.useLocalStore()) {
+            webhooks = LocalTransactionStore.getCollection('merchant_webhooks');
+        } else {
+            const [rows] = await db.query(
+                'SELECT * FROM qr_merchant_webhooks WHERE merchant_id = ? ORDER BY created_at DESC',
+                [tenant.merchantId]
+            );
+            webhooks = rows.map(row => this.fromRow(row));
+        }
+
+        return webhooks
+            .filter(w => LocalTransactionStore.ownsRecord(tenant, w.merchant_id, w.sub_merchant_id))
+            .map(w => this.toPublic(w));
+    }
+
+    /**
+     * A subscription, including its encrypted secret, whoever owns it
+     */
+    async loadWebhook(webhookId) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('merchant_webhooks')
+                .find(w => w.webhook_id === webhookId) || null;
+        }
+
+        const [rows] = await db.query(
+            'SELECT * FROM qr_merchant_webhooks WHERE webhook_id = ?',
+            [webhookId]
+        );
+        return rows.length > 0 ? this.fromRow(rows[0]) : null;
+    }
+
+    /**
+     * A tenant's subscription; another tenant's is null
+     */
+    async findWebhook(tenant, webhookId) {
+        const webhook = await this.loadWebhook(webhookId);
+
+        return webhook && LocalTransactionStore.ownsRecord(tenant, webhook.merchant_id, webhook.sub_merchant_id)
+            ? webhook
+            : null;
+    }
+
+    async getWebhook(tenant, webhookId) {
+        const webhook = await this.findWebhook(tenant, webhookId);
+        return webhook ? this.toPublic(webhook) : null;
+    }
+
+    /**
+     * Change a subscription's url, events, description or status
+     */
+    async updateWebhook(tenant, webhookId, updates) {
+        const webhook = await this.findWebhook(tenant, webhookId);
+        if (!webhook) {
+            return null;
+        }
+
+        const changes = {};
+        for (const field of ['url', 'events', 'description', 'status']) {
+            if (updates[field] !== undefined) {
+                changes[field] = field === 'events' ? [...new Set(updates[field])] : updates[field];
+            }
+        }
+
+        if (this.useLocalStore()) {
+            const updated = await LocalTransactionStore.updateRecord('merchant_webhooks',
+                w => w.webhook_id === webhookId,
+                { ...changes, updated_at: new Date().toISOString() });
+            return this.toPublic(updated);
+        }
+
+        const columns = Object.keys(changes);
+        if (columns.length > 0) {
+            await db.query(
+                `UPDATE qr_merchant_webhooks SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE webhook_id = ?`,
+                [...columns.map(c => c === 'events' ? JSON.stringify(changes[c]) : changes[c]), webhookId]
+            );
+        }
+
+        return this.getWebhook(tenant, webhookId);
+    }
+
+    /**
+     * Remove a subscription; pending deliveries to it are abandoned, the log is kept
+     */
+    async deleteWebhook(tenant, webhookId) {
+        const webhook = await this.findWebhook(tenant, webhookId);
+        if (!webhook) {
+            return false;
+        }
+
+        if (this.useLocalStore()) {
+            LocalTransactionStore.saveCollection('merchant_webhooks',
+                LocalTransactionStore.getCollection('merchant_webhooks').filter(w => w.webhook_id !== webhookId));
+            const now = new Date().toISOString();
+            const deliveries = LocalTransactionStore.getCollection('merchant_webhook_deliveries').map(d =>
+                d.webhook_id === webhookId && ['pending', 'retrying'].includes(d.status)
+                    ? { ...d, status: 'failed', error_message: 'Webhook deleted', next_attempt_at: null, updated_at: now }
+                    : d);
+            LocalTransactionStore.saveCollection('merchant_webhook_deliveries', deliveries);
+        } else {
+            await db.query('DELETE FROM qr_merchant_webhooks WHERE webhook_id = ?', [webhookId]);
+            await db.query(
+                `UPDATE qr_merchant_webhook_deliveries
+                 SET status = 'failed', error_message = 'Webhook deleted', next_attempt_at = NULL
+                 WHERE webhook_id = ? AND status IN ('pending', 'retrying')`,
+                [webhookId]
+            );
+        }
+
+        logger.info(`[MerchantWebhooks] Deleted ${webhookId} for ${tenant.merchantId}`);
+        return true;
+    }
+
+    // The configured webhook may have no secret; its requests then go unsigned
+    getSecret(webhook) {
+        return webhook.secret ? ApiKeyService.decryptSecret(webhook.secret) : null;
+    }
+
+    /**
+     * The merchant's configured webhook as a subscription, or null when no URL is set
+     */
+    async getConfigWebhook(merchantId) {
+        // Required here rather than at the top: the config service depends on this one
+        const MerchantConfigService = require('./MerchantConfigService');
+        const config = await MerchantConfigService.getConfig(merchantId);
+
+        if (!config.webhook_url) {
+            return null;
+        }
+        return {
+            webhook_id: CONFIG_WEBHOOK_ID,
+            merchant_id: merchantId,
+            sub_merchant_id: null,
+            url: config.webhook_url,
+            events: Object.keys(EVENTS),
+            secret: config.webhook_secret,
+            status: 'active'
+        };
+    }
+
+    /**
+     * The subscription a delivery is sent to, or null once it is deleted
+     */
+    async getDeliveryWebhook(delivery) {
+        return delivery.webhook_id === CONFIG_WEBHOOK_ID
+            ? this.getConfigWebhook(delivery.merchant_id)
+            : this.loadWebhook(delivery.webhook_id);
+    }
+
+    /**
+     * Active subscriptions that should receive an event, the configured webhook included
+     */
+    async getSubscribers(event) {
+        let webhooks;
+        if (this.useLocalStore()) {
+            webhooks = LocalTransactionStore.getCollection('merchant_webhooks')
+                .filter(w => w.merchant_id === event.merchant_id && w.status === 'active');
+        } else {
+            const [rows] = await db.query(
+                "SELECT * FROM qr_merchant_webhooks WHERE merchant_id = ? AND status = 'active'",
+                [event.merchant_id]
+            );
+            webhooks = rows.map(row => this.fromRow(row));
+        }
+
+        const configWebhook = await this.getConfigWebhook(event.merchant_id);
+        if (configWebhook) {
+            webhooks.push(configWebhook);
+        }
+
+        return webhooks.filter(w =>
+            (!w.sub_merchant_id || w.sub_merchant_id === event.sub_merchant_id) &&
+            this.subscribesTo(w, event.type)
+        );
+    }
+
+    // =================== Deliveries ===================
+
+    /**
+     * Record a delivery of an event to a subscription, due immediately
+     * A delivery created as 'sending' is already claimed by the caller
+     */
+    async createDelivery(webhook, event, { redeliveryOf = null, status = 'pending' } = {}) {
+        const delivery = {
+            delivery_id: `whd_${crypto.randomBytes(12).toString('hex')}`,
+            webhook_id: webhook.webhook_id,
+            merchant_id: webhook.merchant_id,
+            // Scoped like the subscription, so a sub-merchant never sees its parent's deliveries
+            sub_merchant_id: webhook.sub_merchant_id || null,
+            event_id: event.event_id,
+            event_type: event.type,
+            url: webhook.url,
+            payload: event,
+            status,
+            attempt_count: 0,
+            next_attempt_at: null,
+            locked_at: status === 'sending' ? new Date().toISOString() : null,
+            response_status: null,
+            response_body: null,
+            error_message: null,
+            duration_ms: null,
+            redelivery_of: redeliveryOf,
+            last_attempt_at: null,
+            delivered_at: null,
+            created_at: new Date().toISOString()
+        };
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.insertRecord('merchant_webhook_deliveries', delivery);
+        }
+
+        await db.query(
+            `INSERT INTO qr_merchant_webhook_deliveries (
+                delivery_id, webhook_id, merchant_id, sub_merchant_id, event_id,
+                event_type, url, payload, status, locked_at, redelivery_of
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                delivery.delivery_id,
+                delivery.webhook_id,
+                delivery.merchant_id,
+                delivery.sub_merchant_id,
+                delivery.event_id,
+                delivery.event_type,
+                delivery.url,
+                JSON.stringify(delivery.payload),
+                delivery.status,
+                delivery.locked_at ? new Date(delivery.locked_at) : null,
+                delivery.redelivery_of
+            ]
+        );
+
+        return delivery;
+    }
+
+    async updateDelivery(deliveryId, updates) {
+        if (this.useLocalStore()) {
+            const localUpdates = {};
+            for (const [column, value] of Object.entries(updates)) {
+                localUpdates[column] = value instanceof Date ? value.toISOString() : value;
+            }
+            return LocalTransactionStore.updateRecord('merchant_webhook_deliveries',
+                d => d.delivery_id === deliveryId, localUpdates);
+        }
+
+        const columns = Object.keys(updates);
+        await db.query(
+            `UPDATE qr_merchant_webhook_deliveries SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE delivery_id = ?`,
+            [...columns.map(c => updates[c]), deliveryId]
+        );
+        return true;
+    }
+
+    /**
+     * Record the outcome of one attempt
+     * status is delivered, retrying (with nextAttemptAt) or failed
+     */
+    async recordAttempt(delivery, { status, attemptCount, responseStatus = null, responseBody = null, error = null, durationMs = null, nextAttemptAt = null }) {
+        const now = new Date();
+        return this.updateDelivery(delivery.delivery_id, {
+            status,
+            attempt_count: attemptCount,
+            response_status: responseStatus,
+            response_body: responseBody === null ? null : String(responseBody).slice(0, MAX_RESPONSE_BODY),
+            error_message: error,
+            duration_ms: durationMs,
+            next_attempt_at: nextAttemptAt,
+            locked_at: null,
+            last_attempt_at: now,
+            delivered_at: status === 'delivered' ? now : null
+        });
+    }
+
+    /**
+     * Atomically take a delivery for sending
+     * A lock older than leaseExpiredBefore is treated as abandoned
+     */
+    async claimDelivery(deliveryId, leaseExpiredBefore) {
+        if (this.useLocalStore()) {
+            const claimed = await LocalTransactionStore.updateRecord(
+                'merchant_webhook_deliveries',
+                d => d.delivery_id === deliveryId && (
+                    ['pending', 'retrying'].includes(d.status) ||
+                    (d.status === 'sending' && (!d.locked_at || new Date(d.locked_at) < leaseExpiredBefore))
+                ),
+                { status: 'sending', locked_at: new Date().toISOString() }
+            );
+            return claimed;
+        }
+
+        const [result] = await db.query(
+            `UPDATE qr_merchant_webhook_deliveries
+             SET status = 'sending', locked_at = CURRENT_TIMESTAMP
+             WHERE delivery_id = ?
+             AND (status IN ('pending', 'retrying')
+                  OR (status = 'sending' AND (locked_at IS NULL OR locked_at < ?)))`,
+            [deliveryId, leaseExpiredBefore]
+        );
+        return result.affectedRows === 1 ? this.findDelivery(deliveryId) : null;
+    }
+
+    /**
+     * Deliveries awaiting a first attempt, due for a retry, or abandoned mid-send
+     */
+    async getDueDeliveries(limit, leaseExpiredBefore) {
+        const now = new Date();
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('merchant_webhook_deliveries')
+                .filter(d =>
+                    d.status === 'pending' ||
+                    (d.status === 'retrying' && (!d.next_attempt_at || new Date(d.next_attempt_at) <= now)) ||
+                    (d.status === 'sending' && d.locked_at && new Date(d.locked_at) < leaseExpiredBefore)
+                )
+                .slice(0, limit);
+        }
+
+        const [rows] = await db.query(
+            `SELECT delivery_id FROM qr_merchant_webhook_deliveries
+             WHERE status = 'pending'
+             OR (status = 'retrying' AND (next_attempt_at IS NULL OR next_attempt_at <= ?))
+             OR (status = 'sending' AND locked_at < ?)
+             ORDER BY id ASC
+             LIMIT ?`,
+            [now, leaseExpiredBefore, limit]
+        );
+        return rows;
+    }
+
+    async findDelivery(deliveryId) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('merchant_webhook_deliveries')
+                .find(d => d.delivery_id === deliveryId) || null;
+        }
+
+        const [rows] = await db.query(
+            'SELECT * FROM qr_merchant_webhook_deliveries WHERE delivery_id = ?',
+            [deliveryId]
+        );
+        return rows.length > 0 ? this.fromDeliveryRow(rows[0]) : null;
+    }
+
+    /**
+     * A tenant's delivery; another tenant's is null
+     */
+    async getDelivery(tenant, deliveryId) {
+        const delivery = await this.findDelivery(deliveryId);
+        return delivery && LocalTransactionStore.ownsRecord(tenant, delivery.merchant_id, delivery.sub_merchant_id)
+            ? delivery
+            : null;
+    }
+
+    /**
+     * Delivery log for a tenant, newest first
+     * Filters: webhook_id, event_type, event_id, status, limit
+     */
+    async listDeliveries(tenant, filters = {}) {
+        const limit = Math.min(parseInt(filters.limit) || 50, this.MAX_LIST_LIMIT);
+        const matches = d =>
+            LocalTransactionStore.ownsRecord(tenant, d.merchant_id, d.sub_merchant_id) &&
+            (!filters.webhook_id || d.webhook_id === filters.webhook_id) &&
+            (!filters.event_type || d.event_type === filters.event_type) &&
+            (!filters.event_id || d.event_id === filters.event_id) &&
+            (!filters.status || d.status === filters.status);
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('merchant_webhook_deliveries')
+                .filter(matches)
+                .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+                .slice(0, limit);
+        }
+
+        const whereConditions = ['merchant_id = ?'];
+        const queryParams = [tenant.merchantId];
+
+        if (tenant.subMerchantId) {
+            whereConditions.push('sub_merchant_id = ?');
+            queryParams.push(tenant.subMerchantId);
+        }
+        for (const column of ['webhook_id', 'event_type', 'event_id', 'status']) {
+            if (filters[column]) {
+                whereConditions.push(`${column} = ?`);
+                queryParams.push(filters[column]);
+            }
+        }
+
+        const [rows] = await db.query(
+            `SELECT * FROM qr_merchant_webhook_deliveries
+             WHERE ${whereConditions.join(' AND ')}
+             ORDER BY created_at DESC
+             LIMIT ?`,
+            [...queryParams, limit]
+        );
+        return rows.map(row => this.fromDeliveryRow(row));
+    }
+
+    // =================== Helpers ===================
+
+    fromRow(row) {
+        return {
+            ...row,
+            events: typeof row.events === 'string' ? JSON.parse(row.events) : row.events
+        };
+    }
+
+    fromDeliveryRow(row) {
+        return {
+            ...row,
+            payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload
+        };
+    }
+
+    toPublic(webhook) {
+        const result = {};
+        for (const field of PUBLIC_FIELDS) {
+            result[field] = webhook[field] === undefined ? null : webhook[field];
+        }
+        return result;
+    }
+}
+
+module.exports = new MerchantWebhookService();
@@ -0,0 +1,157 @@
+/**
+ * QR Code Service
+ * Issues the UPI QR codes of a merchant API tenant: builds the VPA at the
+ * acquiring bank and the UPI string, renders the image and saves the QR code.
+ * The single and bulk endpoints both go through generate, so a QR code made
+ * in a batch is the same as one made on its own and is refused for the same
+ * reasons.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const BankAdapters = require('./banks');
+const security = require('../utils/security');
+
+const IMAGE_OPTIONS = {
+    errorCorrectionLevel: 'M',
+    type: 'image/png',
+    width: 300,
+    margin: 1
+};
+
+class QRCodeService {
+    constructor() {
+        this.MAX_BULK = 100;
+    }
+
+    error(code, message) {
+        return { success: false, error: { code, message } };
+    }
+
+    /**
+     * Generate and save a QR code for one of the tenant's merchants
+     * merchant: { merchant_name, merchant_id, amount, description, reference_name, mobile_number, email }
+     * Resolves to { success, qr_code } or { success: false, error: { code, message } };
+     * code is VALIDATION_ERROR, FORBIDDEN or DUPLICATE_QR (with the qr_id of the existing QR code).
+     */
+    async generate(tenant, merchant = {}, { batchId = null } = {}) {
+        const { merchant_name, merchant_id, amount, description, reference_name, mobile_number, email } = merchant;
+
+        if (!merchant_name || !merchant_id) {
+            return this.error('VALIDATION_ERROR', 'merchant_name and merchant_id are required');
+        }
+
+        const validation = security.validateAndSanitizeMerchant({
+            merchant_name,
+            merchant_id,
+            reference_name: reference_name || merchant_name,
+            amount,
+            description,
+            mobile_number,
+            email
+        });
+
+        // A sub-merchant key can only issue QR codes for its own sub-merchant
+        if (tenant.subMerchantId && merchant_id !== tenant.subMerchantId) {
+            return this.error('FORBIDDEN', `This API key can only generate QR codes for ${tenant.subMerchantId}`);
+        }
+
+        if (!validation.success) {
+            return this.error('VALIDATION_ERROR', validation.error);
+        }
+
+        const sanitized = validation.data;
+
+        // A merchant_id has one QR code per merchant; report a repeat instead of failing in saveQRCode
+        const ownQRCodes = await LocalTransactionStore.getQRCodesForTenant({ merchantId: tenant.merchantId });
+        const existing = ownQRCodes.find(q => q.merchant_id === sanitized.merchant_id);
+        if (existing) {
+            return {
+                ...this.error('DUPLICATE_QR', `A QR code for ${sanitized.merchant_id} already exists`),
+                qr_id: existing.id
+            };
+        }
+
+        const vpa = BankAdapters.getDefaultAdapter().buildVpa({
+            merchantName: sanitized.merchant_name,
+            identifier: sanitized.merchant_id
+        });
+
+        const transactionRef = `API${sanitized.merchant_id}${Date.now().toString().slice(-6)}`;
+
+        const upiString = [
+            'upi://pay?',
+            `pa=${vpa}`,
+            `&pn=${encodeURIComponent(sanitized.reference_name)}`,
+            `&tn=${encodeURIComponent(sanitized.description || 'Payment')}`,
+            '&cu=INR',
+            '&mc=6012',
+            `&tr=${transactionRef}`,
+            '&mode=01',
+            sanitized.amount ? `&am=${sanitized.amount}` : ''
+        ].filter(Boolean).join('');
+
+        const qrCode = {
+            id: crypto.randomBytes(8).toString('hex'),
+            merchant_id: sanitized.merchant_id,
+            merchant_name: sanitized.merchant_name,
+            reference_name: sanitized.reference_name,
+            description: sanitized.description,
+            amount: sanitized.amount,
+            vpa: vpa,
+            upi_string: upiString,
+            transaction_ref: transactionRef,
+            qr_image: await QRCode.toDataURL(upiString, IMAGE_OPTIONS),
+            status: 'active',
+            created_at: new Date().toISOString(),
+            created_via: 'api',
+            owner_merchant_id: tenant.merchantId,
+            api_key_id: tenant.keyId
+        };
+
+        if (batchId) {
+            qrCode.batch_id = batchId;
+        }
+
+        await LocalTransactionStore.saveQRCode(qrCode);
+
+        return { success: true, qr_code: qrCode };
+    }
+
+    /**
+     * Generate a QR code for each of the merchants, one at a time
+     * A merchant that is refused does not stop the others.
+     * Resolves to { batch_id, results: [qr_code], errors: [{ merchant_id, code, error }] }
+     */
+    async generateBulk(tenant, merchants) {
+        const batchId = `BATCH_API_${Date.now()}`;
+        const results = [];
+        const errors = [];
+
+        for (const merchant of merchants) {
+            const merchantId = (merchant && merchant.merchant_id) || 'UNKNOWN';
+
+            try {
+                const result = await this.generate(tenant, merchant || {}, { batchId });
+
+                if (result.success) {
+                    results.push(result.qr_code);
+                } else {
+                    errors.push({ merchant_id: merchantId, code: result.error.code, error: result.error.message });
+                }
+            } catch (error) {
+                errors.push({ merchant_id: merchantId, code: 'GENERATION_ERROR', error: error.message });
+            }
+        }
+
+        logger.info(`[QRCodes] Batch ${batchId}: ${results.length} generated, ${errors.length} failed`, {
+            merchant_id: tenant.merchantId
+        });
+
+        return { batch_id: batchId, results, errors };
+    }
+}
+
+module.exports = new QRCodeService();
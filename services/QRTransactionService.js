@@ -5,10 +5,27 @@
 
 const db = require('../config/database');
 const logger = require('../utils/logger');
-const { v4: uuidv4 } = require('uuid');
 const moment = require('moment');
+const TransactionStateMachine = require('./TransactionStateMachine');
+const TransactionExceptionService = require('./TransactionExceptionService');
+const TransactionLimitService = require('./TransactionLimitService');
+const FeeService = require('./FeeService');
+const { encodeCursor, decodeCursor, parsePageSize } = require('../utils/cursor');
+
+// Columns transaction lists can be sorted on
+const SORT_COLUMNS = {
+    initiated_at: 't.initiated_at',
+    completed_at: 't.completed_at',
+    amount: 't.amount',
+    status: 't.status',
+    transaction_id: 't.transaction_id'
+};
 
 class QRTransactionService {
+    constructor() {
+        this.SORT_COLUMNS = SORT_COLUMNS;
+    }
+
     /**
      * Get paginated transaction list with filters
      */
@@ -16,154 +33,281 @@ class QRTransactionService {
         try {
             const {
                 from_date = moment().subtract(30, 'days').format('YYYY-MM-DD'),
-                to_date = moment().format('YYYY-MM-DD'),
-                qr_code,
-                status,
-                payment_method,
-                min_amount,
-                max_amount,
-                customer_vpa,
-                reference_number,
-                settlement_status
+                to_date = moment().format('YYYY-MM-DD')
             } = filters;
 
-            const {
-                page = 1,
-                limit = 50,
-                sort_by = 'initiated_at',
-                sort_order = 'DESC'
-            } = pagination;
-
-            const offset = (page - 1) * limit;
-
-            // Build dynamic query
-            let whereConditions = ['t.merchant_id = ?'];
-            let queryParams = [merchantId];
-
-            // Add date range
-            whereConditions.push('DATE(t.initiated_at) BETWEEN ? AND ?');
-            queryParams.push(from_date, to_date);
-
-            // Add optional filters
-            if (qr_code && qr_code !== 'all') {
-                whereConditions.push('q.qr_identifier = ?');
-                queryParams.push(qr_code);
-            }
+            return await this.queryTransactions(
+                { condition: 't.merchant_id = ?', params: [merchantId] },
+                { ...filters, from_date, to_date },
+                { ...pagination, limit: parsePageSize(pagination.limit, 50) }
+            );
+        } catch (error) {
+            logger.error('Error fetching transactions:', error);
+            throw error;
+        }
+    }
 
-            if (status && status !== 'all') {
-                whereConditions.push('t.status = ?');
-                queryParams.push(status);
-            }
+    /**
+     * Transactions paid to a tenant's QR codes, with the same filters
+     * Keys limited to a sub-merchant match nothing: QR codes in the database
+     * only record the merchant that owns them.
+     */
+    async searchTransactions(tenant, filters = {}, pagination = {}) {
+        try {
+            return await this.queryTransactions(this.tenantScope(tenant), filters, pagination);
+        } catch (error) {
+            logger.error('Error searching transactions:', error);
+            throw error;
+        }
+    }
 
-            if (payment_method && payment_method !== 'all') {
-                whereConditions.push('t.payment_method = ?');
-                queryParams.push(payment_method);
-            }
+    // Transactions paid to the tenant's QR codes (q joined on t.qr_code_id)
+    tenantScope(tenant) {
+        return tenant.subMerchantId
+            ? { condition: '1 = 0', params: [] }
+            : { condition: 'q.merchant_id = ?', params: [tenant.merchantId] };
+    }
 
-            if (min_amount) {
-                whereConditions.push('t.amount >= ?');
-                queryParams.push(min_amount);
-            }
+    /**
+     * WHERE conditions for the transaction list filters
+     * Dates are YYYY-MM-DD and inclusive. status may be a list. customer_vpa
+     * matches any part of the VPA; reference_number matches the merchant
+     * reference or the bank's RRN.
+     */
+    buildFilters(filters = {}) {
+        const {
+            from_date,
+            to_date,
+            transaction_id,
+            qr_code,
+            status,
+            payment_method,
+            min_amount,
+            max_amount,
+            customer_vpa,
+            reference_number,
+            settlement_status
+        } = filters;
+        const given = (value) => value !== undefined && value !== null && value !== '';
+
+        const conditions = [];
+        const params = [];
+
+        if (given(from_date)) {
+            conditions.push('t.initiated_at >= ?');
+            params.push(moment(from_date, 'YYYY-MM-DD').startOf('day').toDate());
+        }
 
-            if (max_amount) {
-                whereConditions.push('t.amount <= ?');
-                queryParams.push(max_amount);
-            }
+        if (given(to_date)) {
+            conditions.push('t.initiated_at < ?');
+            params.push(moment(to_date, 'YYYY-MM-DD').add(1, 'day').startOf('day').toDate());
+        }
 
-            if (customer_vpa) {
-                whereConditions.push('t.customer_vpa LIKE ?');
-                queryParams.push(`%${customer_vpa}%`);
-            }
+        if (given(transaction_id)) {
+            conditions.push('t.transaction_id = ?');
+            params.push(transaction_id);
+        }
 
-            if (reference_number) {
-                whereConditions.push('(t.reference_number = ? OR t.bank_reference_number = ?)');
-                queryParams.push(reference_number, reference_number);
-            }
+        if (given(qr_code) && qr_code !== 'all') {
+            conditions.push('q.qr_identifier = ?');
+            params.push(qr_code);
+        }
 
-            if (settlement_status && settlement_status !== 'all') {
-                whereConditions.push('t.settlement_status = ?');
-                queryParams.push(settlement_status);
-            }
+        if (Array.isArray(status)) {
+            conditions.push('t.status IN (?)');
+            params.push(status);
+        } else if (given(status) && status !== 'all') {
+            conditions.push('t.status = ?');
+            params.push(status);
+        }
 
-            const whereClause = whereConditions.join(' AND ');
+        if (given(payment_method) && payment_method !== 'all') {
+            conditions.push('t.payment_method = ?');
+            params.push(payment_method);
+        }
 
-            // Get total count
-            const countQuery = `
-                SELECT COUNT(*) as total
-                FROM qr_transactions t
-                LEFT JOIN qr_codes q ON t.qr_code_id = q.id
-                WHERE ${whereClause}
-            `;
+        if (given(min_amount)) {
+            conditions.push('t.amount >= ?');
+            params.push(min_amount);
+        }
 
-            const [countResult] = await db.query(countQuery, queryParams);
-            const total = countResult[0].total;
+        if (given(max_amount)) {
+            conditions.push('t.amount <= ?');
+            params.push(max_amount);
+        }
 
-            // Get transactions
-            const dataQuery = `
-                SELECT 
-                    t.transaction_id,
-                    t.amount,
-                    t.currency,
-                    t.status,
-                    t.payment_method,
-                    t.customer_vpa,
-                    t.customer_name,
-                    t.reference_number,
-                    t.bank_reference_number,
-                    t.initiated_at,
-                    t.completed_at,
-                    t.settlement_status,
-                    t.settlement_date,
-                    t.refund_amount,
-                    q.qr_identifier,
-                    q.reference_name as qr_name,
-                    q.store_location
-                FROM qr_transactions t
-                LEFT JOIN qr_codes q ON t.qr_code_id = q.id
-                WHERE ${whereClause}
-                ORDER BY ${sort_by} ${sort_order}
-                LIMIT ? OFFSET ?
-            `;
+        // % and _ in the VPA are matched literally
+        if (given(customer_vpa)) {
+            conditions.push('t.customer_vpa LIKE ?');
+            params.push(`%${String(customer_vpa).replace(/[\\%_]/g, '\\$&')}%`);
+        }
 
-            queryParams.push(parseInt(limit), parseInt(offset));
-            const [transactions] = await db.query(dataQuery, queryParams);
+        if (given(reference_number)) {
+            conditions.push('(t.reference_number = ? OR t.bank_reference_number = ?)');
+            params.push(reference_number, reference_number);
+        }
 
-            // Get summary statistics
-            const summaryQuery = `
-                SELECT 
-                    SUM(t.amount) as total_amount,
-                    SUM(CASE WHEN t.status = 'success' THEN t.amount ELSE 0 END) as successful_amount,
-                    COUNT(*) as total_transactions,
-                    SUM(CASE WHEN t.status = 'success' THEN 1 ELSE 0 END) as successful_transactions,
-                    SUM(CASE WHEN t.status = 'failed' THEN 1 ELSE 0 END) as failed_transactions,
-                    SUM(CASE WHEN t.status = 'pending' THEN 1 ELSE 0 END) as pending_transactions,
-                    SUM(CASE WHEN t.status IN ('refunded', 'partial_refunded') THEN 1 ELSE 0 END) as refunded_transactions
-                FROM qr_transactions t
-                LEFT JOIN qr_codes q ON t.qr_code_id = q.id
-                WHERE ${whereClause}
-            `;
+        if (given(settlement_status) && settlement_status !== 'all') {
+            conditions.push('t.settlement_status = ?');
+            params.push(settlement_status);
+        }
 
-            const [summary] = await db.query(summaryQuery, queryParams.slice(0, -2));
+        return { conditions, params };
+    }
 
-            return {
-                success: true,
-                data: {
-                    transactions,
-                    pagination: {
-                        total,
+    /**
+     * One page of transactions matching a scope (the merchant condition) and filters
+     * Pages by `page` (OFFSET) or, when pagination.cursor is given, by keyset:
+     * the page starts after the row the cursor was issued for, so rows added
+     * meanwhile never shift it. Every page returns the cursor for the next one.
+     */
+    async queryTransactions(scope, filters = {}, pagination = {}) {
+        const {
+            page = 1,
+            limit = 50,
+            sort_by = 'initiated_at',
+            sort_order = 'DESC',
+            cursor
+        } = pagination;
+
+        const sortBy = SORT_COLUMNS[sort_by] ? sort_by : 'initiated_at';
+        const sortColumn = SORT_COLUMNS[sortBy];
+        const direction = String(sort_order).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+        const { conditions, params } = this.buildFilters(filters);
+        const whereClause = [scope.condition, ...conditions].join(' AND ');
+        const queryParams = [...scope.params, ...params];
+
+        // A cursor is only valid for the sort it was issued with
+        let keyset = null;
+        if (cursor !== undefined && cursor !== null && cursor !== '') {
+            const key = decodeCursor(cursor, ['string', 'string', 'string', 'number']);
+            if (!key || key[0] !== sortBy || key[1] !== direction) {
+                return { success: false, error: { code: 'INVALID_CURSOR', message: 'cursor is invalid or was issued for another sort' } };
+            }
+            keyset = this.keysetCondition(sortBy, direction, key[2], key[3]);
+        }
+        const offset = keyset ? 0 : (page - 1) * limit;
+
+        // Get total count
+        const countQuery = `
+            SELECT COUNT(*) as total
+            FROM qr_transactions t
+            LEFT JOIN qr_codes q ON t.qr_code_id = q.id
+            WHERE ${whereClause}
+        `;
+
+        const [countResult] = await db.query(countQuery, queryParams);
+        const total = countResult[0].total;
+
+        // Get transactions; the id keeps rows with equal sort values in a stable order.
+        // One row more than the page tells whether another page follows.
+        const dataQuery = `
+            SELECT 
+                t.id,
+                t.transaction_id,
+                t.amount,
+                t.currency,
+                t.status,
+                t.payment_method,
+                t.customer_vpa,
+                t.customer_name,
+                t.reference_number,
+                t.bank_reference_number,
+                t.initiated_at,
+                t.completed_at,
+                t.settlement_status,
+                t.settlement_date,
+                t.refund_amount,
+                t.mdr_amount,
+                t.gst_amount,
+                t.net_amount,
+                q.qr_identifier,
+                q.reference_name as qr_name,
+                q.store_location
+            FROM qr_transactions t
+            LEFT JOIN qr_codes q ON t.qr_code_id = q.id
+            WHERE ${whereClause}${keyset ? ` AND ${keyset.condition}` : ''}
+            ORDER BY ${sortColumn} ${direction}, t.id ${direction}
+            LIMIT ? OFFSET ?
+        `;
+
+        const [rows] = await db.query(dataQuery, [
+            ...queryParams,
+            ...(keyset ? keyset.params : []),
+            parseInt(limit) + 1,
+            parseInt(offset)
+        ]);
+        const hasMore = rows.length > limit;
+        const pageRows = rows.slice(0, limit);
+        const last = pageRows[pageRows.length - 1];
+
+        // Get summary statistics
+        const summaryQuery = `
+            SELECT 
+                SUM(t.amount) as total_amount,
+                SUM(CASE WHEN t.status = 'success' THEN t.amount ELSE 0 END) as successful_amount,
+                COALESCE(SUM(t.mdr_amount), 0) as total_mdr,
+                COALESCE(SUM(t.gst_amount), 0) as total_gst,
+                COALESCE(SUM(t.net_amount), 0) as total_net_amount,
+                COUNT(*) as total_transactions,
+                SUM(CASE WHEN t.status = 'success' THEN 1 ELSE 0 END) as successful_transactions,
+                SUM(CASE WHEN t.status = 'failed' THEN 1 ELSE 0 END) as failed_transactions,
+                SUM(CASE WHEN t.status = 'pending' THEN 1 ELSE 0 END) as pending_transactions,
+                SUM(CASE WHEN t.status IN ('refunded', 'partial_refunded') THEN 1 ELSE 0 END) as refunded_transactions
+            FROM qr_transactions t
+            LEFT JOIN qr_codes q ON t.qr_code_id = q.id
+            WHERE ${whereClause}
+        `;
+
+        const [summary] = await db.query(summaryQuery, queryParams);
+
+        return {
+            success: true,
+            data: {
+                transactions: pageRows.map(({ id, ...transaction }) => transaction),
+                pagination: {
+                    total,
+                    ...(keyset ? {} : {
                         page: parseInt(page),
-                        limit: parseInt(limit),
                         total_pages: Math.ceil(total / limit),
                         has_next: page < Math.ceil(total / limit),
                         has_prev: page > 1
-                    },
-                    summary: summary[0]
-                }
-            };
-        } catch (error) {
-            logger.error('Error fetching transactions:', error);
-            throw error;
+                    }),
+                    limit: parseInt(limit),
+                    has_more: hasMore,
+                    next_cursor: hasMore ? encodeCursor([sortBy, direction, this.cursorValue(last[sortBy]), last.id]) : null
+                },
+                summary: summary[0]
+            }
+        };
+    }
+
+    // Sort values in a cursor are strings; dates as ISO timestamps
+    cursorValue(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        return value instanceof Date ? value.toISOString() : String(value);
+    }
+
+    /**
+     * Rows after (sort value, id) in the listing's order
+     * MySQL puts NULLs (completed_at of unfinished payments) first ascending
+     * and last descending.
+     */
+    keysetCondition(sortBy, direction, value, id) {
+        const column = SORT_COLUMNS[sortBy];
+        const param = value !== null && ['initiated_at', 'completed_at'].includes(sortBy) ? new Date(value) : value;
+
+        if (direction === 'DESC') {
+            return value === null
+                ? { condition: `(${column} IS NULL AND t.id < ?)`, params: [id] }
+                : { condition: `(${column} < ? OR (${column} = ? AND t.id < ?) OR ${column} IS NULL)`, params: [param, param, id] };
         }
+        return value === null
+            ? { condition: `(${column} IS NOT NULL OR t.id > ?)`, params: [id] }
+            : { condition: `(${column} > ? OR (${column} = ? AND t.id > ?))`, params: [param, param, id] };
     }
 
     /**
@@ -208,15 +352,15 @@ class QRTransactionService {
             `;
             const [auditTrail] = await db.query(auditQuery, [transactionId]);
 
-            // Get refund details if applicable
+            // Get refund details if applicable (refunds still with the bank included)
             let refundDetails = null;
-            if (result[0].status === 'refunded' || result[0].status === 'partial_refunded') {
-                const refundQuery = `
-                    SELECT * FROM qr_refund_audit 
-                    WHERE transaction_id = ? 
-                    ORDER BY initiated_at DESC
-                `;
-                const [refunds] = await db.query(refundQuery, [transactionId]);
+            const refundQuery = `
+                SELECT * FROM qr_refund_audit 
+                WHERE transaction_id = ? 
+                ORDER BY initiated_at DESC
+            `;
+            const [refunds] = await db.query(refundQuery, [transactionId]);
+            if (refunds.length > 0) {
                 refundDetails = refunds;
             }
 
@@ -252,12 +396,13 @@ class QRTransactionService {
                 reference_number,
                 bank_reference_number,
                 status,
-                payment_method = 'UPI'
+                payment_method = 'UPI',
+                acquirer = 'hdfc'
             } = webhookData;
 
             // Get QR code details
             const [qrCode] = await connection.query(
-                'SELECT id, daily_limit, monthly_limit FROM qr_codes WHERE qr_identifier = ?',
+                'SELECT id, merchant_id FROM qr_codes WHERE qr_identifier = ?',
                 [qr_identifier]
             );
 
@@ -265,34 +410,94 @@ class QRTransactionService {
                 throw new Error('Invalid QR code');
             }
 
-            // Check if transaction already exists
-            const [existing] = await connection.query(
-                'SELECT id FROM qr_transactions WHERE transaction_id = ?',
+            // Lock the existing row so concurrent callbacks are applied one at a time
+            let [existing] = await connection.query(
+                'SELECT id, transaction_id, status, settlement_status FROM qr_transactions WHERE transaction_id = ? FOR UPDATE',
                 [transaction_id]
             );
 
-            let transactionRecord;
+            // Reversal notices may only quote the original bank reference
+            if (existing.length === 0 && status === 'reversed' && bank_reference_number) {
+                [existing] = await connection.query(
+                    'SELECT id, transaction_id, status, settlement_status FROM qr_transactions WHERE bank_reference_number = ? FOR UPDATE',
+                    [bank_reference_number]
+                );
+            }
+
+            const currentStatus = existing.length > 0 ? existing[0].status : null;
+            const transition = TransactionStateMachine.evaluateTransition(currentStatus, status);
+            const changedBy = webhookData.source || 'bank_webhook';
+
+            // Repeated callback for the state we are already in
+            if (transition.noop) {
+                await connection.commit();
+                return {
+                    success: true,
+                    data: {
+                        transaction_id,
+                        status: 'unchanged',
+                        current_status: transition.from
+                    }
+                };
+            }
+
+            // Illegal or out-of-order callback: never applied, parked for review
+            if (!transition.allowed) {
+                const exception = await TransactionExceptionService.record({
+                    transaction_id,
+                    merchant_id,
+                    current_status: currentStatus,
+                    attempted_status: status,
+                    reason: transition.reason,
+                    source: changedBy,
+                    payload: webhookData
+                }, connection);
+                await connection.commit();
+
+                logger.logTransaction(`Rejected ${transition.reason} for ${transaction_id}`, { exception_id: exception.id });
+
+                return {
+                    success: false,
+                    error: {
+                        code: 'ILLEGAL_TRANSITION',
+                        message: transition.reason
+                    },
+                    data: {
+                        transaction_id,
+                        status: 'rejected',
+                        current_status: transition.from,
+                        attempted_status: transition.to,
+                        exception_id: exception.id
+                    }
+                };
+            }
+
+            const settlementStatus = TransactionStateMachine.getSettlementStatus(
+                transition.to,
+                existing.length > 0 ? existing[0].settlement_status : null
+            );
+
             if (existing.length > 0) {
                 // Update existing transaction
                 await connection.query(
                     `UPDATE qr_transactions 
                      SET status = ?, 
-                         bank_reference_number = ?,
-                         completed_at = CURRENT_TIMESTAMP,
-                         settlement_status = CASE WHEN ? = 'success' THEN 'pending' ELSE settlement_status END
-                     WHERE transaction_id = ?`,
-                    [status, bank_reference_number, status, transaction_id]
+                         bank_reference_number = COALESCE(?, bank_reference_number),
+                         completed_at = CASE WHEN ? IN ('success', 'failed', 'reversed', 'expired') THEN CURRENT_TIMESTAMP ELSE completed_at END,
+                         settlement_status = ?
+                     WHERE id = ?`,
+                    [transition.to, bank_reference_number, transition.to, settlementStatus, existing[0].id]
                 );
-                transactionRecord = existing[0];
             } else {
                 // Insert new transaction
-                const [insertResult] = await connection.query(
+                await connection.query(
                     `INSERT INTO qr_transactions (
                         transaction_id, qr_code_id, merchant_id, amount,
                         customer_vpa, customer_name, reference_number,
                         bank_reference_number, status, payment_method,
-                        settlement_status
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        acquirer, settlement_status, completed_at
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                        CASE WHEN ? IN ('success', 'failed', 'reversed', 'expired') THEN CURRENT_TIMESTAMP ELSE NULL END)`,
                     [
                         transaction_id,
                         qrCode[0].id,
@@ -302,40 +507,58 @@ class QRTransactionService {
                         customer_name,
                         reference_number,
                         bank_reference_number,
-                        status,
+                        transition.to,
                         payment_method,
-                        status === 'success' ? 'pending' : null
+                        acquirer,
+                        settlementStatus,
+                        transition.to
                     ]
                 );
-                transactionRecord = { id: insertResult.insertId };
             }
 
-            // Update daily stats if successful
-            if (status === 'success') {
-                await this.updateDailyStats(connection, merchant_id, qrCode[0].id, amount);
-            }
+            await this.recordAudit(connection, {
+                transaction_id: existing.length > 0 ? existing[0].transaction_id : transaction_id,
+                action: existing.length > 0 ? 'STATUS_CHANGE' : 'CREATED',
+                old_status: currentStatus,
+                new_status: transition.to,
+                changed_by: changedBy,
+                change_reason: webhookData.change_reason || webhookData.failure_reason || null
+            });
 
-            // Log webhook event
-            await connection.query(
-                `INSERT INTO qr_webhook_events (
-                    event_id, event_type, transaction_id, payload, status
-                ) VALUES (?, ?, ?, ?, ?)`,
-                [
-                    uuidv4(),
-                    'transaction.' + status,
+            let limitBreaches = [];
+
+            // Update daily stats, charge fees and check limits when the transaction first becomes successful,
+            // not when it returns to success (e.g. disputed -> success)
+            if (TransactionStateMachine.isFirstSuccess(transition)) {
+                await this.updateDailyStats(connection, merchant_id, qrCode[0].id, amount);
+                await this.applyFees(connection, {
+                    transaction_id: existing.length > 0 ? existing[0].transaction_id : transaction_id,
+                    owner_merchant_id: qrCode[0].merchant_id,
+                    amount,
+                    payment_method
+                });
+                limitBreaches = await TransactionLimitService.enforce({
                     transaction_id,
-                    JSON.stringify(webhookData),
-                    'processed'
-                ]
-            );
+                    merchant_id,
+                    owner_merchant_id: qrCode[0].merchant_id,
+                    qr_code_id: qrCode[0].id,
+                    amount
+                }, connection);
+            }
 
             await connection.commit();
 
             return {
                 success: true,
                 data: {
-                    transaction_id,
-                    status: 'processed'
+                    transaction_id: existing.length > 0 ? existing[0].transaction_id : transaction_id,
+                    status: 'processed',
+                    // Merchant that owns the QR code, as opposed to the bank's merchant_id
+                    owner_merchant_id: qrCode[0].merchant_id,
+                    previous_status: currentStatus,
+                    current_status: transition.to,
+                    settlement_status: settlementStatus,
+                    limit_breaches: limitBreaches
                 }
             };
         } catch (error) {
@@ -348,90 +571,144 @@ class QRTransactionService {
     }
 
     /**
-     * Initiate refund for a transaction
+     * Store the fee breakdown on a successful transaction
+     * Fees are charged once; a payment that becomes successful again (e.g. a
+     * dispute won) keeps the breakdown it was first charged.
+     */
+    async applyFees(connection, { transaction_id, owner_merchant_id, amount, payment_method }) {
+        const fees = await FeeService.calculateFor(owner_merchant_id, amount, { paymentMethod: payment_method }, connection);
+
+        await connection.query(
+            `UPDATE qr_transactions
+             SET mdr_amount = ?, gst_amount = ?, net_amount = ?, fee_breakdown = ?
+             WHERE transaction_id = ? AND fee_breakdown IS NULL`,
+            [fees.mdr_amount, fees.gst_amount, fees.net_amount, JSON.stringify(fees), transaction_id]
+        );
+    }
+
+    /**
+     * Write a status transition to qr_transaction_audit
      */
-    async initiateRefund(transactionId, refundData, initiatedBy) {
+    async recordAudit(connection, entry) {
+        await connection.query(
+            `INSERT INTO qr_transaction_audit (
+                transaction_id, action, old_status, new_status,
+                changed_by, change_reason
+            ) VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+                entry.transaction_id,
+                entry.action,
+                entry.old_status,
+                entry.new_status,
+                entry.changed_by,
+                entry.change_reason
+            ]
+        );
+    }
+
+    /**
+     * Move an existing transaction to a new status without a bank callback
+     * (e.g. deemed/expired by the status enquiry poller), subject to the state machine
+     */
+    async transitionStatus(transactionId, status, { changedBy, reason = null } = {}) {
         const connection = await db.getConnection();
         try {
             await connection.beginTransaction();
 
-            // Get transaction details
-            const [transaction] = await connection.query(
-                'SELECT * FROM qr_transactions WHERE transaction_id = ? AND status = ?',
-                [transactionId, 'success']
+            const [existing] = await connection.query(
+                'SELECT id, merchant_id, status FROM qr_transactions WHERE transaction_id = ? FOR UPDATE',
+                [transactionId]
             );
 
-            if (transaction.length === 0) {
-                throw new Error('Transaction not found or not eligible for refund');
+            if (existing.length === 0) {
+                throw new Error('Transaction not found');
             }
 
-            const txn = transaction[0];
-            const refundAmount = refundData.refund_type === 'full' 
-                ? txn.amount 
-                : refundData.refund_amount;
+            const transition = TransactionStateMachine.evaluateTransition(existing[0].status, status);
 
-            // Validate refund amount
-            if (refundAmount > txn.amount) {
-                throw new Error('Refund amount cannot exceed transaction amount');
+            if (transition.noop) {
+                await connection.commit();
+                return { success: true, data: { transaction_id: transactionId, status: 'unchanged', current_status: transition.from } };
             }
 
-            const refundId = 'REF' + moment().format('YYYYMMDD') + Math.random().toString(36).substr(2, 9).toUpperCase();
+            if (!transition.allowed) {
+                const exception = await TransactionExceptionService.record({
+                    transaction_id: transactionId,
+                    merchant_id: existing[0].merchant_id,
+                    current_status: existing[0].status,
+                    attempted_status: status,
+                    reason: transition.reason,
+                    source: changedBy,
+                    payload: { reason }
+                }, connection);
+                await connection.commit();
 
-            // Insert refund record
-            await connection.query(
-                `INSERT INTO qr_refund_audit (
-                    transaction_id, refund_id, original_amount, refund_amount,
-                    refund_type, initiated_by, refund_reason, status
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    transactionId,
-                    refundId,
-                    txn.amount,
-                    refundAmount,
-                    refundData.refund_type,
-                    initiatedBy,
-                    refundData.reason,
-                    'initiated'
-                ]
-            );
+                return {
+                    success: false,
+                    error: {
+                        code: 'ILLEGAL_TRANSITION',
+                        message: transition.reason
+                    },
+                    data: {
+                        transaction_id: transactionId,
+                        status: 'rejected',
+                        current_status: transition.from,
+                        attempted_status: transition.to,
+                        exception_id: exception.id
+                    }
+                };
+            }
 
-            // Update transaction status
-            const newStatus = refundData.refund_type === 'full' ? 'refunded' : 'partial_refunded';
             await connection.query(
-                `UPDATE qr_transactions 
-                 SET status = ?, 
-                     refund_amount = ?,
-                     refund_reason = ?,
-                     refund_initiated_by = ?,
-                     refund_initiated_at = CURRENT_TIMESTAMP
+                `UPDATE qr_transactions
+                 SET status = ?,
+                     failure_reason = COALESCE(?, failure_reason),
+                     completed_at = CASE WHEN ? IN ('success', 'failed', 'reversed', 'expired') THEN CURRENT_TIMESTAMP ELSE completed_at END
                  WHERE transaction_id = ?`,
-                [newStatus, refundAmount, refundData.reason, initiatedBy, transactionId]
+                [transition.to, reason, transition.to, transactionId]
             );
 
-            // Here you would call the actual payment gateway refund API
-            // const gatewayResponse = await paymentGateway.initiateRefund({...});
+            await this.recordAudit(connection, {
+                transaction_id: transactionId,
+                action: 'STATUS_CHANGE',
+                old_status: existing[0].status,
+                new_status: transition.to,
+                changed_by: changedBy,
+                change_reason: reason
+            });
 
             await connection.commit();
 
             return {
                 success: true,
                 data: {
-                    refund_id: refundId,
                     transaction_id: transactionId,
-                    refund_amount: refundAmount,
-                    refund_status: 'initiated',
-                    estimated_completion: moment().add(7, 'days').toISOString()
+                    status: 'processed',
+                    previous_status: existing[0].status,
+                    current_status: transition.to
                 }
             };
         } catch (error) {
             await connection.rollback();
-            logger.error('Error initiating refund:', error);
+            logger.error('Error changing transaction status:', error);
             throw error;
         } finally {
             connection.release();
         }
     }
 
+    /**
+     * Initiate refund for a transaction of the tenant
+     * Delegates to RefundService, which caps the refunds on a transaction and
+     * sends each one to the bank. refundData: { refund_type, refund_amount, reason, initiated_by }.
+     * Resolves like RefundService.initiate.
+     */
+    async initiateRefund(tenant, transactionId, refundData = {}) {
+        // Required here rather than at the top: the refund service depends on this one
+        const RefundService = require('./RefundService');
+        return RefundService.initiate(tenant, transactionId, refundData);
+    }
+
     /**
      * Update daily statistics
      */
@@ -456,84 +733,88 @@ class QRTransactionService {
 
     /**
      * Get transaction summary for reporting
+     * Covers payments initiated in [from, to) to the tenant's QR codes. The
+     * trend comes back in 15-minute slots (seconds since the epoch / 900),
+     * which callers add up into hours, days, weeks or months in any time zone:
+     * every UTC offset in use is a whole number of quarter hours. top_qr_codes
+     * ranks QR codes on successful payments, by revenue and by count.
      */
-    async getTransactionSummary(merchantId, dateRange) {
+    async getTransactionSummary(tenant, { from, to, top = 10 }) {
         try {
-            const { from_date, to_date } = dateRange;
+            const scope = this.tenantScope(tenant);
+            const where = `${scope.condition} AND t.initiated_at >= ? AND t.initiated_at < ?`;
+            const params = [...scope.params, from, to];
 
             // Get overall summary
             const summaryQuery = `
                 SELECT 
                     COUNT(*) as total_transactions,
-                    SUM(amount) as total_amount,
-                    SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as successful_transactions,
-                    SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_transactions,
-                    SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_transactions,
-                    SUM(CASE WHEN status IN ('refunded', 'partial_refunded') THEN 1 ELSE 0 END) as refunded_transactions,
-                    AVG(CASE WHEN status = 'success' THEN amount END) as average_transaction_value,
-                    (SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) * 100.0 / COUNT(*)) as conversion_rate
-                FROM qr_transactions
-                WHERE merchant_id = ? 
-                AND DATE(initiated_at) BETWEEN ? AND ?
+                    SUM(t.amount) as total_amount,
+                    SUM(CASE WHEN t.status = 'success' THEN 1 ELSE 0 END) as successful_transactions,
+                    SUM(CASE WHEN t.status = 'success' THEN t.amount ELSE 0 END) as successful_amount,
+                    SUM(CASE WHEN t.status = 'failed' THEN 1 ELSE 0 END) as failed_transactions,
+                    SUM(CASE WHEN t.status = 'pending' THEN 1 ELSE 0 END) as pending_transactions,
+                    SUM(CASE WHEN t.status IN ('refunded', 'partial_refunded') THEN 1 ELSE 0 END) as refunded_transactions,
+                    AVG(CASE WHEN t.status = 'success' THEN t.amount END) as average_transaction_value,
+                    (SUM(CASE WHEN t.status = 'success' THEN 1 ELSE 0 END) * 100.0 / COUNT(*)) as conversion_rate
+                FROM qr_transactions t
+                LEFT JOIN qr_codes q ON t.qr_code_id = q.id
+                WHERE ${where}
             `;
 
-            const [summary] = await db.query(summaryQuery, [merchantId, from_date, to_date]);
+            const [summary] = await db.query(summaryQuery, params);
 
-            // Get daily trend
-            const dailyTrendQuery = `
+            // Get the trend in 15-minute slots
+            const slotQuery = `
                 SELECT 
-                    DATE(initiated_at) as date,
+                    FLOOR(UNIX_TIMESTAMP(t.initiated_at) / 900) as slot,
                     COUNT(*) as transactions,
-                    SUM(amount) as amount
-                FROM qr_transactions
-                WHERE merchant_id = ?
-                AND DATE(initiated_at) BETWEEN ? AND ?
-                AND status = 'success'
-                GROUP BY DATE(initiated_at)
-                ORDER BY date ASC
-            `;
-
-            const [dailyTrend] = await db.query(dailyTrendQuery, [merchantId, from_date, to_date]);
-
-            // Get hourly distribution
-            const hourlyQuery = `
-                SELECT 
-                    HOUR(initiated_at) as hour,
-                    COUNT(*) as count
-                FROM qr_transactions
-                WHERE merchant_id = ?
-                AND DATE(initiated_at) BETWEEN ? AND ?
-                GROUP BY HOUR(initiated_at)
-                ORDER BY hour
+                    SUM(CASE WHEN t.status = 'success' THEN 1 ELSE 0 END) as successful,
+                    SUM(CASE WHEN t.status = 'failed' THEN 1 ELSE 0 END) as failed,
+                    SUM(CASE WHEN t.status = 'success' THEN t.amount ELSE 0 END) as amount
+                FROM qr_transactions t
+                LEFT JOIN qr_codes q ON t.qr_code_id = q.id
+                WHERE ${where}
+                GROUP BY slot
+                ORDER BY slot ASC
             `;
 
-            const [hourlyDistribution] = await db.query(hourlyQuery, [merchantId, from_date, to_date]);
+            const [timeSlots] = await db.query(slotQuery, params);
 
-            // Get top performing QR codes
-            const topQRQuery = `
-                SELECT 
-                    q.qr_identifier,
-                    q.reference_name,
-                    COUNT(t.id) as transaction_count,
-                    SUM(t.amount) as total_amount
-                FROM qr_transactions t
-                JOIN qr_codes q ON t.qr_code_id = q.id
-                WHERE t.merchant_id = ?
-                AND DATE(t.initiated_at) BETWEEN ? AND ?
-                AND t.status = 'success'
-                GROUP BY q.id
-                ORDER BY total_amount DESC
-                LIMIT 10
-            `;
+            // Get top performing QR codes; ties go to the other measure, then the QR code
+            const topQRCodes = {};
+            const rankings = {
+                by_revenue: 'total_amount DESC, transaction_count DESC',
+                by_count: 'transaction_count DESC, total_amount DESC'
+            };
+            for (const [ranking, order] of Object.entries(rankings)) {
+                if (top <= 0) {
+                    topQRCodes[ranking] = [];
+                    continue;
+                }
 
-            const [topQRCodes] = await db.query(topQRQuery, [merchantId, from_date, to_date]);
+                const [rows] = await db.query(`
+                    SELECT 
+                        q.qr_identifier,
+                        q.reference_name,
+                        COUNT(t.id) as transaction_count,
+                        SUM(t.amount) as total_amount
+                    FROM qr_transactions t
+                    JOIN qr_codes q ON t.qr_code_id = q.id
+                    WHERE ${where}
+                    AND t.status = 'success'
+                    GROUP BY q.id, q.qr_identifier, q.reference_name
+                    ORDER BY ${order}, q.qr_identifier ASC
+                    LIMIT ?
+                `, [...params, top]);
+                topQRCodes[ranking] = rows;
+            }
 
             return {
                 success: true,
                 data: {
                     summary: summary[0],
-                    daily_trend: dailyTrend,
-                    hourly_distribution: hourlyDistribution,
+                    time_slots: timeSlots,
                     top_qr_codes: topQRCodes
                 }
             };
@@ -0,0 +1,90 @@
+/**
+ * Merchant API Rate Limiting
+ * Token buckets per API key: every request draws from the key's bucket, and
+ * requests to an endpoint group also draw from the key's bucket for that group.
+ *
+ * - Key bucket: refills at the key's rate_limit per minute and holds up to
+ *   RATE_LIMIT_BUCKET_CAPACITY tokens (never more than one minute's allowance),
+ *   so that many requests can be sent back to back before the rate applies
+ * - Group buckets: tighter limits for expensive or sensitive endpoints
+ *
+ * Buckets live in the store chosen by RATE_LIMIT_STORE (see services/rateLimit).
+ * RATE_LIMIT_FAIL_OPEN decides what happens to requests while that store is
+ * unreachable: let through (default) or refused.
+ */
+
+const RateLimitStores = require('./rateLimit');
+
+// Requests per minute (sustained) and bucket capacity per key, per endpoint group
+const ENDPOINT_GROUPS = {
+    'qr.generate': { perMinute: 120, capacity: 20 },
+    'qr.bulk': { perMinute: 10, capacity: 2 },
+    'api_keys': { perMinute: 20, capacity: 5 }
+};
+
+class RateLimitService {
+    constructor() {
+        // RATE_LIMIT_BURST is the setting's earlier name
+        this.BUCKET_CAPACITY = parseInt(process.env.RATE_LIMIT_BUCKET_CAPACITY || process.env.RATE_LIMIT_BURST) || 50;
+        this.DEFAULT_RATE_LIMIT = 100;
+        this.FAIL_OPEN = process.env.RATE_LIMIT_FAIL_OPEN !== 'false';
+        this.ENDPOINT_GROUPS = ENDPOINT_GROUPS;
+    }
+
+    /**
+     * Sustained rate and bucket capacity for a key, or for one of its endpoint groups
+     */
+    getPolicy(group, keyRateLimit) {
+        if (group) {
+            const policy = this.ENDPOINT_GROUPS[group];
+            if (!policy) {
+                throw new Error(`Unknown rate limit group: ${group}`);
+            }
+            return policy;
+        }
+
+        const perMinute = parseInt(keyRateLimit) || this.DEFAULT_RATE_LIMIT;
+        return { perMinute, capacity: Math.min(this.BUCKET_CAPACITY, perMinute) };
+    }
+
+    /**
+     * Create the configured store, so a store that cannot be loaded stops the
+     * server at startup instead of on the first request
+     */
+    init() {
+        return RateLimitStores.getStore();
+    }
+
+    /**
+     * Take a token for a request by a key (and endpoint group)
+     * Resolves to { allowed, limit, burst, remaining, retryAfterSeconds, resetAt }.
+     * When the store is unavailable it resolves to null if FAIL_OPEN (the
+     * request is let through), otherwise to { allowed: false, unavailable: true }.
+     */
+    async consume({ keyId, rateLimit, group = null }) {
+        const policy = this.getPolicy(group, rateLimit);
+        const now = Date.now();
+
+        let result;
+        try {
+            result = await RateLimitStores.getStore().take(`${keyId}:${group || 'key'}`, {
+                capacity: policy.capacity,
+                refillPerSecond: policy.perMinute / 60
+            }, { now });
+        } catch (error) {
+            console.error('Rate limit store unavailable:', error.message);
+            return this.FAIL_OPEN ? null : { allowed: false, unavailable: true };
+        }
+
+        return {
+            allowed: result.allowed,
+            limit: policy.perMinute,
+            burst: policy.capacity,
+            remaining: result.remaining,
+            retryAfterSeconds: Math.ceil(result.retryAfterMs / 1000),
+            resetAt: new Date(now + result.resetMs).toISOString()
+        };
+    }
+}
+
+module.exports = new RateLimitService();
@@ -0,0 +1,610 @@
+/**
+ * Refund Service
+ * Refunds a successful transaction in full or in several partial refunds.
+ * Every refund that has not failed counts towards the amount paid, so the
+ * refunds on a transaction can never add up to more than the customer paid.
+ *
+ * A refund is recorded as initiated and sent to the acquiring bank through
+ * its adapter. The bank completes it (success), accepts it for later
+ * (processing) or rejects it (failed); refunds still open are followed up by
+ * RefundStatusPoller. The transaction becomes partial_refunded or refunded
+ * once a refund succeeds. Each state change is published to the merchant as
+ * a refund.* event.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const TransactionStateMachine = require('./TransactionStateMachine');
+const TransactionExceptionService = require('./TransactionExceptionService');
+const QRTransactionService = require('./QRTransactionService');
+const MerchantEventService = require('./MerchantEventService');
+const BankAdapters = require('./banks');
+
+// Allowed refund status changes: from -> [to]
+const TRANSITIONS = {
+    initiated: ['processing', 'success', 'failed'],
+    processing: ['success', 'failed'],
+    success: [],
+    failed: []
+};
+
+// Transaction states a refund can be made against
+const REFUNDABLE_STATES = ['success', 'partial_refunded'];
+
+const REFUND_TYPES = ['full', 'partial'];
+const MAX_REASON_LENGTH = 500;
+
+class RefundService {
+    constructor() {
+        this.ESTIMATED_DAYS = parseInt(process.env.REFUND_ESTIMATED_DAYS) || 7;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    toPaise(amount) {
+        return Math.round(parseFloat(amount) * 100);
+    }
+
+    fromPaise(paise) {
+        return paise / 100;
+    }
+
+    error(code, message) {
+        return { success: false, error: { code, message } };
+    }
+
+    /**
+     * Refund a transaction of the tenant and send the refund to the bank
+     * request: { refund_type (full|partial), refund_amount, reason, initiated_by }
+     * A full refund refunds whatever has not been refunded yet.
+     * Resolves to { success, refund, refundable_amount } or
+     * { success: false, error: { code, message } }; code is VALIDATION_ERROR,
+     * NOT_FOUND, NOT_REFUNDABLE or REFUND_LIMIT_EXCEEDED.
+     */
+    async initiate(tenant, transactionId, request = {}) {
+        const invalid = this.validateRequest(request);
+        if (invalid) {
+            return this.error('VALIDATION_ERROR', invalid);
+        }
+
+        const created = this.useLocalStore()
+            ? await this.createLocal(tenant, transactionId, request)
+            : await this.createDb(tenant, transactionId, request);
+
+        if (!created.success) {
+            return created;
+        }
+
+        logger.logTransaction(`Refund ${created.refund.refund_id} initiated for ${transactionId}`, {
+            refund_amount: created.refund.refund_amount
+        });
+        await this.publish(created.refund);
+
+        const refund = await this.submit(created.refund);
+        return { success: true, refund, refundable_amount: created.refundable_amount };
+    }
+
+    validateRequest(request) {
+        const refundType = request.refund_type || 'full';
+
+        if (!REFUND_TYPES.includes(refundType)) {
+            return 'refund_type must be full or partial';
+        }
+        if (refundType === 'partial') {
+            const amount = Number(request.refund_amount);
+            if (request.refund_amount === undefined || request.refund_amount === null || request.refund_amount === '') {
+                return 'refund_amount is required for a partial refund';
+            }
+            if (!Number.isFinite(amount) || amount <= 0 || Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) {
+                return 'refund_amount must be a positive amount with at most 2 decimals';
+            }
+        }
+        if (typeof request.reason !== 'string' || !request.reason.trim()) {
+            return 'reason is required';
+        }
+        if (request.reason.length > MAX_REASON_LENGTH) {
+            return `reason must be at most ${MAX_REASON_LENGTH} characters`;
+        }
+        if (request.initiated_by !== undefined && (typeof request.initiated_by !== 'string' || request.initiated_by.length > 100)) {
+            return 'initiated_by must be a string of at most 100 characters';
+        }
+        return null;
+    }
+
+    /**
+     * Work out a refund against a transaction and the refunds already made on it
+     * Returns { refund, refundable_amount } or an error result
+     */
+    buildRefund(transaction, refunds, tenant, request) {
+        const state = TransactionStateMachine.normalizeStatus(transaction.status);
+        if (!REFUNDABLE_STATES.includes(state)) {
+            return this.error('NOT_REFUNDABLE', `Only successful transactions can be refunded; this one is ${state || transaction.status}`);
+        }
+
+        const paidPaise = this.toPaise(transaction.amount);
+        const reservedPaise = refunds
+            .filter(r => r.status !== 'failed')
+            .reduce((sum, r) => sum + this.toPaise(r.refund_amount), 0);
+        const refundablePaise = paidPaise - reservedPaise;
+
+        if (refundablePaise <= 0) {
+            return this.error('NOT_REFUNDABLE', 'Transaction has already been refunded in full');
+        }
+
+        const refundType = request.refund_type || 'full';
+        const refundPaise = refundType === 'full' ? refundablePaise : this.toPaise(request.refund_amount);
+
+        if (refundPaise > refundablePaise) {
+            return this.error('REFUND_LIMIT_EXCEEDED',
+                `Refund of ₹${this.fromPaise(refundPaise)} exceeds the refundable amount of ₹${this.fromPaise(refundablePaise)}`);
+        }
+
+        return {
+            success: true,
+            refundable_amount: this.fromPaise(refundablePaise - refundPaise),
+            refund: {
+                refund_id: 'REF' + moment().format('YYYYMMDD') + crypto.randomBytes(5).toString('hex').toUpperCase(),
+                transaction_id: transaction.transaction_id,
+                original_amount: this.fromPaise(paidPaise),
+                refund_amount: this.fromPaise(refundPaise),
+                refund_type: refundType,
+                initiated_by: request.initiated_by || tenant.keyId,
+                refund_reason: request.reason.trim(),
+                status: 'initiated'
+            }
+        };
+    }
+
+    async createLocal(tenant, transactionId, request) {
+        const transactions = await LocalTransactionStore.getTransactionsForTenant(tenant);
+        const transaction = transactions.find(t => t.transactionId === transactionId);
+
+        // Another tenant's transaction is reported as missing, not forbidden
+        if (!transaction) {
+            return this.error('NOT_FOUND', 'Transaction not found');
+        }
+
+        const refunds = LocalTransactionStore.getCollection('refunds').filter(r => r.transaction_id === transactionId);
+        const built = this.buildRefund({
+            transaction_id: transaction.transactionId,
+            amount: transaction.amount,
+            status: transaction.status
+        }, refunds, tenant, request);
+
+        if (!built.success) {
+            return built;
+        }
+
+        const now = new Date().toISOString();
+        const refund = await LocalTransactionStore.insertRecord('refunds', {
+            ...built.refund,
+            merchant_id: transaction.ownerMerchantId,
+            sub_merchant_id: transaction.subMerchantId || null,
+            bank_merchant_id: transaction.merchantId,
+            acquirer: transaction.acquirer || 'hdfc',
+            status_message: null,
+            bank_reference: null,
+            bank_response_code: null,
+            check_attempts: 0,
+            // Keeps the poller away while the request submits the refund
+            last_checked_at: now,
+            initiated_at: now,
+            completed_at: null,
+            updated_at: now
+        });
+
+        return { success: true, refund, refundable_amount: built.refundable_amount };
+    }
+
+    async createDb(tenant, transactionId, request) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // Lock the transaction so concurrent refunds are capped one at a time
+            const [rows] = await connection.query(
+                `SELECT t.id, t.transaction_id, t.merchant_id, t.amount, t.status, t.acquirer,
+                        q.merchant_id AS owner_merchant_id
+                 FROM qr_transactions t
+                 JOIN qr_codes q ON q.id = t.qr_code_id
+                 WHERE t.transaction_id = ?
+                 FOR UPDATE`,
+                [transactionId]
+            );
+
+            if (rows.length === 0 || !LocalTransactionStore.ownsRecord(tenant, rows[0].owner_merchant_id, null)) {
+                await connection.rollback();
+                return this.error('NOT_FOUND', 'Transaction not found');
+            }
+
+            const transaction = rows[0];
+            const [refunds] = await connection.query(
+                'SELECT refund_amount, status FROM qr_refund_audit WHERE transaction_id = ?',
+                [transactionId]
+            );
+
+            // Legacy cancelled refunds never reached the bank
+            const built = this.buildRefund(transaction, refunds.filter(r => r.status !== 'cancelled'), tenant, request);
+            if (!built.success) {
+                await connection.rollback();
+                return built;
+            }
+
+            const refund = {
+                ...built.refund,
+                merchant_id: transaction.owner_merchant_id,
+                sub_merchant_id: null,
+                bank_merchant_id: transaction.merchant_id,
+                acquirer: transaction.acquirer || 'hdfc',
+                status_message: null,
+                bank_reference: null,
+                bank_response_code: null,
+                check_attempts: 0
+            };
+
+            await connection.query(
+                `INSERT INTO qr_refund_audit (
+                    transaction_id, refund_id, merchant_id, sub_merchant_id, bank_merchant_id, acquirer,
+                    original_amount, refund_amount, refund_type, initiated_by, refund_reason,
+                    status, last_checked_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                [
+                    refund.transaction_id,
+                    refund.refund_id,
+                    refund.merchant_id,
+                    refund.sub_merchant_id,
+                    refund.bank_merchant_id,
+                    refund.acquirer,
+                    refund.original_amount,
+                    refund.refund_amount,
+                    refund.refund_type,
+                    refund.initiated_by,
+                    refund.refund_reason,
+                    refund.status
+                ]
+            );
+
+            await connection.query(
+                `UPDATE qr_transactions
+                 SET refund_reason = ?, refund_initiated_by = ?, refund_initiated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [refund.refund_reason, refund.initiated_by, transaction.id]
+            );
+
+            await connection.commit();
+
+            const now = new Date().toISOString();
+            return {
+                success: true,
+                refund: { ...refund, last_checked_at: now, initiated_at: now, completed_at: null, updated_at: now },
+                refundable_amount: built.refundable_amount
+            };
+        } catch (error) {
+            await connection.rollback();
+            logger.error('Error initiating refund:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Send an initiated refund to the bank and apply its answer
+     * If the bank cannot be reached the refund stays initiated for the poller;
+     * the bank sees the same refund ID again, so a retry never refunds twice.
+     */
+    async submit(refund) {
+        const adapter = BankAdapters.getAdapter(refund.acquirer);
+        await this.markChecked(refund.refund_id);
+
+        let answer;
+        try {
+            if (!adapter) {
+                throw new Error(`No bank adapter registered for ${refund.acquirer}`);
+            }
+
+            answer = await adapter.refund({
+                merchantId: refund.bank_merchant_id,
+                transactionId: refund.transaction_id,
+                amount: parseFloat(refund.refund_amount),
+                refundId: refund.refund_id,
+                reason: refund.refund_reason
+            });
+        } catch (error) {
+            logger.error(`[RefundService] Could not submit ${refund.refund_id}: ${error.message}`);
+            return refund;
+        }
+
+        return this.applyBankAnswer(refund, answer);
+    }
+
+    /**
+     * Move a refund to the status the bank reported
+     * Answers that do not move it forward (still processing, or already
+     * applied by another instance) leave it as it is.
+     */
+    async applyBankAnswer(refund, answer) {
+        const status = answer.status;
+
+        if (!(TRANSITIONS[refund.status] || []).includes(status)) {
+            return refund;
+        }
+
+        const final = TRANSITIONS[status].length === 0;
+        const updated = await this.updateStatus(refund, {
+            status,
+            status_message: answer.message || null,
+            bank_reference: answer.bankReference || refund.bank_reference || null,
+            bank_response_code: answer.responseCode || null,
+            completed_at: final ? new Date() : null
+        });
+
+        if (!updated) {
+            return (await this.findRefund(refund.refund_id)) || refund;
+        }
+
+        logger.logTransaction(`Refund ${refund.refund_id}: ${refund.status} -> ${status}`, {
+            transaction_id: refund.transaction_id,
+            response_code: answer.responseCode
+        });
+
+        if (status === 'success') {
+            await this.applyToTransaction(updated);
+        }
+        await this.publish(updated);
+
+        return updated;
+    }
+
+    /**
+     * Change a refund's status unless it has moved on since it was read
+     * Returns the updated refund, or null if it had moved on
+     */
+    async updateStatus(refund, updates) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.updateRecord('refunds',
+                r => r.refund_id === refund.refund_id && r.status === refund.status,
+                {
+                    ...updates,
+                    completed_at: updates.completed_at ? updates.completed_at.toISOString() : null,
+                    updated_at: new Date().toISOString()
+                });
+        }
+
+        const [result] = await db.query(
+            `UPDATE qr_refund_audit
+             SET status = ?, status_message = ?, bank_reference = ?, bank_response_code = ?, completed_at = ?
+             WHERE refund_id = ? AND status = ?`,
+            [
+                updates.status,
+                updates.status_message,
+                updates.bank_reference,
+                updates.bank_response_code,
+                updates.completed_at,
+                refund.refund_id,
+                refund.status
+            ]
+        );
+
+        return result.affectedRows > 0 ? { ...refund, ...updates } : null;
+    }
+
+    /**
+     * Status change for a succeeded refund. A refund never ends an open
+     * dispute: the refunded total is still recorded, and a rejected dispute
+     * returns the transaction to the refund state (see TransactionDisputeService).
+     */
+    evaluateTransition(currentStatus, state) {
+        if (TransactionStateMachine.normalizeStatus(currentStatus) === 'disputed') {
+            return { allowed: false, noop: false, from: 'disputed', to: state, reason: 'Refund cannot end an open dispute' };
+        }
+        return TransactionStateMachine.evaluateTransition(currentStatus, state);
+    }
+
+    /**
+     * A refund succeeded: record the refunded total on the transaction and move
+     * it to partial_refunded, or refunded once everything paid is refunded.
+     * The money has gone back either way, so a transaction that can no longer
+     * make the move (e.g. disputed meanwhile) is parked as an exception.
+     */
+    async applyToTransaction(refund) {
+        if (this.useLocalStore()) {
+            const refundedPaise = LocalTransactionStore.getCollection('refunds')
+                .filter(r => r.transaction_id === refund.transaction_id && r.status === 'success')
+                .reduce((sum, r) => sum + this.toPaise(r.refund_amount), 0);
+
+            const original = LocalTransactionStore.getTransactions().find(t => t.transactionId === refund.transaction_id);
+            if (!original) {
+                return;
+            }
+
+            const state = refundedPaise >= this.toPaise(original.amount) ? 'refunded' : 'partial_refunded';
+            const transition = this.evaluateTransition(original.status, state);
+            if (transition.allowed || transition.noop) {
+                await LocalTransactionStore.applyStatusChange(original, {
+                    merchantId: original.merchantId,
+                    transactionStatus: state.toUpperCase(),
+                    statusDescription: original.statusDescription
+                }, state, 'refund');
+            } else {
+                await TransactionExceptionService.record({
+                    transaction_id: original.transactionId,
+                    merchant_id: original.merchantId,
+                    current_status: transition.from,
+                    attempted_status: state,
+                    reason: transition.reason,
+                    source: 'refund',
+                    payload: { refund_id: refund.refund_id, refund_amount: refund.refund_amount }
+                });
+            }
+
+            const transactions = LocalTransactionStore.getTransactions();
+            const transaction = transactions.find(t => t.transactionId === refund.transaction_id);
+            transaction.refundedAmount = this.fromPaise(refundedPaise);
+            transaction.refundCompletedAt = new Date().toISOString();
+            LocalTransactionStore.saveTransactions(transactions);
+            return;
+        }
+
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [rows] = await connection.query(
+                'SELECT id, transaction_id, merchant_id, amount, status FROM qr_transactions WHERE transaction_id = ? FOR UPDATE',
+                [refund.transaction_id]
+            );
+
+            if (rows.length === 0) {
+                await connection.rollback();
+                return;
+            }
+
+            const original = rows[0];
+            const [[{ refunded }]] = await connection.query(
+                `SELECT COALESCE(SUM(refund_amount), 0) AS refunded
+                 FROM qr_refund_audit
+                 WHERE transaction_id = ? AND status = 'success'`,
+                [refund.transaction_id]
+            );
+
+            const state = this.toPaise(refunded) >= this.toPaise(original.amount) ? 'refunded' : 'partial_refunded';
+            const transition = this.evaluateTransition(original.status, state);
+
+            if (transition.allowed) {
+                await QRTransactionService.recordAudit(connection, {
+                    transaction_id: original.transaction_id,
+                    action: 'REFUND_SUCCESS',
+                    old_status: original.status,
+                    new_status: state,
+                    changed_by: 'refund',
+                    change_reason: `${refund.refund_id}: ₹${refund.refund_amount}`
+                });
+            } else if (!transition.noop) {
+                await TransactionExceptionService.record({
+                    transaction_id: original.transaction_id,
+                    merchant_id: original.merchant_id,
+                    current_status: original.status,
+                    attempted_status: state,
+                    reason: transition.reason,
+                    source: 'refund',
+                    payload: { refund_id: refund.refund_id, refund_amount: refund.refund_amount }
+                }, connection);
+            }
+
+            await connection.query(
+                `UPDATE qr_transactions
+                 SET status = ?, refund_amount = ?, refund_completed_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [transition.allowed ? state : original.status, refunded, original.id]
+            );
+
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback();
+            logger.error(`Error applying refund ${refund.refund_id} to its transaction:`, error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    publish(refund) {
+        return MerchantEventService.publish(`refund.${refund.status}`, refund.merchant_id, this.toResponse(refund), {
+            subMerchantId: refund.sub_merchant_id || null
+        });
+    }
+
+    async markChecked(refundId) {
+        if (this.useLocalStore()) {
+            const refund = LocalTransactionStore.getCollection('refunds').find(r => r.refund_id === refundId);
+            if (refund) {
+                await LocalTransactionStore.updateRecord('refunds', r => r.refund_id === refundId, {
+                    check_attempts: (refund.check_attempts || 0) + 1,
+                    last_checked_at: new Date().toISOString()
+                });
+            }
+            return;
+        }
+
+        await db.query(
+            `UPDATE qr_refund_audit
+             SET check_attempts = check_attempts + 1, last_checked_at = CURRENT_TIMESTAMP
+             WHERE refund_id = ?`,
+            [refundId]
+        );
+    }
+
+    async findRefund(refundId) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('refunds').find(r => r.refund_id === refundId) || null;
+        }
+
+        const [rows] = await db.query('SELECT * FROM qr_refund_audit WHERE refund_id = ?', [refundId]);
+        return rows[0] || null;
+    }
+
+    // Another tenant's refund is reported as missing, not forbidden
+    async getRefund(tenant, refundId) {
+        const refund = await this.findRefund(refundId);
+        return refund && LocalTransactionStore.ownsRecord(tenant, refund.merchant_id, refund.sub_merchant_id)
+            ? refund
+            : null;
+    }
+
+    /**
+     * Open refunds not checked with the bank since checkedBefore, oldest first
+     */
+    async getOpenRefunds(checkedBefore, limit) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('refunds')
+                .filter(r => ['initiated', 'processing'].includes(r.status) &&
+                    (!r.last_checked_at || new Date(r.last_checked_at) <= checkedBefore))
+                .sort((a, b) => new Date(a.initiated_at) - new Date(b.initiated_at))
+                .slice(0, limit);
+        }
+
+        const [rows] = await db.query(
+            `SELECT * FROM qr_refund_audit
+             WHERE status IN ('initiated', 'processing')
+             AND (last_checked_at IS NULL OR last_checked_at <= ?)
+             ORDER BY initiated_at ASC
+             LIMIT ?`,
+            [checkedBefore, limit]
+        );
+        return rows;
+    }
+
+    /**
+     * Refund as returned to merchants (API responses and refund.* events)
+     */
+    toResponse(refund) {
+        const final = TRANSITIONS[refund.status] !== undefined && TRANSITIONS[refund.status].length === 0;
+        const toIso = (value) => value ? new Date(value).toISOString() : null;
+
+        return {
+            refund_id: refund.refund_id,
+            transaction_id: refund.transaction_id,
+            refund_type: refund.refund_type,
+            refund_amount: parseFloat(refund.refund_amount),
+            original_amount: parseFloat(refund.original_amount),
+            refund_status: refund.status,
+            reason: refund.refund_reason,
+            status_message: refund.status_message || null,
+            bank_reference: refund.bank_reference || null,
+            initiated_by: refund.initiated_by,
+            initiated_at: toIso(refund.initiated_at),
+            completed_at: toIso(refund.completed_at),
+            estimated_completion: final
+                ? null
+                : moment(refund.initiated_at).add(this.ESTIMATED_DAYS, 'days').toISOString()
+        };
+    }
+}
+
+module.exports = new RefundService();
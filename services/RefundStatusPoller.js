@@ -0,0 +1,122 @@
+/**
+ * Refund Status Poller
+ * Follows up refunds the bank has not finished with: processing refunds are
+ * checked with the adapter's refund status API until the bank reports
+ * success or failure. Initiated refunds never got an answer (bank
+ * unreachable); ones the bank has no record of are submitted again.
+ */
+
+const moment = require('moment');
+const logger = require('../utils/logger');
+const RefundService = require('./RefundService');
+const BankAdapters = require('./banks');
+
+class RefundStatusPoller {
+    constructor() {
+        this.POLL_INTERVAL_MS = parseInt(process.env.REFUND_POLL_INTERVAL_MS) || 60 * 1000;
+        // Minimum gap between two bank calls for the same refund
+        this.RETRY_INTERVAL_MINUTES = parseInt(process.env.REFUND_STATUS_RETRY_MINUTES) || 5;
+        this.BATCH_SIZE = 50;
+
+        this.timer = null;
+        this.polling = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.poll(), this.POLL_INTERVAL_MS);
+        // Never keep the process alive just for the poller
+        this.timer.unref();
+        logger.info(`[RefundStatusPoller] Started (poll every ${this.POLL_INTERVAL_MS}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run one cycle
+     * Resolves to a summary, or null if a cycle is already running
+     */
+    async poll() {
+        if (this.polling) {
+            return null;
+        }
+
+        this.polling = true;
+        try {
+            const checkedBefore = moment().subtract(this.RETRY_INTERVAL_MINUTES, 'minutes').toDate();
+            const refunds = await RefundService.getOpenRefunds(checkedBefore, this.BATCH_SIZE);
+            const summary = { checked: 0, outcomes: {}, results: [] };
+
+            for (const refund of refunds) {
+                const result = await this.reconcile(refund);
+                summary.checked++;
+                summary.outcomes[result.outcome] = (summary.outcomes[result.outcome] || 0) + 1;
+                summary.results.push(result);
+            }
+
+            if (summary.checked > 0) {
+                logger.info(`[RefundStatusPoller] Checked ${summary.checked} refund(s)`, summary.outcomes);
+            }
+            return summary;
+        } catch (error) {
+            logger.error('[RefundStatusPoller] Poll failed:', error);
+            throw error;
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Ask the bank about one refund and apply the answer
+     * Outcome: updated, unchanged, resubmitted, not_found or error
+     */
+    async reconcile(refund) {
+        const { refund_id } = refund;
+        const adapter = BankAdapters.getAdapter(refund.acquirer);
+
+        await RefundService.markChecked(refund_id);
+
+        let answer;
+        try {
+            if (!adapter) {
+                throw new Error(`No bank adapter registered for ${refund.acquirer}`);
+            }
+
+            answer = await adapter.refundStatus({
+                merchantId: refund.bank_merchant_id,
+                transactionId: refund.transaction_id,
+                refundId: refund_id
+            });
+        } catch (error) {
+            // Try again next cycle; an unanswered enquiry never fails a refund
+            logger.error(`[RefundStatusPoller] Refund status failed for ${refund_id}: ${error.message}`);
+            return { refund_id, outcome: 'error', error: error.message };
+        }
+
+        if (!answer) {
+            if (refund.status !== 'initiated') {
+                return { refund_id, outcome: 'not_found', status: refund.status };
+            }
+
+            const submitted = await RefundService.submit(refund);
+            return { refund_id, outcome: 'resubmitted', status: submitted.status };
+        }
+
+        const updated = await RefundService.applyBankAnswer(refund, answer);
+        return {
+            refund_id,
+            outcome: updated.status === refund.status ? 'unchanged' : 'updated',
+            status: updated.status
+        };
+    }
+}
+
+module.exports = new RefundStatusPoller();
@@ -0,0 +1,107 @@
+/**
+ * Merchant API Request Signing
+ * Signed requests carry X-Signature = hex HMAC-SHA256(api_secret, string to sign):
+ *
+ *   METHOD \n PATH \n TIMESTAMP \n NONCE \n hex SHA-256(raw body)
+ *
+ * PATH includes the query string, TIMESTAMP is Unix seconds. A request is
+ * accepted within REQUEST_SIGNATURE_MAX_SKEW_SECONDS of our clock and each
+ * nonce is accepted once per key while its request could still be fresh.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const LocalTransactionStore = require('./LocalTransactionStore');
+
+class RequestSigningService {
+    constructor() {
+        this.MAX_SKEW_SECONDS = parseInt(process.env.REQUEST_SIGNATURE_MAX_SKEW_SECONDS) || 300;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    hashBody(body) {
+        return crypto.createHash('sha256').update(body || '').digest('hex');
+    }
+
+    buildStringToSign({ method, path, timestamp, nonce, bodyHash }) {
+        return [String(method).toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+    }
+
+    sign(secret, request) {
+        return crypto.createHmac('sha256', secret).update(this.buildStringToSign(request)).digest('hex');
+    }
+
+    verify(secret, request, signature) {
+        const expected = Buffer.from(this.sign(secret, request));
+        const provided = Buffer.from(String(signature || '').toLowerCase());
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    }
+
+    /**
+     * Returns null when the timestamp is inside the skew window, otherwise why not
+     */
+    checkTimestamp(timestamp, now = Date.now()) {
+        if (!/^\d+$/.test(String(timestamp || ''))) {
+            return 'X-Timestamp must be Unix time in seconds';
+        }
+
+        const skew = Math.abs(Math.floor(now / 1000) - parseInt(timestamp));
+        if (skew > this.MAX_SKEW_SECONDS) {
+            return `Request timestamp is outside the allowed ${this.MAX_SKEW_SECONDS}s window`;
+        }
+        return null;
+    }
+
+    /**
+     * Record a nonce for a key; false when it was already used
+     * Entries outlive the skew window on both sides, after which the timestamp
+     * check rejects the request anyway
+     */
+    async claimNonce(keyId, nonce) {
+        const nonceKey = `${keyId}:${nonce}`;
+        const now = new Date();
+        const expiresAt = new Date(now.getTime() + 2 * this.MAX_SKEW_SECONDS * 1000);
+
+        if (this.useLocalStore()) {
+            const entries = LocalTransactionStore.getCollection('api_request_nonces')
+                .filter(e => new Date(e.expires_at) > now);
+
+            if (entries.some(e => e.nonce_key === nonceKey)) {
+                return false;
+            }
+
+            // Expired entries are dropped on write
+            LocalTransactionStore.saveCollection('api_request_nonces', [...entries, {
+                nonce_key: nonceKey,
+                key_id: keyId,
+                expires_at: expiresAt.toISOString(),
+                created_at: now.toISOString()
+            }]);
+            return true;
+        }
+
+        // Claim the nonce, or take it over if its entry has expired
+        const claimId = crypto.randomBytes(16).toString('hex');
+        await db.query(
+            `INSERT INTO qr_api_request_nonces (nonce_key, key_id, claim_id, expires_at)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE
+                claim_id = IF(expires_at < CURRENT_TIMESTAMP, VALUES(claim_id), claim_id),
+                created_at = IF(expires_at < CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, created_at),
+                expires_at = IF(expires_at < CURRENT_TIMESTAMP, VALUES(expires_at), expires_at)`,
+            [nonceKey, keyId, claimId, expiresAt]
+        );
+
+        const [rows] = await db.query(
+            'SELECT claim_id FROM qr_api_request_nonces WHERE nonce_key = ?',
+            [nonceKey]
+        );
+
+        return rows[0].claim_id === claimId;
+    }
+}
+
+module.exports = new RequestSigningService();
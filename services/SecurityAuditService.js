@@ -0,0 +1,102 @@
+/**
+ * Security Audit Log
+ * Records requests rejected for security reasons (untrusted source, bad
+ * checksum, replayed or stale callbacks) in security_audit_log for review
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+
+class SecurityAuditService {
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    /**
+     * Record a rejection
+     * entry: { event_type, source, reason, source_ip, reference_id, details }
+     * Never throws - failing to audit must not change how the request is handled
+     */
+    async log(entry) {
+        const record = {
+            event_type: entry.event_type,
+            source: entry.source || null,
+            reason: entry.reason,
+            source_ip: entry.source_ip || null,
+            reference_id: entry.reference_id || null,
+            details: entry.details || null,
+            created_at: new Date().toISOString()
+        };
+
+        logger.warn(`[SECURITY] ${record.event_type} from ${record.source_ip || 'unknown'}: ${record.reason}`, {
+            source: record.source,
+            reference_id: record.reference_id
+        });
+
+        try {
+            if (this.useLocalStore()) {
+                return await LocalTransactionStore.insertRecord('security_audit_log', record);
+            }
+
+            const [result] = await db.query(
+                `INSERT INTO security_audit_log (
+                    event_type, source, reason, source_ip, reference_id, details
+                ) VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    record.event_type,
+                    record.source,
+                    record.reason,
+                    record.source_ip,
+                    record.reference_id,
+                    JSON.stringify(record.details)
+                ]
+            );
+            return { id: result.insertId, ...record };
+        } catch (error) {
+            logger.error('[SECURITY] Failed to write security audit log:', error);
+            return null;
+        }
+    }
+
+    async list(filters = {}) {
+        const { event_type, source } = filters;
+        const limit = Math.min(parseInt(filters.limit) || 50, 500);
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('security_audit_log')
+                .filter(e => !event_type || e.event_type === event_type)
+                .filter(e => !source || e.source === source)
+                .reverse()
+                .slice(0, limit);
+        }
+
+        const whereConditions = [];
+        const queryParams = [];
+
+        if (event_type) {
+            whereConditions.push('event_type = ?');
+            queryParams.push(event_type);
+        }
+        if (source) {
+            whereConditions.push('source = ?');
+            queryParams.push(source);
+        }
+
+        const whereClause = whereConditions.length > 0
+            ? `WHERE ${whereConditions.join(' AND ')}`
+            : '';
+
+        const [rows] = await db.query(
+            `SELECT * FROM security_audit_log
+             ${whereClause}
+             ORDER BY created_at DESC
+             LIMIT ?`,
+            [...queryParams, limit]
+        );
+
+        return rows;
+    }
+}
+
+module.exports = new SecurityAuditService();
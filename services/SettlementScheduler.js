@@ -0,0 +1,147 @@
+/**
+ * Settlement Scheduler
+ * Creates each merchant's settlement once its settlement time has passed
+ * for the day. The merchant's cycle decides which payments are due:
+ * T+0 pays out the day's payments up to the settlement time, T+1 the ones
+ * completed before today, T+2 the ones completed before yesterday and
+ * weekly the ones completed before this week (Monday). Merchants on a manual
+ * cycle only settle on request. Payments that fall below the merchant's
+ * minimum settlement amount are picked up again on the next cycle.
+ */
+
+const moment = require('moment');
+const logger = require('../utils/logger');
+const SettlementService = require('./SettlementService');
+
+// Expected outcomes of a run that did not create a settlement
+const NOT_SETTLED_OUTCOMES = {
+    NOTHING_TO_SETTLE: 'nothing_to_settle',
+    BELOW_MINIMUM: 'below_minimum'
+};
+
+class SettlementScheduler {
+    constructor() {
+        this.POLL_INTERVAL_MS = parseInt(process.env.SETTLEMENT_POLL_INTERVAL_MS) || 5 * 60 * 1000;
+
+        this.timer = null;
+        this.polling = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.poll(), this.POLL_INTERVAL_MS);
+        // Never keep the process alive just for the scheduler
+        this.timer.unref();
+        logger.info(`[SettlementScheduler] Started (poll every ${this.POLL_INTERVAL_MS}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Payments completed before the returned time are due for settlement at now,
+     * or null when the merchant does not settle (yet) today
+     */
+    getCutoff(config, now = new Date()) {
+        const [hours, minutes, seconds] = String(config.settlement_time || '00:00:00').split(':').map(n => parseInt(n) || 0);
+        const today = moment(now).startOf('day');
+        const runAt = today.clone().add({ hours, minutes, seconds });
+
+        if (moment(now).isBefore(runAt)) {
+            return null;
+        }
+
+        switch (config.settlement_type) {
+            case 'T+0':
+                return runAt.toDate();
+            case 'T+1':
+                return today.toDate();
+            case 'T+2':
+                return today.clone().subtract(1, 'day').toDate();
+            case 'weekly':
+                return moment(now).startOf('isoWeek').toDate();
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Run one cycle
+     * Resolves to a summary, or null if a cycle is already running
+     */
+    async poll(now = new Date()) {
+        if (this.polling) {
+            return null;
+        }
+
+        this.polling = true;
+        try {
+            const merchants = await SettlementService.getMerchantsWithPending();
+            const summary = { checked: 0, outcomes: {}, results: [] };
+
+            for (const merchantId of merchants) {
+                const result = await this.settle(merchantId, now);
+                summary.checked++;
+                summary.outcomes[result.outcome] = (summary.outcomes[result.outcome] || 0) + 1;
+                summary.results.push(result);
+            }
+
+            if (summary.outcomes.created || summary.outcomes.error) {
+                logger.info(`[SettlementScheduler] Checked ${summary.checked} merchant(s)`, summary.outcomes);
+            }
+            return summary;
+        } catch (error) {
+            logger.error('[SettlementScheduler] Poll failed:', error);
+            throw error;
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Settle one merchant if its cycle is due
+     * Outcome: created, not_due, nothing_to_settle, below_minimum or error
+     */
+    async settle(merchantId, now) {
+        try {
+            const config = await SettlementService.getConfig(merchantId);
+            const cutoff = this.getCutoff(config, now);
+
+            if (!cutoff) {
+                return { merchant_id: merchantId, outcome: 'not_due', cycle: config.settlement_type };
+            }
+
+            const result = await SettlementService.settleMerchant(merchantId, {
+                settlementType: 'auto',
+                cycle: config.settlement_type,
+                cutoff,
+                config
+            });
+
+            if (!result.success) {
+                const outcome = NOT_SETTLED_OUTCOMES[result.error.code] || 'error';
+                return { merchant_id: merchantId, outcome, message: result.error.message };
+            }
+
+            return {
+                merchant_id: merchantId,
+                outcome: 'created',
+                settlement_id: result.settlement.settlement_id,
+                net_settlement: result.settlement.net_settlement
+            };
+        } catch (error) {
+            // Try again next cycle
+            logger.error(`[SettlementScheduler] Settlement failed for ${merchantId}: ${error.message}`);
+            return { merchant_id: merchantId, outcome: 'error', error: error.message };
+        }
+    }
+}
+
+module.exports = new SettlementScheduler();
@@ -0,0 +1,1039 @@
+/**
+ * Settlement Service
+ * Pays a merchant's successful payments out in settlement batches. A batch
+ * takes every payment still pending settlement that completed before a
+ * cutoff (worked out by SettlementScheduler from the merchant's T+0, T+1,
+ * T+2 or weekly cycle, or "now" for a manual request), deducts the fees
+ * charged on each (see FeeService) and nets off refunds. Refunds
+ * on payments that were already paid out, and what was paid out for payments
+ * reversed or charged back since, are recovered from the batch as
+ * adjustments. A batch worth less than min_settlement_amount is not made;
+ * its payments wait for the next cycle.
+ *
+ * Batches start initiated. Once the payout is confirmed the batch is
+ * completed with its UTR and the payments become settled, including any
+ * reversed meanwhile, since the payout covered them; they are recovered from
+ * the next batch. A failed payout releases the payments and recoveries for the
+ * next batch. Each step is published to the merchant as a settlement.* event.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const TransactionStateMachine = require('./TransactionStateMachine');
+const MerchantEventService = require('./MerchantEventService');
+const FeeService = require('./FeeService');
+const MerchantConfigService = require('./MerchantConfigService');
+
+// Transaction states whose money is paid out; refunds are netted off separately
+const SETTLEABLE_STATES = ['success', 'partial_refunded', 'refunded'];
+
+// States whose payout, once settled, is taken back from the merchant
+const RECOVERABLE_STATES = ['reversed', 'charged_back'];
+
+const SETTLEMENT_CYCLES = ['T+0', 'T+1', 'T+2', 'weekly', 'manual'];
+
+// Batch statuses behind each status filter of the settlement list
+const STATUS_FILTERS = {
+    pending: ['initiated', 'processing'],
+    completed: ['completed'],
+    failed: ['failed']
+};
+
+const SETTLEMENT_TYPES = ['auto', 'manual'];
+
+const MAX_REASON_LENGTH = 255;
+const MAX_MANUAL_TRANSACTIONS = 1000;
+
+class SettlementService {
+    constructor() {
+        this.SETTLEMENT_CYCLES = SETTLEMENT_CYCLES;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    toPaise(amount) {
+        return Math.round(parseFloat(amount || 0) * 100);
+    }
+
+    fromPaise(paise) {
+        return paise / 100;
+    }
+
+    error(code, message) {
+        return { success: false, error: { code, message } };
+    }
+
+    /**
+     * Settlement configuration and pricing of a merchant, with schema defaults
+     */
+    async getConfig(merchantId) {
+        return MerchantConfigService.getConfig(merchantId);
+    }
+
+    /**
+     * MDR and GST charged on a payment, in paise
+     * Payments carry the breakdown they were charged when they succeeded;
+     * older ones without it are charged at the merchant's current pricing.
+     */
+    getCharges(transaction, config) {
+        const fees = transaction.fees ||
+            FeeService.calculate(transaction.amount, config, { paymentMethod: transaction.payment_method });
+        return { charges: this.toPaise(fees.mdr_amount), tax: this.toPaise(fees.gst_amount) };
+    }
+
+    /**
+     * Owner merchants with payments waiting to be settled
+     */
+    async getMerchantsWithPending() {
+        if (this.useLocalStore()) {
+            const merchants = LocalTransactionStore.getTransactions()
+                .filter(t => t.ownerMerchantId && this.isEligibleLocal(t))
+                .map(t => t.ownerMerchantId);
+            return [...new Set(merchants)];
+        }
+
+        const [rows] = await db.query(
+            `SELECT DISTINCT q.merchant_id
+             FROM qr_transactions t
+             JOIN qr_codes q ON q.id = t.qr_code_id
+             WHERE t.settlement_status = 'pending' AND t.status IN (?)`,
+            [SETTLEABLE_STATES]
+        );
+        return rows.map(r => r.merchant_id);
+    }
+
+    isEligibleLocal(transaction) {
+        return transaction.settlementStatus === 'pending' &&
+            SETTLEABLE_STATES.includes(TransactionStateMachine.normalizeStatus(transaction.status));
+    }
+
+    isRecoverableLocal(transaction) {
+        return transaction.settlementStatus === 'settled' && !transaction.recoveryBatchId &&
+            RECOVERABLE_STATES.includes(TransactionStateMachine.normalizeStatus(transaction.status));
+    }
+
+    /**
+     * Settle a merchant's payments that completed before the cutoff
+     * options: { settlementType (auto|manual), cycle, cutoff, transactionIds,
+     * reason, requestedBy, config }. transactionIds limits a manual settlement
+     * to those payments; every one of them has to be eligible.
+     * Resolves to { success, settlement } or { success: false, error }; code is
+     * NOT_ELIGIBLE, NOTHING_TO_SETTLE or BELOW_MINIMUM.
+     */
+    async settleMerchant(merchantId, options = {}) {
+        const config = options.config || await this.getConfig(merchantId);
+        const settings = {
+            settlementType: options.settlementType || 'auto',
+            cycle: options.cycle || config.settlement_type,
+            cutoff: options.cutoff || new Date(),
+            transactionIds: options.transactionIds && options.transactionIds.length > 0 ? options.transactionIds : null,
+            reason: options.reason || null,
+            requestedBy: options.requestedBy || null,
+            config
+        };
+
+        const created = this.useLocalStore()
+            ? await this.createLocal(merchantId, settings)
+            : await this.createDb(merchantId, settings);
+
+        if (!created.success) {
+            return created;
+        }
+
+        logger.logTransaction(`Settlement ${created.settlement.settlement_id} created for ${merchantId}`, {
+            transactions: created.settlement.total_transactions,
+            net_settlement: created.settlement.net_settlement
+        });
+        await this.publish('settlement.created', created.settlement);
+
+        return created;
+    }
+
+    /**
+     * Work out a batch from the eligible payments, the refunds not yet deducted
+     * and the settled payments since reversed or charged back
+     * transactions: [{ ref, transaction_id, amount, payment_method, fees }], ref being
+     * the store's key for it and fees its stored breakdown, if any
+     * refunds: [{ refund_id, transaction_id, refund_amount, transaction_settled }]
+     * reversals: [{ ref, transaction_id, status, settled_amount, refunds_recovered }],
+     * refunds_recovered being its refunds taken back outside the batch that paid it out
+     * Returns { success, batch, lines, refunds, reversals } or an error result
+     */
+    buildBatch(merchantId, transactions, refunds, settings, reversals = []) {
+        const requested = settings.transactionIds;
+        if (requested) {
+            const found = new Set(transactions.map(t => t.transaction_id));
+            const missing = requested.filter(id => !found.has(id));
+            if (missing.length > 0) {
+                return this.error('NOT_ELIGIBLE', `Not eligible for settlement: ${missing.join(', ')}`);
+            }
+        }
+
+        if (transactions.length === 0) {
+            return this.error('NOTHING_TO_SETTLE', 'No payments are due for settlement');
+        }
+
+        const included = new Set(transactions.map(t => t.transaction_id));
+        const deducted = refunds.filter(r => included.has(r.transaction_id));
+        // Already paid out with an earlier batch: recover the refund from this one
+        const recovered = refunds.filter(r => !included.has(r.transaction_id) && r.transaction_settled);
+
+        const lines = transactions.map(t => {
+            const amount = this.toPaise(t.amount);
+            const refunded = deducted
+                .filter(r => r.transaction_id === t.transaction_id)
+                .reduce((sum, r) => sum + this.toPaise(r.refund_amount), 0);
+            const { charges, tax } = this.getCharges(t, settings.config);
+
+            return {
+                ref: t.ref,
+                transaction_id: t.transaction_id,
+                transaction_amount: amount,
+                refund_amount: refunded,
+                charges,
+                tax,
+                net_amount: amount - refunded - charges - tax
+            };
+        });
+
+        // What was paid out for it, less the refunds that are (or will be) recovered on their own
+        const reversed = reversals.map(r => ({
+            ...r,
+            recovery_amount: Math.max(this.toPaise(r.settled_amount) - this.toPaise(r.refunds_recovered), 0)
+        }));
+
+        const total = (field) => lines.reduce((sum, line) => sum + line[field], 0);
+        const adjustments = -recovered.reduce((sum, r) => sum + this.toPaise(r.refund_amount), 0) -
+            reversed.reduce((sum, r) => sum + r.recovery_amount, 0);
+        const net = total('net_amount') + adjustments;
+        const minimum = this.toPaise(settings.config.min_settlement_amount);
+
+        if (net < minimum) {
+            return this.error('BELOW_MINIMUM',
+                `Settlement of ₹${this.fromPaise(net)} is below the minimum of ₹${this.fromPaise(minimum)}`);
+        }
+
+        const suffix = moment().format('YYYYMMDD') + crypto.randomBytes(4).toString('hex').toUpperCase();
+        return {
+            success: true,
+            batch: {
+                settlement_id: 'SETT' + suffix,
+                batch_id: 'BATCH' + suffix,
+                merchant_id: merchantId,
+                settlement_date: moment().format('YYYY-MM-DD'),
+                total_transactions: lines.length,
+                gross_amount: this.fromPaise(total('transaction_amount')),
+                total_refunds: this.fromPaise(total('refund_amount')),
+                charges: this.fromPaise(total('charges')),
+                tax: this.fromPaise(total('tax')),
+                adjustments: this.fromPaise(adjustments),
+                net_settlement: this.fromPaise(net),
+                status: 'initiated',
+                settlement_type: settings.settlementType,
+                cycle: settings.cycle,
+                cutoff_at: settings.cutoff,
+                reason: settings.reason,
+                requested_by: settings.requestedBy,
+                bank_reference: null,
+                utr_number: null,
+                failure_reason: null
+            },
+            lines: lines.map(line => ({
+                ref: line.ref,
+                transaction_id: line.transaction_id,
+                transaction_amount: this.fromPaise(line.transaction_amount),
+                refund_amount: this.fromPaise(line.refund_amount),
+                charges: this.fromPaise(line.charges),
+                tax: this.fromPaise(line.tax),
+                net_amount: this.fromPaise(line.net_amount)
+            })),
+            refunds: [...deducted, ...recovered],
+            reversals: reversed.map(r => ({ ...r, recovery_amount: this.fromPaise(r.recovery_amount) }))
+        };
+    }
+
+    /**
+     * Refunds of a payment that are not part of the batch that paid it out
+     */
+    refundsRecoveredLocal(transaction, refunds) {
+        const batchId = transaction.settlementBatchId || null;
+        return this.fromPaise(refunds
+            .filter(r => r.transaction_id === transaction.transactionId && r.status === 'success' &&
+                (r.settlement_batch_id || null) !== batchId)
+            .reduce((sum, r) => sum + this.toPaise(r.refund_amount), 0));
+    }
+
+    async createLocal(merchantId, settings) {
+        const transactions = LocalTransactionStore.getTransactions();
+        const candidates = transactions.filter(t =>
+            t.ownerMerchantId === merchantId &&
+            this.isEligibleLocal(t) &&
+            new Date(t.completedAt || t.createdAt) < settings.cutoff &&
+            (!settings.transactionIds || settings.transactionIds.includes(t.transactionId))
+        );
+
+        const statusOf = new Map(transactions.map(t => [t.transactionId, t.settlementStatus]));
+        const allRefunds = LocalTransactionStore.getCollection('refunds');
+        const refunds = allRefunds
+            .filter(r => r.merchant_id === merchantId && r.status === 'success' && !r.settlement_batch_id)
+            .map(r => ({ ...r, transaction_settled: statusOf.get(r.transaction_id) === 'settled' }));
+
+        const reversals = transactions
+            .filter(t => t.ownerMerchantId === merchantId && this.isRecoverableLocal(t))
+            .map(t => ({
+                ref: t.transactionId,
+                transaction_id: t.transactionId,
+                status: TransactionStateMachine.normalizeStatus(t.status),
+                settled_amount: t.settledAmount !== undefined && t.settledAmount !== null ? t.settledAmount : t.amount,
+                refunds_recovered: this.refundsRecoveredLocal(t, allRefunds)
+            }));
+
+        const built = this.buildBatch(merchantId, candidates.map(t => ({
+            ref: t.transactionId,
+            transaction_id: t.transactionId,
+            amount: t.amount,
+            payment_method: t.paymentMode,
+            fees: t.fees || null
+        })), refunds, settings, reversals);
+
+        if (!built.success) {
+            return built;
+        }
+
+        const now = new Date().toISOString();
+        const batch = await LocalTransactionStore.insertRecord('settlement_batches', {
+            ...built.batch,
+            cutoff_at: settings.cutoff.toISOString(),
+            initiated_at: now,
+            processed_at: null,
+            completed_at: null
+        });
+
+        const lines = LocalTransactionStore.getCollection('settlement_transactions');
+        for (const { ref, ...line } of built.lines) {
+            lines.push({
+                id: lines.length > 0 ? lines[lines.length - 1].id + 1 : 1,
+                settlement_batch_id: batch.id,
+                ...line,
+                created_at: now
+            });
+        }
+        LocalTransactionStore.saveCollection('settlement_transactions', lines);
+
+        const included = new Set(built.lines.map(line => line.ref));
+        const recoveries = new Map(built.reversals.map(r => [r.ref, r.recovery_amount]));
+        for (const transaction of transactions) {
+            if (included.has(transaction.transactionId)) {
+                transaction.settlementStatus = 'processing';
+                transaction.settlementBatchId = batch.settlement_id;
+            } else if (recoveries.has(transaction.transactionId)) {
+                transaction.recoveryBatchId = batch.settlement_id;
+                transaction.recoveryAmount = recoveries.get(transaction.transactionId);
+            }
+        }
+        LocalTransactionStore.saveTransactions(transactions);
+
+        const deducted = new Set(built.refunds.map(r => r.refund_id));
+        LocalTransactionStore.saveCollection('refunds', LocalTransactionStore.getCollection('refunds').map(r =>
+            deducted.has(r.refund_id) ? { ...r, settlement_batch_id: batch.settlement_id } : r
+        ));
+
+        return { success: true, settlement: batch };
+    }
+
+    async createDb(merchantId, settings) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // Lock the payments so two runs never put one in two batches
+            const [transactions] = await connection.query(
+                `SELECT t.id, t.transaction_id, t.amount, t.payment_method, t.mdr_amount, t.gst_amount, t.fee_breakdown
+                 FROM qr_transactions t
+                 JOIN qr_codes q ON q.id = t.qr_code_id
+                 WHERE q.merchant_id = ?
+                 AND t.settlement_status = 'pending'
+                 AND t.status IN (?)
+                 AND COALESCE(t.completed_at, t.initiated_at) < ?
+                 ${settings.transactionIds ? 'AND t.transaction_id IN (?)' : ''}
+                 ORDER BY t.id
+                 FOR UPDATE`,
+                [merchantId, SETTLEABLE_STATES, settings.cutoff, ...(settings.transactionIds ? [settings.transactionIds] : [])]
+            );
+
+            const [refunds] = await connection.query(
+                `SELECT r.id, r.refund_id, r.transaction_id, r.refund_amount,
+                        t.settlement_status = 'settled' AS transaction_settled
+                 FROM qr_refund_audit r
+                 JOIN qr_transactions t ON t.transaction_id = r.transaction_id
+                 WHERE r.merchant_id = ? AND r.status = 'success' AND r.settlement_batch_id IS NULL
+                 FOR UPDATE`,
+                [merchantId]
+            );
+
+            // Paid out, then reversed or charged back; <=> keeps refunds of payments settled without a batch
+            const [reversals] = await connection.query(
+                `SELECT t.id AS ref, t.transaction_id, t.status,
+                        COALESCE(t.settlement_amount, t.amount) AS settled_amount,
+                        (SELECT COALESCE(SUM(r.refund_amount), 0)
+                         FROM qr_refund_audit r
+                         WHERE r.transaction_id = t.transaction_id AND r.status = 'success'
+                         AND NOT (r.settlement_batch_id <=> t.settlement_batch_id)) AS refunds_recovered
+                 FROM qr_transactions t
+                 JOIN qr_codes q ON q.id = t.qr_code_id
+                 WHERE q.merchant_id = ?
+                 AND t.settlement_status = 'settled'
+                 AND t.status IN (?)
+                 AND t.recovery_batch_id IS NULL
+                 ORDER BY t.id
+                 FOR UPDATE`,
+                [merchantId, RECOVERABLE_STATES]
+            );
+
+            const built = this.buildBatch(merchantId, transactions.map(t => ({
+                ref: t.id,
+                transaction_id: t.transaction_id,
+                amount: t.amount,
+                payment_method: t.payment_method,
+                fees: t.fee_breakdown ? { mdr_amount: t.mdr_amount, gst_amount: t.gst_amount } : null
+            })), refunds.map(r => ({ ...r, transaction_settled: Boolean(r.transaction_settled) })), settings, reversals);
+
+            if (!built.success) {
+                await connection.rollback();
+                return built;
+            }
+
+            const batch = built.batch;
+            const [result] = await connection.query(
+                `INSERT INTO qr_settlement_batches (
+                    batch_id, settlement_id, merchant_id, settlement_date, total_transactions,
+                    gross_amount, total_refunds, charges, tax, adjustments, net_settlement,
+                    status, settlement_type, cycle, cutoff_at, reason, requested_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    batch.batch_id,
+                    batch.settlement_id,
+                    batch.merchant_id,
+                    batch.settlement_date,
+                    batch.total_transactions,
+                    batch.gross_amount,
+                    batch.total_refunds,
+                    batch.charges,
+                    batch.tax,
+                    batch.adjustments,
+                    batch.net_settlement,
+                    batch.status,
+                    batch.settlement_type,
+                    batch.cycle,
+                    batch.cutoff_at,
+                    batch.reason,
+                    batch.requested_by
+                ]
+            );
+
+            await connection.query(
+                `INSERT INTO qr_settlement_transactions (
+                    settlement_batch_id, transaction_id, transaction_amount, refund_amount, charges, tax, net_amount
+                ) VALUES ?`,
+                [built.lines.map(line => [
+                    result.insertId,
+                    line.ref,
+                    line.transaction_amount,
+                    line.refund_amount,
+                    line.charges,
+                    line.tax,
+                    line.net_amount
+                ])]
+            );
+
+            await connection.query(
+                `UPDATE qr_transactions
+                 SET settlement_status = 'processing', settlement_batch_id = ?
+                 WHERE id IN (?)`,
+                [batch.settlement_id, built.lines.map(line => line.ref)]
+            );
+
+            if (built.refunds.length > 0) {
+                await connection.query(
+                    'UPDATE qr_refund_audit SET settlement_batch_id = ? WHERE id IN (?)',
+                    [batch.settlement_id, built.refunds.map(r => r.id)]
+                );
+            }
+
+            for (const reversal of built.reversals) {
+                await connection.query(
+                    'UPDATE qr_transactions SET recovery_batch_id = ?, recovery_amount = ? WHERE id = ?',
+                    [batch.settlement_id, reversal.recovery_amount, reversal.ref]
+                );
+            }
+
+            await connection.commit();
+
+            return {
+                success: true,
+                settlement: { ...batch, id: result.insertId, initiated_at: new Date(), processed_at: null, completed_at: null }
+            };
+        } catch (error) {
+            await connection.rollback();
+            logger.error(`Error creating settlement for ${merchantId}:`, error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * The payout went through: record its UTR and mark the payments settled
+     * Resolves to { success, settlement } or { success: false, error }; code is
+     * NOT_FOUND or INVALID_STATE.
+     */
+    async complete(settlementId, { utr_number, bank_reference = null }) {
+        const completed = this.useLocalStore()
+            ? await this.completeLocal(settlementId, utr_number, bank_reference)
+            : await this.completeDb(settlementId, utr_number, bank_reference);
+
+        if (!completed.success) {
+            return completed;
+        }
+
+        logger.logTransaction(`Settlement ${settlementId} completed`, { utr_number });
+        await this.publish('settlement.completed', completed.settlement);
+
+        return completed;
+    }
+
+    async completeLocal(settlementId, utrNumber, bankReference) {
+        const now = new Date().toISOString();
+        const settlement = await LocalTransactionStore.updateRecord('settlement_batches',
+            b => b.settlement_id === settlementId && STATUS_FILTERS.pending.includes(b.status),
+            { status: 'completed', utr_number: utrNumber, bank_reference: bankReference, processed_at: now, completed_at: now });
+
+        if (!settlement) {
+            return this.stateError(settlementId);
+        }
+
+        const lines = LocalTransactionStore.getCollection('settlement_transactions')
+            .filter(line => line.settlement_batch_id === settlement.id);
+        const transactions = LocalTransactionStore.getTransactions();
+        const reversed = [];
+        for (const line of lines) {
+            const transaction = transactions.find(t =>
+                t.transactionId === line.transaction_id && t.settlementBatchId === settlementId);
+            if (transaction) {
+                transaction.settlementStatus = 'settled';
+                transaction.settledAmount = line.net_amount;
+                transaction.settledAt = now;
+                if (RECOVERABLE_STATES.includes(TransactionStateMachine.normalizeStatus(transaction.status))) {
+                    reversed.push(transaction.transactionId);
+                }
+            }
+        }
+        LocalTransactionStore.saveTransactions(transactions);
+        this.logRecoveriesDue(settlementId, reversed);
+
+        return { success: true, settlement };
+    }
+
+    async completeDb(settlementId, utrNumber, bankReference) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [rows] = await connection.query(
+                'SELECT * FROM qr_settlement_batches WHERE settlement_id = ? FOR UPDATE',
+                [settlementId]
+            );
+
+            if (rows.length === 0 || !STATUS_FILTERS.pending.includes(rows[0].status)) {
+                await connection.rollback();
+                return this.stateError(settlementId, rows[0] || null);
+            }
+
+            await connection.query(
+                `UPDATE qr_settlement_batches
+                 SET status = 'completed', utr_number = ?, bank_reference = ?,
+                     processed_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [utrNumber, bankReference, rows[0].id]
+            );
+
+            const [reversed] = await connection.query(
+                `SELECT t.transaction_id
+                 FROM qr_transactions t
+                 JOIN qr_settlement_transactions st ON st.transaction_id = t.id
+                 WHERE st.settlement_batch_id = ? AND t.settlement_batch_id = ? AND t.status IN (?)`,
+                [rows[0].id, settlementId, RECOVERABLE_STATES]
+            );
+
+            // The money has left, so every payment still in the batch is settled
+            await connection.query(
+                `UPDATE qr_transactions t
+                 JOIN qr_settlement_transactions st ON st.transaction_id = t.id
+                 SET t.settlement_status = 'settled', t.settlement_date = ?, t.settlement_amount = st.net_amount
+                 WHERE st.settlement_batch_id = ? AND t.settlement_batch_id = ?`,
+                [moment().format('YYYY-MM-DD'), rows[0].id, settlementId]
+            );
+
+            await connection.commit();
+            this.logRecoveriesDue(settlementId, reversed.map(r => r.transaction_id));
+
+            const now = new Date();
+            return {
+                success: true,
+                settlement: {
+                    ...rows[0],
+                    status: 'completed',
+                    utr_number: utrNumber,
+                    bank_reference: bankReference,
+                    processed_at: now,
+                    completed_at: now
+                }
+            };
+        } catch (error) {
+            await connection.rollback();
+            logger.error(`Error completing settlement ${settlementId}:`, error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Payments reversed or charged back while their batch was out; the next batch recovers them
+    logRecoveriesDue(settlementId, transactionIds) {
+        if (transactionIds.length > 0) {
+            logger.logTransaction(`Settlement ${settlementId} paid out payments reversed meanwhile`, {
+                transactions: transactionIds
+            });
+        }
+    }
+
+    /**
+     * The payout failed: release the payments, refunds and recoveries for the next batch
+     * Resolves like complete()
+     */
+    async fail(settlementId, { reason = null } = {}) {
+        const failed = this.useLocalStore()
+            ? await this.failLocal(settlementId, reason)
+            : await this.failDb(settlementId, reason);
+
+        if (!failed.success) {
+            return failed;
+        }
+
+        logger.logTransaction(`Settlement ${settlementId} failed`, { reason });
+        await this.publish('settlement.failed', failed.settlement);
+
+        return failed;
+    }
+
+    async failLocal(settlementId, reason) {
+        const settlement = await LocalTransactionStore.updateRecord('settlement_batches',
+            b => b.settlement_id === settlementId && STATUS_FILTERS.pending.includes(b.status),
+            { status: 'failed', failure_reason: reason, processed_at: new Date().toISOString() });
+
+        if (!settlement) {
+            return this.stateError(settlementId);
+        }
+
+        const transactions = LocalTransactionStore.getTransactions();
+        for (const transaction of transactions) {
+            if (transaction.settlementBatchId === settlementId) {
+                // Payments put on hold or cancelled meanwhile keep that status
+                if (transaction.settlementStatus === 'processing') {
+                    transaction.settlementStatus = 'pending';
+                }
+                transaction.settlementBatchId = null;
+            }
+            if (transaction.recoveryBatchId === settlementId) {
+                transaction.recoveryBatchId = null;
+                transaction.recoveryAmount = null;
+            }
+        }
+        LocalTransactionStore.saveTransactions(transactions);
+
+        LocalTransactionStore.saveCollection('refunds', LocalTransactionStore.getCollection('refunds').map(r =>
+            r.settlement_batch_id === settlementId ? { ...r, settlement_batch_id: null } : r
+        ));
+
+        return { success: true, settlement };
+    }
+
+    async failDb(settlementId, reason) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [rows] = await connection.query(
+                'SELECT * FROM qr_settlement_batches WHERE settlement_id = ? FOR UPDATE',
+                [settlementId]
+            );
+
+            if (rows.length === 0 || !STATUS_FILTERS.pending.includes(rows[0].status)) {
+                await connection.rollback();
+                return this.stateError(settlementId, rows[0] || null);
+            }
+
+            await connection.query(
+                `UPDATE qr_settlement_batches
+                 SET status = 'failed', failure_reason = ?, processed_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [reason, rows[0].id]
+            );
+
+            // Payments put on hold or cancelled meanwhile keep that status
+            await connection.query(
+                `UPDATE qr_transactions
+                 SET settlement_status = CASE WHEN settlement_status = 'processing' THEN 'pending' ELSE settlement_status END,
+                     settlement_batch_id = NULL
+                 WHERE settlement_batch_id = ?`,
+                [settlementId]
+            );
+
+            await connection.query(
+                'UPDATE qr_refund_audit SET settlement_batch_id = NULL WHERE settlement_batch_id = ?',
+                [settlementId]
+            );
+
+            await connection.query(
+                'UPDATE qr_transactions SET recovery_batch_id = NULL, recovery_amount = NULL WHERE recovery_batch_id = ?',
+                [settlementId]
+            );
+
+            await connection.commit();
+
+            return {
+                success: true,
+                settlement: { ...rows[0], status: 'failed', failure_reason: reason, processed_at: new Date() }
+            };
+        } catch (error) {
+            await connection.rollback();
+            logger.error(`Error failing settlement ${settlementId}:`, error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Tell a missing batch apart from one that is no longer open
+    stateError(settlementId, batch) {
+        const settlement = batch !== undefined
+            ? batch
+            : LocalTransactionStore.getCollection('settlement_batches').find(b => b.settlement_id === settlementId);
+
+        return settlement
+            ? this.error('INVALID_STATE', `Settlement is already ${settlement.status}`)
+            : this.error('NOT_FOUND', 'Settlement not found');
+    }
+
+    publish(type, settlement) {
+        return MerchantEventService.publish(type, settlement.merchant_id, this.toResponse(settlement));
+    }
+
+    /**
+     * Settlements of the tenant, newest first
+     * filters: { from_date, to_date (YYYY-MM-DD), status (pending|completed|failed|all),
+     * type (auto|manual|all), page, limit }
+     * Resolves to { success, settlements, pagination, summary } or a VALIDATION_ERROR
+     */
+    async list(tenant, filters = {}) {
+        const { from_date, to_date, status = 'all', type = 'all' } = filters;
+        const page = Math.max(parseInt(filters.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 100);
+
+        for (const [name, value] of [['from_date', from_date], ['to_date', to_date]]) {
+            if (value && !moment(value, 'YYYY-MM-DD', true).isValid()) {
+                return this.error('VALIDATION_ERROR', `${name} must be a date in YYYY-MM-DD format`);
+            }
+        }
+        if (status !== 'all' && !STATUS_FILTERS[status]) {
+            return this.error('VALIDATION_ERROR', `status must be one of ${[...Object.keys(STATUS_FILTERS), 'all'].join(', ')}`);
+        }
+        if (type !== 'all' && !SETTLEMENT_TYPES.includes(type)) {
+            return this.error('VALIDATION_ERROR', `type must be one of ${[...SETTLEMENT_TYPES, 'all'].join(', ')}`);
+        }
+
+        // Settlements are paid to the merchant, not to its sub-merchants
+        let settlements = [];
+        if (tenant && tenant.merchantId && !tenant.subMerchantId) {
+            settlements = this.useLocalStore()
+                ? this.listLocal(tenant.merchantId, { from_date, to_date, status, type })
+                : await this.listDb(tenant.merchantId, { from_date, to_date, status, type });
+        }
+
+        const sum = (records, field) => this.fromPaise(records.reduce((total, s) => total + this.toPaise(s[field]), 0));
+
+        return {
+            success: true,
+            settlements: settlements.slice((page - 1) * limit, page * limit),
+            pagination: {
+                total: settlements.length,
+                page,
+                limit,
+                pages: Math.ceil(settlements.length / limit)
+            },
+            summary: {
+                total_settlements: settlements.length,
+                total_amount: sum(settlements, 'gross_amount'),
+                total_settled: sum(settlements.filter(s => s.status === 'completed'), 'net_settlement'),
+                pending_amount: sum(settlements.filter(s => STATUS_FILTERS.pending.includes(s.status)), 'net_settlement')
+            }
+        };
+    }
+
+    listLocal(merchantId, { from_date, to_date, status, type }) {
+        return LocalTransactionStore.getCollection('settlement_batches')
+            .filter(s => s.merchant_id === merchantId)
+            .filter(s => !from_date || s.settlement_date >= from_date)
+            .filter(s => !to_date || s.settlement_date <= to_date)
+            .filter(s => status === 'all' || STATUS_FILTERS[status].includes(s.status))
+            .filter(s => type === 'all' || s.settlement_type === type)
+            .reverse();
+    }
+
+    async listDb(merchantId, { from_date, to_date, status, type }) {
+        const whereConditions = ['merchant_id = ?'];
+        const queryParams = [merchantId];
+
+        if (from_date) {
+            whereConditions.push('settlement_date >= ?');
+            queryParams.push(from_date);
+        }
+        if (to_date) {
+            whereConditions.push('settlement_date <= ?');
+            queryParams.push(to_date);
+        }
+        if (status !== 'all') {
+            whereConditions.push('status IN (?)');
+            queryParams.push(STATUS_FILTERS[status]);
+        }
+        if (type !== 'all') {
+            whereConditions.push('settlement_type = ?');
+            queryParams.push(type);
+        }
+
+        const [rows] = await db.query(
+            `SELECT * FROM qr_settlement_batches
+             WHERE ${whereConditions.join(' AND ')}
+             ORDER BY initiated_at DESC, id DESC`,
+            queryParams
+        );
+        return rows;
+    }
+
+    async findSettlement(settlementId) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('settlement_batches')
+                .find(s => s.settlement_id === settlementId) || null;
+        }
+
+        const [rows] = await db.query('SELECT * FROM qr_settlement_batches WHERE settlement_id = ?', [settlementId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * A settlement of the tenant with its payments and recoveries
+     * A recovery is a refund, reversal or chargeback of a payment settled earlier
+     * Another tenant's settlement is reported as missing, not forbidden
+     */
+    async getSettlement(tenant, settlementId) {
+        const settlement = await this.findSettlement(settlementId);
+        if (!settlement || !LocalTransactionStore.ownsRecord(tenant, settlement.merchant_id, null)) {
+            return null;
+        }
+
+        let lines;
+        let refunds;
+        let reversals;
+        if (this.useLocalStore()) {
+            lines = LocalTransactionStore.getCollection('settlement_transactions')
+                .filter(line => line.settlement_batch_id === settlement.id);
+            refunds = LocalTransactionStore.getCollection('refunds')
+                .filter(r => r.settlement_batch_id === settlementId);
+            reversals = LocalTransactionStore.getTransactions()
+                .filter(t => t.recoveryBatchId === settlementId)
+                .map(t => ({ transaction_id: t.transactionId, status: t.status, recovery_amount: t.recoveryAmount }));
+        } else {
+            [lines] = await db.query(
+                `SELECT t.transaction_id, st.transaction_amount, st.refund_amount, st.charges, st.tax, st.net_amount
+                 FROM qr_settlement_transactions st
+                 JOIN qr_transactions t ON t.id = st.transaction_id
+                 WHERE st.settlement_batch_id = ?
+                 ORDER BY st.id`,
+                [settlement.id]
+            );
+            [refunds] = await db.query(
+                'SELECT refund_id, transaction_id, refund_amount FROM qr_refund_audit WHERE settlement_batch_id = ?',
+                [settlementId]
+            );
+            [reversals] = await db.query(
+                'SELECT transaction_id, status, recovery_amount FROM qr_transactions WHERE recovery_batch_id = ? ORDER BY id',
+                [settlementId]
+            );
+        }
+
+        const included = new Set(lines.map(line => line.transaction_id));
+        return {
+            ...this.toResponse(settlement),
+            transactions: lines.map(line => ({
+                transaction_id: line.transaction_id,
+                transaction_amount: parseFloat(line.transaction_amount),
+                refund_amount: parseFloat(line.refund_amount || 0),
+                charges: parseFloat(line.charges),
+                tax: parseFloat(line.tax),
+                net_amount: parseFloat(line.net_amount)
+            })),
+            recoveries: [
+                ...refunds
+                    .filter(r => !included.has(r.transaction_id))
+                    .map(r => ({
+                        type: 'refund',
+                        refund_id: r.refund_id,
+                        transaction_id: r.transaction_id,
+                        amount: parseFloat(r.refund_amount)
+                    })),
+                ...reversals.map(r => ({
+                    type: TransactionStateMachine.normalizeStatus(r.status) === 'charged_back' ? 'chargeback' : 'reversal',
+                    refund_id: null,
+                    transaction_id: r.transaction_id,
+                    amount: parseFloat(r.recovery_amount)
+                }))
+            ]
+        };
+    }
+
+    /**
+     * Settlement as returned to merchants (API responses and settlement.* events)
+     */
+    toResponse(settlement) {
+        const toIso = (value) => value ? new Date(value).toISOString() : null;
+        const toAmount = (value) => parseFloat(value || 0);
+
+        return {
+            settlement_id: settlement.settlement_id,
+            batch_id: settlement.batch_id,
+            settlement_date: moment(settlement.settlement_date).format('YYYY-MM-DD'),
+            settlement_type: settlement.settlement_type,
+            cycle: settlement.cycle || null,
+            total_transactions: settlement.total_transactions,
+            gross_amount: toAmount(settlement.gross_amount),
+            total_refunds: toAmount(settlement.total_refunds),
+            charges: toAmount(settlement.charges),
+            tax: toAmount(settlement.tax),
+            adjustments: toAmount(settlement.adjustments),
+            net_settlement: toAmount(settlement.net_settlement),
+            status: settlement.status,
+            utr_number: settlement.utr_number || null,
+            bank_reference: settlement.bank_reference || null,
+            reason: settlement.reason || null,
+            failure_reason: settlement.failure_reason || null,
+            cutoff_at: toIso(settlement.cutoff_at),
+            initiated_at: toIso(settlement.initiated_at),
+            completed_at: toIso(settlement.completed_at)
+        };
+    }
+
+    /**
+     * Settlement report as CSV: a summary block, then one row per payment and recovery
+     */
+    toCsv(details) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const row = (values) => values.map(escape).join(',');
+
+        const rows = [
+            row(['Settlement ID', details.settlement_id]),
+            row(['Settlement Date', details.settlement_date]),
+            row(['Status', details.status]),
+            row(['UTR', details.utr_number]),
+            row(['Gross Amount', details.gross_amount.toFixed(2)]),
+            row(['Refunds', details.total_refunds.toFixed(2)]),
+            row(['Charges', details.charges.toFixed(2)]),
+            row(['GST', details.tax.toFixed(2)]),
+            row(['Adjustments', details.adjustments.toFixed(2)]),
+            row(['Net Settlement', details.net_settlement.toFixed(2)]),
+            '',
+            row(['Type', 'Reference', 'Transaction ID', 'Amount', 'Refunds', 'Charges', 'GST', 'Net Amount'])
+        ];
+
+        for (const line of details.transactions) {
+            rows.push(row([
+                'payment',
+                '',
+                line.transaction_id,
+                line.transaction_amount.toFixed(2),
+                line.refund_amount.toFixed(2),
+                line.charges.toFixed(2),
+                line.tax.toFixed(2),
+                line.net_amount.toFixed(2)
+            ]));
+        }
+        for (const recovery of details.recoveries) {
+            const refund = recovery.type === 'refund';
+            rows.push(row([
+                `${recovery.type}_recovery`,
+                recovery.refund_id,
+                recovery.transaction_id,
+                refund ? '' : recovery.amount.toFixed(2),
+                refund ? recovery.amount.toFixed(2) : '',
+                '',
+                '',
+                (-recovery.amount).toFixed(2)
+            ]));
+        }
+
+        return rows.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Validate a manual settlement request: { transaction_ids, reason }
+     */
+    validateManualRequest(request) {
+        const { transaction_ids, reason } = request;
+
+        if (transaction_ids !== undefined && transaction_ids !== null) {
+            if (!Array.isArray(transaction_ids) || transaction_ids.some(id => typeof id !== 'string' || !id)) {
+                return 'transaction_ids must be an array of transaction IDs';
+            }
+            if (transaction_ids.length > MAX_MANUAL_TRANSACTIONS) {
+                return `transaction_ids can list at most ${MAX_MANUAL_TRANSACTIONS} transactions`;
+            }
+        }
+        if (reason !== undefined && (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH)) {
+            return `reason must be a string of at most ${MAX_REASON_LENGTH} characters`;
+        }
+        return null;
+    }
+
+    /**
+     * Settle the tenant's payments now, outside its settlement cycle
+     * Resolves like settleMerchant(); code can also be VALIDATION_ERROR or
+     * FORBIDDEN (sub-merchant keys cannot settle the merchant's account).
+     */
+    async requestManual(tenant, request = {}) {
+        const invalid = this.validateManualRequest(request);
+        if (invalid) {
+            return this.error('VALIDATION_ERROR', invalid);
+        }
+        if (tenant.subMerchantId) {
+            return this.error('FORBIDDEN', 'Settlements can only be requested with a merchant-level API key');
+        }
+
+        return this.settleMerchant(tenant.merchantId, {
+            settlementType: 'manual',
+            cycle: 'manual',
+            cutoff: new Date(),
+            transactionIds: request.transaction_ids ? [...new Set(request.transaction_ids)] : null,
+            reason: request.reason || 'Manual settlement',
+            requestedBy: tenant.keyId || null
+        });
+    }
+}
+
+module.exports = new SettlementService();
@@ -0,0 +1,266 @@
+/**
+ * Status Enquiry Poller
+ * Reconciles transactions that never received a final callback (bank
+ * timeouts such as U07/U15, or lost webhooks) by asking the acquiring bank
+ * for their status. Enquiry responses are journaled and run through the same
+ * pipeline as callbacks. Once the final cutoff passes, a transaction the bank
+ * still reports as pending is marked deemed, and one the bank has no record
+ * of is marked expired.
+ */
+
+const moment = require('moment');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const WebhookEventService = require('./WebhookEventService');
+const WebhookQueue = require('./WebhookQueue');
+const QRTransactionService = require('./QRTransactionService');
+const TransactionStateMachine = require('./TransactionStateMachine');
+const BankAdapters = require('./banks');
+
+// Not final yet, so worth asking the bank about
+const ENQUIRY_STATES = ['initiated', 'pending', 'deemed'];
+
+class StatusEnquiryPoller {
+    constructor() {
+        this.POLL_INTERVAL_MS = parseInt(process.env.STATUS_ENQUIRY_POLL_INTERVAL_MS) || 60 * 1000;
+        // Give the callback a chance to arrive before asking
+        this.MIN_AGE_MINUTES = parseInt(process.env.STATUS_ENQUIRY_MIN_AGE_MINUTES) || 5;
+        // Minimum gap between two enquiries for the same transaction
+        this.RETRY_INTERVAL_MINUTES = parseInt(process.env.STATUS_ENQUIRY_RETRY_MINUTES) || 5;
+        // Past this age the outcome is settled as deemed or expired
+        this.CUTOFF_MINUTES = parseInt(process.env.STATUS_ENQUIRY_CUTOFF_MINUTES) || 24 * 60;
+        this.BATCH_SIZE = parseInt(process.env.STATUS_ENQUIRY_BATCH_SIZE) || 50;
+
+        this.timer = null;
+        this.polling = false;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.poll(), this.POLL_INTERVAL_MS);
+        // Never keep the process alive just for the poller
+        this.timer.unref();
+        logger.info(`[StatusEnquiryPoller] Started (poll every ${this.POLL_INTERVAL_MS}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run one reconciliation cycle
+     * Resolves to a summary, or null if a cycle is already running
+     */
+    async poll() {
+        if (this.polling) {
+            return null;
+        }
+
+        this.polling = true;
+        try {
+            const now = moment();
+            const candidates = await this.getCandidates(now);
+            const summary = { checked: 0, outcomes: {}, results: [] };
+
+            for (const transaction of candidates) {
+                const result = await this.reconcile(transaction, now);
+                summary.checked++;
+                summary.outcomes[result.outcome] = (summary.outcomes[result.outcome] || 0) + 1;
+                summary.results.push(result);
+            }
+
+            if (summary.checked > 0) {
+                logger.info(`[StatusEnquiryPoller] Checked ${summary.checked} transaction(s)`, summary.outcomes);
+            }
+            return summary;
+        } catch (error) {
+            logger.error('[StatusEnquiryPoller] Poll failed:', error);
+            throw error;
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Enquire about one transaction and apply what the bank reports
+     * Outcome: updated, unchanged, not_found, queued, deemed, expired or error
+     */
+    async reconcile(transaction, now = moment()) {
+        const { transaction_id } = transaction;
+        const currentState = TransactionStateMachine.normalizeStatus(transaction.status);
+        const pastCutoff = now.diff(moment(transaction.initiated_at), 'minutes') >= this.CUTOFF_MINUTES;
+        const adapter = BankAdapters.getAdapter(transaction.acquirer);
+
+        await this.markEnquired(transaction_id);
+
+        let enquiry;
+        try {
+            if (!adapter) {
+                throw new Error(`No bank adapter registered for ${transaction.acquirer}`);
+            }
+
+            enquiry = await adapter.statusEnquiry({
+                merchantId: transaction.merchant_id,
+                transactionId: transaction_id,
+                merchantTxnId: transaction.reference_number
+            });
+        } catch (error) {
+            // Bank unreachable or bad response: try again next cycle, never settle on an error
+            logger.error(`[StatusEnquiryPoller] Enquiry failed for ${transaction_id}: ${error.message}`);
+            return { transaction_id, outcome: 'error', error: error.message };
+        }
+
+        if (!enquiry) {
+            return pastCutoff
+                ? this.settle(transaction, 'expired', 'No record at bank by status enquiry cutoff')
+                : { transaction_id, outcome: 'not_found' };
+        }
+
+        const reportedState = adapter.mapStatus(enquiry.transactionData);
+
+        if (TransactionStateMachine.canTransition(currentState, reportedState)) {
+            const outcome = await this.processResponse(adapter, enquiry.body);
+
+            if (outcome.queued) {
+                return { transaction_id, outcome: 'queued', status: reportedState };
+            }
+            if (outcome.httpStatus !== 200) {
+                return { transaction_id, outcome: 'error', status: reportedState, error: outcome.error };
+            }
+            if (!ENQUIRY_STATES.includes(reportedState) || !pastCutoff) {
+                return { transaction_id, outcome: 'updated', status: reportedState, event_id: outcome.event_id };
+            }
+        }
+
+        if (pastCutoff && ENQUIRY_STATES.includes(reportedState) && reportedState !== 'deemed') {
+            return this.settle(transaction, 'deemed', 'Still pending at bank at status enquiry cutoff');
+        }
+
+        return { transaction_id, outcome: 'unchanged', status: reportedState };
+    }
+
+    /**
+     * Journal an enquiry response and process it like a callback
+     */
+    async processResponse(adapter, body) {
+        const event = await WebhookEventService.recordReceived({
+            source: adapter.code,
+            eventType: 'status_enquiry',
+            body
+        });
+
+        // The queue worker may have picked it up already
+        if (!(await WebhookEventService.claimEvent(event.event_id, WebhookQueue.leaseExpiredBefore()))) {
+            return { queued: true, event_id: event.event_id };
+        }
+
+        const outcome = await WebhookQueue.processEvent(event);
+        return { ...outcome, event_id: event.event_id };
+    }
+
+    /**
+     * Final cutoff reached: close the transaction without a bank verdict
+     */
+    async settle(transaction, status, reason) {
+        const changedBy = `${transaction.acquirer}_status_enquiry`;
+
+        let result;
+        if (this.useLocalStore()) {
+            const existing = LocalTransactionStore.getTransactionById(transaction.transaction_id);
+            result = await LocalTransactionStore.applyStatusChange(existing, {
+                merchantId: transaction.merchant_id,
+                transactionStatus: status.toUpperCase(),
+                statusDescription: reason
+            }, status, changedBy);
+        } else {
+            result = await QRTransactionService.transitionStatus(transaction.transaction_id, status, {
+                changedBy,
+                reason
+            });
+        }
+
+        if (!result.success) {
+            return { transaction_id: transaction.transaction_id, outcome: 'error', error: result.reason || result.error?.message };
+        }
+
+        logger.logTransaction(`Status enquiry cutoff: ${transaction.transaction_id} marked ${status}`, { reason });
+        return { transaction_id: transaction.transaction_id, outcome: status, status };
+    }
+
+    /**
+     * Transactions still open after MIN_AGE that are due for an enquiry
+     * Deemed transactions are only followed up until the cutoff
+     */
+    async getCandidates(now = moment()) {
+        const minAgeBefore = now.clone().subtract(this.MIN_AGE_MINUTES, 'minutes');
+        const cutoffBefore = now.clone().subtract(this.CUTOFF_MINUTES, 'minutes');
+        const retryBefore = now.clone().subtract(this.RETRY_INTERVAL_MINUTES, 'minutes');
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getTransactions()
+                .filter(t => {
+                    const state = TransactionStateMachine.normalizeStatus(t.status);
+                    const createdAt = moment(t.createdAt);
+                    return ENQUIRY_STATES.includes(state) &&
+                        (state !== 'deemed' || createdAt.isAfter(cutoffBefore)) &&
+                        createdAt.isSameOrBefore(minAgeBefore) &&
+                        (!t.lastEnquiryAt || moment(t.lastEnquiryAt).isSameOrBefore(retryBefore));
+                })
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+                .slice(0, this.BATCH_SIZE)
+                .map(t => ({
+                    transaction_id: t.transactionId,
+                    merchant_id: t.merchantId,
+                    reference_number: t.merchantTxnId,
+                    acquirer: t.acquirer || 'hdfc',
+                    status: t.status,
+                    initiated_at: t.createdAt
+                }));
+        }
+
+        const [rows] = await db.query(
+            `SELECT transaction_id, merchant_id, reference_number, acquirer, status, initiated_at
+             FROM qr_transactions
+             WHERE (status IN ('initiated', 'pending', 'timeout') OR (status = 'deemed' AND initiated_at > ?))
+             AND initiated_at <= ?
+             AND (last_enquiry_at IS NULL OR last_enquiry_at <= ?)
+             ORDER BY initiated_at ASC
+             LIMIT ?`,
+            [cutoffBefore.toDate(), minAgeBefore.toDate(), retryBefore.toDate(), this.BATCH_SIZE]
+        );
+        return rows;
+    }
+
+    async markEnquired(transactionId) {
+        if (this.useLocalStore()) {
+            const transactions = LocalTransactionStore.getTransactions();
+            const transaction = transactions.find(t => t.transactionId === transactionId);
+            if (transaction) {
+                transaction.enquiryAttempts = (transaction.enquiryAttempts || 0) + 1;
+                transaction.lastEnquiryAt = new Date().toISOString();
+                LocalTransactionStore.saveTransactions(transactions);
+            }
+            return;
+        }
+
+        await db.query(
+            `UPDATE qr_transactions
+             SET enquiry_attempts = enquiry_attempts + 1, last_enquiry_at = CURRENT_TIMESTAMP
+             WHERE transaction_id = ?`,
+            [transactionId]
+        );
+    }
+}
+
+module.exports = new StatusEnquiryPoller();
@@ -0,0 +1,366 @@
+/**
+ * Transaction Dispute Service
+ * Applies chargeback/dispute notifications from the acquiring bank to the
+ * original transaction. An open dispute holds the transaction back from
+ * settlement until the bank rules on it: a rejected dispute returns it to
+ * success (or to partial_refunded/refunded when part of it had been refunded),
+ * an accepted one ends it as charged_back.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const TransactionStateMachine = require('./TransactionStateMachine');
+const TransactionExceptionService = require('./TransactionExceptionService');
+const QRTransactionService = require('./QRTransactionService');
+const MerchantAlertService = require('./MerchantAlertService');
+const MerchantEventService = require('./MerchantEventService');
+
+// Dispute stage -> transaction state; a won dispute keeps earlier refunds (see targetState)
+const DISPUTE_STATES = {
+    opened: 'disputed',
+    won: 'success',
+    lost: 'charged_back'
+};
+
+class TransactionDisputeService {
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    /**
+     * Transaction state for a dispute stage
+     * A rejected dispute returns the payment to where its refunds had taken it,
+     * counting refunds completed while the dispute was open.
+     */
+    targetState(stage, amount, refundedAmount) {
+        if (stage !== 'won' || !(parseFloat(refundedAmount) > 0)) {
+            return DISPUTE_STATES[stage];
+        }
+        return Math.round(parseFloat(refundedAmount) * 100) >= Math.round(parseFloat(amount) * 100)
+            ? 'refunded'
+            : 'partial_refunded';
+    }
+
+    /**
+     * Apply a dispute notification
+     * notification: { stage (opened/won/lost), transaction_id, bank_reference_number,
+     *                 merchant_id, amount, reason_code, reason, source }
+     * The original transaction is matched on transaction_id or bank reference.
+     * Resolves like processTransactionWebhook, with status processed, unchanged or rejected.
+     */
+    async applyNotification(notification) {
+        if (!DISPUTE_STATES[notification.stage]) {
+            throw new Error(`Unknown dispute stage: ${notification.stage}`);
+        }
+
+        const result = this.useLocalStore()
+            ? await this.applyLocal(notification)
+            : await this.applyDb(notification);
+
+        if (result.success && result.dispute) {
+            await MerchantEventService.publish(`dispute.${notification.stage}`, result.dispute.merchant_id, {
+                dispute_id: result.dispute.dispute_id,
+                transaction_id: result.dispute.transaction_id,
+                bank_reference_number: result.dispute.bank_reference_number,
+                amount: result.dispute.amount,
+                reason_code: result.dispute.reason_code,
+                reason: result.dispute.reason,
+                status: result.dispute.status,
+                settlement_status: result.settlement_status,
+                settlement_recovery: result.dispute.settlement_recovery
+            });
+        }
+
+        return result;
+    }
+
+    async applyDb(notification) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [rows] = await connection.query(
+                `SELECT id, transaction_id, merchant_id, amount, refund_amount, bank_reference_number, status, settlement_status
+                 FROM qr_transactions
+                 WHERE transaction_id = ? OR bank_reference_number = ?
+                 LIMIT 1
+                 FOR UPDATE`,
+                [notification.transaction_id, notification.bank_reference_number || notification.transaction_id]
+            );
+
+            if (rows.length === 0) {
+                throw new Error(`Original transaction not found for dispute on ${notification.transaction_id}`);
+            }
+
+            const original = rows[0];
+            const state = this.targetState(notification.stage, original.amount, original.refund_amount);
+            const transition = TransactionStateMachine.evaluateTransition(original.status, state);
+
+            if (transition.noop) {
+                await connection.commit();
+                return {
+                    success: true,
+                    data: { transaction_id: original.transaction_id, status: 'unchanged', current_status: transition.from }
+                };
+            }
+
+            if (!transition.allowed) {
+                const exception = await TransactionExceptionService.record({
+                    transaction_id: original.transaction_id,
+                    merchant_id: original.merchant_id,
+                    current_status: original.status,
+                    attempted_status: state,
+                    reason: transition.reason,
+                    source: notification.source,
+                    payload: notification
+                }, connection);
+                await connection.commit();
+
+                logger.logTransaction(`Rejected dispute ${notification.stage} for ${original.transaction_id}`, { exception_id: exception.id });
+
+                return {
+                    success: false,
+                    error: {
+                        code: 'ILLEGAL_TRANSITION',
+                        message: transition.reason
+                    },
+                    data: {
+                        transaction_id: original.transaction_id,
+                        status: 'rejected',
+                        current_status: transition.from,
+                        attempted_status: transition.to,
+                        exception_id: exception.id
+                    }
+                };
+            }
+
+            const settlementStatus = TransactionStateMachine.getSettlementStatus(state, original.settlement_status);
+
+            await connection.query(
+                'UPDATE qr_transactions SET status = ?, settlement_status = ? WHERE id = ?',
+                [state, settlementStatus, original.id]
+            );
+
+            await QRTransactionService.recordAudit(connection, {
+                transaction_id: original.transaction_id,
+                action: `DISPUTE_${notification.stage.toUpperCase()}`,
+                old_status: original.status,
+                new_status: state,
+                changed_by: notification.source,
+                change_reason: notification.reason || null
+            });
+
+            const dispute = await this.saveDispute(this.buildDispute(notification, {
+                transactionId: original.transaction_id,
+                merchantId: original.merchant_id,
+                bankReference: original.bank_reference_number,
+                amount: original.amount,
+                settlementStatus: original.settlement_status
+            }), connection);
+
+            if (notification.stage === 'opened') {
+                await this.raiseAlert(dispute, connection);
+            }
+
+            await connection.commit();
+
+            return {
+                success: true,
+                dispute,
+                settlement_status: settlementStatus,
+                data: {
+                    transaction_id: original.transaction_id,
+                    status: 'processed',
+                    previous_status: original.status,
+                    current_status: state,
+                    settlement_status: settlementStatus,
+                    dispute_id: dispute.dispute_id
+                }
+            };
+        } catch (error) {
+            await connection.rollback();
+            logger.error('Error applying dispute notification:', error);
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async applyLocal(notification) {
+        const original = LocalTransactionStore.getTransactions().find(t =>
+            t.transactionId === notification.transaction_id ||
+            (notification.bank_reference_number && t.bankRRN === notification.bank_reference_number)
+        );
+
+        if (!original) {
+            throw new Error(`Original transaction not found for dispute on ${notification.transaction_id}`);
+        }
+
+        const state = this.targetState(notification.stage, original.amount, original.refundedAmount);
+        const previousSettlementStatus = original.settlementStatus || null;
+        const result = await LocalTransactionStore.applyStatusChange(original, {
+            merchantId: original.merchantId,
+            transactionStatus: state.toUpperCase(),
+            statusDescription: notification.reason || original.statusDescription
+        }, state, notification.source);
+
+        if (!result.transaction) {
+            return result;
+        }
+
+        const dispute = await this.saveDispute(this.buildDispute(notification, {
+            transactionId: original.transactionId,
+            merchantId: original.merchantId,
+            bankReference: original.bankRRN,
+            amount: original.amount,
+            settlementStatus: previousSettlementStatus
+        }));
+
+        if (notification.stage === 'opened') {
+            await this.raiseAlert(dispute);
+        }
+
+        return { ...result, dispute, settlement_status: result.transaction.settlementStatus };
+    }
+
+    buildDispute(notification, { transactionId, merchantId, bankReference, amount, settlementStatus }) {
+        return {
+            dispute_id: uuidv4(),
+            transaction_id: transactionId,
+            merchant_id: merchantId,
+            bank_reference_number: bankReference || notification.bank_reference_number || null,
+            amount: parseFloat(notification.amount) || parseFloat(amount),
+            reason_code: notification.reason_code || null,
+            reason: notification.reason || null,
+            stage: notification.stage,
+            status: notification.stage === 'opened' ? 'open' : notification.stage,
+            source: notification.source || null,
+            // Already paid out to the merchant: has to be recovered from a later settlement
+            settlement_recovery: notification.stage === 'lost' && settlementStatus === 'settled'
+        };
+    }
+
+    /**
+     * Open a dispute, or close the open one for the transaction
+     * A ruling without a matching open dispute is recorded as an already-closed dispute
+     */
+    async saveDispute(dispute, connection = null) {
+        const now = new Date().toISOString();
+
+        if (this.useLocalStore()) {
+            if (dispute.stage !== 'opened') {
+                const closed = await LocalTransactionStore.updateRecord(
+                    'transaction_disputes',
+                    d => d.transaction_id === dispute.transaction_id && d.status === 'open',
+                    { status: dispute.status, settlement_recovery: dispute.settlement_recovery, resolved_at: now }
+                );
+                if (closed) {
+                    return closed;
+                }
+            }
+
+            const { stage, ...record } = dispute;
+            return LocalTransactionStore.insertRecord('transaction_disputes', {
+                ...record,
+                opened_at: now,
+                resolved_at: stage === 'opened' ? null : now
+            });
+        }
+
+        if (dispute.stage !== 'opened') {
+            const [open] = await connection.query(
+                `SELECT * FROM qr_transaction_disputes
+                 WHERE transaction_id = ? AND status = 'open'
+                 ORDER BY opened_at DESC
+                 LIMIT 1`,
+                [dispute.transaction_id]
+            );
+
+            if (open.length > 0) {
+                await connection.query(
+                    `UPDATE qr_transaction_disputes
+                     SET status = ?, settlement_recovery = ?, resolved_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [dispute.status, dispute.settlement_recovery, open[0].id]
+                );
+                return { ...open[0], status: dispute.status, settlement_recovery: dispute.settlement_recovery, resolved_at: now };
+            }
+        }
+
+        const [result] = await connection.query(
+            `INSERT INTO qr_transaction_disputes (
+                dispute_id, transaction_id, merchant_id, bank_reference_number,
+                amount, reason_code, reason, status, source, settlement_recovery, resolved_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                dispute.dispute_id,
+                dispute.transaction_id,
+                dispute.merchant_id,
+                dispute.bank_reference_number,
+                dispute.amount,
+                dispute.reason_code,
+                dispute.reason,
+                dispute.status,
+                dispute.source,
+                dispute.settlement_recovery,
+                dispute.stage === 'opened' ? null : new Date()
+            ]
+        );
+
+        const { stage, ...record } = dispute;
+        return { id: result.insertId, ...record, opened_at: now, resolved_at: stage === 'opened' ? null : now };
+    }
+
+    raiseAlert(dispute, connection = null) {
+        return MerchantAlertService.raise({
+            merchant_id: dispute.merchant_id,
+            alert_type: 'DISPUTE_OPENED',
+            severity: 'critical',
+            transaction_id: dispute.transaction_id,
+            message: `Dispute raised on transaction ${dispute.transaction_id} for ₹${dispute.amount}${dispute.reason ? `: ${dispute.reason}` : ''}`,
+            details: {
+                dispute_id: dispute.dispute_id,
+                reason_code: dispute.reason_code
+            }
+        }, connection);
+    }
+
+    async list(merchantId, filters = {}) {
+        const { status = 'all', transaction_id } = filters;
+        const limit = Math.min(parseInt(filters.limit) || 50, 500);
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('transaction_disputes')
+                .filter(d => d.merchant_id === merchantId)
+                .filter(d => status === 'all' || d.status === status)
+                .filter(d => !transaction_id || d.transaction_id === transaction_id)
+                .reverse()
+                .slice(0, limit);
+        }
+
+        const whereConditions = ['merchant_id = ?'];
+        const queryParams = [merchantId];
+
+        if (status !== 'all') {
+            whereConditions.push('status = ?');
+            queryParams.push(status);
+        }
+        if (transaction_id) {
+            whereConditions.push('transaction_id = ?');
+            queryParams.push(transaction_id);
+        }
+
+        const [rows] = await db.query(
+            `SELECT * FROM qr_transaction_disputes
+             WHERE ${whereConditions.join(' AND ')}
+             ORDER BY opened_at DESC
+             LIMIT ?`,
+            [...queryParams, limit]
+        );
+        return rows;
+    }
+}
+
+module.exports = new TransactionDisputeService();
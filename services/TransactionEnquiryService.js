@@ -0,0 +1,294 @@
+/**
+ * Transaction Enquiry Service
+ * Searches a merchant's transactions on any mix of criteria: transaction id,
+ * QR code, payer VPA (any part of it), RRN (the merchant reference or the
+ * bank's), date and amount ranges and status. Results are sorted and paged,
+ * or fetched whole for ExportService. In the database the criteria become
+ * QRTransactionService filters; the local store applies the same rules.
+ */
+
+const moment = require('moment');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const QRTransactionService = require('./QRTransactionService');
+const TransactionStateMachine = require('./TransactionStateMachine');
+
+const SORT_FIELDS = Object.keys(QRTransactionService.SORT_COLUMNS);
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Text criteria and the longest value each accepts
+const TEXT_CRITERIA = {
+    transaction_id: 100,
+    qr_code: 100,
+    customer_vpa: 100,
+    reference_number: 100
+};
+
+// Shortest part of a VPA worth searching for
+const MIN_VPA_SEARCH = 3;
+
+const MAX_LIMIT = 100;
+
+class TransactionEnquiryService {
+    constructor() {
+        this.SORT_FIELDS = SORT_FIELDS;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    error(code, message) {
+        return { success: false, error: { code, message } };
+    }
+
+    /**
+     * Check an enquiry and turn it into QRTransactionService filters
+     * Empty strings count as not given. Returns { success, filters, sort } or
+     * a VALIDATION_ERROR.
+     */
+    validate(criteria = {}) {
+        const given = (value) => value !== undefined && value !== null && value !== '';
+        const filters = {};
+
+        for (const [field, maxLength] of Object.entries(TEXT_CRITERIA)) {
+            const value = criteria[field];
+            if (!given(value)) {
+                continue;
+            }
+            if (typeof value !== 'string' || value.trim().length > maxLength) {
+                return this.error('VALIDATION_ERROR', `${field} must be a string of at most ${maxLength} characters`);
+            }
+            filters[field] = value.trim();
+        }
+
+        if (filters.customer_vpa && filters.customer_vpa.length < MIN_VPA_SEARCH) {
+            return this.error('VALIDATION_ERROR', `customer_vpa must have at least ${MIN_VPA_SEARCH} characters`);
+        }
+
+        for (const field of ['date_from', 'date_to']) {
+            if (given(criteria[field]) && !moment(criteria[field], 'YYYY-MM-DD', true).isValid()) {
+                return this.error('VALIDATION_ERROR', `${field} must be a date (YYYY-MM-DD)`);
+            }
+        }
+        if (given(criteria.date_from) && given(criteria.date_to) && criteria.date_from > criteria.date_to) {
+            return this.error('VALIDATION_ERROR', 'date_from must not be after date_to');
+        }
+        if (given(criteria.date_from)) filters.from_date = criteria.date_from;
+        if (given(criteria.date_to)) filters.to_date = criteria.date_to;
+
+        for (const field of ['amount_from', 'amount_to']) {
+            const value = criteria[field];
+            if (given(value) && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+                return this.error('VALIDATION_ERROR', `${field} must be a non-negative number`);
+            }
+        }
+        if (given(criteria.amount_from) && given(criteria.amount_to) && criteria.amount_from > criteria.amount_to) {
+            return this.error('VALIDATION_ERROR', 'amount_from must not be above amount_to');
+        }
+        if (given(criteria.amount_from)) filters.min_amount = criteria.amount_from;
+        if (given(criteria.amount_to)) filters.max_amount = criteria.amount_to;
+
+        // One status, a list of them, or all
+        if (given(criteria.status) && criteria.status !== 'all') {
+            const statuses = Array.isArray(criteria.status) ? criteria.status : [criteria.status];
+            const invalid = statuses.filter(status => !TransactionStateMachine.STATES.includes(status));
+            if (statuses.length === 0 || invalid.length > 0) {
+                return this.error('VALIDATION_ERROR', `status must be all or one or more of ${TransactionStateMachine.STATES.join(', ')}`);
+            }
+            filters.status = statuses;
+        }
+
+        const sortBy = given(criteria.sort_by) ? criteria.sort_by : 'initiated_at';
+        const sortOrder = given(criteria.sort_order) ? String(criteria.sort_order).toLowerCase() : 'desc';
+        if (!SORT_FIELDS.includes(sortBy)) {
+            return this.error('VALIDATION_ERROR', `sort_by must be one of ${SORT_FIELDS.join(', ')}`);
+        }
+        if (!SORT_ORDERS.includes(sortOrder)) {
+            return this.error('VALIDATION_ERROR', 'sort_order must be asc or desc');
+        }
+
+        return { success: true, filters, sort: { sort_by: sortBy, sort_order: sortOrder } };
+    }
+
+    /**
+     * One page of a tenant's transactions matching an enquiry
+     * Resolves to { success, transactions, pagination, summary } or a VALIDATION_ERROR
+     */
+    async search(tenant, criteria = {}) {
+        const checked = this.validate(criteria);
+        if (!checked.success) {
+            return checked;
+        }
+
+        const page = Math.max(parseInt(criteria.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(criteria.limit) || 20, 1), MAX_LIMIT);
+
+        if (this.useLocalStore()) {
+            const matches = await this.searchLocal(tenant, checked.filters, checked.sort);
+            return {
+                success: true,
+                transactions: matches.slice((page - 1) * limit, page * limit),
+                pagination: {
+                    total: matches.length,
+                    page,
+                    limit,
+                    pages: Math.ceil(matches.length / limit)
+                },
+                summary: this.summarize(matches)
+            };
+        }
+
+        const result = await QRTransactionService.searchTransactions(tenant, checked.filters, { ...checked.sort, page, limit });
+        const { total } = result.data.pagination;
+        const summary = result.data.summary;
+        return {
+            success: true,
+            transactions: result.data.transactions.map(t => this.fromRow(t)),
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            },
+            summary: {
+                total_transactions: total,
+                total_amount: parseFloat(summary.total_amount || 0),
+                successful_transactions: parseInt(summary.successful_transactions || 0),
+                successful_amount: parseFloat(summary.successful_amount || 0)
+            }
+        };
+    }
+
+    /**
+     * Every transaction matching an enquiry, for export
+     * Fails with TOO_MANY_RESULTS above maxRows
+     */
+    async exportAll(tenant, criteria, maxRows) {
+        const checked = this.validate(criteria);
+        if (!checked.success) {
+            return checked;
+        }
+
+        let rows;
+        if (this.useLocalStore()) {
+            rows = await this.searchLocal(tenant, checked.filters, checked.sort);
+        } else {
+            const result = await QRTransactionService.searchTransactions(tenant, checked.filters, {
+                ...checked.sort,
+                page: 1,
+                limit: maxRows + 1
+            });
+            rows = result.data.transactions.map(t => this.fromRow(t));
+        }
+
+        if (rows.length > maxRows) {
+            return this.error('TOO_MANY_RESULTS', `The report has more than ${maxRows} transactions; narrow the criteria`);
+        }
+        return { success: true, rows };
+    }
+
+    async searchLocal(tenant, filters, sort) {
+        const transactions = (await LocalTransactionStore.getTransactionsForTenant(tenant)).map(t => this.fromLocal(t));
+
+        // A QR code can be given by its id or its reference
+        let qrReferences = null;
+        if (filters.qr_code) {
+            const qrCode = LocalTransactionStore.findQRCodeByReference(filters.qr_code);
+            qrReferences = [filters.qr_code, qrCode && qrCode.transaction_ref, qrCode && qrCode.qrId]
+                .filter(Boolean)
+                .map(String);
+        }
+        const vpa = filters.customer_vpa ? filters.customer_vpa.toLowerCase() : null;
+        const dateFrom = filters.from_date ? moment(filters.from_date, 'YYYY-MM-DD').startOf('day') : null;
+        const dateTo = filters.to_date ? moment(filters.to_date, 'YYYY-MM-DD').endOf('day') : null;
+
+        const matches = transactions.filter(t =>
+            (!filters.transaction_id || t.transaction_id === filters.transaction_id) &&
+            (!qrReferences || qrReferences.includes(t.qr_identifier)) &&
+            (!vpa || String(t.customer_vpa || '').toLowerCase().includes(vpa)) &&
+            (!filters.reference_number ||
+                t.reference_number === filters.reference_number || t.bank_reference_number === filters.reference_number) &&
+            (!dateFrom || !moment(t.initiated_at).isBefore(dateFrom)) &&
+            (!dateTo || !moment(t.initiated_at).isAfter(dateTo)) &&
+            (filters.min_amount === undefined || t.amount >= filters.min_amount) &&
+            (filters.max_amount === undefined || t.amount <= filters.max_amount) &&
+            (!filters.status || filters.status.includes(t.status))
+        );
+
+        // Ties keep the order the transactions were recorded in
+        const direction = sort.sort_order === 'asc' ? 1 : -1;
+        const value = (t) => {
+            const raw = t[sort.sort_by];
+            if (['initiated_at', 'completed_at'].includes(sort.sort_by)) {
+                return raw ? new Date(raw).getTime() : 0;
+            }
+            return raw === null || raw === undefined ? '' : raw;
+        };
+        return matches
+            .map((t, index) => ({ t, index }))
+            .sort((a, b) => {
+                const x = value(a.t);
+                const y = value(b.t);
+                if (x < y) return -direction;
+                if (x > y) return direction;
+                return (a.index - b.index) * direction;
+            })
+            .map(entry => entry.t);
+    }
+
+    summarize(transactions) {
+        const successful = transactions.filter(t => t.status === 'success');
+        const sum = (list) => list.reduce((total, t) => total + Math.round(t.amount * 100), 0) / 100;
+        return {
+            total_transactions: transactions.length,
+            total_amount: sum(transactions),
+            successful_transactions: successful.length,
+            successful_amount: sum(successful)
+        };
+    }
+
+    // A local-store transaction in the shape the API returns
+    fromLocal(t) {
+        return {
+            transaction_id: t.transactionId,
+            qr_identifier: t.qrIdentifier || null,
+            amount: t.amount,
+            status: TransactionStateMachine.normalizeStatus(t.status) || String(t.status).toLowerCase(),
+            customer_vpa: t.payerVPA || null,
+            customer_name: t.payerName || null,
+            payment_method: t.paymentMode || null,
+            reference_number: t.merchantTxnId || null,
+            bank_reference_number: t.bankRRN || null,
+            initiated_at: t.createdAt,
+            completed_at: t.completedAt || null,
+            settlement_status: t.settlementStatus || null,
+            mdr_amount: t.fees ? t.fees.mdr_amount : null,
+            gst_amount: t.fees ? t.fees.gst_amount : null,
+            net_amount: t.netAmount
+        };
+    }
+
+    // A database row in the shape the API returns
+    fromRow(row) {
+        const amount = (value) => value === null || value === undefined ? null : parseFloat(value);
+        return {
+            transaction_id: row.transaction_id,
+            qr_identifier: row.qr_identifier || null,
+            amount: parseFloat(row.amount),
+            status: row.status,
+            customer_vpa: row.customer_vpa,
+            customer_name: row.customer_name,
+            payment_method: row.payment_method,
+            reference_number: row.reference_number,
+            bank_reference_number: row.bank_reference_number,
+            initiated_at: row.initiated_at,
+            completed_at: row.completed_at,
+            settlement_status: row.settlement_status,
+            mdr_amount: amount(row.mdr_amount),
+            gst_amount: amount(row.gst_amount),
+            net_amount: amount(row.net_amount)
+        };
+    }
+}
+
+module.exports = new TransactionEnquiryService();
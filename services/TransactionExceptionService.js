@@ -0,0 +1,132 @@
+/**
+ * Transaction Exceptions Queue
+ * Status changes rejected by the state machine are parked here for operators
+ * instead of being applied or silently dropped
+ */
+
+const db = require('../config/database');
+const LocalTransactionStore = require('./LocalTransactionStore');
+
+class TransactionExceptionService {
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    /**
+     * Record a rejected transition
+     * Pass the open DB connection when called inside a transaction
+     */
+    async record(exception, connection = null) {
+        const record = {
+            transaction_id: exception.transaction_id,
+            merchant_id: exception.merchant_id || null,
+            current_status: exception.current_status || null,
+            attempted_status: exception.attempted_status,
+            reason: exception.reason,
+            source: exception.source || 'webhook',
+            payload: exception.payload || null,
+            status: 'open',
+            resolution_note: null,
+            resolved_by: null,
+            resolved_at: null,
+            created_at: new Date().toISOString()
+        };
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.insertRecord('transaction_exceptions', record);
+        }
+
+        const [result] = await (connection || db).query(
+            `INSERT INTO qr_transaction_exceptions (
+                transaction_id, merchant_id, current_status, attempted_status,
+                reason, source, payload, status
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                record.transaction_id,
+                record.merchant_id,
+                record.current_status,
+                record.attempted_status,
+                record.reason,
+                record.source,
+                JSON.stringify(record.payload),
+                record.status
+            ]
+        );
+
+        return { id: result.insertId, ...record };
+    }
+
+    async list(filters = {}) {
+        const { status = 'open', transaction_id } = filters;
+        const limit = Math.min(parseInt(filters.limit) || 50, 500);
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getCollection('transaction_exceptions')
+                .filter(e => status === 'all' || e.status === status)
+                .filter(e => !transaction_id || e.transaction_id === transaction_id)
+                .reverse()
+                .slice(0, limit);
+        }
+
+        const whereConditions = [];
+        const queryParams = [];
+
+        if (status !== 'all') {
+            whereConditions.push('status = ?');
+            queryParams.push(status);
+        }
+        if (transaction_id) {
+            whereConditions.push('transaction_id = ?');
+            queryParams.push(transaction_id);
+        }
+
+        const whereClause = whereConditions.length > 0
+            ? `WHERE ${whereConditions.join(' AND ')}`
+            : '';
+
+        const [rows] = await db.query(
+            `SELECT * FROM qr_transaction_exceptions
+             ${whereClause}
+             ORDER BY created_at DESC
+             LIMIT ?`,
+            [...queryParams, limit]
+        );
+
+        return rows;
+    }
+
+    /**
+     * Close an exception after an operator has looked at it
+     */
+    async resolve(id, { resolution, note, resolvedBy }) {
+        const updates = {
+            status: resolution,
+            resolution_note: note || null,
+            resolved_by: resolvedBy
+        };
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.updateRecord(
+                'transaction_exceptions',
+                e => e.id === parseInt(id) && e.status === 'open',
+                { ...updates, resolved_at: new Date().toISOString() }
+            );
+        }
+
+        const [result] = await db.query(
+            `UPDATE qr_transaction_exceptions
+             SET status = ?, resolution_note = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = 'open'`,
+            [updates.status, updates.resolution_note, updates.resolved_by, id]
+        );
+
+        if (result.affectedRows === 0) {
+            return null;
+        }
+
+        const [rows] = await db.query('SELECT * FROM qr_transaction_exceptions WHERE id = ?', [id]);
+        return rows[0];
+    }
+}
+
+module.exports = new TransactionExceptionService();
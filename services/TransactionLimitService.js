@@ -0,0 +1,172 @@
+/**
+ * Transaction Limit Service
+ * Checks a payment against the limits on its QR code (qr_codes) and on the
+ * merchant that owns the QR code (qr_merchant_config). Several owners can
+ * share one bank merchant ID, so limits and volume follow the owner. The bank
+ * has already moved the money when we hear about it, so breaches are flagged
+ * and alerted rather than rejected.
+ */
+
+const moment = require('moment');
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const LocalTransactionStore = require('./LocalTransactionStore');
+const MerchantAlertService = require('./MerchantAlertService');
+const MerchantConfigService = require('./MerchantConfigService');
+
+// Statuses that count towards daily/monthly volume
+const COUNTED_STATUSES = ['success', 'partial_refunded', 'refunded'];
+
+class TransactionLimitService {
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    /**
+     * Check a successful payment, flag the transaction and alert the merchant on breach
+     * Returns the list of breaches (empty when within limits)
+     */
+    async enforce({ transaction_id, merchant_id, owner_merchant_id = null, qr_code_id, amount }, connection = null) {
+        // QR codes without an owner fall back to the bank's merchant id
+        const merchantId = owner_merchant_id || merchant_id;
+        const limits = await this.getLimits(merchantId, qr_code_id, connection);
+        const usage = await this.getUsage(merchantId, qr_code_id, transaction_id, connection);
+        const breaches = this.evaluate(parseFloat(amount), limits, usage);
+
+        if (breaches.length === 0) {
+            return breaches;
+        }
+
+        await this.flagTransaction(transaction_id, breaches, connection);
+        await MerchantAlertService.raise({
+            merchant_id: merchantId,
+            alert_type: 'LIMIT_BREACH',
+            severity: 'critical',
+            transaction_id,
+            message: `Transaction ${transaction_id} of ₹${amount} breached ${breaches.map(b => `${b.scope} ${b.limit}`).join(', ')}`,
+            details: { qr_code_id, amount: parseFloat(amount), breaches }
+        }, connection);
+
+        logger.logTransaction(`Limit breach on ${transaction_id}`, { breaches });
+        return breaches;
+    }
+
+    /**
+     * Compare an amount and the volume so far against the configured limits
+     * Unset (null) limits are not enforced
+     */
+    evaluate(amount, limits, usage) {
+        const breaches = [];
+        const check = (scope, limit, limitValue, actualValue, breached) => {
+            if (limitValue === null || limitValue === undefined) return;
+            if (breached(actualValue, parseFloat(limitValue))) {
+                breaches.push({ scope, limit, limit_value: parseFloat(limitValue), actual_value: actualValue });
+            }
+        };
+        const above = (actual, limit) => actual > limit;
+        const below = (actual, limit) => actual < limit;
+
+        const qr = limits.qr || {};
+        check('qr', 'min_amount', qr.min_amount, amount, below);
+        check('qr', 'max_amount', qr.max_amount, amount, above);
+        check('qr', 'transaction_limit', qr.transaction_limit, amount, above);
+        check('qr', 'daily_limit', qr.daily_limit, usage.qr.daily + amount, above);
+        check('qr', 'monthly_limit', qr.monthly_limit, usage.qr.monthly + amount, above);
+
+        const merchant = limits.merchant || {};
+        check('merchant', 'max_transaction_amount', merchant.max_transaction_amount, amount, above);
+        check('merchant', 'daily_transaction_limit', merchant.daily_transaction_limit, usage.merchant.daily + amount, above);
+        check('merchant', 'monthly_transaction_limit', merchant.monthly_transaction_limit, usage.merchant.monthly + amount, above);
+
+        return breaches;
+    }
+
+    async getLimits(merchantId, qrCodeId, connection = null) {
+        if (this.useLocalStore()) {
+            return {
+                qr: LocalTransactionStore.getQRCodes().find(q => q.qrId === qrCodeId) || null,
+                merchant: await MerchantConfigService.getConfig(merchantId)
+            };
+        }
+
+        const [qrRows] = await (connection || db).query(
+            `SELECT min_amount, max_amount, transaction_limit, daily_limit, monthly_limit
+             FROM qr_codes WHERE id = ?`,
+            [qrCodeId]
+        );
+
+        return {
+            qr: qrRows[0] || null,
+            merchant: await MerchantConfigService.getConfig(merchantId, connection)
+        };
+    }
+
+    /**
+     * Volume already taken today and this month, excluding the transaction being checked
+     */
+    async getUsage(merchantId, qrCodeId, transactionId, connection = null) {
+        const dayStart = moment().startOf('day');
+        const monthStart = moment().startOf('month');
+
+        if (this.useLocalStore()) {
+            const counted = LocalTransactionStore.getTransactions().filter(t =>
+                t.transactionId !== transactionId &&
+                COUNTED_STATUSES.includes(String(t.status).toLowerCase()) &&
+                moment(t.createdAt).isSameOrAfter(monthStart)
+            );
+            const totals = (txns) => ({
+                daily: txns.filter(t => moment(t.createdAt).isSameOrAfter(dayStart)).reduce((sum, t) => sum + t.amount, 0),
+                monthly: txns.reduce((sum, t) => sum + t.amount, 0)
+            });
+
+            return {
+                qr: totals(counted.filter(t => t.qrId === qrCodeId)),
+                merchant: totals(counted.filter(t => (t.ownerMerchantId || t.merchantId) === merchantId))
+            };
+        }
+
+        const conn = connection || db;
+        const totals = async (condition, value) => {
+            const [rows] = await conn.query(
+                `SELECT
+                    COALESCE(SUM(CASE WHEN initiated_at >= ? THEN amount ELSE 0 END), 0) as daily,
+                    COALESCE(SUM(amount), 0) as monthly
+                 FROM qr_transactions
+                 WHERE ${condition}
+                 AND status IN (?)
+                 AND initiated_at >= ?
+                 AND transaction_id != ?`,
+                [dayStart.toDate(), value, COUNTED_STATUSES, monthStart.toDate(), transactionId]
+            );
+            return {
+                daily: parseFloat(rows[0].daily),
+                monthly: parseFloat(rows[0].monthly)
+            };
+        };
+
+        return {
+            qr: await totals('qr_code_id = ?', qrCodeId),
+            merchant: await totals('qr_code_id IN (SELECT id FROM qr_codes WHERE merchant_id = ?)', merchantId)
+        };
+    }
+
+    async flagTransaction(transactionId, breaches, connection = null) {
+        if (this.useLocalStore()) {
+            const transactions = LocalTransactionStore.getTransactions();
+            const transaction = transactions.find(t => t.transactionId === transactionId);
+            if (transaction) {
+                transaction.limitBreached = true;
+                transaction.limitBreaches = breaches;
+                LocalTransactionStore.saveTransactions(transactions);
+            }
+            return;
+        }
+
+        await (connection || db).query(
+            'UPDATE qr_transactions SET limit_breached = TRUE, limit_breach_details = ? WHERE transaction_id = ?',
+            [JSON.stringify(breaches), transactionId]
+        );
+    }
+}
+
+module.exports = new TransactionLimitService();
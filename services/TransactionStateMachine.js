@@ -0,0 +1,153 @@
+/**
+ * Transaction Status State Machine
+ * Defines which status changes a transaction may go through, so repeated or
+ * out-of-order bank callbacks can never move it backwards
+ * (e.g. a late FAILURE arriving after SUCCESS)
+ */
+
+const STATES = [
+    'initiated',
+    'pending',
+    'deemed',
+    'success',
+    'failed',
+    'reversed',
+    'expired',
+    'refunded',
+    'partial_refunded',
+    'disputed',
+    'charged_back'
+];
+
+// Allowed transitions: from -> [to]
+// reversed straight from initiated/pending: debit went through but the credit failed (U04)
+const TRANSITIONS = {
+    initiated: ['pending', 'deemed', 'success', 'failed', 'reversed', 'expired'],
+    pending: ['deemed', 'success', 'failed', 'reversed', 'expired'],
+    deemed: ['success', 'failed', 'reversed'],
+    success: ['reversed', 'refunded', 'partial_refunded', 'disputed'],
+    partial_refunded: ['partial_refunded', 'refunded', 'disputed'],
+    // A dispute is either rejected (back to success, or to the refund state the
+    // payment had reached) or accepted as a chargeback
+    disputed: ['success', 'partial_refunded', 'refunded', 'charged_back'],
+    charged_back: [],
+    failed: [],
+    reversed: [],
+    // Never reached the bank within the status-enquiry cutoff
+    expired: [],
+    refunded: []
+};
+
+// States a payment is in before it first succeeds; success from any other
+// state (e.g. a rejected dispute) is a payment we have already counted
+const PRE_SUCCESS_STATES = ['initiated', 'pending', 'deemed'];
+
+// States that may legitimately repeat as a new event (each partial refund is distinct)
+const REPEATABLE_STATES = ['partial_refunded'];
+
+// Bank/local spellings mapped to canonical states
+const STATUS_ALIASES = {
+    FAILURE: 'failed',
+    FAILED: 'failed',
+    TIMEOUT: 'pending'
+};
+
+/**
+ * Map any stored or bank-reported status to a canonical state
+ */
+const normalizeStatus = (status) => {
+    if (!status) return null;
+
+    const value = String(status).trim();
+    if (STATUS_ALIASES[value.toUpperCase()]) {
+        return STATUS_ALIASES[value.toUpperCase()];
+    }
+
+    const lower = value.toLowerCase();
+    return STATES.includes(lower) ? lower : null;
+};
+
+/**
+ * Settlement status a transaction should have once it moves to a state
+ * Money already paid out stays 'settled'; it has to be recovered from a later settlement
+ */
+const getSettlementStatus = (state, currentSettlementStatus = null) => {
+    switch (state) {
+        // Off hold once a dispute is rejected
+        case 'success':
+        case 'partial_refunded':
+        case 'refunded':
+            return !currentSettlementStatus || currentSettlementStatus === 'on_hold'
+                ? 'pending'
+                : currentSettlementStatus;
+        case 'disputed':
+            return currentSettlementStatus === 'settled' ? 'settled' : 'on_hold';
+        case 'reversed':
+        case 'charged_back':
+            return currentSettlementStatus === 'settled' ? 'settled' : 'cancelled';
+        default:
+            return currentSettlementStatus;
+    }
+};
+
+const isFinal = (state) => {
+    return TRANSITIONS[state] !== undefined && TRANSITIONS[state].length === 0;
+};
+
+const canTransition = (from, to) => {
+    return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Whether a transition is the payment succeeding for the first time
+ * (a new transaction, or one still in a pre-success state)
+ */
+const isFirstSuccess = (transition) => {
+    return transition.to === 'success' && (!transition.from || PRE_SUCCESS_STATES.includes(transition.from));
+};
+
+/**
+ * Decide what to do with a requested status change
+ * Returns { allowed, noop, from, to, reason }:
+ *  - noop: the transaction is already in that state (a repeated callback)
+ *  - allowed=false, noop=false: illegal, to be routed to the exceptions queue
+ */
+const evaluateTransition = (currentStatus, requestedStatus) => {
+    const from = normalizeStatus(currentStatus);
+    const to = normalizeStatus(requestedStatus);
+
+    if (!to) {
+        return { allowed: false, noop: false, from, to, reason: `Unknown status: ${requestedStatus}` };
+    }
+
+    // New transaction
+    if (!currentStatus) {
+        return { allowed: true, noop: false, from: null, to };
+    }
+
+    if (!from) {
+        return { allowed: false, noop: false, from, to, reason: `Unknown current status: ${currentStatus}` };
+    }
+
+    if (from === to && !REPEATABLE_STATES.includes(to)) {
+        return { allowed: false, noop: true, from, to, reason: `Transaction already ${to}` };
+    }
+
+    if (!canTransition(from, to)) {
+        return { allowed: false, noop: false, from, to, reason: `Illegal transition ${from} -> ${to}` };
+    }
+
+    return { allowed: true, noop: false, from, to };
+};
+
+module.exports = {
+    STATES,
+    TRANSITIONS,
+    PRE_SUCCESS_STATES,
+    normalizeStatus,
+    isFinal,
+    isFirstSuccess,
+    canTransition,
+    evaluateTransition,
+    getSettlementStatus
+};
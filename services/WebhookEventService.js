@@ -0,0 +1,449 @@
+/**
+ * Webhook Event Journal
+ * Durable record of every inbound bank callback, written before any processing
+ * so failed or disputed notifications can be investigated and replayed
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const LocalTransactionStore = require('./LocalTransactionStore');
+
+// Headers kept for investigation; credentials and cookies are never journaled
+const JOURNALED_HEADERS = [
+    'content-type',
+    'content-length',
+    'user-agent',
+    'x-forwarded-for',
+    'x-real-ip',
+    'x-request-id',
+    'x-webhook-source'
+];
+
+class WebhookEventService {
+    constructor() {
+        // Events still received/processing after this long are reported as stuck
+        this.STUCK_AFTER_MINUTES = parseInt(process.env.WEBHOOK_STUCK_AFTER_MINUTES) || 15;
+        this.MAX_LIST_LIMIT = 500;
+    }
+
+    /**
+     * Development mode journals to local JSON files instead of the database
+     */
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    /**
+     * Pick the subset of request headers worth keeping
+     */
+    filterHeaders(headers = {}) {
+        const filtered = {};
+        for (const name of JOURNALED_HEADERS) {
+            if (headers[name] !== undefined) {
+                filtered[name] = headers[name];
+            }
+        }
+        return filtered;
+    }
+
+    /**
+     * Journal a raw callback exactly as received
+     * Status enquiry responses are journaled the same way, as '<source>.status_enquiry'
+     */
+    async recordReceived({ source, body, headers, sourceIp, eventType = 'callback' }) {
+        const event = {
+            event_id: uuidv4(),
+            event_type: `${source}.${eventType}`,
+            source,
+            transaction_id: null,
+            payload: body || {},
+            headers: this.filterHeaders(headers),
+            source_ip: sourceIp || null,
+            decrypted_payload: null,
+            decrypt_status: 'pending',
+            key_id: null,
+            status: 'received',
+            error_message: null,
+            processing_result: null,
+            retry_count: 0,
+            next_retry_at: null,
+            locked_at: null,
+            replay_count: 0,
+            last_replayed_at: null,
+            received_at: new Date().toISOString(),
+            processed_at: null
+        };
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.saveWebhookEvent(event);
+        }
+
+        const [result] = await db.query(
+            `INSERT INTO qr_webhook_events (
+                event_id, event_type, source, payload, headers,
+                source_ip, decrypt_status, status
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                event.event_id,
+                event.event_type,
+                event.source,
+                JSON.stringify(event.payload),
+                JSON.stringify(event.headers),
+                event.source_ip,
+                event.decrypt_status,
+                event.status
+            ]
+        );
+
+        return { id: result.insertId, ...event };
+    }
+
+    /**
+     * Apply column updates to a journaled event
+     */
+    async updateEvent(eventId, updates) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.updateWebhookEvent(eventId, updates);
+        }
+
+        const columns = Object.keys(updates);
+        const values = columns.map(column => {
+            const value = updates[column];
+            return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        });
+
+        await db.query(
+            `UPDATE qr_webhook_events SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE event_id = ?`,
+            [...values, eventId]
+        );
+
+        return true;
+    }
+
+    /**
+     * Record the decrypted and parsed callback and the key that decrypted it
+     */
+    async markDecrypted(eventId, transactionData, keyId) {
+        return this.updateEvent(eventId, {
+            transaction_id: transactionData.transactionId,
+            decrypted_payload: transactionData,
+            decrypt_status: 'success',
+            key_id: keyId || null
+        });
+    }
+
+    async markProcessed(eventId, result = {}) {
+        return this.updateEvent(eventId, {
+            status: 'processed',
+            error_message: null,
+            next_retry_at: null,
+            locked_at: null,
+            processing_result: result,
+            processed_at: this.timestamp()
+        });
+    }
+
+    /**
+     * Record a failure and the pipeline stage it happened in
+     */
+    async markFailed(eventId, errorMessage, { stage } = {}) {
+        const updates = {
+            status: 'failed',
+            error_message: errorMessage,
+            next_retry_at: null,
+            locked_at: null,
+            processing_result: { stage: stage || 'unknown', error: errorMessage },
+            processed_at: this.timestamp()
+        };
+
+        if (stage === 'decrypt' || stage === 'parse') {
+            updates.decrypt_status = 'failed';
+        }
+
+        return this.updateEvent(eventId, updates);
+    }
+
+    /**
+     * Schedule another processing attempt after a transient failure
+     */
+    async markRetrying(eventId, errorMessage, retryCount, nextRetryAt) {
+        return this.updateEvent(eventId, {
+            status: 'retrying',
+            error_message: errorMessage,
+            retry_count: retryCount,
+            next_retry_at: this.useLocalStore() ? nextRetryAt.toISOString() : nextRetryAt,
+            locked_at: null
+        });
+    }
+
+    /**
+     * Park an event whose retries are used up; only an operator replay re-drives it
+     */
+    async markDeadLettered(eventId, errorMessage, retryCount) {
+        return this.updateEvent(eventId, {
+            status: 'dead_letter',
+            error_message: errorMessage,
+            retry_count: retryCount,
+            next_retry_at: null,
+            locked_at: null,
+            processing_result: { stage: 'process', error: errorMessage, dead_lettered: true },
+            processed_at: this.timestamp()
+        });
+    }
+
+    /**
+     * Atomically take an event for an operator replay
+     * Bumps the replay counter and resets retries in the same update that locks it.
+     * Returns the new replay count, or null when a worker or another replay holds
+     * the event (or replayed it since it was read)
+     */
+    async claimForReplay(event, leaseExpiredBefore) {
+        const replayCount = (event.replay_count || 0) + 1;
+
+        if (this.useLocalStore()) {
+            const now = this.timestamp();
+            const claimed = await LocalTransactionStore.updateRecord(
+                'webhook_events',
+                e => e.event_id === event.event_id &&
+                    (e.replay_count || 0) === replayCount - 1 &&
+                    (e.status !== 'processing' || !e.locked_at || new Date(e.locked_at) < leaseExpiredBefore),
+                {
+                    status: 'processing',
+                    locked_at: now,
+                    replay_count: replayCount,
+                    last_replayed_at: now,
+                    retry_count: 0,
+                    next_retry_at: null
+                }
+            );
+            return claimed ? replayCount : null;
+        }
+
+        const [result] = await db.query(
+            `UPDATE qr_webhook_events
+             SET status = 'processing', locked_at = CURRENT_TIMESTAMP,
+                 replay_count = ?, last_replayed_at = CURRENT_TIMESTAMP,
+                 retry_count = 0, next_retry_at = NULL
+             WHERE event_id = ? AND replay_count = ?
+             AND (status <> 'processing' OR locked_at IS NULL OR locked_at < ?)`,
+            [replayCount, event.event_id, replayCount - 1, leaseExpiredBefore]
+        );
+        return result.affectedRows === 1 ? replayCount : null;
+    }
+
+    /**
+     * Atomically take an event for processing
+     * Returns false when another worker already holds it; a processing lock
+     * older than leaseExpiredBefore is treated as abandoned and can be taken over
+     */
+    async claimEvent(eventId, leaseExpiredBefore) {
+        if (this.useLocalStore()) {
+            const claimed = await LocalTransactionStore.updateRecord(
+                'webhook_events',
+                e => e.event_id === eventId && (
+                    ['received', 'retrying'].includes(e.status) ||
+                    (e.status === 'processing' && (!e.locked_at || new Date(e.locked_at) < leaseExpiredBefore))
+                ),
+                { status: 'processing', locked_at: new Date().toISOString() }
+            );
+            return claimed !== null;
+        }
+
+        const [result] = await db.query(
+            `UPDATE qr_webhook_events
+             SET status = 'processing', locked_at = CURRENT_TIMESTAMP
+             WHERE event_id = ?
+             AND (status IN ('received', 'retrying')
+                  OR (status = 'processing' AND (locked_at IS NULL OR locked_at < ?)))`,
+            [eventId, leaseExpiredBefore]
+        );
+        return result.affectedRows === 1;
+    }
+
+    /**
+     * Events waiting for a first attempt, due for a retry, or abandoned mid-processing
+     */
+    async getDueEvents(limit, leaseExpiredBefore) {
+        const now = new Date();
+
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getWebhookEvents()
+                .filter(e =>
+                    e.status === 'received' ||
+                    (e.status === 'retrying' && (!e.next_retry_at || new Date(e.next_retry_at) <= now)) ||
+                    (e.status === 'processing' && e.locked_at && new Date(e.locked_at) < leaseExpiredBefore)
+                )
+                .slice(0, limit);
+        }
+
+        const [rows] = await db.query(
+            `SELECT * FROM qr_webhook_events
+             WHERE status = 'received'
+             OR (status = 'retrying' AND (next_retry_at IS NULL OR next_retry_at <= ?))
+             OR (status = 'processing' AND locked_at < ?)
+             ORDER BY id ASC
+             LIMIT ?`,
+            [now, leaseExpiredBefore, limit]
+        );
+        return rows;
+    }
+
+    async getEvent(eventId) {
+        if (this.useLocalStore()) {
+            return LocalTransactionStore.getWebhookEventById(eventId);
+        }
+
+        const [rows] = await db.query(
+            'SELECT * FROM qr_webhook_events WHERE event_id = ?',
+            [eventId]
+        );
+
+        return rows.length > 0 ? rows[0] : null;
+    }
+
+    /**
+     * List journaled events for operators
+     * status 'stuck' selects events still received/processing past the stuck threshold
+     */
+    async listEvents(filters = {}) {
+        const { status, source, transaction_id, from_date, to_date } = filters;
+        const limit = Math.min(parseInt(filters.limit) || 50, this.MAX_LIST_LIMIT);
+        const stuckBefore = new Date(Date.now() - this.STUCK_AFTER_MINUTES * 60 * 1000);
+
+        if (this.useLocalStore()) {
+            let events = LocalTransactionStore.getWebhookEvents();
+
+            if (status === 'stuck') {
+                events = events.filter(e =>
+                    ['received', 'processing'].includes(e.status) &&
+                    new Date(e.received_at) < stuckBefore
+                );
+            } else if (status) {
+                events = events.filter(e => e.status === status);
+            }
+            if (source) {
+                events = events.filter(e => e.source === source);
+            }
+            if (transaction_id) {
+                events = events.filter(e => e.transaction_id === transaction_id);
+            }
+            if (from_date) {
+                events = events.filter(e => new Date(e.received_at) >= new Date(from_date));
+            }
+            if (to_date) {
+                events = events.filter(e => new Date(e.received_at) <= new Date(to_date));
+            }
+
+            return events
+                .sort((a, b) => new Date(b.received_at) - new Date(a.received_at))
+                .slice(0, limit);
+        }
+
+        const whereConditions = [];
+        const queryParams = [];
+
+        if (status === 'stuck') {
+            whereConditions.push("status IN ('received', 'processing') AND received_at < ?");
+            queryParams.push(stuckBefore);
+        } else if (status) {
+            whereConditions.push('status = ?');
+            queryParams.push(status);
+        }
+        if (source) {
+            whereConditions.push('source = ?');
+            queryParams.push(source);
+        }
+        if (transaction_id) {
+            whereConditions.push('transaction_id = ?');
+            queryParams.push(transaction_id);
+        }
+        if (from_date) {
+            whereConditions.push('received_at >= ?');
+            queryParams.push(from_date);
+        }
+        if (to_date) {
+            whereConditions.push('received_at <= ?');
+            queryParams.push(to_date);
+        }
+
+        const whereClause = whereConditions.length > 0
+            ? `WHERE ${whereConditions.join(' AND ')}`
+            : '';
+
+        const [rows] = await db.query(
+            `SELECT id, event_id, event_type, source, transaction_id, source_ip,
+                    status, decrypt_status, error_message, retry_count,
+                    replay_count, received_at, processed_at
+             FROM qr_webhook_events
+             ${whereClause}
+             ORDER BY received_at DESC
+             LIMIT ?`,
+            [...queryParams, limit]
+        );
+
+        return rows;
+    }
+
+    /**
+     * Resolve the events selected for a bulk replay, oldest first
+     * Accepts explicit event IDs, an inclusive journal id range or an
+     * inclusive received_at range (from_date/to_date)
+     */
+    async getEventsForReplay({ event_ids, from_id, to_id, from_date, to_date }) {
+        if (this.useLocalStore()) {
+            const events = LocalTransactionStore.getWebhookEvents();
+
+            if (Array.isArray(event_ids)) {
+                return events.filter(e => event_ids.includes(e.event_id)).slice(0, this.MAX_LIST_LIMIT);
+            }
+            if (from_date) {
+                return events
+                    .filter(e => new Date(e.received_at) >= new Date(from_date) && new Date(e.received_at) <= new Date(to_date))
+                    .slice(0, this.MAX_LIST_LIMIT);
+            }
+            return events
+                .filter(e => e.id >= from_id && e.id <= to_id)
+                .slice(0, this.MAX_LIST_LIMIT);
+        }
+
+        if (Array.isArray(event_ids)) {
+            if (event_ids.length === 0) {
+                return [];
+            }
+            const [rows] = await db.query(
+                `SELECT * FROM qr_webhook_events
+                 WHERE event_id IN (${event_ids.map(() => '?').join(', ')})
+                 ORDER BY id ASC
+                 LIMIT ?`,
+                [...event_ids, this.MAX_LIST_LIMIT]
+            );
+            return rows;
+        }
+
+        if (from_date) {
+            const [rows] = await db.query(
+                `SELECT * FROM qr_webhook_events
+                 WHERE received_at BETWEEN ? AND ?
+                 ORDER BY id ASC
+                 LIMIT ?`,
+                [new Date(from_date), new Date(to_date), this.MAX_LIST_LIMIT]
+            );
+            return rows;
+        }
+
+        const [rows] = await db.query(
+            `SELECT * FROM qr_webhook_events
+             WHERE id BETWEEN ? AND ?
+             ORDER BY id ASC
+             LIMIT ?`,
+            [from_id, to_id, this.MAX_LIST_LIMIT]
+        );
+        return rows;
+    }
+
+    timestamp() {
+        return this.useLocalStore() ? new Date().toISOString() : new Date();
+    }
+}
+
+module.exports = new WebhookEventService();
@@ -0,0 +1,152 @@
+/**
+ * Webhook Processing Queue
+ * In-process worker over the qr_webhook_events journal - no Redis required.
+ * Callbacks are acknowledged once journaled; this worker processes them with
+ * exponential backoff and dead-letters events whose retries are used up.
+ */
+
+const logger = require('../utils/logger');
+const WebhookEventService = require('./WebhookEventService');
+
+class WebhookQueue {
+    constructor() {
+        this.MAX_RETRIES = parseInt(process.env.WEBHOOK_MAX_RETRIES) || 5;
+        this.BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+        this.MAX_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000;
+        this.POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5 * 1000;
+        // A processing lock older than this is considered abandoned (crashed worker)
+        this.LEASE_MS = 5 * 60 * 1000;
+        this.BATCH_SIZE = 20;
+
+        this.handlers = new Map();
+        this.timer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Register the pipeline that processes events from a source (e.g. 'hdfc')
+     * The handler resolves to { httpStatus, body, retryable, error }
+     */
+    registerHandler(source, handler) {
+        this.handlers.set(source, handler);
+    }
+
+    /**
+     * Start polling for due events
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.poll(), this.POLL_INTERVAL_MS);
+        // Never keep the process alive just for the worker
+        this.timer.unref();
+        logger.info(`[WebhookQueue] Worker started (poll every ${this.POLL_INTERVAL_MS}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Process a freshly journaled event right away, outside the HTTP request
+     * If this instance dies first, the poller picks the event up later
+     */
+    enqueue(event) {
+        setImmediate(async () => {
+            try {
+                if (await WebhookEventService.claimEvent(event.event_id, this.leaseExpiredBefore())) {
+                    await this.processEvent(event);
+                }
+            } catch (error) {
+                logger.error(`[WebhookQueue] Error processing event ${event.event_id}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Pick up events awaiting a first attempt, due for retry, or abandoned
+     */
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+
+        this.polling = true;
+        try {
+            const leaseExpiredBefore = this.leaseExpiredBefore();
+            const events = await WebhookEventService.getDueEvents(this.BATCH_SIZE, leaseExpiredBefore);
+
+            for (const event of events) {
+                // Another instance may have claimed it in the meantime
+                if (await WebhookEventService.claimEvent(event.event_id, leaseExpiredBefore)) {
+                    await this.processEvent(event);
+                }
+            }
+        } catch (error) {
+            logger.error('[WebhookQueue] Poll failed:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Run an already-claimed event through its handler and schedule a retry
+     * or dead-letter it when the failure is transient
+     */
+    async processEvent(event) {
+        const handler = this.handlers.get(event.source);
+
+        if (!handler) {
+            const message = `No handler registered for source ${event.source}`;
+            await WebhookEventService.markFailed(event.event_id, message, { stage: 'dispatch' });
+            return { httpStatus: 500, retryable: false, error: message };
+        }
+
+        let outcome;
+        try {
+            outcome = await handler(event);
+        } catch (error) {
+            outcome = { httpStatus: 500, retryable: true, error: error.message };
+        }
+
+        if (outcome.retryable) {
+            outcome.retry = await this.scheduleRetry(event, outcome.error);
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Exponential backoff: BASE * 2^(attempt - 1), capped at MAX_DELAY
+     */
+    getRetryDelay(retryCount) {
+        return Math.min(this.BASE_DELAY_MS * Math.pow(2, retryCount - 1), this.MAX_DELAY_MS);
+    }
+
+    async scheduleRetry(event, errorMessage) {
+        const retryCount = (event.retry_count || 0) + 1;
+
+        if (retryCount > this.MAX_RETRIES) {
+            await WebhookEventService.markDeadLettered(event.event_id, errorMessage, retryCount - 1);
+            logger.error(`[WebhookQueue] Event ${event.event_id} dead-lettered after ${retryCount - 1} retries: ${errorMessage}`);
+            return { dead_lettered: true, retry_count: retryCount - 1 };
+        }
+
+        const nextRetryAt = new Date(Date.now() + this.getRetryDelay(retryCount));
+        await WebhookEventService.markRetrying(event.event_id, errorMessage, retryCount, nextRetryAt);
+        logger.info(`[WebhookQueue] Event ${event.event_id} retry ${retryCount}/${this.MAX_RETRIES} at ${nextRetryAt.toISOString()}`);
+
+        return { dead_lettered: false, retry_count: retryCount, next_retry_at: nextRetryAt.toISOString() };
+    }
+
+    leaseExpiredBefore() {
+        return new Date(Date.now() - this.LEASE_MS);
+    }
+}
+
+module.exports = new WebhookQueue();
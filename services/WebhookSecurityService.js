@@ -0,0 +1,151 @@
+/**
+ * Bank Callback Source Verification and Replay Protection
+ * - Source allowlist: <BANK>_WEBHOOK_ALLOWED_IPS (comma-separated IPs or IPv4
+ *   CIDR ranges, e.g. HDFC_WEBHOOK_ALLOWED_IPS=203.0.113.10,198.51.100.0/24)
+ * - Replay cache: each verified callback's replay key is remembered for
+ *   WEBHOOK_REPLAY_WINDOW_MINUTES; the same key on another event is a replay.
+ *   Callbacks older than the window are rejected as stale, so a replay can
+ *   never outlive its cache entry. Reversal and dispute notices carry the
+ *   original payment time and cannot be checked for age, so their keys are
+ *   kept for good.
+ */
+
+const db = require('../config/database');
+const LocalTransactionStore = require('./LocalTransactionStore');
+
+class WebhookSecurityService {
+    constructor() {
+        this.REPLAY_WINDOW_MINUTES = parseInt(process.env.WEBHOOK_REPLAY_WINDOW_MINUTES) || 15;
+        // Tolerated drift between the bank's clock and ours
+        this.CLOCK_SKEW_MINUTES = parseInt(process.env.WEBHOOK_CLOCK_SKEW_MINUTES) || 5;
+    }
+
+    useLocalStore() {
+        return process.env.NODE_ENV === 'development';
+    }
+
+    /**
+     * Configured allowlist for a bank; empty means any source is accepted
+     */
+    getAllowedSources(adapter) {
+        return String(process.env[`${adapter.code.toUpperCase()}_WEBHOOK_ALLOWED_IPS`] || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+    }
+
+    isAllowedSource(adapter, ip) {
+        const allowed = this.getAllowedSources(adapter);
+        if (allowed.length === 0) {
+            return true;
+        }
+
+        const address = this.normalizeIp(ip);
+        return allowed.some(entry => entry.includes('/')
+            ? this.inCidr(address, entry)
+            : this.normalizeIp(entry) === address);
+    }
+
+    // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+    normalizeIp(ip) {
+        return String(ip || '').replace(/^::ffff:/, '');
+    }
+
+    inCidr(ip, cidr) {
+        const [range, bits] = cidr.split('/');
+        const toInt = (address) => {
+            const octets = address.split('.').map(Number);
+            if (octets.length !== 4 || octets.some(o => !Number.isInteger(o) || o < 0 || o > 255)) {
+                return null;
+            }
+            return octets.reduce((value, octet) => (value * 256) + octet, 0);
+        };
+
+        const address = toInt(ip);
+        const base = toInt(range);
+        const prefix = parseInt(bits);
+        if (address === null || base === null || !(prefix >= 0 && prefix <= 32)) {
+            return false;
+        }
+
+        const size = Math.pow(2, 32 - prefix);
+        return Math.floor(address / size) === Math.floor(base / size);
+    }
+
+    /**
+     * Check a callback's timestamp is inside the replay window
+     * Returns null when fresh, or the reason it is rejected
+     */
+    checkFreshness(timestamp, now = new Date()) {
+        const sentAt = new Date(timestamp);
+        if (Number.isNaN(sentAt.getTime())) {
+            return `Invalid callback timestamp: ${timestamp}`;
+        }
+
+        const ageMinutes = (now - sentAt) / (60 * 1000);
+        if (ageMinutes > this.REPLAY_WINDOW_MINUTES) {
+            return `Callback is older than ${this.REPLAY_WINDOW_MINUTES} minutes`;
+        }
+        if (ageMinutes < -this.CLOCK_SKEW_MINUTES) {
+            return 'Callback timestamp is in the future';
+        }
+        return null;
+    }
+
+    /**
+     * Remember a replay key for an event
+     * Returns { replay: false } the first time the key is seen (or when the same
+     * event is retried/replayed by an operator), otherwise { replay: true, event_id }
+     * with the event that used it first.
+     * retain: keep the key for good (expires_at NULL) instead of for the replay window
+     */
+    async checkReplay({ source, replayKey, eventId, retain = false }) {
+        const key = `${source}:${replayKey}`;
+        const now = new Date();
+        const expiresAt = retain ? null : new Date(now.getTime() + this.REPLAY_WINDOW_MINUTES * 60 * 1000);
+
+        if (this.useLocalStore()) {
+            const entries = LocalTransactionStore.getCollection('webhook_replay_cache')
+                .filter(e => !e.expires_at || new Date(e.expires_at) > now);
+            const existing = entries.find(e => e.replay_key === key);
+
+            if (existing) {
+                return existing.event_id === eventId
+                    ? { replay: false }
+                    : { replay: true, event_id: existing.event_id, first_seen_at: existing.created_at };
+            }
+
+            // Expired entries are dropped on write
+            LocalTransactionStore.saveCollection('webhook_replay_cache', [...entries, {
+                replay_key: key,
+                source,
+                event_id: eventId,
+                expires_at: expiresAt ? expiresAt.toISOString() : null,
+                created_at: now.toISOString()
+            }]);
+            return { replay: false };
+        }
+
+        // Claim the key, or take it over if its entry has expired (retained entries never do)
+        await db.query(
+            `INSERT INTO qr_webhook_replay_cache (replay_key, source, event_id, expires_at)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE
+                event_id = IF(expires_at < CURRENT_TIMESTAMP, VALUES(event_id), event_id),
+                created_at = IF(expires_at < CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, created_at),
+                expires_at = IF(expires_at < CURRENT_TIMESTAMP, VALUES(expires_at), expires_at)`,
+            [key, source, eventId, expiresAt]
+        );
+
+        const [rows] = await db.query(
+            'SELECT event_id, created_at FROM qr_webhook_replay_cache WHERE replay_key = ?',
+            [key]
+        );
+
+        return rows[0].event_id === eventId
+            ? { replay: false }
+            : { replay: true, event_id: rows[0].event_id, first_seen_at: rows[0].created_at };
+    }
+}
+
+module.exports = new WebhookSecurityService();
@@ -0,0 +1,135 @@
+/**
+ * Acquiring Bank Adapter
+ * Everything bank-specific about a UPI acquirer lives behind this interface,
+ * so the webhook pipeline, poller and refund flows stay bank-agnostic.
+ *
+ * Adapters normalise bank payloads to the callback transaction shape used
+ * across the pipeline: merchantId, terminalId, transactionId, bankRRN,
+ * merchantTxnId, amount, transactionStatus, statusCode, statusDescription,
+ * payerVPA, payerName, transactionDateTime, ...
+ */
+
+const crypto = require('crypto');
+
+class BankAdapter {
+    constructor({ code, name }) {
+        // Route segment and journal source, e.g. 'hdfc' for /api/hdfc/webhook
+        this.code = code;
+        this.name = name;
+    }
+
+    /**
+     * Whether a callback request body carries a payload worth queueing
+     */
+    isCallbackBody(body) {
+        return this.notImplemented('isCallbackBody');
+    }
+
+    /**
+     * Identify the bank merchant/terminal a callback is for, before decoding,
+     * so the right keys can be resolved: { bankMerchantId, terminalId }
+     */
+    getCallbackContext(body) {
+        return this.notImplemented('getCallbackContext');
+    }
+
+    /**
+     * Decode a callback with the first candidate key that works
+     * Returns { key, transactionData }
+     */
+    decodeCallback(body, keys) {
+        return this.notImplemented('decodeCallback');
+    }
+
+    /**
+     * Check the payload was not tampered with (checksum/signature)
+     */
+    verifyIntegrity(transactionData, key) {
+        return this.notImplemented('verifyIntegrity');
+    }
+
+    /**
+     * Identify one specific callback (bank reference, status and nonce/signature)
+     * A second callback with the same key inside the replay window is a replay
+     */
+    getReplayKey(transactionData) {
+        return this.notImplemented('getReplayKey');
+    }
+
+    /**
+     * Map the bank's status and response code to a transaction state
+     * (see TransactionStateMachine)
+     */
+    mapStatus(transactionData) {
+        return this.notImplemented('mapStatus');
+    }
+
+    /**
+     * Recognise a chargeback/dispute notification
+     * Returns { stage: opened|won|lost, reasonCode, reason }, or null for other callbacks.
+     * Adapters for banks without a dispute feed can keep this default.
+     */
+    parseDispute(transactionData) {
+        return null;
+    }
+
+    getErrorDescription(statusCode) {
+        return this.notImplemented('getErrorDescription');
+    }
+
+    /**
+     * Recover our QR identifier from the reference the bank echoes back
+     */
+    getQRIdentifier(transactionData) {
+        return this.notImplemented('getQRIdentifier');
+    }
+
+    /**
+     * Build the VPA handle a merchant's QR pays into at this bank
+     */
+    buildVpa({ merchantName, identifier }) {
+        return this.notImplemented('buildVpa');
+    }
+
+    /**
+     * Ask the bank for the current state of a transaction
+     * Resolves to { body, transactionData }, or null if the bank does not know it.
+     * body is shaped like a callback so it can be journaled and processed as one.
+     */
+    async statusEnquiry({ merchantId, transactionId, merchantTxnId }) {
+        return this.notImplemented('statusEnquiry');
+    }
+
+    /**
+     * Request a (partial) refund against a transaction
+     * refundId is ours; sending the same one again must not refund twice.
+     * Resolves to { status, refundId, bankReference, responseCode, message },
+     * status being success, processing (accepted, not completed yet) or failed.
+     */
+    async refund({ merchantId, transactionId, amount, refundId, reason }) {
+        return this.notImplemented('refund');
+    }
+
+    /**
+     * Ask the bank where a refund stands
+     * Resolves like refund(), or null if the bank has no record of it.
+     */
+    async refundStatus({ merchantId, transactionId, refundId }) {
+        return this.notImplemented('refundStatus');
+    }
+
+    /**
+     * Compare checksums/signatures without leaking where they differ
+     */
+    constantTimeEqual(expected, provided) {
+        const a = Buffer.from(String(expected || ''));
+        const b = Buffer.from(String(provided || ''));
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.name} adapter does not implement ${method}`);
+    }
+}
+
+module.exports = BankAdapter;
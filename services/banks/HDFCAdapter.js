@@ -0,0 +1,263 @@
+/**
+ * HDFC UPI Adapter
+ * Callbacks arrive as { encryptedData, merchantId, terminalId } where
+ * encryptedData is AES/ECB over 21 pipe-separated fields, the last being an
+ * HMAC-SHA256 checksum of the other 20.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const CryptoJS = require('crypto-js');
+const BankAdapter = require('./BankAdapter');
+const MerchantKeyService = require('../MerchantKeyService');
+const HDFC_ERROR_CODES = require('../../utils/hdfcErrorCodes');
+
+// Timeouts leave the payment outcome unknown - the customer may still have been debited
+const PENDING_STATUS_CODES = ['U07', 'U15'];
+
+// Customer debited but the credit to the merchant failed; the bank reverses the debit
+const REVERSAL_STATUS_CODES = ['U04'];
+
+// Chargeback notifications use the callback format with these statuses
+const DISPUTE_STAGES = {
+    CHARGEBACK: 'opened',
+    CHARGEBACK_REJECTED: 'won',
+    CHARGEBACK_ACCEPTED: 'lost'
+};
+
+class HDFCAdapter extends BankAdapter {
+    constructor() {
+        super({ code: 'hdfc', name: 'HDFC' });
+        this.baseUrl = process.env.HDFC_BASE_URL;
+        this.errorCodes = HDFC_ERROR_CODES;
+    }
+
+    isCallbackBody(body) {
+        return Boolean(body && body.encryptedData);
+    }
+
+    getCallbackContext(body) {
+        return {
+            bankMerchantId: body.merchantId,
+            terminalId: body.terminalId
+        };
+    }
+
+    decryptAES128(encryptedText, key) {
+        try {
+            const keyUtf8 = CryptoJS.enc.Utf8.parse(key);
+            const decrypted = CryptoJS.AES.decrypt(encryptedText, keyUtf8, {
+                mode: CryptoJS.mode.ECB,
+                padding: CryptoJS.pad.Pkcs7
+            });
+            return decrypted.toString(CryptoJS.enc.Utf8);
+        } catch (error) {
+            throw new Error('Failed to decrypt webhook data');
+        }
+    }
+
+    /**
+     * Try each candidate key until one yields a well-formed HDFC payload
+     * Several keys can be valid for a merchant while a rotation is in progress
+     */
+    decodeCallback(body, keys) {
+        for (const key of keys) {
+            try {
+                const decryptedData = this.decryptAES128(body.encryptedData, key.encryption_key);
+                const transactionData = this.parseResponse(decryptedData);
+                return { key, transactionData };
+            } catch (error) {
+                // Not this key, try the next candidate
+            }
+        }
+
+        throw new Error(`Failed to decrypt webhook data with ${keys.length} candidate key(s)`);
+    }
+
+    parseResponse(decryptedData) {
+        // HDFC sends 21 pipe-separated fields
+        const fields = decryptedData.split('|');
+
+        if (fields.length !== 21) {
+            throw new Error(`Invalid HDFC response format. Expected 21 fields, got ${fields.length}`);
+        }
+
+        return {
+            merchantId: fields[0],
+            merchantName: fields[1],
+            terminalId: fields[2],
+            transactionId: fields[3],
+            bankRRN: fields[4],
+            merchantTxnId: fields[5],
+            amount: parseFloat(fields[6]),
+            transactionStatus: fields[7], // SUCCESS/FAILURE/PENDING/DEEMED/REVERSED
+            statusCode: fields[8],
+            statusDescription: fields[9],
+            payerVPA: fields[10],
+            payerName: fields[11],
+            mobileNumber: fields[12],
+            transactionDateTime: fields[13],
+            settlementAmount: parseFloat(fields[14]),
+            settlementDateTime: fields[15],
+            paymentMode: fields[16],
+            mcc: fields[17],
+            tipAmount: parseFloat(fields[18]) || 0,
+            convenienceFee: parseFloat(fields[19]) || 0,
+            checksum: fields[20]
+        };
+    }
+
+    generateChecksum(data, key) {
+        const dataString = Object.values(data).join('|');
+        return crypto.createHmac('sha256', key)
+            .update(dataString)
+            .digest('hex')
+            .toUpperCase();
+    }
+
+    verifyIntegrity(transactionData, key) {
+        const { checksum, ...checksumData } = transactionData;
+        return this.constantTimeEqual(this.generateChecksum(checksumData, key.encryption_key), checksum);
+    }
+
+    getReplayKey(transactionData) {
+        // The checksum covers every field, including the transaction time
+        return [
+            transactionData.bankRRN || transactionData.transactionId,
+            transactionData.transactionStatus,
+            transactionData.statusCode,
+            transactionData.checksum
+        ].join(':');
+    }
+
+    mapStatus(transactionData) {
+        const status = String(transactionData.transactionStatus || '').toUpperCase();
+
+        if (status === 'SUCCESS') return 'success';
+        if (status === 'PENDING') return 'pending';
+        if (status === 'DEEMED') return 'deemed';
+        if (status === 'REVERSED') return 'reversed';
+        if (status === 'CHARGEBACK') return 'disputed';
+        if (status === 'CHARGEBACK_REJECTED') return 'success';
+        if (status === 'CHARGEBACK_ACCEPTED') return 'charged_back';
+        if (PENDING_STATUS_CODES.includes(transactionData.statusCode)) return 'pending';
+        if (REVERSAL_STATUS_CODES.includes(transactionData.statusCode)) return 'reversed';
+        return 'failed';
+    }
+
+    parseDispute(transactionData) {
+        const stage = DISPUTE_STAGES[String(transactionData.transactionStatus || '').toUpperCase()];
+        if (!stage) {
+            return null;
+        }
+
+        // statusCode/statusDescription carry the dispute reason
+        return {
+            stage,
+            reasonCode: transactionData.statusCode || null,
+            reason: transactionData.statusDescription || null
+        };
+    }
+
+    getErrorDescription(statusCode) {
+        return HDFC_ERROR_CODES[statusCode] || null;
+    }
+
+    getQRIdentifier(transactionData) {
+        const merchantTxnId = transactionData.merchantTxnId;
+
+        // Format: STQ{identifier}{timestamp} or DYN{identifier}{timestamp}
+        if (merchantTxnId.startsWith('STQ') || merchantTxnId.startsWith('DYN')) {
+            return merchantTxnId.substring(3, merchantTxnId.length - 13);
+        }
+        return merchantTxnId;
+    }
+
+    buildVpa({ merchantName, identifier }) {
+        const merchantPrefix = String(merchantName)
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '')
+            .substring(0, 8);
+        return `${merchantPrefix}.${String(identifier).toLowerCase()}@hdfc`;
+    }
+
+    async statusEnquiry({ merchantId, transactionId, merchantTxnId }) {
+        const response = await this.callApi('/status-enquiry', { merchantId, transactionId, merchantTxnId });
+
+        // U11: bank has no record of the transaction
+        if (response.responseCode === 'U11') {
+            return null;
+        }
+        if (!response.encryptedData) {
+            throw new Error(`HDFC status enquiry failed: ${response.message || response.responseCode}`);
+        }
+
+        // Same envelope as a callback
+        const body = {
+            encryptedData: response.encryptedData,
+            merchantId: response.merchantId || merchantId,
+            terminalId: response.terminalId
+        };
+
+        const keys = await MerchantKeyService.getCandidateKeys(this.code, body.merchantId, body.terminalId);
+        const { key, transactionData } = this.decodeCallback(body, keys);
+
+        if (process.env.NODE_ENV !== 'development' && !this.verifyIntegrity(transactionData, key)) {
+            throw new Error('Invalid checksum on status enquiry response');
+        }
+
+        return { body, transactionData };
+    }
+
+    async refund({ merchantId, transactionId, amount, refundId, reason }) {
+        const response = await this.callApi('/refund', { merchantId, transactionId, amount, refundId, reason });
+        return this.toRefundResult(response, refundId);
+    }
+
+    async refundStatus({ merchantId, transactionId, refundId }) {
+        const response = await this.callApi('/refund-status', { merchantId, transactionId, refundId });
+
+        // U11: bank has no record of the refund
+        if (response.responseCode === 'U11') {
+            return null;
+        }
+        return this.toRefundResult(response, refundId);
+    }
+
+    // SUCCESS and FAILURE are final; anything else is still with the bank
+    toRefundResult(response, refundId) {
+        let status = 'processing';
+        if (response.status === 'SUCCESS') {
+            status = 'success';
+        } else if (response.status === 'FAILURE' || response.status === 'FAILED') {
+            status = 'failed';
+        }
+
+        return {
+            status,
+            refundId: response.refundId || refundId,
+            bankReference: response.refundRRN || null,
+            responseCode: response.responseCode,
+            message: response.message || this.getErrorDescription(response.responseCode)
+        };
+    }
+
+    async callApi(path, body) {
+        if (!this.baseUrl) {
+            throw new Error('HDFC_BASE_URL is not configured');
+        }
+
+        const response = await axios.post(`${this.baseUrl}${path}`, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-API-Key': process.env.HDFC_API_KEY,
+                'X-API-Secret': process.env.HDFC_API_SECRET
+            },
+            timeout: parseInt(process.env.HDFC_API_TIMEOUT_MS) || 15000
+        });
+
+        return response.data;
+    }
+}
+
+module.exports = HDFCAdapter;
@@ -0,0 +1,35 @@
+/**
+ * Acquiring Bank Adapter Registry
+ * To onboard an acquirer, implement BankAdapter and register it here;
+ * its callbacks are then accepted at /api/:code/webhook.
+ */
+
+const HDFCAdapter = require('./HDFCAdapter');
+
+const adapters = new Map();
+
+const registerAdapter = (adapter) => {
+    adapters.set(adapter.code, adapter);
+};
+
+const getAdapter = (code) => {
+    return adapters.get(String(code || '').toLowerCase()) || null;
+};
+
+const listAdapters = () => [...adapters.values()];
+
+/**
+ * Acquirer used for newly generated QR codes
+ */
+const getDefaultAdapter = () => {
+    return getAdapter(process.env.DEFAULT_ACQUIRER || 'hdfc');
+};
+
+registerAdapter(new HDFCAdapter());
+
+module.exports = {
+    registerAdapter,
+    getAdapter,
+    listAdapters,
+    getDefaultAdapter
+};
@@ -0,0 +1,46 @@
+/**
+ * CSV Export Format
+ * RFC 4180: values holding a comma, quote or line break are quoted, quotes
+ * doubled, rows end with CRLF. Text a spreadsheet would run as a formula
+ * (starting with = + - @, other than a plain number) is prefixed with ' so
+ * opening the file is safe.
+ */
+
+const { once } = require('events');
+
+const escapeValue = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (values) => values.map(escapeValue).join(',') + '\r\n';
+
+/**
+ * Write rows to a stream, a line at a time, waiting whenever it is full
+ * columns: [{ key, header }]; the stream is ended afterwards
+ */
+const write = async (output, columns, rows) => {
+    output.write(toRow(columns.map(column => column.header)));
+
+    for (const row of rows) {
+        if (!output.write(toRow(columns.map(column => row[column.key])))) {
+            await once(output, 'drain');
+        }
+    }
+
+    output.end();
+    await once(output, 'finish');
+};
+
+module.exports = {
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    escapeValue,
+    toRow,
+    write
+};
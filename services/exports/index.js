@@ -0,0 +1,32 @@
+/**
+ * Export Format Registry
+ * Each format writes a report (column definitions and rows) to a stream and
+ * names its file extension and content type. To add a format, implement
+ * write(output, columns, rows, meta) and register it here.
+ */
+
+const csv = require('./csv');
+const xlsx = require('./xlsx');
+const pdf = require('./pdf');
+
+const formats = new Map();
+
+const registerFormat = (name, format) => {
+    formats.set(name, format);
+};
+
+const getFormat = (name) => {
+    return formats.get(String(name || '').toLowerCase()) || null;
+};
+
+const listFormats = () => [...formats.keys()];
+
+registerFormat('csv', csv);
+registerFormat('xlsx', xlsx);
+registerFormat('pdf', pdf);
+
+module.exports = {
+    registerFormat,
+    getFormat,
+    listFormats
+};
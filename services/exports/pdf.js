@@ -0,0 +1,167 @@
+/**
+ * PDF Export Format
+ * A plain tabular statement on landscape A4 pages: a title block, the column
+ * headers repeated on every page and "Page n of N" at the foot. Written
+ * directly as PDF 1.4 with the standard Courier fonts, so columns line up
+ * without embedding a font. Text outside Latin-1 prints as '?'.
+ */
+
+const { once } = require('events');
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const FONT_SIZE = 7;
+const LINE_HEIGHT = 10;
+// Courier glyphs are 0.6 em wide
+const CHAR_WIDTH = FONT_SIZE * 0.6;
+const LINE_CHARS = Math.floor((PAGE_WIDTH - 2 * MARGIN) / CHAR_WIDTH);
+const COLUMN_GAP = 2;
+const MAX_COLUMN_CHARS = 40;
+// Below the title block and the header row, above the footer
+const ROWS_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN - 70) / LINE_HEIGHT);
+
+const toText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return value instanceof Date ? value.toISOString() : String(value).replace(/[\r\n\t]+/g, ' ');
+};
+
+// PDF string literal in WinAnsi; \ ( ) escaped, anything else non-Latin-1 becomes ?
+const pdfString = (text) => {
+    let out = '';
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (char === '\\' || char === '(' || char === ')') {
+            out += `\\${char}`;
+        } else if (code >= 0x20 && code <= 0x7e) {
+            out += char;
+        } else if (code >= 0xa0 && code <= 0xff) {
+            out += `\\${code.toString(8).padStart(3, '0')}`;
+        } else {
+            out += '?';
+        }
+    }
+    return `(${out})`;
+};
+
+/**
+ * Character width of each column: as wide as its widest value (within
+ * MAX_COLUMN_CHARS), then shrunk in proportion if the line is too long
+ */
+const columnWidths = (columns, rows) => {
+    const widths = columns.map(column => Math.min(
+        rows.reduce((widest, row) => Math.max(widest, toText(row[column.key]).length), column.header.length),
+        MAX_COLUMN_CHARS
+    ));
+    const available = LINE_CHARS - COLUMN_GAP * (columns.length - 1);
+    const total = widths.reduce((sum, width) => sum + width, 0);
+
+    return total <= available
+        ? widths
+        : widths.map(width => Math.max(Math.floor(width * available / total), 3));
+};
+
+const fit = (text, width) => {
+    return text.length <= width ? text.padEnd(width) : `${text.slice(0, width - 2)}..`;
+};
+
+const line = (values, widths) => {
+    return values.map((value, i) => fit(value, widths[i])).join(' '.repeat(COLUMN_GAP)).trimEnd();
+};
+
+// Content stream of one page
+const pageContent = ({ title, subtitle, header, lines, pageNumber, pageCount }) => {
+    const top = PAGE_HEIGHT - MARGIN;
+    const text = (font, size, x, y, value) => `BT /${font} ${size} Tf ${x} ${y} Td ${pdfString(value)} Tj ET`;
+    const ops = [
+        text('F3', 12, MARGIN, top - 12, title),
+        text('F1', 8, MARGIN, top - 26, subtitle),
+        text('F2', FONT_SIZE, MARGIN, top - 48, header),
+        `0.5 w ${MARGIN} ${top - 52} m ${PAGE_WIDTH - MARGIN} ${top - 52} l S`
+    ];
+
+    lines.forEach((value, i) => {
+        ops.push(text('F1', FONT_SIZE, MARGIN, top - 62 - i * LINE_HEIGHT, value));
+    });
+
+    const footer = `Page ${pageNumber} of ${pageCount}`;
+    ops.push(text('F1', 8, Math.round(PAGE_WIDTH - MARGIN - footer.length * 8 * 0.6), MARGIN - 12, footer));
+    return ops.join('\n');
+};
+
+/**
+ * The whole document as a Buffer
+ * columns: [{ key, header }]; meta: { title, subtitle }
+ */
+const render = (columns, rows, meta = {}) => {
+    const widths = columnWidths(columns, rows);
+    const header = line(columns.map(column => column.header), widths);
+    const body = rows.length > 0
+        ? rows.map(row => line(columns.map(column => toText(row[column.key])), widths))
+        : ['No records match this report.'];
+
+    const pages = [];
+    for (let i = 0; i < body.length; i += ROWS_PER_PAGE) {
+        pages.push(body.slice(i, i + ROWS_PER_PAGE));
+    }
+
+    // 1 catalog, 2 page tree, 3-5 fonts, then a page and its content per page
+    const objects = [];
+    const pageIds = pages.map((_, i) => 6 + i * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    pages.forEach((lines, i) => {
+        const content = pageContent({
+            title: meta.title || 'Report',
+            subtitle: meta.subtitle || '',
+            header,
+            lines,
+            pageNumber: i + 1,
+            pageCount: pages.length
+        });
+        objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+        objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    // Offsets in the cross-reference table are byte positions
+    const chunks = ['%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'];
+    const offsets = [];
+    let length = Buffer.byteLength(chunks[0], 'latin1');
+    for (let id = 1; id < objects.length; id++) {
+        const chunk = `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        offsets[id] = length;
+        chunks.push(chunk);
+        length += Buffer.byteLength(chunk, 'latin1');
+    }
+
+    const xref = [`xref\n0 ${objects.length}\n`, '0000000000 65535 f \n'];
+    for (let id = 1; id < objects.length; id++) {
+        xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    chunks.push(...xref, `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+
+    return Buffer.from(chunks.join(''), 'latin1');
+};
+
+/**
+ * Write the document to a stream, which is ended afterwards
+ */
+const write = async (output, columns, rows, meta = {}) => {
+    output.end(render(columns, rows, meta));
+    await once(output, 'finish');
+};
+
+module.exports = {
+    extension: 'pdf',
+    contentType: 'application/pdf',
+    ROWS_PER_PAGE,
+    render,
+    write
+};
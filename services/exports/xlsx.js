@@ -0,0 +1,118 @@
+/**
+ * XLSX Export Format
+ * A single-sheet Office Open XML workbook, zipped with JSZip. Numbers are
+ * written as numeric cells and everything else as inline text, which Excel
+ * never evaluates as a formula. The header row is bold and frozen.
+ */
+
+const JSZip = require('jszip');
+const { once } = require('events');
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Style 0 is the default, style 1 bold (the header row)
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`;
+
+// Sheet names are at most 31 characters and cannot hold []:*?/\
+const workbook = (sheetName) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+// Characters XML 1.0 cannot hold at all are dropped
+const escapeXml = (text) => text
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+};
+
+const cell = (value, ref, style = 0) => {
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const worksheet = (columns, rows) => {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+        `<cols>${columns.map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${Math.max(column.header.length + 2, 14)}" customWidth="1"/>`).join('')}</cols>`,
+        '<sheetData>',
+        `<row r="1">${columns.map((column, i) => cell(column.header, `${columnName(i)}1`, 1)).join('')}</row>`
+    ];
+
+    rows.forEach((row, r) => {
+        const number = r + 2;
+        lines.push(`<row r="${number}">${columns.map((column, i) => cell(row[column.key], `${columnName(i)}${number}`)).join('')}</row>`);
+    });
+
+    lines.push('</sheetData>', '</worksheet>');
+    return lines.join('\n');
+};
+
+/**
+ * Write the workbook to a stream, which is ended afterwards
+ * columns: [{ key, header }]; meta.title names the sheet
+ */
+const write = async (output, columns, rows, meta = {}) => {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', CONTENT_TYPES);
+    zip.file('_rels/.rels', ROOT_RELS);
+    zip.file('xl/workbook.xml', workbook(meta.title || 'Report'));
+    zip.file('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+    zip.file('xl/styles.xml', STYLES);
+    zip.file('xl/worksheets/sheet1.xml', worksheet(columns, rows));
+
+    const stream = zip.generateNodeStream({ type: 'nodebuffer', compression: 'DEFLATE', streamFiles: true });
+    stream.pipe(output);
+    await once(output, 'finish');
+};
+
+module.exports = {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    columnName,
+    write
+};
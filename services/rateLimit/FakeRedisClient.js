@@ -0,0 +1,58 @@
+/**
+ * Fake Redis Client
+ * Stands in for Redis in tests and local runs (RATE_LIMIT_STORE=redis-fake) so
+ * the Redis store's code path can be exercised without a server. It runs the
+ * token bucket script only, with the same replies and key expiry as Redis;
+ * any other script is rejected rather than silently misbehaving.
+ */
+
+const { TOKEN_BUCKET_SCRIPT } = require('./RedisRateLimitStore');
+
+class FakeRedisClient {
+    constructor() {
+        this.hashes = new Map();
+    }
+
+    async eval(script, numKeys, ...keysAndArgs) {
+        if (script !== TOKEN_BUCKET_SCRIPT) {
+            throw new Error('FakeRedisClient only runs the token bucket script');
+        }
+
+        const [key] = keysAndArgs.slice(0, numKeys);
+        const [capacity, refillPerMs, now, cost] = keysAndArgs.slice(numKeys).map(Number);
+
+        const stored = this.get(key, now);
+        let tokens = stored
+            ? Math.min(capacity, stored.tokens + Math.max(0, now - stored.updatedAt) * refillPerMs)
+            : capacity;
+
+        let allowed = 0;
+        if (tokens >= cost) {
+            tokens -= cost;
+            allowed = 1;
+        }
+
+        this.hashes.set(key, {
+            tokens,
+            updatedAt: now,
+            expiresAt: now + Math.max(1, Math.ceil((capacity - tokens) / refillPerMs))
+        });
+
+        return [allowed, String(tokens)];
+    }
+
+    get(key, now) {
+        const entry = this.hashes.get(key);
+        if (entry && entry.expiresAt <= now) {
+            this.hashes.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    async quit() {
+        this.hashes.clear();
+    }
+}
+
+module.exports = FakeRedisClient;
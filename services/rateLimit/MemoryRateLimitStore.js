@@ -0,0 +1,46 @@
+/**
+ * In-process Rate Limit Store
+ * Buckets live in this process only, so each instance enforces its own limits.
+ * Use it for a single instance or development; run several instances against
+ * the Redis store.
+ *
+ * A bucket that has refilled completely is the same as one never seen, so
+ * full buckets are dropped on a periodic sweep; memory is bounded by the keys
+ * active within one refill period.
+ */
+
+const RateLimitStore = require('./RateLimitStore');
+const { takeTokens } = RateLimitStore;
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryRateLimitStore extends RateLimitStore {
+    constructor() {
+        super({ name: 'memory' });
+        this.buckets = new Map();
+        this.lastSweep = Date.now();
+    }
+
+    async take(key, limit, { cost = 1, now = Date.now() } = {}) {
+        this.sweep(now);
+
+        const { bucket, result } = takeTokens(this.buckets.get(key) || null, limit, cost, now);
+        this.buckets.set(key, { ...bucket, fullAt: now + result.resetMs });
+        return result;
+    }
+
+    sweep(now) {
+        if (now - this.lastSweep < SWEEP_INTERVAL_MS) {
+            return;
+        }
+        this.lastSweep = now;
+
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.fullAt <= now) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = MemoryRateLimitStore;
@@ -0,0 +1,63 @@
+/**
+ * Rate Limit Store
+ * Holds token buckets for RateLimitService. A bucket is described by a limit
+ * { capacity, refillPerSecond }: it starts full, each request takes a token
+ * and tokens come back at refillPerSecond up to capacity. Capacity is the
+ * burst a caller may send at once, the refill rate its sustained rate.
+ *
+ * take() resolves to { allowed, remaining, retryAfterMs, resetMs }:
+ * retryAfterMs is how long until the request would be allowed (0 when it was),
+ * resetMs how long until the bucket is full again.
+ */
+
+class RateLimitStore {
+    constructor({ name }) {
+        this.name = name;
+    }
+
+    /**
+     * Take `cost` tokens from the bucket at `key` if it has them
+     */
+    async take(key, limit, { cost = 1, now = Date.now() } = {}) {
+        return this.notImplemented('take');
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.name} rate limit store does not implement ${method}`);
+    }
+}
+
+/**
+ * Token bucket arithmetic shared by the stores
+ * bucket is { tokens, updatedAt } or null for a bucket not seen before;
+ * returns the bucket after this request and the outcome.
+ */
+const takeTokens = (bucket, { capacity, refillPerSecond }, cost, now) => {
+    const refillPerMs = refillPerSecond / 1000;
+    const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+    let tokens = bucket ? Math.min(capacity, bucket.tokens + elapsed * refillPerMs) : capacity;
+
+    const allowed = tokens >= cost;
+    if (allowed) {
+        tokens -= cost;
+    }
+
+    return {
+        bucket: { tokens, updatedAt: now },
+        result: describe(tokens, { capacity, refillPerSecond }, cost, allowed)
+    };
+};
+
+const describe = (tokens, { capacity, refillPerSecond }, cost, allowed) => {
+    const refillPerMs = refillPerSecond / 1000;
+    return {
+        allowed,
+        remaining: Math.floor(tokens),
+        retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / refillPerMs),
+        resetMs: Math.ceil((capacity - tokens) / refillPerMs)
+    };
+};
+
+module.exports = RateLimitStore;
+module.exports.takeTokens = takeTokens;
+module.exports.describe = describe;
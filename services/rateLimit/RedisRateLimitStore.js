@@ -0,0 +1,66 @@
+/**
+ * Redis Rate Limit Store
+ * Buckets are Redis hashes updated by one Lua script, so every instance sharing
+ * the Redis sees the same buckets and concurrent requests cannot overspend.
+ * Works with any client exposing ioredis' eval(script, numKeys, ...keysAndArgs).
+ *
+ * Each bucket expires once it would have refilled, so idle keys cost nothing.
+ */
+
+const RateLimitStore = require('./RateLimitStore');
+const { describe } = RateLimitStore;
+
+// KEYS[1] bucket; ARGV capacity, refill per ms, now (ms), cost
+// Returns { allowed, tokens }; tokens as a string because Redis truncates Lua numbers to integers
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill_per_ms = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = tonumber(bucket[1])
+local updated_at = tonumber(bucket[2])
+
+if tokens == nil then
+    tokens = capacity
+else
+    tokens = math.min(capacity, tokens + math.max(0, now - updated_at) * refill_per_ms)
+end
+
+local allowed = 0
+if tokens >= cost then
+    tokens = tokens - cost
+    allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', now)
+redis.call('PEXPIRE', KEYS[1], math.max(1, math.ceil((capacity - tokens) / refill_per_ms)))
+
+return { allowed, tostring(tokens) }
+`;
+
+class RedisRateLimitStore extends RateLimitStore {
+    constructor({ client, prefix = 'ratelimit:' }) {
+        super({ name: 'redis' });
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async take(key, limit, { cost = 1, now = Date.now() } = {}) {
+        const [allowed, tokens] = await this.client.eval(
+            TOKEN_BUCKET_SCRIPT,
+            1,
+            `${this.prefix}${key}`,
+            limit.capacity,
+            limit.refillPerSecond / 1000,
+            now,
+            cost
+        );
+
+        return describe(parseFloat(tokens), limit, cost, Number(allowed) === 1);
+    }
+}
+
+module.exports = RedisRateLimitStore;
+module.exports.TOKEN_BUCKET_SCRIPT = TOKEN_BUCKET_SCRIPT;
@@ -0,0 +1,64 @@
+/**
+ * Rate Limit Store Registry
+ * RATE_LIMIT_STORE picks where token buckets live:
+ * - memory (default): this process only
+ * - redis: shared by every instance; connects to RATE_LIMIT_REDIS_URL with ioredis
+ * - redis-fake: the Redis store against an in-process fake, for tests
+ */
+
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+const RedisRateLimitStore = require('./RedisRateLimitStore');
+const FakeRedisClient = require('./FakeRedisClient');
+
+const factories = new Map();
+let store = null;
+
+const registerStore = (name, factory) => {
+    factories.set(name, factory);
+};
+
+const createStore = (name) => {
+    const factory = factories.get(String(name || '').toLowerCase());
+    if (!factory) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    return factory();
+};
+
+/**
+ * Store used by RateLimitService, created on first use
+ */
+const getStore = () => {
+    if (!store) {
+        store = createStore(process.env.RATE_LIMIT_STORE || 'memory');
+    }
+    return store;
+};
+
+// Swap the store, e.g. to a fresh one between tests
+const setStore = (newStore) => {
+    store = newStore;
+};
+
+registerStore('memory', () => new MemoryRateLimitStore());
+
+registerStore('redis', () => {
+    // Loaded here so the other stores never open a Redis connection
+    const Redis = require('ioredis');
+    return new RedisRateLimitStore({
+        client: new Redis(process.env.RATE_LIMIT_REDIS_URL || 'redis://127.0.0.1:6379'),
+        prefix: process.env.RATE_LIMIT_KEY_PREFIX || 'ratelimit:'
+    });
+});
+
+registerStore('redis-fake', () => new RedisRateLimitStore({ client: new FakeRedisClient() }));
+
+module.exports = {
+    registerStore,
+    createStore,
+    getStore,
+    setStore,
+    MemoryRateLimitStore,
+    RedisRateLimitStore,
+    FakeRedisClient
+};
@@ -0,0 +1,442 @@
+/**
+ * HDFC Bank Simulator
+ * Plays the bank's side of a UPI QR payment so the whole pipeline can be
+ * exercised offline: encrypted 21-field callbacks (success, every
+ * HDFC_ERROR_CODES failure, delayed/duplicate deliveries, reversals,
+ * chargebacks), plus status-enquiry and refund responses.
+ *
+ * Use in-process (pass an Express `app`) or over HTTP (pass `webhookUrl`);
+ * simulator/server.js wraps it as a standalone local bank.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const axios = require('axios');
+const CryptoJS = require('crypto-js');
+const HDFC_ERROR_CODES = require('../utils/hdfcErrorCodes');
+
+// Callback layout, in the order HDFC sends the pipe-separated fields
+const FIELD_ORDER = [
+    'merchantId', 'merchantName', 'terminalId', 'transactionId', 'bankRRN',
+    'merchantTxnId', 'amount', 'transactionStatus', 'statusCode', 'statusDescription',
+    'payerVPA', 'payerName', 'mobileNumber', 'transactionDateTime', 'settlementAmount',
+    'settlementDateTime', 'paymentMode', 'mcc', 'tipAmount', 'convenienceFee', 'checksum'
+];
+
+const NUMERIC_FIELDS = ['amount', 'settlementAmount', 'tipAmount', 'convenienceFee'];
+
+class HDFCBankSimulator {
+    constructor(options = {}) {
+        this.merchantId = options.merchantId || process.env.HDFC_MERCHANT_ID || 'HDFC000010380443';
+        this.merchantName = options.merchantName || 'Test Merchant';
+        this.terminalId = options.terminalId || 'TERM001';
+        this.encryptionKey = options.encryptionKey || process.env.HDFC_MERCHANT_KEY;
+        this.webhookUrl = options.webhookUrl || null;
+        this.app = options.app || null;
+        this.webhookPath = options.webhookPath || '/api/hdfc/webhook';
+        // Accept refunds as PENDING and complete them on the next refund status call
+        this.refundsPending = options.refundsPending || false;
+
+        if (!this.encryptionKey) {
+            throw new Error('HDFCBankSimulator needs an encryptionKey (or HDFC_MERCHANT_KEY)');
+        }
+
+        // Bank-side ledger: what the bank believes happened, for enquiries and refunds
+        this.ledger = new Map();
+        this.server = null;
+    }
+
+    /**
+     * Read the payment details a customer's UPI app would take from a QR
+     */
+    parseUpiString(upiString) {
+        const query = String(upiString).replace(/^upi:\/\/pay\?/, '');
+        const params = new URLSearchParams(query);
+
+        return {
+            vpa: params.get('pa'),
+            payeeName: params.get('pn'),
+            amount: params.get('am') ? parseFloat(params.get('am')) : null,
+            reference: params.get('tr'),
+            note: params.get('tn')
+        };
+    }
+
+    /**
+     * Build the transaction the bank would report for a payment against a QR
+     * Options: status, statusCode, amount, payerVPA, payerName, transactionId
+     */
+    buildTransaction(upiString, options = {}) {
+        const qr = this.parseUpiString(upiString);
+        const amount = options.amount !== undefined ? options.amount : qr.amount;
+
+        if (!amount || amount <= 0) {
+            throw new Error('Amount is required for a QR without a fixed amount');
+        }
+
+        const statusCode = options.statusCode || '00';
+        const now = new Date().toISOString();
+
+        return {
+            merchantId: this.merchantId,
+            merchantName: qr.payeeName || this.merchantName,
+            terminalId: this.terminalId,
+            transactionId: options.transactionId || `SIM${Date.now()}${crypto.randomInt(1000, 9999)}`,
+            bankRRN: options.bankRRN || String(crypto.randomInt(100000000000, 999999999999)),
+            merchantTxnId: options.merchantTxnId || this.buildMerchantTxnId(qr),
+            amount: parseFloat(amount),
+            transactionStatus: options.status || 'SUCCESS',
+            statusCode,
+            statusDescription: options.statusDescription || HDFC_ERROR_CODES[statusCode] || 'Unknown',
+            payerVPA: options.payerVPA || 'customer@okhdfcbank',
+            payerName: options.payerName || 'Test Customer',
+            mobileNumber: options.mobileNumber || '9999999999',
+            transactionDateTime: options.transactionDateTime || now,
+            settlementAmount: parseFloat(amount),
+            settlementDateTime: now,
+            paymentMode: 'UPI',
+            mcc: options.mcc || '6012',
+            tipAmount: options.tipAmount || 0,
+            convenienceFee: options.convenienceFee || 0
+        };
+    }
+
+    /**
+     * Our QRs carry their identifier in `tr`; HDFC echoes it as
+     * STQ/DYN{identifier}{13-digit timestamp}
+     */
+    buildMerchantTxnId(qr) {
+        const reference = qr.reference || '001';
+        if (/^(STQ|DYN)/.test(reference)) {
+            return reference;
+        }
+        return `${qr.amount ? 'DYN' : 'STQ'}${reference}${Date.now()}`;
+    }
+
+    /**
+     * Sign, encrypt and wrap a transaction the way HDFC posts it
+     */
+    encode(transactionData) {
+        const fields = { ...transactionData };
+        delete fields.checksum;
+        NUMERIC_FIELDS.forEach(field => {
+            fields[field] = parseFloat(fields[field]) || 0;
+        });
+
+        // HMAC-SHA256 over the 20 data fields, as checked by the webhook handler
+        const dataString = FIELD_ORDER.slice(0, 20).map(field => fields[field]).join('|');
+        fields.checksum = crypto.createHmac('sha256', this.encryptionKey)
+            .update(dataString)
+            .digest('hex')
+            .toUpperCase();
+
+        const plainText = FIELD_ORDER.map(field => fields[field]).join('|');
+        const encrypted = CryptoJS.AES.encrypt(plainText, CryptoJS.enc.Utf8.parse(this.encryptionKey), {
+            mode: CryptoJS.mode.ECB,
+            padding: CryptoJS.pad.Pkcs7
+        });
+
+        return {
+            encryptedData: encrypted.toString(),
+            merchantId: fields.merchantId,
+            terminalId: fields.terminalId
+        };
+    }
+
+    decode(encryptedData) {
+        const decrypted = CryptoJS.AES.decrypt(encryptedData, CryptoJS.enc.Utf8.parse(this.encryptionKey), {
+            mode: CryptoJS.mode.ECB,
+            padding: CryptoJS.pad.Pkcs7
+        }).toString(CryptoJS.enc.Utf8);
+
+        const values = decrypted.split('|');
+        return FIELD_ORDER.reduce((data, field, index) => {
+            data[field] = NUMERIC_FIELDS.includes(field) ? parseFloat(values[index]) : values[index];
+            return data;
+        }, {});
+    }
+
+    // =====================================================
+    // SCENARIOS
+    // =====================================================
+
+    /**
+     * Customer pays the QR successfully
+     */
+    async pay(upiString, options = {}) {
+        const transaction = this.buildTransaction(upiString, { ...options, status: 'SUCCESS', statusCode: '00' });
+        return this.record(transaction, options);
+    }
+
+    /**
+     * Payment fails with an HDFC response code (see utils/hdfcErrorCodes)
+     */
+    async fail(upiString, statusCode, options = {}) {
+        if (!HDFC_ERROR_CODES[statusCode] || statusCode === '00') {
+            throw new Error(`Unknown HDFC failure code: ${statusCode}`);
+        }
+
+        const transaction = this.buildTransaction(upiString, { ...options, status: 'FAILURE', statusCode });
+        return this.record(transaction, options);
+    }
+
+    /**
+     * Payment outcome not yet known (bank reports PENDING)
+     */
+    async pending(upiString, options = {}) {
+        const transaction = this.buildTransaction(upiString, {
+            ...options,
+            status: 'PENDING',
+            statusCode: options.statusCode || 'U07'
+        });
+        return this.record(transaction, options);
+    }
+
+    /**
+     * Move a known transaction to a later status (e.g. PENDING -> SUCCESS)
+     */
+    async complete(transactionId, status = 'SUCCESS', statusCode = '00', options = {}) {
+        const original = this.getTransaction(transactionId);
+        const transaction = {
+            ...original,
+            transactionStatus: status,
+            statusCode,
+            statusDescription: HDFC_ERROR_CODES[statusCode] || original.statusDescription
+        };
+        return this.record(transaction, options);
+    }
+
+    /**
+     * Bank reverses a previously successful payment
+     */
+    async reverse(transactionId, options = {}) {
+        const original = this.getTransaction(transactionId);
+        const transaction = {
+            ...original,
+            transactionStatus: 'REVERSED',
+            statusCode: options.statusCode || 'U03',
+            statusDescription: options.reason || 'Transaction reversed'
+        };
+        return this.record(transaction, options);
+    }
+
+    /**
+     * Payer's bank raises a chargeback against a payment
+     * Options: reasonCode, reason, amount (partial chargeback)
+     */
+    async chargeback(transactionId, options = {}) {
+        const original = this.getTransaction(transactionId);
+        const transaction = {
+            ...original,
+            amount: options.amount !== undefined ? parseFloat(options.amount) : original.amount,
+            transactionStatus: 'CHARGEBACK',
+            statusCode: options.reasonCode || '',
+            statusDescription: options.reason || 'Customer dispute'
+        };
+        return this.record(transaction, options);
+    }
+
+    /**
+     * Bank rules on a chargeback: ACCEPTED (merchant loses) or REJECTED
+     */
+    async resolveChargeback(transactionId, outcome = 'ACCEPTED', options = {}) {
+        const decision = String(outcome).toUpperCase();
+        if (!['ACCEPTED', 'REJECTED'].includes(decision)) {
+            throw new Error(`Unknown chargeback outcome: ${outcome}`);
+        }
+
+        const transaction = {
+            ...this.getTransaction(transactionId),
+            transactionStatus: `CHARGEBACK_${decision}`
+        };
+        return this.record(transaction, options);
+    }
+
+    /**
+     * Re-send the last callback for a transaction (duplicate delivery)
+     */
+    async redeliver(transactionId, options = {}) {
+        return this.deliver(this.getTransaction(transactionId), options);
+    }
+
+    record(transaction, options) {
+        this.ledger.set(transaction.transactionId, { ...transaction, refunds: this.ledger.get(transaction.transactionId)?.refunds || [] });
+        return options.deliver === false
+            ? { transaction, payload: this.encode(transaction) }
+            : this.deliver(transaction, options);
+    }
+
+    getTransaction(transactionId) {
+        const transaction = this.ledger.get(transactionId);
+        if (!transaction) {
+            throw new Error(`Simulator has no transaction ${transactionId}`);
+        }
+
+        const { refunds, ...data } = transaction;
+        return data;
+    }
+
+    // =====================================================
+    // DELIVERY
+    // =====================================================
+
+    /**
+     * POST a callback to the webhook endpoint
+     * Options: delayMs (late delivery), duplicates (extra identical deliveries)
+     */
+    async deliver(transaction, options = {}) {
+        const payload = this.encode(transaction);
+        const copies = 1 + (options.duplicates || 0);
+
+        if (options.delayMs) {
+            await new Promise(resolve => setTimeout(resolve, options.delayMs));
+        }
+
+        const responses = [];
+        for (let i = 0; i < copies; i++) {
+            responses.push(await this.post(payload));
+        }
+
+        return { transaction, payload, responses };
+    }
+
+    async post(payload) {
+        const url = await this.getWebhookUrl();
+        const response = await axios.post(url, payload, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'HDFC-Simulator/1.0'
+            },
+            // Report every status back to the caller instead of throwing
+            validateStatus: () => true
+        });
+
+        return {
+            status: response.status,
+            body: response.data
+        };
+    }
+
+    /**
+     * In-process mode serves the app on an ephemeral local port
+     */
+    async getWebhookUrl() {
+        if (this.webhookUrl) {
+            return this.webhookUrl;
+        }
+
+        if (!this.app) {
+            throw new Error('HDFCBankSimulator needs a webhookUrl or an app');
+        }
+
+        if (!this.server) {
+            this.server = http.createServer(this.app);
+            await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        }
+
+        return `http://127.0.0.1:${this.server.address().port}${this.webhookPath}`;
+    }
+
+    async close() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    // =====================================================
+    // BANK APIs
+    // =====================================================
+
+    /**
+     * Answer a status enquiry with the same encrypted 21-field record as a callback
+     */
+    statusEnquiry({ transactionId, merchantTxnId }) {
+        const transaction = [...this.ledger.values()].find(t =>
+            (transactionId && t.transactionId === transactionId) ||
+            (merchantTxnId && t.merchantTxnId === merchantTxnId)
+        );
+
+        if (!transaction) {
+            return {
+                status: 'FAILURE',
+                responseCode: 'U11',
+                message: HDFC_ERROR_CODES.U11
+            };
+        }
+
+        return {
+            status: 'SUCCESS',
+            responseCode: '00',
+            ...this.encode(this.getTransaction(transaction.transactionId))
+        };
+    }
+
+    /**
+     * Refund against a successful transaction; partial refunds allowed up to the amount paid
+     * A refundId already seen is answered with that refund instead of refunding again
+     */
+    refund({ transactionId, amount, refundId }) {
+        const transaction = this.ledger.get(transactionId);
+
+        if (!transaction) {
+            return { status: 'FAILURE', responseCode: 'U11', message: HDFC_ERROR_CODES.U11, refundId };
+        }
+
+        const existing = refundId && transaction.refunds.find(r => r.refundId === refundId);
+        if (existing) {
+            return this.refundResponse(transaction, existing);
+        }
+
+        if (transaction.transactionStatus !== 'SUCCESS') {
+            return { status: 'FAILURE', responseCode: 'U05', message: HDFC_ERROR_CODES.U05, refundId };
+        }
+
+        const refunded = transaction.refunds.reduce((sum, r) => sum + r.amount, 0);
+        const refundAmount = amount !== undefined ? parseFloat(amount) : transaction.amount - refunded;
+
+        if (!(refundAmount > 0) || refunded + refundAmount > transaction.amount + 0.001) {
+            return { status: 'FAILURE', responseCode: 'U08', message: HDFC_ERROR_CODES.U08, refundId };
+        }
+
+        const refund = {
+            refundId: refundId || `RFND${Date.now()}`,
+            refundRRN: String(crypto.randomInt(100000000000, 999999999999)),
+            amount: refundAmount,
+            status: this.refundsPending ? 'PENDING' : 'SUCCESS',
+            processedAt: new Date().toISOString()
+        };
+        transaction.refunds.push(refund);
+
+        return this.refundResponse(transaction, refund);
+    }
+
+    /**
+     * Report a refund; a PENDING one completes when it is asked about
+     */
+    refundStatus({ transactionId, refundId }) {
+        const transaction = this.ledger.get(transactionId);
+        const refund = transaction && transaction.refunds.find(r => r.refundId === refundId);
+
+        if (!refund) {
+            return { status: 'FAILURE', responseCode: 'U11', message: HDFC_ERROR_CODES.U11, refundId };
+        }
+
+        refund.status = 'SUCCESS';
+        return this.refundResponse(transaction, refund);
+    }
+
+    refundResponse(transaction, refund) {
+        return {
+            status: refund.status,
+            responseCode: '00',
+            transactionId: transaction.transactionId,
+            ...refund,
+            totalRefunded: transaction.refunds.reduce((sum, r) => sum + r.amount, 0)
+        };
+    }
+}
+
+HDFCBankSimulator.FIELD_ORDER = FIELD_ORDER;
+
+module.exports = HDFCBankSimulator;
@@ -0,0 +1,139 @@
+/**
+ * Standalone HDFC Bank Simulator
+ * Runs the simulator as a local "bank" next to the backend:
+ *
+ *   npm run simulator
+ *
+ * Payments are triggered through /simulate/*; the bank APIs the backend
+ * calls (status enquiry, refund) are served under /upi/*.
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+require('dotenv').config();
+
+const HDFCBankSimulator = require('./HDFCBankSimulator');
+
+const PORT = process.env.HDFC_SIMULATOR_PORT || 3005;
+
+const simulator = new HDFCBankSimulator({
+    webhookUrl: process.env.HDFC_SIMULATOR_WEBHOOK_URL || 'http://localhost:3001/api/hdfc/webhook',
+    refundsPending: process.env.HDFC_SIMULATOR_REFUNDS_PENDING === 'true'
+});
+
+const app = express();
+app.use(bodyParser.json());
+
+// Run a scenario and report what was delivered
+const scenario = (run) => async (req, res) => {
+    try {
+        const result = await run(req.body || {}, req.params);
+        res.json({
+            status: 'SUCCESS',
+            transaction: result.transaction,
+            deliveries: result.responses
+        });
+    } catch (error) {
+        res.status(400).json({
+            status: 'FAILED',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * POST /simulate/payment
+ * Body: upi_string, status (SUCCESS/FAILURE/PENDING), status_code, amount,
+ *       delay_ms, duplicates
+ */
+app.post('/simulate/payment', scenario((body) => {
+    const options = {
+        amount: body.amount,
+        payerVPA: body.payer_vpa,
+        delayMs: body.delay_ms,
+        duplicates: body.duplicates
+    };
+
+    switch ((body.status || 'SUCCESS').toUpperCase()) {
+        case 'SUCCESS':
+            return simulator.pay(body.upi_string, options);
+        case 'PENDING':
+            return simulator.pending(body.upi_string, options);
+        default:
+            return simulator.fail(body.upi_string, body.status_code || 'U03', options);
+    }
+}));
+
+/**
+ * POST /simulate/transactions/:transactionId/complete
+ * Body: status, status_code - move a pending transaction on
+ */
+app.post('/simulate/transactions/:transactionId/complete', scenario((body, params) =>
+    simulator.complete(params.transactionId, body.status || 'SUCCESS', body.status_code || '00', {
+        delayMs: body.delay_ms
+    })
+));
+
+app.post('/simulate/transactions/:transactionId/reverse', scenario((body, params) =>
+    simulator.reverse(params.transactionId, { reason: body.reason, delayMs: body.delay_ms })
+));
+
+/**
+ * POST /simulate/transactions/:transactionId/chargeback
+ * Body: reason_code, reason, amount
+ */
+app.post('/simulate/transactions/:transactionId/chargeback', scenario((body, params) =>
+    simulator.chargeback(params.transactionId, {
+        reasonCode: body.reason_code,
+        reason: body.reason,
+        amount: body.amount,
+        delayMs: body.delay_ms
+    })
+));
+
+/**
+ * POST /simulate/transactions/:transactionId/chargeback/resolve
+ * Body: outcome (ACCEPTED/REJECTED)
+ */
+app.post('/simulate/transactions/:transactionId/chargeback/resolve', scenario((body, params) =>
+    simulator.resolveChargeback(params.transactionId, body.outcome || 'ACCEPTED', { delayMs: body.delay_ms })
+));
+
+app.post('/simulate/transactions/:transactionId/redeliver', scenario((body, params) =>
+    simulator.redeliver(params.transactionId, { duplicates: body.duplicates, delayMs: body.delay_ms })
+));
+
+app.get('/simulate/transactions', (req, res) => {
+    res.json({
+        status: 'SUCCESS',
+        transactions: [...simulator.ledger.values()]
+    });
+});
+
+// Bank APIs called by the backend
+app.post('/upi/status-enquiry', (req, res) => {
+    res.json(simulator.statusEnquiry({
+        transactionId: req.body.transactionId,
+        merchantTxnId: req.body.merchantTxnId
+    }));
+});
+
+app.post('/upi/refund', (req, res) => {
+    res.json(simulator.refund({
+        transactionId: req.body.transactionId,
+        amount: req.body.amount,
+        refundId: req.body.refundId
+    }));
+});
+
+app.post('/upi/refund-status', (req, res) => {
+    res.json(simulator.refundStatus({
+        transactionId: req.body.transactionId,
+        refundId: req.body.refundId
+    }));
+});
+
+app.listen(PORT, () => {
+    console.log(`🏦 HDFC simulator listening on port ${PORT}`);
+    console.log(`   Delivering callbacks to ${simulator.webhookUrl}`);
+});
@@ -1,57 +1,18 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
-const CryptoJS = require('crypto-js');
+const HDFCBankSimulator = require('./simulator/HDFCBankSimulator');
 
 // Test configuration
 const WEBHOOK_URL = process.env.WEBHOOK_URL || 'http://localhost:3001/api/hdfc/webhook';
-const MERCHANT_KEY = 'ef880fed3abe10d54102a24e05e41ca2'; // HDFC UAT test key
+const MERCHANT_KEY = process.env.HDFC_MERCHANT_KEY || 'ef880fed3abe10d54102a24e05e41ca2'; // HDFC UAT test key
+const UPI_STRING = process.env.TEST_UPI_STRING || 'upi://pay?pa=sabpaisa.qr001@hdfcbank&pn=Test%20Merchant&tr=001';
 
-// Function to encrypt data using AES-128 ECB (same as HDFC)
-function encryptAES128(plainText, key) {
-    const keyUtf8 = CryptoJS.enc.Utf8.parse(key);
-    const encrypted = CryptoJS.AES.encrypt(plainText, keyUtf8, {
-        mode: CryptoJS.mode.ECB,
-        padding: CryptoJS.pad.Pkcs7
-    });
-    return encrypted.toString();
-}
-
-// Generate test transaction data
-function generateTestTransaction(status = 'SUCCESS') {
-    const transactionId = `TXN${Date.now()}`;
-    const amount = Math.floor(Math.random() * 5000) + 100;
-    const bankRRN = `${Date.now()}`.slice(-12);
-    
-    // Create 21 pipe-separated fields as per HDFC format
-    const fields = [
-        'HDFC000010380443',                          // 0: merchantId
-        'Test Merchant',                              // 1: merchantName
-        'TERM001',                                    // 2: terminalId
-        transactionId,                                // 3: transactionId
-        bankRRN,                                      // 4: bankRRN
-        `STQ001${Date.now()}`,                        // 5: merchantTxnId
-        amount.toString(),                            // 6: amount
-        status,                                       // 7: transactionStatus
-        status === 'SUCCESS' ? 'Transaction successful' : 'Transaction failed', // 8: statusDescription
-        'testuser@paytm',                            // 9: payerVPA
-        'Test User',                                  // 10: payerName
-        '9876543210',                                 // 11: mobileNumber
-        new Date().toISOString(),                    // 12: transactionDateTime
-        amount.toString(),                            // 13: settlementAmount
-        new Date().toISOString(),                    // 14: settlementDateTime
-        'UPI',                                        // 15: paymentMode
-        '6012',                                       // 16: mcc
-        '0',                                          // 17: tipAmount
-        '0',                                          // 18: convenienceFee
-        amount.toString(),                            // 19: netAmount
-        'test-checksum'                               // 20: checksum
-    ];
-    
-    return fields.join('|');
-}
+const simulator = new HDFCBankSimulator({
+    encryptionKey: MERCHANT_KEY,
+    webhookUrl: WEBHOOK_URL
+});
 
-// Send test webhook
+// Run one simulator scenario against the webhook
 async function sendTestWebhook(status = 'SUCCESS') {
     try {
         console.log('===========================================');
@@ -60,38 +21,34 @@ async function sendTestWebhook(status = 'SUCCESS') {
         console.log(`Webhook URL: ${WEBHOOK_URL}`);
         console.log(`Transaction Status: ${status}`);
         
-        // Generate test data
-        const transactionData = generateTestTransaction(status);
-        console.log('\nRaw Transaction Data:');
-        console.log(transactionData);
+        const amount = Math.floor(Math.random() * 5000) + 100;
+        let result;
+        if (status === 'SUCCESS') {
+            result = await simulator.pay(UPI_STRING, { amount });
+        } else if (status === 'PENDING') {
+            result = await simulator.pending(UPI_STRING, { amount });
+        } else if (status === 'DUPLICATE') {
+            result = await simulator.pay(UPI_STRING, { amount, duplicates: 1 });
+        } else if (status === 'REVERSAL') {
+            const payment = await simulator.pay(UPI_STRING, { amount });
+            result = await simulator.reverse(payment.transaction.transactionId, { delayMs: 2000 });
+        } else {
+            result = await simulator.fail(UPI_STRING, 'U03', { amount });
+        }
         
-        // Encrypt the data
-        const encryptedData = encryptAES128(transactionData, MERCHANT_KEY);
-        console.log('\nEncrypted Data:');
-        console.log(encryptedData);
+        console.log('\nTransaction Data:');
+        console.log(JSON.stringify(result.transaction, null, 2));
         
-        // Send webhook request
-        console.log('\nSending webhook request...');
-        const response = await axios.post(WEBHOOK_URL, {
-            encryptedData: encryptedData  // Changed from encryptedResponse to encryptedData
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Webhook-Source': 'HDFC-TEST'
-            }
+        console.log('\n✅ Webhook Response(s):');
+        result.responses.forEach(response => {
+            console.log('Status:', response.status);
+            console.log('Data:', JSON.stringify(response.body, null, 2));
         });
         
-        console.log('\n✅ Webhook Response:');
-        console.log('Status:', response.status);
-        console.log('Data:', JSON.stringify(response.data, null, 2));
-        
-        return response.data;
+        return result;
     } catch (error) {
         console.error('\n❌ Webhook Test Failed:');
-        if (error.response) {
-            console.error('Status:', error.response.status);
-            console.error('Data:', error.response.data);
-        } else if (error.request) {
+        if (error.code === 'ECONNREFUSED') {
             console.error('No response received. Is the webhook server running?');
             console.error('Try starting the backend server: cd backend && npm start');
         } else {
@@ -139,6 +96,10 @@ if (command === 'success') {
     sendTestWebhook('FAILED');
 } else if (command === 'pending') {
     sendTestWebhook('PENDING');
+} else if (command === 'duplicate') {
+    sendTestWebhook('DUPLICATE');
+} else if (command === 'reversal') {
+    sendTestWebhook('REVERSAL');
 } else if (command === 'all') {
     runTests();
 } else {
@@ -150,6 +111,8 @@ if (command === 'success') {
     console.log('  success  - Send successful transaction webhook');
     console.log('  failed   - Send failed transaction webhook');
     console.log('  pending  - Send pending transaction webhook');
+    console.log('  duplicate - Send the same successful callback twice');
+    console.log('  reversal - Send a successful payment, then its reversal');
     console.log('  all      - Run all test scenarios');
     console.log('\nExample:');
     console.log('  node test-webhook.js success');
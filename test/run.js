@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Test Runner
+ * Runs each in-process test script in its own process, one after another,
+ * since the services are singletons and every script exits with its result.
+ * Exits non-zero when any script fails.
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const SCRIPTS = [
+    'test-tenant-isolation.js',
+    'test-rate-limit.js',
+    'test-fee-calculation.js',
+    'test-analytics.js',
+    'test-report-exports.js',
+    'test-settlement-recovery.js',
+    'test-transaction-limits.js',
+    'test-state-machine.js',
+    'test-request-signing.js',
+    'test-idempotency.js',
+    'test-refund-caps.js',
+    'test-transaction-enquiry.js',
+    'test-pagination.js',
+    'test-bank-keys.js',
+    'test-api-keys.js',
+    'test-webhook-security.js',
+    'test-status-enquiry.js',
+    'test-webhook-queue.js',
+    'test-merchant-webhooks.js',
+    'test-webhook-journal.js',
+    'test-disputes.js',
+    'test-merchant-config.js'
+];
+
+const failed = SCRIPTS.filter(script => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, script)], { stdio: 'inherit' });
+    return result.status !== 0;
+});
+
+console.log('\n' + '='.repeat(50));
+console.log(`   ${SCRIPTS.length - failed.length}/${SCRIPTS.length} TEST SCRIPTS PASSED`);
+console.log('='.repeat(50));
+failed.forEach(script => console.log(`   ❌ ${script}`));
+
+process.exit(failed.length === 0 ? 0 : 1);
@@ -0,0 +1,73 @@
+/**
+ * Shared scaffolding for the in-process test scripts
+ * Require this before any service: it points the local store and report
+ * exports at a fresh temporary directory, so a run never reads or changes
+ * data/. The directory is removed when the process exits.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'development';
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'qr-test-'));
+process.env.LOCAL_DATA_DIR = DATA_DIR;
+process.env.EXPORT_DIR = path.join(DATA_DIR, 'exports');
+
+process.on('exit', () => {
+    fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Base class for a test script: records checks and prints the summary
+ * The messages close the summary when every check passed and when one failed.
+ */
+class TestSuite {
+    constructor({ passMessage, failMessage }) {
+        this.passMessage = passMessage;
+        this.failMessage = failMessage;
+        this.results = {
+            passed: [],
+            failed: []
+        };
+    }
+
+    check(name, condition, detail = '') {
+        if (condition) {
+            this.results.passed.push(name);
+            console.log(`   ✅ ${name}`);
+        } else {
+            this.results.failed.push(detail ? `${name} (${detail})` : name);
+            console.log(`   ❌ ${name}${detail ? ` - ${detail}` : ''}`);
+        }
+    }
+
+    printResults() {
+        console.log('='.repeat(50));
+        console.log('   TEST RESULTS');
+        console.log('='.repeat(50));
+
+        console.log(`\n✅ Passed: ${this.results.passed.length}`);
+
+        if (this.results.failed.length > 0) {
+            console.log(`\n❌ Failed: ${this.results.failed.length}`);
+            this.results.failed.forEach(test => {
+                console.log(`   • ${test}`);
+            });
+        }
+
+        if (this.results.failed.length === 0) {
+            console.log(`\n🎉 ${this.passMessage}`);
+        } else {
+            console.log(`\n⚠️  ${this.failMessage}`);
+        }
+
+        process.exit(this.results.failed.length === 0 ? 0 : 1);
+    }
+}
+
+module.exports = {
+    DATA_DIR,
+    TestSuite
+};
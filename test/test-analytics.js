@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Analytics Test Script
+ * Checks GET /analytics: custom ranges, hour/day/week/month buckets read in
+ * IST or another time zone (daylight saving included), QR rankings by
+ * revenue and by count, the comparison with the previous period and query
+ * validation. Runs the merchant API in-process against a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+
+// [initiated at, QR code, amount, status]; the last one falls in the period before
+const PAYMENTS = [
+    ['2026-10-06T01:00:00+05:30', 'x', 100, 'SUCCESS'],
+    ['2026-10-06T10:00:00+05:30', 'y', 350, 'SUCCESS'],
+    ['2026-10-06T11:00:00+05:30', 'x', 50, 'FAILED'],
+    ['2026-10-07T09:00:00+05:30', 'x', 100, 'SUCCESS'],
+    ['2026-10-07T09:10:00+05:30', 'x', 100, 'SUCCESS'],
+    ['2026-10-03T12:00:00+05:30', 'x', 200, 'SUCCESS']
+];
+
+class AnalyticsTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Analytics add up.',
+            failMessage: 'Analytics are broken. Do not deploy.'
+        });
+        this.server = null;
+        this.baseUrl = null;
+        this.key = null;
+        this.qrCodes = {};
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   ANALYTICS TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.startServer();
+            await this.seed();
+
+            await this.testDailyBuckets();
+            await this.testTimeZones();
+            await this.testRankings();
+            await this.testComparison();
+            await this.testRanges();
+            await this.testValidation();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/merchant', require('../routes/api/v1/merchant'));
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}/api/v1/merchant`;
+    }
+
+    async request(method, endpoint, key, data = null) {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${endpoint}`,
+            headers: key ? { 'X-API-Key': key.key_id, 'X-API-Secret': key.api_secret } : {},
+            data,
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+    }
+
+    async analytics(query) {
+        const { status, body } = await this.request('get', `/analytics?${new URLSearchParams(query)}`, this.key);
+        if (status !== 200) {
+            throw new Error(`Analytics failed: ${status} ${JSON.stringify(body)}`);
+        }
+        return body.data;
+    }
+
+    /**
+     * A merchant with two QR codes and the payments above, back-dated
+     */
+    async seed() {
+        console.log('📋 Seeding QR codes and payments...');
+
+        const ApiKeyService = require('../services/ApiKeyService');
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const suffix = Date.now().toString().slice(-6);
+        this.key = await ApiKeyService.createKey({ merchantId: `ANALYTICS_${suffix}`, merchantName: 'Analytics' });
+
+        for (const name of ['x', 'y']) {
+            const { status, body } = await this.request('post', '/qr/generate', this.key, {
+                merchant_name: 'Analytics Test',
+                reference_name: `Counter ${name.toUpperCase()}`,
+                merchant_id: `OUTLET${name.toUpperCase()}${suffix}`,
+                amount: 100
+            });
+            if (status !== 200) {
+                throw new Error(`QR generation failed: ${status} ${JSON.stringify(body)}`);
+            }
+            this.qrCodes[name] = body.data;
+        }
+
+        const initiatedAt = new Map();
+        for (const [i, [at, qr, amount, status]] of PAYMENTS.entries()) {
+            const transactionId = `TXN_AN_${i}_${suffix}`;
+            await LocalTransactionStore.saveTransaction({
+                transactionId,
+                merchantId: 'HDFC000010380443',
+                merchantTxnId: `STQ${this.qrCodes[qr].transaction_ref}${i}`,
+                qrIdentifier: this.qrCodes[qr].transaction_ref,
+                amount,
+                transactionStatus: status,
+                transactionDateTime: at
+            }, null, 'analytics_test');
+            initiatedAt.set(transactionId, new Date(at).toISOString());
+        }
+
+        const transactions = LocalTransactionStore.getTransactions();
+        for (const t of transactions) {
+            if (initiatedAt.has(t.transactionId)) {
+                t.createdAt = initiatedAt.get(t.transactionId);
+            }
+        }
+        LocalTransactionStore.saveTransactions(transactions);
+
+        console.log('   ✅ Seeded\n');
+    }
+
+    async testDailyBuckets() {
+        console.log('📋 Testing daily buckets in IST...');
+
+        const data = await this.analytics({ from: '2026-10-05', to: '2026-10-07', interval: 'day' });
+        const [oct5, oct6, oct7] = data.trend;
+
+        this.check('Range is read in IST by default',
+            data.range.timezone === 'Asia/Kolkata' && data.range.from === '2026-10-05T00:00:00+05:30' &&
+            data.range.to === '2026-10-08T00:00:00+05:30', JSON.stringify(data.range));
+        this.check('One bucket per day', data.trend.length === 3 && oct6.start === '2026-10-06T00:00:00+05:30');
+        this.check('Buckets add up payments', oct6.transactions === 3 && oct6.revenue === 450 && oct7.revenue === 200,
+            JSON.stringify(oct6));
+        this.check('Success rate is tracked per bucket', oct6.success_rate === 66.67 && oct7.success_rate === 100);
+        this.check('Empty bucket has no success rate', oct5.transactions === 0 && oct5.success_rate === null);
+        this.check('Summary covers the range',
+            data.summary.total_transactions === 5 && data.summary.revenue === 650 &&
+            data.summary.average_transaction_value === 162.5 && data.summary.success_rate === 80,
+            JSON.stringify(data.summary));
+
+        console.log('');
+    }
+
+    async testTimeZones() {
+        console.log('📋 Testing time zones...');
+
+        let data = await this.analytics({ from: '2026-10-05', to: '2026-10-07', interval: 'day', timezone: 'UTC' });
+        this.check('A payment after midnight IST falls on the previous UTC day',
+            data.trend[0].start === '2026-10-05T00:00:00+00:00' && data.trend[0].transactions === 1,
+            JSON.stringify(data.trend[0]));
+
+        data = await this.analytics({ from: '2026-10-06', to: '2026-10-06', interval: 'hour' });
+        const tenAm = data.trend.find(bucket => bucket.start === '2026-10-06T10:00:00+05:30');
+        this.check('Hour buckets follow IST half-hour offset', data.trend.length === 24 && tenAm?.revenue === 350);
+
+        data = await this.analytics({ from: '2026-10-01', to: '2026-12-31', interval: 'month', timezone: 'America/New_York' });
+        this.check('Month buckets follow daylight saving',
+            data.trend.map(bucket => bucket.start).join() ===
+                '2026-10-01T00:00:00-04:00,2026-11-01T00:00:00-04:00,2026-12-01T00:00:00-05:00',
+            data.trend.map(bucket => bucket.start).join());
+
+        data = await this.analytics({ from: '2026-10-05', to: '2026-10-18', interval: 'week' });
+        this.check('Week buckets start on Monday',
+            data.trend.length === 2 && data.trend[1].start === '2026-10-12T00:00:00+05:30' && data.trend[0].transactions === 5);
+
+        console.log('');
+    }
+
+    async testRankings() {
+        console.log('📋 Testing QR rankings...');
+
+        const data = await this.analytics({ from: '2026-10-05', to: '2026-10-07' });
+        const { by_revenue: byRevenue, by_count: byCount } = data.top_qr_codes;
+
+        this.check('Top QR by revenue', byRevenue[0]?.qr_identifier === this.qrCodes.y.transaction_ref &&
+            byRevenue[0].revenue === 350 && byRevenue[0].reference_name === 'Counter Y', JSON.stringify(byRevenue[0]));
+        this.check('Top QR by count', byCount[0]?.qr_identifier === this.qrCodes.x.transaction_ref &&
+            byCount[0].transaction_count === 3, JSON.stringify(byCount[0]));
+
+        const limited = await this.analytics({ from: '2026-10-05', to: '2026-10-07', top: 1 });
+        this.check('top limits the rankings', limited.top_qr_codes.by_revenue.length === 1);
+
+        console.log('');
+    }
+
+    async testComparison() {
+        console.log('📋 Testing period comparison...');
+
+        let data = await this.analytics({ from: '2026-10-05', to: '2026-10-07' });
+        const change = data.comparison?.change || {};
+
+        this.check('Previous period is the same length just before',
+            data.comparison?.from === '2026-10-02T00:00:00+05:30' && data.comparison?.to === '2026-10-05T00:00:00+05:30');
+        this.check('Revenue change is reported',
+            change.revenue?.previous === 200 && change.revenue?.change === 450 && change.revenue?.change_percent === 225,
+            JSON.stringify(change.revenue));
+        this.check('Success rate change is in points', change.success_rate?.change_points === -20);
+
+        data = await this.analytics({ from: '2026-10-05', to: '2026-10-07', compare: 'false' });
+        this.check('Comparison can be skipped', data.comparison === null);
+
+        console.log('');
+    }
+
+    async testRanges() {
+        console.log('📋 Testing ranges...');
+
+        let data = await this.analytics({ from: '2026-10-06T09:00:00+05:30', to: '2026-10-06T12:00:00+05:30' });
+        this.check('Timestamps bound the range exactly', data.summary.total_transactions === 2 && data.trend.length === 3,
+            `${data.summary.total_transactions} in ${data.trend.length} buckets`);
+
+        data = await this.analytics({});
+        this.check('Default is the last 7 days by day', data.range.period === '7d' && data.range.interval === 'day');
+
+        data = await this.analytics({ period: '24h' });
+        this.check('24h is bucketed by hour', data.range.interval === 'hour' && data.trend.length >= 24);
+
+        console.log('');
+    }
+
+    async testValidation() {
+        console.log('📋 Testing validation...');
+
+        const rejected = async (name, query) => {
+            const result = await this.request('get', `/analytics?${new URLSearchParams(query)}`, this.key);
+            this.check(name, result.status === 400 && result.body.code === 'VALIDATION_ERROR', `${result.status}`);
+        };
+
+        await rejected('Unknown period is rejected', { period: '1y' });
+        await rejected('Unknown time zone is rejected', { timezone: 'Mars/Olympus' });
+        await rejected('Reversed range is rejected', { from: '2026-10-07', to: '2026-10-05' });
+        await rejected('Timestamp without an offset is rejected', { from: '2026-10-05T10:00:00' });
+        await rejected('Too many buckets are rejected', { from: '2026-01-01', to: '2026-12-31', interval: 'hour' });
+        await rejected('Unknown interval is rejected', { interval: 'fortnight' });
+
+        console.log('');
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new AnalyticsTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = AnalyticsTester;
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Test Script
+ * Verifies the key lifecycle in ApiKeyService - creation, the overlap
+ * window on rotation, revocation and expiry - and that the merchant API
+ * refuses to rotate a key with scopes the calling key does not hold.
+ * Runs in-process against a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+const ApiKeyService = require('../services/ApiKeyService');
+
+class ApiKeyTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'API keys are issued, rotated and retired correctly.',
+            failMessage: 'API key handling is broken. Do not deploy.'
+        });
+        this.server = null;
+        this.baseUrl = null;
+        this.merchantId = `KEYS_${Date.now().toString().slice(-6)}`;
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   API KEY TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.startServer();
+
+            await this.testCreate();
+            await this.testRotationOverlap();
+            await this.testRevoke();
+            await this.testExpiry();
+            await this.testRotateEscalation();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/merchant', require('../routes/api/v1/merchant'));
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}/api/v1/merchant`;
+    }
+
+    async request(method, endpoint, key, data = null) {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${endpoint}`,
+            headers: { 'X-API-Key': key.key_id, 'X-API-Secret': key.api_secret },
+            data,
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+    }
+
+    async testCreate() {
+        console.log('📋 Testing key creation...');
+
+        const key = await ApiKeyService.createKey({ merchantId: this.merchantId, name: 'Create test' });
+
+        this.check('New key returns its secret', /^sk_live_[0-9a-f]{64}$/.test(key.api_secret || ''));
+        this.check('New key gets the default permissions',
+            JSON.stringify(key.permissions) === JSON.stringify(ApiKeyService.DEFAULT_PERMISSIONS),
+            JSON.stringify(key.permissions));
+        this.check('Secret validates', (await ApiKeyService.validate(key.key_id, key.api_secret)).valid === true);
+        const lastChar = key.api_secret.slice(-1) === '0' ? '1' : '0';
+        this.check('Wrong secret is refused',
+            (await ApiKeyService.validate(key.key_id, `${key.api_secret.slice(0, -1)}${lastChar}`)).valid === false);
+
+        const stored = await ApiKeyService.getKey(key.key_id);
+        const listed = (await ApiKeyService.listKeys(this.merchantId)).find(k => k.key_id === key.key_id);
+        const exposed = [stored, listed].filter(record =>
+            ['api_secret', 'secret_hash', 'signing_secret'].some(field => field in record));
+
+        this.check('Secret is not returned after creation', exposed.length === 0);
+        this.check('Only the last 4 characters of the secret are kept for display',
+            stored.secret_last4 === key.api_secret.slice(-4));
+
+        let unknownRefused = false;
+        try {
+            await ApiKeyService.createKey({ merchantId: this.merchantId, permissions: ['qr.generate', 'everything'] });
+        } catch (error) {
+            unknownRefused = /Unknown permissions: everything/.test(error.message);
+        }
+        this.check('Unknown permissions are refused', unknownRefused);
+
+        console.log();
+    }
+
+    async testRotationOverlap() {
+        console.log('📋 Testing rotation overlap...');
+
+        const key = await ApiKeyService.createKey({ merchantId: this.merchantId, name: 'Rotate test' });
+        const before = Date.now();
+        const rotation = await ApiKeyService.rotateKey(key.key_id, { overlapHours: 2, rotatedBy: 'test' });
+        const overlapEnd = new Date(rotation.previous_key.expires_at).getTime();
+
+        this.check('Rotation issues a new key with its secret',
+            rotation.new_key.key_id !== key.key_id && Boolean(rotation.new_key.api_secret));
+        this.check('New key records what it replaced', rotation.new_key.rotated_from === key.key_id);
+        this.check('New key keeps the permissions',
+            JSON.stringify(rotation.new_key.permissions) === JSON.stringify(key.permissions));
+        this.check('Old key expires after the overlap period',
+            Math.abs(overlapEnd - (before + 2 * 60 * 60 * 1000)) < 5000,
+            rotation.previous_key.expires_at);
+        this.check('Old key still works during the overlap',
+            (await ApiKeyService.validate(key.key_id, key.api_secret)).valid === true);
+        this.check('New key works',
+            (await ApiKeyService.validate(rotation.new_key.key_id, rotation.new_key.api_secret)).valid === true);
+
+        const immediate = await ApiKeyService.createKey({ merchantId: this.merchantId, name: 'Rotate now test' });
+        await ApiKeyService.rotateKey(immediate.key_id, { overlapHours: 0 });
+        const result = await ApiKeyService.validate(immediate.key_id, immediate.api_secret);
+
+        this.check('Zero overlap stops the old key immediately',
+            result.valid === false && result.error === 'API key is expired', result.error);
+
+        // Rotation must not outlive an expiry that was already sooner
+        const expiresAt = new Date(Date.now() + 30 * 60 * 1000).toISOString();
+        const shortLived = await ApiKeyService.createKey({ merchantId: this.merchantId, expiresAt });
+        const shortRotation = await ApiKeyService.rotateKey(shortLived.key_id, { overlapHours: 24 });
+
+        this.check('Rotation never extends an earlier expiry',
+            shortRotation.previous_key.expires_at === expiresAt, shortRotation.previous_key.expires_at);
+
+        console.log();
+    }
+
+    async testRevoke() {
+        console.log('📋 Testing revocation...');
+
+        const key = await ApiKeyService.createKey({ merchantId: this.merchantId, name: 'Revoke test' });
+        const revoked = await ApiKeyService.revokeKey(key.key_id, { revokedBy: 'test', reason: 'leaked' });
+        const result = await ApiKeyService.validate(key.key_id, key.api_secret);
+
+        this.check('Revoked key reports its reason',
+            revoked.status === 'revoked' && revoked.revoke_reason === 'leaked');
+        this.check('Revoked key is refused',
+            result.valid === false && result.error === 'API key is revoked', result.error);
+        this.check('Revoking twice is a no-op', await ApiKeyService.revokeKey(key.key_id) === null);
+        this.check('Revoked key cannot be rotated', await ApiKeyService.rotateKey(key.key_id) === null);
+
+        console.log();
+    }
+
+    async testExpiry() {
+        console.log('📋 Testing expiry...');
+
+        const key = await ApiKeyService.createKey({
+            merchantId: this.merchantId,
+            expiresAt: new Date(Date.now() - 1000).toISOString()
+        });
+        const result = await ApiKeyService.validate(key.key_id, key.api_secret);
+        const stored = await ApiKeyService.getKey(key.key_id);
+
+        this.check('Expired key is refused',
+            result.valid === false && result.error === 'API key is expired', result.error);
+        this.check('Expired key is listed as expired', stored.status === 'expired', stored.status);
+        this.check('Expired key cannot be rotated', await ApiKeyService.rotateKey(key.key_id) === null);
+
+        console.log();
+    }
+
+    async testRotateEscalation() {
+        console.log('📋 Testing rotation through the merchant API...');
+
+        const target = await ApiKeyService.createKey({
+            merchantId: this.merchantId,
+            permissions: ['qr.generate', 'refunds.create', 'settlements.create']
+        });
+        const keyManager = await ApiKeyService.createKey({
+            merchantId: this.merchantId,
+            permissions: ['api_keys.manage']
+        });
+        const admin = await ApiKeyService.createKey({
+            merchantId: this.merchantId,
+            permissions: Object.keys(ApiKeyService.PERMISSIONS)
+        });
+
+        const refused = await this.request('post', `/api-keys/${target.key_id}/rotate`, keyManager);
+        const untouched = await ApiKeyService.getKey(target.key_id);
+
+        this.check('Rotating a key with scopes the caller lacks is refused',
+            refused.status === 403 && refused.body.code === 'PERMISSION_DENIED',
+            `${refused.status} ${JSON.stringify(refused.body)}`);
+        this.check('Refusal names the missing scopes',
+            /qr\.generate, refunds\.create, settlements\.create/.test(refused.body.error || ''));
+        this.check('Refused rotation hands out no secret', !JSON.stringify(refused.body).includes('sk_live_'));
+        this.check('Refused rotation leaves the key as it was',
+            untouched.status === 'active' && untouched.expires_at === null);
+
+        const allowed = await this.request('post', `/api-keys/${target.key_id}/rotate`, admin, { overlap_hours: 1 });
+
+        this.check('A caller holding every scope can rotate',
+            allowed.status === 200 && Boolean(allowed.body.data.new_key.api_secret),
+            `${allowed.status} ${JSON.stringify(allowed.body)}`);
+
+        console.log();
+    }
+}
+
+if (require.main === module) {
+    const tester = new ApiKeyTester();
+    tester.run().catch(console.error);
+}
+
+module.exports = ApiKeyTester;
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Bank Key Test Script
+ * Checks that acquiring-bank keys are stored encrypted, decrypt callbacks
+ * all the same, are listed by fingerprint only, and that keys stored in plaintext
+ * before encryption are encrypted in place. Uses a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const CryptoJS = require('crypto-js');
+const BankAdapters = require('../services/banks');
+
+class BankKeyTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Bank keys are encrypted at rest.',
+            failMessage: 'Bank key storage is broken. Do not deploy.'
+        });
+        this.suffix = Date.now().toString().slice(-6);
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   BANK KEY TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.testStoredKeys();
+            await this.testLegacyKeys();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        }
+
+        this.printResults();
+    }
+
+    stored(keyId) {
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+        return LocalTransactionStore.getCollection('merchant_bank_keys').find(k => k.key_id === keyId);
+    }
+
+    /**
+     * An HDFC callback body encrypted with the given key
+     */
+    callback(bankMerchantId, encryptionKey) {
+        const fields = [
+            bankMerchantId, 'Key Test', 'TERM1', `TXN_KEY_${this.suffix}`, `RRN${this.suffix}`, `MTX${this.suffix}`,
+            '100.00', 'SUCCESS', '00', 'Approved', 'payer@okhdfc', 'Payer', '9999999999', '2026-10-19 10:00:00',
+            '100.00', '', 'UPI', '5411', '0', '0', 'CHECKSUM'
+        ];
+        const encryptedData = CryptoJS.AES.encrypt(fields.join('|'), CryptoJS.enc.Utf8.parse(encryptionKey), {
+            mode: CryptoJS.mode.ECB,
+            padding: CryptoJS.pad.Pkcs7
+        }).toString();
+        return { encryptedData, merchantId: bankMerchantId, terminalId: 'TERM1' };
+    }
+
+    async testStoredKeys() {
+        console.log('📋 Testing stored keys...');
+
+        const MerchantKeyService = require('../services/MerchantKeyService');
+        const bankMerchantId = `HDFCKEY${this.suffix}`;
+        const encryptionKey = 'abcdefghijklmnop';
+        // First 8 hex characters of the key's SHA-256
+        const fingerprint = 'f39dac6c';
+
+        const added = await MerchantKeyService.addKey({ bankMerchantId, encryptionKey, createdBy: 'bank_key_test' });
+        const stored = this.stored(added.key_id);
+        this.check('Key material is not stored in plaintext', stored && !stored.encryption_key.includes(encryptionKey), stored && stored.encryption_key);
+        this.check('Adding a key returns only its fingerprint', added.encryption_key === undefined && added.key_fingerprint === fingerprint, JSON.stringify(added));
+
+        const [listed] = await MerchantKeyService.listKeys('hdfc', bankMerchantId);
+        this.check('Listed keys are masked', listed.encryption_key === undefined && listed.key_fingerprint === fingerprint, JSON.stringify(listed));
+
+        const keys = await MerchantKeyService.getCandidateKeys('hdfc', bankMerchantId, 'TERM1');
+        this.check('Candidate keys are decrypted', keys.length > 0 && keys[0].encryption_key === encryptionKey);
+
+        const adapter = BankAdapters.getAdapter('hdfc');
+        const { key, transactionData } = adapter.decodeCallback(this.callback(bankMerchantId, encryptionKey), keys);
+        this.check('A callback decrypts with the stored key',
+            key.key_id === added.key_id && transactionData.transactionId === `TXN_KEY_${this.suffix}`);
+
+        // Another instance caches the keys after the retirement was scheduled
+        await MerchantKeyService.retireKey(added.key_id, new Date(Date.now() + 200));
+        const beforeRetirement = await MerchantKeyService.getCandidateKeys('hdfc', bankMerchantId);
+        await new Promise(resolve => setTimeout(resolve, 300));
+        const afterRetirement = await MerchantKeyService.getCandidateKeys('hdfc', bankMerchantId);
+        this.check('A scheduled retirement ends on time while the keys are cached',
+            beforeRetirement.some(k => k.key_id === added.key_id) && !afterRetirement.some(k => k.key_id === added.key_id));
+
+        const retired = await MerchantKeyService.retireKey(added.key_id);
+        this.check('Retiring a key returns only its fingerprint', retired.encryption_key === undefined && retired.key_fingerprint === fingerprint, JSON.stringify(retired));
+
+        console.log();
+    }
+
+    async testLegacyKeys() {
+        console.log('📋 Testing keys stored before encryption...');
+
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+        const MerchantKeyService = require('../services/MerchantKeyService');
+        const bankMerchantId = `HDFCOLD${this.suffix}`;
+        const encryptionKey = 'legacy-key-0123456789abcd';
+        const fingerprint = 'dc3703ba';
+        const keyId = `key_legacy${this.suffix}`;
+
+        await LocalTransactionStore.insertRecord('merchant_bank_keys', {
+            key_id: keyId,
+            bank: 'hdfc',
+            merchant_id: null,
+            bank_merchant_id: bankMerchantId,
+            terminal_id: null,
+            encryption_key: encryptionKey,
+            status: 'active',
+            valid_from: new Date(Date.now() - 1000).toISOString(),
+            valid_until: null
+        });
+
+        const [listed] = await MerchantKeyService.listKeys('hdfc', bankMerchantId);
+        this.check('A plaintext key is masked when listed', listed.key_fingerprint === fingerprint, JSON.stringify(listed));
+
+        const keys = await MerchantKeyService.getCandidateKeys('hdfc', bankMerchantId);
+        this.check('A plaintext key still decrypts callbacks', keys.length === 1 && keys[0].encryption_key === encryptionKey);
+
+        const stored = this.stored(keyId);
+        this.check('A plaintext key is encrypted in place once read',
+            !stored.encryption_key.includes(encryptionKey) && stored.key_fingerprint === fingerprint, stored.encryption_key);
+
+        MerchantKeyService.invalidate('hdfc', bankMerchantId);
+        const reread = await MerchantKeyService.getCandidateKeys('hdfc', bankMerchantId);
+        this.check('The encrypted key reads back', reread.length === 1 && reread[0].encryption_key === encryptionKey);
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new BankKeyTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = BankKeyTester;
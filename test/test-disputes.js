@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+
+/**
+ * Dispute Test Script
+ * Runs reversals and chargebacks from the HDFC simulator through the webhook
+ * pipeline and TransactionDisputeService: a reversed payment is cancelled from
+ * settlement, an open chargeback holds the payment back and alerts the
+ * merchant, and the bank's ruling either returns it to success (won) or ends
+ * it as charged_back (lost), flagging a recovery when it was already paid out.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+
+process.env.HDFC_MERCHANT_KEY = 'dispute-test-key-0123456789abcde';
+
+const HDFCBankSimulator = require('../simulator/HDFCBankSimulator');
+const ApiKeyService = require('../services/ApiKeyService');
+const LocalTransactionStore = require('../services/LocalTransactionStore');
+const TransactionDisputeService = require('../services/TransactionDisputeService');
+const WebhookEventService = require('../services/WebhookEventService');
+
+const UPI_STRING = 'upi://pay?pa=dispute.test@hdfcbank&pn=Dispute%20Test&tr=DSPTEST';
+
+class DisputeTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Reversals and chargebacks are applied and settled correctly.',
+            failMessage: 'Dispute handling is broken. Do not deploy.'
+        });
+        this.server = null;
+        this.baseUrl = null;
+        // Merchant events, as they are emitted to connected dashboards
+        this.events = [];
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   DISPUTE TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        global.io = { emit: (type, event) => this.events.push({ type, event }) };
+
+        try {
+            await this.startServer();
+
+            await this.testTargetState();
+            await this.testReversal();
+            await this.testChargebackOpened();
+            await this.testChargebackWon();
+            await this.testChargebackLost();
+            await this.testPartialRefundWon();
+            await this.testRulingWithoutOpenDispute();
+            await this.testMerchantApi();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            delete global.io;
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api', require('../routes/bank.webhook'));
+        app.use('/api/v1/merchant', require('../routes/api/v1/merchant'));
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        const origin = `http://127.0.0.1:${this.server.address().port}`;
+
+        this.baseUrl = `${origin}/api/v1/merchant`;
+        this.simulator = new HDFCBankSimulator({ webhookUrl: `${origin}/api/hdfc/webhook` });
+    }
+
+    /**
+     * Deliver a simulator scenario and wait for the worker to process it
+     */
+    async deliver(scenario) {
+        const result = await scenario;
+        const event = await this.waitForEvent(result.responses[0].body.eventId);
+        return { ...result, event };
+    }
+
+    async waitForEvent(eventId) {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const event = await WebhookEventService.getEvent(eventId);
+            if (event && !['received', 'processing'].includes(event.status)) {
+                return event;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Event ${eventId} was not processed`);
+    }
+
+    async payment(amount) {
+        const { transaction } = await this.deliver(this.simulator.pay(UPI_STRING, { amount }));
+        return transaction.transactionId;
+    }
+
+    stored(transactionId) {
+        return LocalTransactionStore.getTransactionById(transactionId);
+    }
+
+    // Change a stored payment as another part of the system would (settlement, refunds)
+    update(transactionId, changes) {
+        const transactions = LocalTransactionStore.getTransactions();
+        Object.assign(transactions.find(t => t.transactionId === transactionId), changes);
+        LocalTransactionStore.saveTransactions(transactions);
+    }
+
+    disputes(transactionId) {
+        return LocalTransactionStore.getCollection('transaction_disputes').filter(d => d.transaction_id === transactionId);
+    }
+
+    published(type, transactionId) {
+        return this.events
+            .filter(e => e.type === type && e.event.data && e.event.data.transaction_id === transactionId)
+            .map(e => e.event);
+    }
+
+    async testTargetState() {
+        console.log('📋 Testing dispute target states...');
+
+        const target = (stage, refunded) => TransactionDisputeService.targetState(stage, 100, refunded);
+
+        this.check('An opened dispute marks the payment disputed', target('opened', 0) === 'disputed');
+        this.check('A lost dispute ends as charged_back', target('lost', 40) === 'charged_back');
+        this.check('A won dispute returns an unrefunded payment to success', target('won', 0) === 'success');
+        this.check('A won dispute returns a partly refunded payment to partial_refunded', target('won', 40) === 'partial_refunded');
+        this.check('A won dispute returns a fully refunded payment to refunded', target('won', 100) === 'refunded');
+
+        let unknownRefused = false;
+        try {
+            await TransactionDisputeService.applyNotification({ stage: 'appealed', transaction_id: 'X' });
+        } catch (error) {
+            unknownRefused = /Unknown dispute stage/.test(error.message);
+        }
+        this.check('An unknown stage is refused', unknownRefused);
+
+        console.log();
+    }
+
+    async testReversal() {
+        console.log('📋 Testing a reversal of a successful payment...');
+
+        const transactionId = await this.payment(500);
+        this.check('The payment succeeds', this.stored(transactionId).status === 'SUCCESS');
+
+        const { event } = await this.deliver(this.simulator.reverse(transactionId));
+        const reversed = this.stored(transactionId);
+        const [notice] = this.published('transaction.reversed', transactionId);
+
+        this.check('The reversal is processed', event.status === 'processed', event.error_message);
+        this.check('The payment is reversed', reversed.status === 'REVERSED', reversed.status);
+        this.check('Its settlement is cancelled', reversed.settlementStatus === 'cancelled', reversed.settlementStatus);
+        this.check('The merchant is told, without a recovery',
+            notice && notice.data.previous_status === 'success' && notice.data.settlement_recovery === false &&
+            Boolean(notice.data.reason),
+            JSON.stringify(notice && notice.data));
+
+        // Reversed is final; the money never reached the merchant, so there is nothing to dispute
+        await this.deliver(this.simulator.chargeback(transactionId, { reason: 'Customer dispute' }));
+        this.check('A reversed payment cannot be disputed',
+            this.stored(transactionId).status === 'REVERSED' && this.disputes(transactionId).length === 0 &&
+            LocalTransactionStore.getCollection('transaction_exceptions').some(e => e.transaction_id === transactionId),
+            this.stored(transactionId).status);
+
+        const settledId = await this.payment(600);
+        this.update(settledId, { settlementStatus: 'settled' });
+        await this.deliver(this.simulator.reverse(settledId));
+        const [settledNotice] = this.published('transaction.reversed', settledId);
+
+        this.check('A settled payment stays settled when reversed', this.stored(settledId).settlementStatus === 'settled');
+        this.check('The merchant is told the payout has to be recovered',
+            settledNotice && settledNotice.data.settlement_recovery === true);
+
+        console.log();
+    }
+
+    async testChargebackOpened() {
+        console.log('📋 Testing an opened chargeback...');
+
+        const transactionId = await this.payment(800);
+        const { event } = await this.deliver(this.simulator.chargeback(transactionId, {
+            reasonCode: '1061',
+            reason: 'Goods not received',
+            amount: 300
+        }));
+        const disputed = this.stored(transactionId);
+        const [dispute] = this.disputes(transactionId);
+        const alert = LocalTransactionStore.getCollection('merchant_alerts')
+            .find(a => a.transaction_id === transactionId && a.alert_type === 'DISPUTE_OPENED');
+        const [notice] = this.published('dispute.opened', transactionId);
+
+        this.check('The chargeback is processed', event.status === 'processed', event.error_message);
+        this.check('The payment is disputed', disputed.status === 'DISPUTED', disputed.status);
+        this.check('Its settlement is held', disputed.settlementStatus === 'on_hold', disputed.settlementStatus);
+        this.check('An open dispute records the amount and reason',
+            dispute && dispute.status === 'open' && dispute.amount === 300 && dispute.reason_code === '1061' &&
+            dispute.reason === 'Goods not received' && dispute.resolved_at === null,
+            JSON.stringify(dispute));
+        this.check('The merchant gets a critical alert', alert && alert.severity === 'critical' && /₹300/.test(alert.message),
+            JSON.stringify(alert));
+        this.check('The merchant is told', notice && notice.data.dispute_id === dispute.dispute_id && notice.data.status === 'open');
+
+        this.openedId = transactionId;
+        console.log();
+    }
+
+    async testChargebackWon() {
+        console.log('📋 Testing a chargeback the merchant wins...');
+
+        const transactionId = this.openedId;
+        const { event } = await this.deliver(this.simulator.resolveChargeback(transactionId, 'REJECTED'));
+        const won = this.stored(transactionId);
+        const disputes = this.disputes(transactionId);
+        const [notice] = this.published('dispute.won', transactionId);
+
+        this.check('The ruling is processed', event.status === 'processed', event.error_message);
+        this.check('The payment returns to success', won.status === 'SUCCESS', won.status);
+        this.check('Its settlement is released', won.settlementStatus === 'pending', won.settlementStatus);
+        this.check('The open dispute is closed as won',
+            disputes.length === 1 && disputes[0].status === 'won' && Boolean(disputes[0].resolved_at),
+            JSON.stringify(disputes));
+        this.check('The merchant is told', notice && notice.data.status === 'won' && notice.data.settlement_recovery === false);
+
+        console.log();
+    }
+
+    async testChargebackLost() {
+        console.log('📋 Testing a chargeback the merchant loses...');
+
+        const unsettledId = await this.payment(900);
+        await this.deliver(this.simulator.chargeback(unsettledId, { reason: 'Unauthorised' }));
+        await this.deliver(this.simulator.resolveChargeback(unsettledId, 'ACCEPTED'));
+        const lost = this.stored(unsettledId);
+        const [dispute] = this.disputes(unsettledId);
+
+        this.check('The payment is charged back', lost.status === 'CHARGED_BACK', lost.status);
+        this.check('Its settlement is cancelled', lost.settlementStatus === 'cancelled', lost.settlementStatus);
+        this.check('The dispute is closed as lost, with nothing to recover',
+            dispute && dispute.status === 'lost' && dispute.settlement_recovery === false, JSON.stringify(dispute));
+
+        // Paid out before the chargeback was raised
+        const settledId = await this.payment(1000);
+        this.update(settledId, { settlementStatus: 'settled' });
+        await this.deliver(this.simulator.chargeback(settledId, { reason: 'Duplicate charge' }));
+        this.check('A settled payment stays settled while disputed', this.stored(settledId).settlementStatus === 'settled');
+
+        await this.deliver(this.simulator.resolveChargeback(settledId, 'ACCEPTED'));
+        const [settledDispute] = this.disputes(settledId);
+        const [notice] = this.published('dispute.lost', settledId);
+
+        this.check('A lost dispute on a settled payment is flagged for recovery',
+            settledDispute && settledDispute.status === 'lost' && settledDispute.settlement_recovery === true,
+            JSON.stringify(settledDispute));
+        this.check('The merchant is told the payout has to be recovered',
+            notice && notice.data.settlement_recovery === true && notice.data.settlement_status === 'settled');
+
+        const { event: appeal } = await this.deliver(this.simulator.chargeback(settledId, { reason: 'Second dispute' }));
+        this.check('A charged back payment cannot be disputed again',
+            this.stored(settledId).status === 'CHARGED_BACK' && this.disputes(settledId).length === 1,
+            `${this.stored(settledId).status} ${appeal.status}`);
+
+        console.log();
+    }
+
+    async testPartialRefundWon() {
+        console.log('📋 Testing a won dispute on a partly refunded payment...');
+
+        const transactionId = await this.payment(400);
+        // As RefundService records a completed partial refund
+        this.update(transactionId, { status: 'PARTIAL_REFUNDED', refundedAmount: 150 });
+
+        await this.deliver(this.simulator.chargeback(transactionId, { reason: 'Item returned' }));
+        this.check('The partly refunded payment is disputed', this.stored(transactionId).status === 'DISPUTED');
+
+        await this.deliver(this.simulator.resolveChargeback(transactionId, 'REJECTED'));
+        this.check('It returns to partial_refunded, keeping the refund',
+            this.stored(transactionId).status === 'PARTIAL_REFUNDED' && this.stored(transactionId).refundedAmount === 150,
+            this.stored(transactionId).status);
+
+        console.log();
+    }
+
+    async testRulingWithoutOpenDispute() {
+        console.log('📋 Testing a ruling without an open dispute...');
+
+        // The opening notice never reached us
+        const transactionId = await this.payment(700);
+        await this.simulator.chargeback(transactionId, { deliver: false });
+        const result = await TransactionDisputeService.applyNotification({
+            stage: 'lost',
+            transaction_id: transactionId,
+            reason: 'Chargeback accepted',
+            source: 'dispute_test'
+        });
+
+        this.check('A ruling on an undisputed payment is rejected by the state machine',
+            result.rejected === true && this.stored(transactionId).status === 'SUCCESS' && this.disputes(transactionId).length === 0,
+            JSON.stringify(result));
+
+        let missing = null;
+        try {
+            await TransactionDisputeService.applyNotification({ stage: 'opened', transaction_id: 'UNKNOWN_TXN' });
+        } catch (error) {
+            missing = error.message;
+        }
+        this.check('A dispute on an unknown payment is refused',
+            missing === 'Original transaction not found for dispute on UNKNOWN_TXN', missing);
+
+        console.log();
+    }
+
+    async testMerchantApi() {
+        console.log('📋 Testing the merchant dispute list...');
+
+        const key = await ApiKeyService.createKey({
+            merchantId: this.simulator.merchantId,
+            permissions: ['disputes.view']
+        });
+        const list = async (query) => {
+            const response = await axios.get(`${this.baseUrl}/disputes${query}`, {
+                headers: { 'X-API-Key': key.key_id, 'X-API-Secret': key.api_secret },
+                validateStatus: () => true
+            });
+            return { status: response.status, body: response.data };
+        };
+
+        const all = await list('');
+        const lost = await list('?status=lost');
+        const one = await list(`?transaction_id=${this.openedId}`);
+
+        this.check('Every dispute is listed', all.status === 200 && all.body.data.count === 4,
+            `${all.status} ${JSON.stringify(all.body.data && all.body.data.count)}`);
+        this.check('Disputes filter by status',
+            lost.body.data.count === 2 && lost.body.data.disputes.every(d => d.status === 'lost'));
+        this.check('Disputes filter by transaction',
+            one.body.data.count === 1 && one.body.data.disputes[0].status === 'won');
+
+        const other = await ApiKeyService.createKey({ merchantId: 'OTHER_MERCHANT', permissions: ['disputes.view'] });
+        const foreign = await axios.get(`${this.baseUrl}/disputes`, {
+            headers: { 'X-API-Key': other.key_id, 'X-API-Secret': other.api_secret }
+        });
+        this.check('Another merchant sees none of them', foreign.data.data.count === 0);
+
+        console.log();
+    }
+}
+
+if (require.main === module) {
+    const tester = new DisputeTester();
+    tester.run().catch(console.error);
+}
+
+module.exports = DisputeTester;
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Fee Calculation Test Script
+ * Checks the MDR/GST engine: standard pricing, slabs, the zero-MDR band for
+ * UPI, caps and paise rounding. Then checks that a payment is charged when it
+ * succeeds and that settlements deduct what it was charged. Those checks use
+ * a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const FeeService = require('../services/FeeService');
+
+const PRICING = {
+    transaction_charge_percent: 2,
+    transaction_charge_fixed: 0,
+    transaction_charge_min: null,
+    transaction_charge_max: null,
+    transaction_charge_slabs: null,
+    zero_mdr_upi_limit: null,
+    gst_percent: 18
+};
+
+class FeeCalculationTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Fees add up.',
+            failMessage: 'Fee calculation is broken. Do not deploy.'
+        });
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   FEE CALCULATION TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            this.testPricing();
+            this.testRounding();
+            await this.testChargedTransactions();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        }
+
+        this.printResults();
+    }
+
+    fees(amount, pricing = {}, options = {}) {
+        return FeeService.calculate(amount, { ...PRICING, ...pricing }, options);
+    }
+
+    testPricing() {
+        console.log('📋 Testing pricing rules...');
+
+        let fees = this.fees(1000);
+        this.check('Standard MDR and GST on it', fees.rule === 'standard' && fees.mdr_amount === 20 && fees.gst_amount === 3.6 && fees.net_amount === 976.4,
+            JSON.stringify(fees));
+
+        fees = this.fees(1000, { transaction_charge_fixed: 1.5 });
+        this.check('Fixed charge is added to the percentage', fees.mdr_amount === 21.5, `${fees.mdr_amount}`);
+
+        const zeroMdr = { zero_mdr_upi_limit: 2000 };
+        fees = this.fees(2000, zeroMdr);
+        this.check('UPI payment inside the zero-MDR band is free', fees.rule === 'zero_mdr' && fees.total_fee === 0 && fees.net_amount === 2000);
+
+        fees = this.fees(2000.01, zeroMdr);
+        this.check('UPI payment above the zero-MDR band is charged', fees.rule === 'standard' && fees.mdr_amount === 40);
+
+        fees = this.fees(500, zeroMdr, { paymentMethod: 'NFC' });
+        this.check('Zero-MDR band applies to UPI only', fees.mdr_amount === 10, `${fees.mdr_amount}`);
+
+        fees = this.fees(100, { ...zeroMdr, transaction_charge_min: 5 });
+        this.check('Minimum charge does not apply inside the zero-MDR band', fees.mdr_amount === 0);
+
+        const slabs = {
+            transaction_charge_slabs: JSON.stringify([
+                { max_amount: 500, percent: 1 },
+                { max_amount: 5000, percent: 1.5, fixed: 2 },
+                { max_amount: null, percent: 0.9 }
+            ])
+        };
+        fees = this.fees(500, slabs);
+        this.check('Slab covers amounts up to its max_amount', fees.rule === 'slab' && fees.mdr_amount === 5, `${fees.mdr_amount}`);
+
+        fees = this.fees(500.01, slabs);
+        this.check('Next slab applies its own rate and fixed charge', fees.mdr_amount === 9.5, `${fees.mdr_amount}`);
+
+        fees = this.fees(100000, slabs);
+        this.check('Open-ended last slab takes large amounts', fees.mdr_amount === 900, `${fees.mdr_amount}`);
+
+        fees = this.fees(100000, { transaction_charge_max: 250 });
+        this.check('Charge is capped at transaction_charge_max', fees.mdr_amount === 250 && fees.capped === 'max' && fees.gst_amount === 45);
+
+        fees = this.fees(10, { transaction_charge_min: 1 });
+        this.check('Charge is raised to transaction_charge_min', fees.mdr_amount === 1 && fees.capped === 'min');
+
+        console.log();
+    }
+
+    testRounding() {
+        console.log('📋 Testing paise rounding...');
+
+        let fees = this.fees(33.33, { transaction_charge_percent: 1.75 });
+        this.check('MDR is rounded to the paisa', fees.mdr_amount === 0.58, `${fees.mdr_amount}`);
+        this.check('GST is worked out on the rounded MDR', fees.gst_amount === 0.1, `${fees.gst_amount}`);
+
+        fees = this.fees(1.25, { transaction_charge_percent: 2 });
+        this.check('Half a paisa rounds up', fees.mdr_amount === 0.03, `${fees.mdr_amount}`);
+
+        fees = this.fees(10000, { transaction_charge_percent: 1.875 });
+        this.check('Rates finer than a basis point are applied in full', fees.mdr_amount === 187.5, `${fees.mdr_amount}`);
+
+        fees = this.fees(10000, { transaction_charge_percent: 0.005 });
+        this.check('Half a basis point is not rounded to a whole one', fees.mdr_amount === 0.5, `${fees.mdr_amount}`);
+
+        fees = this.fees(9999999.99, { transaction_charge_percent: 1.23456789 });
+        this.check('Long rates on large amounts stay exact', fees.mdr_amount === 123456.79, `${fees.mdr_amount}`);
+
+        let mismatches = 0;
+        for (let paise = 1; paise <= 500000; paise += 37) {
+            const result = this.fees(paise / 100, { transaction_charge_percent: 1.99, transaction_charge_fixed: 0.3 });
+            const toPaise = (value) => Math.round(value * 100);
+            if (toPaise(result.amount) - toPaise(result.mdr_amount) - toPaise(result.gst_amount) !== toPaise(result.net_amount)) {
+                mismatches++;
+            }
+        }
+        this.check('Amount less MDR and GST is always the net amount', mismatches === 0, `${mismatches} mismatches`);
+
+        console.log();
+    }
+
+    async testChargedTransactions() {
+        console.log('📋 Testing charged transactions and settlement...');
+
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+        const SettlementService = require('../services/SettlementService');
+
+        const suffix = Date.now().toString().slice(-6);
+        const merchantId = `FEES_${suffix}`;
+        const reference = `FEEQR${suffix}`;
+
+        LocalTransactionStore.saveCollection('merchant_config', [
+            ...LocalTransactionStore.getCollection('merchant_config'),
+            { merchant_id: merchantId, transaction_charge_percent: 1, min_settlement_amount: 1 }
+        ]);
+        await LocalTransactionStore.saveQRCode({ transaction_ref: reference, owner_merchant_id: merchantId, merchant_id: null });
+
+        const pay = (transactionId, state) => LocalTransactionStore.saveTransaction({
+            transactionId,
+            merchantId: 'HDFC000010380443',
+            qrIdentifier: reference,
+            amount: 1000,
+            transactionStatus: state.toUpperCase(),
+            paymentMode: 'UPI',
+            netAmount: '999.99'
+        }, state, 'fee_test');
+
+        await pay(`TXN_FEE_A_${suffix}`, 'success');
+        await pay(`TXN_FEE_B_${suffix}`, 'pending');
+
+        const find = (transactionId) => LocalTransactionStore.getTransactions().find(t => t.transactionId === transactionId);
+        let transaction = find(`TXN_FEE_A_${suffix}`);
+        this.check('Successful payment carries its fee breakdown', transaction.fees && transaction.fees.mdr_amount === 10 && transaction.fees.gst_amount === 1.8);
+        this.check('Net amount comes from the fees, not the callback', transaction.netAmount === 988.2, `${transaction.netAmount}`);
+
+        transaction = find(`TXN_FEE_B_${suffix}`);
+        this.check('Pending payment is not charged yet', transaction.fees === null && transaction.netAmount === null);
+
+        // The price rises after the first payment succeeded
+        LocalTransactionStore.saveCollection('merchant_config', LocalTransactionStore.getCollection('merchant_config').map(c =>
+            c.merchant_id === merchantId ? { ...c, transaction_charge_percent: 3 } : c
+        ));
+        await pay(`TXN_FEE_B_${suffix}`, 'success');
+        transaction = find(`TXN_FEE_B_${suffix}`);
+        this.check('Payment is charged at the pricing when it succeeds', transaction.fees && transaction.fees.mdr_amount === 30, `${transaction.fees && transaction.fees.mdr_amount}`);
+
+        const result = await SettlementService.settleMerchant(merchantId, { cutoff: new Date(Date.now() + 1000) });
+        this.check('Settlement deducts the fees each payment was charged',
+            result.success && result.settlement.charges === 40 && result.settlement.tax === 7.2 && result.settlement.net_settlement === 1952.8,
+            result.success ? `${result.settlement.charges}/${result.settlement.tax}/${result.settlement.net_settlement}` : result.error.code);
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new FeeCalculationTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = FeeCalculationTester;
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * Idempotency Test Script
+ * Checks Idempotency-Key on mutating merchant requests: a retry replays the
+ * first response without running the request again, the same key on a
+ * different request is a conflict, keys are scoped per tenant, and a key
+ * held by a running, failed or abandoned request is handled. Runs the
+ * merchant API in-process against a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+
+class IdempotencyTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Retries are safe.',
+            failMessage: 'Idempotency keys are broken. Do not deploy.'
+        });
+        this.server = null;
+        this.baseUrl = null;
+        this.keys = {};
+        this.suffix = Date.now().toString().slice(-6);
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   IDEMPOTENCY TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.startServer();
+            await this.seed();
+
+            await this.testReplay();
+            await this.testConflict();
+            await this.testScope();
+            await this.testClaims();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/merchant', require('../routes/api/v1/merchant'));
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}/api/v1/merchant`;
+    }
+
+    async request(method, endpoint, key, data = null, idempotencyKey = undefined) {
+        const headers = { 'X-API-Key': key.key_id, 'X-API-Secret': key.api_secret };
+        if (idempotencyKey !== undefined) {
+            headers['Idempotency-Key'] = idempotencyKey;
+        }
+
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${endpoint}`,
+            headers,
+            data,
+            validateStatus: () => true
+        });
+        return { status: response.status, headers: response.headers, body: response.data };
+    }
+
+    async seed() {
+        const ApiKeyService = require('../services/ApiKeyService');
+
+        const merchantA = `IDEM_A_${this.suffix}`;
+        this.keys.a = await ApiKeyService.createKey({ merchantId: merchantA, merchantName: 'Idempotency A' });
+        this.keys.b = await ApiKeyService.createKey({ merchantId: `IDEM_B_${this.suffix}`, merchantName: 'Idempotency B' });
+        this.keys.aOutlet = await ApiKeyService.createKey({
+            merchantId: merchantA,
+            merchantName: 'Idempotency A',
+            subMerchantId: `IDEMOUT${this.suffix}`
+        });
+    }
+
+    qrCount(key) {
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+        return LocalTransactionStore.getQRCodes().filter(q => q.owner_merchant_id === key.merchant_id).length;
+    }
+
+    async testReplay() {
+        console.log('📋 Testing replays...');
+
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const body = { merchant_name: 'Idempotency Test', merchant_id: `IDEMQR1${this.suffix}`, amount: 100 };
+        const first = await this.request('post', '/qr/generate', this.keys.a, body, `gen-${this.suffix}`);
+        this.check('First request runs', first.status === 200, `${first.status} ${JSON.stringify(first.body)}`);
+
+        const retry = await this.request('post', '/qr/generate', this.keys.a, body, `gen-${this.suffix}`);
+        this.check('Retry replays the first response',
+            retry.status === 200 && JSON.stringify(retry.body) === JSON.stringify(first.body), JSON.stringify(retry.body));
+        this.check('Replay is marked', retry.headers['idempotent-replayed'] === 'true');
+        this.check('Replay does not create another QR code', this.qrCount(this.keys.a) === 1, `${this.qrCount(this.keys.a)}`);
+
+        const unkeyed = await this.request('post', '/qr/generate', this.keys.a, body);
+        this.check('Without a key the repeat is a duplicate', unkeyed.status === 409 && unkeyed.body.code === 'DUPLICATE_QR', JSON.stringify(unkeyed.body));
+
+        const bulk = {
+            merchants: [
+                { merchant_name: 'Bulk One', merchant_id: `IDEMBK1${this.suffix}` },
+                { merchant_name: 'Bulk Two', merchant_id: `IDEMBK2${this.suffix}`, amount: 50 },
+                { merchant_name: 'Bulk Repeat', merchant_id: body.merchant_id },
+                { merchant_name: 'Bulk No ID' }
+            ]
+        };
+        const bulkFirst = await this.request('post', '/qr/bulk', this.keys.a, bulk, `bulk-${this.suffix}`);
+        const saved = (bulkFirst.body.results || []).map(r => LocalTransactionStore.getQRCodes().find(q => q.id === r.qr_id));
+        this.check('Bulk generation saves a QR code for each merchant',
+            bulkFirst.status === 200 && bulkFirst.body.successful === 2 &&
+            saved.every(q => q && q.qr_image && q.batch_id === bulkFirst.body.batch_id),
+            JSON.stringify(bulkFirst.body));
+        this.check('Bulk generation refuses merchants one by one',
+            (bulkFirst.body.errors || []).map(e => e.code).join() === 'DUPLICATE_QR,VALIDATION_ERROR',
+            JSON.stringify(bulkFirst.body.errors));
+
+        const bulkRetry = await this.request('post', '/qr/bulk', this.keys.a, bulk, `bulk-${this.suffix}`);
+        this.check('Bulk retry replays the same batch',
+            JSON.stringify(bulkRetry.body) === JSON.stringify(bulkFirst.body), JSON.stringify(bulkRetry.body));
+        this.check('Bulk retry does not create the QR codes again', this.qrCount(this.keys.a) === 3, `${this.qrCount(this.keys.a)}`);
+
+        const invalid = await this.request('post', '/qr/generate', this.keys.a, body, 'has space');
+        this.check('Malformed key is refused', invalid.status === 400 && invalid.body.code === 'INVALID_IDEMPOTENCY_KEY', JSON.stringify(invalid.body));
+
+        console.log();
+    }
+
+    async testConflict() {
+        console.log('📋 Testing conflicts...');
+
+        const key = `conflict-${this.suffix}`;
+        const body = { merchant_name: 'Conflict Test', merchant_id: `IDEMQR2${this.suffix}`, amount: 100 };
+        await this.request('post', '/qr/generate', this.keys.a, body, key);
+
+        let response = await this.request('post', '/qr/generate', this.keys.a, { ...body, amount: 200 }, key);
+        this.check('Same key with a different body is a conflict',
+            response.status === 409 && response.body.code === 'IDEMPOTENCY_KEY_REUSED', JSON.stringify(response.body));
+
+        // The bulk endpoint's key from testReplay; its bucket is too small to call it again
+        response = await this.request('post', '/qr/generate', this.keys.a, body, `bulk-${this.suffix}`);
+        this.check('Same key on a different endpoint is a conflict',
+            response.status === 409 && response.body.code === 'IDEMPOTENCY_KEY_REUSED', JSON.stringify(response.body));
+
+        const failed = await this.request('post', '/qr/generate', this.keys.a, { merchant_name: 'No Merchant ID' }, `invalid-${this.suffix}`);
+        const failedRetry = await this.request('post', '/qr/generate', this.keys.a, { merchant_name: 'No Merchant ID' }, `invalid-${this.suffix}`);
+        this.check('Client errors are stored and replayed',
+            failed.status === 400 && failedRetry.status === 400 && failedRetry.headers['idempotent-replayed'] === 'true');
+
+        console.log();
+    }
+
+    async testScope() {
+        console.log('📋 Testing tenant scope...');
+
+        const key = `shared-${this.suffix}`;
+        const own = await this.request('post', '/qr/generate', this.keys.a,
+            { merchant_name: 'Scope A', merchant_id: `IDEMQR3${this.suffix}` }, key);
+        const other = await this.request('post', '/qr/generate', this.keys.b,
+            { merchant_name: 'Scope B', merchant_id: `IDEMQR4${this.suffix}` }, key);
+        this.check('Another merchant may use the same key',
+            own.status === 200 && other.status === 200 && other.body.data.qr_id !== own.body.data.qr_id, JSON.stringify(other.body));
+
+        const outlet = await this.request('post', '/qr/generate', this.keys.aOutlet,
+            { merchant_name: 'Scope Outlet', merchant_id: `IDEMOUT${this.suffix}` }, key);
+        this.check('A sub-merchant does not share keys with its merchant',
+            outlet.status === 200 && outlet.headers['idempotent-replayed'] === undefined, JSON.stringify(outlet.body));
+
+        console.log();
+    }
+
+    async testClaims() {
+        console.log('📋 Testing claimed keys...');
+
+        const IdempotencyService = require('../services/IdempotencyService');
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const tenant = { merchantId: `IDEM_A_${this.suffix}`, subMerchantId: null, keyId: this.keys.a.key_id };
+        const claim = (idempotencyKey) => IdempotencyService.begin({ tenant, idempotencyKey, requestHash: 'hash' });
+
+        const first = await claim(`running-${this.suffix}`);
+        const second = await claim(`running-${this.suffix}`);
+        this.check('A retry while the first request runs is told to wait', first.state === 'new' && second.state === 'in_progress', second.state);
+
+        await IdempotencyService.release(first.recordKey, first.claimId);
+        this.check('A released key runs the request again', (await claim(`running-${this.suffix}`)).state === 'new');
+
+        const abandoned = await claim(`abandoned-${this.suffix}`);
+        await LocalTransactionStore.updateRecord('idempotency_keys', e => e.record_key === abandoned.recordKey,
+            { expires_at: new Date(Date.now() - 1000).toISOString() });
+        this.check('A key whose lock expired can be claimed again', (await claim(`abandoned-${this.suffix}`)).state === 'new');
+
+        const done = await claim(`done-${this.suffix}`);
+        await IdempotencyService.complete(done.recordKey, done.claimId, { status: 201, body: { secret: 'sk_live_stored' } });
+        const stored = LocalTransactionStore.getCollection('idempotency_keys').find(e => e.record_key === done.recordKey);
+        this.check('Stored responses are encrypted', stored && !stored.response_body.includes('sk_live_stored'));
+        const replay = await claim(`done-${this.suffix}`);
+        this.check('Completed key replays status and body',
+            replay.state === 'replay' && replay.response.status === 201 && replay.response.body.secret === 'sk_live_stored', JSON.stringify(replay));
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new IdempotencyTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = IdempotencyTester;
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Merchant Configuration Test Script
+ * Checks the versioning of the merchant configuration: every change bumps
+ * the version and is kept in the history with its actor, reason and values
+ * before and after, while refused or empty changes leave no version. Also
+ * checks the field-level permissions (merchants edit webhook settings,
+ * operators pricing and limits) through the merchant and admin APIs, and
+ * that pricing changes apply to the next fee calculation.
+ * Runs in-process against a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+
+process.env.ADMIN_API_KEY = 'config-test-admin-key';
+
+const ApiKeyService = require('../services/ApiKeyService');
+const FeeService = require('../services/FeeService');
+const MerchantConfigService = require('../services/MerchantConfigService');
+
+class MerchantConfigTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Configuration changes are permitted, versioned and applied.',
+            failMessage: 'Merchant configuration is broken. Do not deploy.'
+        });
+        this.server = null;
+        this.origin = null;
+        this.merchantId = `CONFIG_${Date.now().toString().slice(-6)}`;
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   MERCHANT CONFIGURATION TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.startServer();
+            this.key = await ApiKeyService.createKey({
+                merchantId: this.merchantId,
+                permissions: ['config.view', 'config.update']
+            });
+
+            await this.testDefaults();
+            await this.testMerchantChanges();
+            await this.testFieldPermissions();
+            await this.testOperatorChanges();
+            await this.testRefusedChanges();
+            await this.testHistory();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/merchant', require('../routes/api/v1/merchant'));
+        app.use('/api/admin', require('../routes/admin'));
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.origin = `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    async merchant(method, endpoint, data = null) {
+        const response = await axios({
+            method,
+            url: `${this.origin}/api/v1/merchant${endpoint}`,
+            headers: { 'X-API-Key': this.key.key_id, 'X-API-Secret': this.key.api_secret },
+            data,
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+    }
+
+    async admin(method, endpoint, data = null) {
+        const response = await axios({
+            method,
+            url: `${this.origin}/api/admin/merchants/${this.merchantId}${endpoint}`,
+            headers: { 'X-Admin-Key': process.env.ADMIN_API_KEY, 'X-Admin-User': 'ops-admin-1' },
+            data,
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+    }
+
+    async version() {
+        return (await MerchantConfigService.get(this.merchantId)).version;
+    }
+
+    async testDefaults() {
+        console.log('📋 Testing a merchant without a configuration...');
+
+        const { status, body } = await this.merchant('get', '/config/merchant');
+
+        this.check('The defaults are returned at version 0',
+            status === 200 && body.data.version === 0 && body.data.settlement_type === 'T+1' &&
+            body.data.transaction_charge_percent === 2,
+            `${status} ${JSON.stringify(body.data)}`);
+        this.check('Merchants are told which fields they may edit',
+            JSON.stringify(body.data.editable_fields) === JSON.stringify(['webhook_url', 'webhook_secret']),
+            JSON.stringify(body.data.editable_fields));
+
+        console.log();
+    }
+
+    async testMerchantChanges() {
+        console.log('📋 Testing merchant changes...');
+
+        const first = await this.merchant('put', '/config/merchant', {
+            webhook_url: 'https://merchant.example/hooks',
+            reason: 'Go live'
+        });
+        this.check('The first change creates version 1',
+            first.status === 200 && first.body.changed === true && first.body.data.version === 1,
+            `${first.status} ${JSON.stringify(first.body)}`);
+
+        const secret = 'a'.repeat(40);
+        const second = await this.merchant('put', '/config/merchant', { webhook_secret: secret });
+        this.check('Each change bumps the version', second.body.data.version === 2, JSON.stringify(second.body.data));
+        this.check('The secret is never returned', second.body.data.webhook_secret_set === true &&
+            !JSON.stringify(second.body).includes(secret));
+
+        const unchanged = await this.merchant('put', '/config/merchant', { webhook_url: 'https://merchant.example/hooks' });
+        this.check('A change to the same value creates no version',
+            unchanged.status === 200 && unchanged.body.changed === false && await this.version() === 2,
+            JSON.stringify(unchanged.body));
+
+        const removed = await this.merchant('put', '/config/merchant', { webhook_url: null });
+        this.check('Removing the URL removes its secret in the same version',
+            removed.body.data.version === 3 && removed.body.data.webhook_url === null && removed.body.data.webhook_secret_set === false,
+            JSON.stringify(removed.body.data));
+
+        console.log();
+    }
+
+    async testFieldPermissions() {
+        console.log('📋 Testing field-level permissions...');
+
+        const pricing = await this.merchant('put', '/config/merchant', {
+            webhook_url: 'https://merchant.example/hooks',
+            transaction_charge_percent: 0
+        });
+
+        this.check('Merchants cannot change pricing',
+            pricing.status === 403 && pricing.body.code === 'FORBIDDEN' &&
+            pricing.body.error === 'Only operators can change: transaction_charge_percent',
+            `${pricing.status} ${JSON.stringify(pricing.body)}`);
+        this.check('A refused request changes nothing, not even its allowed fields', await this.version() === 3);
+
+        const readOnly = await ApiKeyService.createKey({ merchantId: this.merchantId, permissions: ['config.view'] });
+        const refused = await axios.put(`${this.origin}/api/v1/merchant/config/merchant`, { webhook_url: null }, {
+            headers: { 'X-API-Key': readOnly.key_id, 'X-API-Secret': readOnly.api_secret },
+            validateStatus: () => true
+        });
+        this.check('A key without config.update cannot change anything',
+            refused.status === 403 && refused.data.code === 'PERMISSION_DENIED', String(refused.status));
+
+        const unauthenticated = await axios.put(`${this.origin}/api/admin/merchants/${this.merchantId}/config`,
+            { transaction_charge_percent: 0 }, { validateStatus: () => true });
+        this.check('The admin API requires the admin key', unauthenticated.status === 401);
+
+        console.log();
+    }
+
+    async testOperatorChanges() {
+        console.log('📋 Testing operator changes...');
+
+        const before = await FeeService.calculateFor(this.merchantId, 1000);
+        const result = await this.admin('put', '/config', {
+            transaction_charge_percent: 1.5,
+            transaction_charge_max: 10,
+            settlement_type: 'T+0',
+            reason: 'Negotiated rate'
+        });
+        const after = await FeeService.calculateFor(this.merchantId, 1000);
+
+        this.check('Operators can change pricing and settlement in one version',
+            result.status === 200 && result.body.data.version === 4 &&
+            result.body.data.transaction_charge_percent === 1.5 && result.body.data.settlement_type === 'T+0',
+            `${result.status} ${JSON.stringify(result.body)}`);
+        this.check('Operators may edit every field',
+            result.body.data.editable_fields.length === Object.keys(MerchantConfigService.FIELDS).length);
+        this.check('The next fee calculation uses the new pricing',
+            before.mdr_amount === 20 && after.mdr_amount === 10 && after.capped === 'max',
+            `${before.mdr_amount} -> ${after.mdr_amount}`);
+
+        console.log();
+    }
+
+    async testRefusedChanges() {
+        console.log('📋 Testing invalid changes...');
+
+        const cases = [
+            [{ transaction_charge_percent: 150 }, 'a percentage above 100'],
+            [{ settlement_type: 'T+9' }, 'an unknown settlement cycle'],
+            [{ transaction_charge_min: 20 }, 'a minimum fee above the maximum'],
+            [{ daily_transaction_limit: 5000, monthly_transaction_limit: 1000 }, 'a daily limit above the monthly one'],
+            [{ gst: 12 }, 'an unknown field'],
+            [{}, 'an empty change']
+        ];
+
+        for (const [changes, description] of cases) {
+            const result = await this.admin('put', '/config', changes);
+            this.check(`Refuses ${description}`,
+                result.status === 400 && result.body.code === 'VALIDATION_ERROR',
+                `${result.status} ${JSON.stringify(result.body)}`);
+        }
+
+        const webhookOnly = await this.merchant('put', '/config/merchant', { webhook_url: 'ftp://merchant.example' });
+        this.check('Refuses a webhook URL that is not HTTP(S)', webhookOnly.status === 400, String(webhookOnly.status));
+        this.check('Refused changes create no version', await this.version() === 4);
+
+        console.log();
+    }
+
+    async testHistory() {
+        console.log('📋 Testing the version history...');
+
+        const merchantView = await this.merchant('get', '/config/merchant/history');
+        const adminView = await this.admin('get', '/config/history');
+        const versions = merchantView.body.data.versions;
+        const [latest] = versions;
+        const adminLatest = adminView.body.data.versions[0];
+
+        this.check('Every version is listed, newest first',
+            merchantView.status === 200 && versions.map(v => v.version).join(',') === '4,3,2,1',
+            versions.map(v => v.version).join(','));
+        this.check('A version records the values before and after',
+            JSON.stringify(latest.changes.transaction_charge_percent) === JSON.stringify({ from: 2, to: 1.5 }) &&
+            JSON.stringify(latest.changes.settlement_type) === JSON.stringify({ from: 'T+1', to: 'T+0' }),
+            JSON.stringify(latest.changes));
+        this.check('A version records who made it and why',
+            adminLatest.changed_by_type === 'admin' && adminLatest.changed_by === 'ops-admin-1' &&
+            adminLatest.reason === 'Negotiated rate',
+            JSON.stringify(adminLatest));
+        this.check('Merchants see that an operator changed it, not which one',
+            latest.changed_by_type === 'admin' && latest.changed_by === null);
+        this.check('Merchant changes record the API key that made them',
+            versions[3].changed_by === this.key.key_id && versions[3].reason === 'Go live');
+        this.check('Secrets are recorded only as set or removed',
+            JSON.stringify(versions[2].changes.webhook_secret) === JSON.stringify({ from: null, to: '[set]' }) &&
+            JSON.stringify(versions[1].changes.webhook_secret) === JSON.stringify({ from: '[set]', to: null }),
+            JSON.stringify(versions[2].changes));
+
+        const page = await this.merchant('get', '/config/merchant/history?limit=2&page=2');
+        this.check('The history is paginated',
+            page.body.data.versions.map(v => v.version).join(',') === '2,1' &&
+            page.body.data.pagination.total === 4 && page.body.data.pagination.pages === 2,
+            JSON.stringify(page.body.data.pagination));
+
+        console.log();
+    }
+}
+
+if (require.main === module) {
+    const tester = new MerchantConfigTester();
+    tester.run().catch(console.error);
+}
+
+module.exports = MerchantConfigTester;
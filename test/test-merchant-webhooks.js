@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Merchant Webhook Test Script
+ * Delivers events to a local receiver and checks that every request carries
+ * an X-Webhook-Signature that verifyWebhookSignature accepts with the
+ * subscription's secret, that failed attempts are retried with backoff until
+ * MERCHANT_WEBHOOK_MAX_ATTEMPTS, and that redelivery sends the same event again.
+ * Runs in-process against a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+
+process.env.MERCHANT_WEBHOOK_RETRY_BASE_MS = '1000';
+process.env.MERCHANT_WEBHOOK_RETRY_MAX_MS = '5000';
+process.env.MERCHANT_WEBHOOK_MAX_ATTEMPTS = '3';
+
+const ApiKeyService = require('../services/ApiKeyService');
+const MerchantEventService = require('../services/MerchantEventService');
+const MerchantWebhookService = require('../services/MerchantWebhookService');
+const MerchantWebhookDispatcher = require('../services/MerchantWebhookDispatcher');
+const LocalTransactionStore = require('../services/LocalTransactionStore');
+const { verifyWebhookSignature } = require('../middleware/apiAuth');
+
+class MerchantWebhookTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Merchant webhooks are signed, retried and redelivered.',
+            failMessage: 'Merchant webhook delivery is broken. Do not deploy.'
+        });
+        this.api = null;
+        this.receiver = null;
+        this.baseUrl = null;
+        this.receiverUrl = null;
+        this.merchantId = `HOOKS_${Date.now().toString().slice(-6)}`;
+        // Requests the receiver got, oldest first
+        this.received = [];
+        // Status the receiver answers with
+        this.responseStatus = 200;
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   MERCHANT WEBHOOK TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.startServers();
+            this.key = await ApiKeyService.createKey({
+                merchantId: this.merchantId,
+                permissions: ['webhooks.manage']
+            });
+
+            await this.testSignatures();
+            await this.testRetries();
+            await this.testRedelivery();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            MerchantWebhookDispatcher.stop();
+            for (const server of [this.api, this.receiver]) {
+                if (server) {
+                    server.close();
+                }
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServers() {
+        const api = express();
+        api.use(express.json());
+        api.use('/api/v1/merchant', require('../routes/api/v1/merchant'));
+
+        // Keeps the raw body, as a merchant must to check the signature
+        const receiver = express();
+        receiver.post('/hooks', express.text({ type: '*/*' }), (req, res) => {
+            this.received.push({ headers: req.headers, body: req.body });
+            res.status(this.responseStatus).send(this.responseStatus === 200 ? 'ok' : 'unavailable');
+        });
+
+        this.api = http.createServer(api);
+        this.receiver = http.createServer(receiver);
+        await new Promise(resolve => this.api.listen(0, '127.0.0.1', resolve));
+        await new Promise(resolve => this.receiver.listen(0, '127.0.0.1', resolve));
+
+        this.baseUrl = `http://127.0.0.1:${this.api.address().port}/api/v1/merchant`;
+        this.receiverUrl = `http://127.0.0.1:${this.receiver.address().port}/hooks`;
+    }
+
+    async request(method, endpoint, data = null) {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${endpoint}`,
+            headers: { 'X-API-Key': this.key.key_id, 'X-API-Secret': this.key.api_secret },
+            data,
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+    }
+
+    /**
+     * Wait until a delivery leaves the given statuses after an attempt
+     */
+    async waitForDelivery(deliveryId, pending = ['pending', 'sending']) {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const delivery = await MerchantWebhookService.findDelivery(deliveryId);
+            if (delivery && !pending.includes(delivery.status)) {
+                return delivery;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Delivery ${deliveryId} was not attempted`);
+    }
+
+    // Move a scheduled retry into the past, as if its delay had elapsed
+    makeDue(deliveryId) {
+        return LocalTransactionStore.updateRecord('merchant_webhook_deliveries',
+            d => d.delivery_id === deliveryId,
+            { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+    }
+
+    async publish() {
+        await MerchantEventService.publish('transaction.success', this.merchantId, {
+            transaction_id: `TXN_${this.received.length}_${Date.now()}`,
+            amount: 250
+        });
+        const deliveries = LocalTransactionStore.getCollection('merchant_webhook_deliveries');
+        return deliveries[deliveries.length - 1];
+    }
+
+    async testSignatures() {
+        console.log('📋 Testing signatures...');
+
+        const registered = await this.request('post', '/webhooks/register', {
+            url: this.receiverUrl,
+            events: ['transaction.success']
+        });
+        this.check('The subscription is created with its secret',
+            registered.status === 201 && /^whsec_[0-9a-f]{64}$/.test(registered.body.data.secret || ''),
+            `${registered.status} ${JSON.stringify(registered.body)}`);
+        this.secret = registered.body.data.secret;
+
+        const listed = await this.request('get', '/webhooks');
+        this.check('The secret is not returned again', !JSON.stringify(listed.body).includes(this.secret));
+
+        const delivery = await this.publish();
+        const result = await this.waitForDelivery(delivery.delivery_id);
+        const [request] = this.received;
+        const payload = JSON.parse(request.body);
+        const signature = request.headers['x-webhook-signature'];
+
+        this.check('The event is delivered', result.status === 'delivered' && result.attempt_count === 1,
+            `${result.status} ${result.attempt_count}`);
+        this.check('The request names the event and delivery',
+            request.headers['x-webhook-event'] === 'transaction.success' &&
+            request.headers['x-webhook-delivery'] === delivery.delivery_id &&
+            payload.event_id === delivery.event_id);
+        this.check('The signature verifies with the subscription secret',
+            verifyWebhookSignature(payload, signature, this.secret) === true);
+        this.check('The signature does not verify with another secret',
+            verifyWebhookSignature(payload, signature, `whsec_${'0'.repeat(64)}`) === false);
+        this.check('The signature does not verify a modified payload',
+            verifyWebhookSignature({ ...payload, data: { ...payload.data, amount: 1 } }, signature, this.secret) === false);
+
+        const test = await this.request('post', '/webhooks/test', { webhook_id: registered.body.data.webhook_id });
+        const testRequest = this.received[this.received.length - 1];
+        this.check('A test event is sent signed',
+            test.status === 200 && test.body.data.delivered === true &&
+            verifyWebhookSignature(JSON.parse(testRequest.body), testRequest.headers['x-webhook-signature'], this.secret),
+            `${test.status} ${JSON.stringify(test.body)}`);
+
+        console.log();
+    }
+
+    async testRetries() {
+        console.log('📋 Testing retry scheduling...');
+
+        const delays = [1, 2, 3, 4].map(attempt => MerchantWebhookDispatcher.getRetryDelay(attempt));
+        this.check('Delay doubles with each attempt and is capped',
+            delays.join(',') === '1000,2000,4000,5000', delays.join(', '));
+
+        this.responseStatus = 503;
+        const before = Date.now();
+        const delivery = await this.publish();
+        const first = await this.waitForDelivery(delivery.delivery_id);
+        const firstDelay = new Date(first.next_attempt_at).getTime() - before;
+
+        this.check('A failed attempt schedules a retry',
+            first.status === 'retrying' && first.attempt_count === 1 && first.response_status === 503,
+            `${first.status} ${first.attempt_count} ${first.response_status}`);
+        this.check('The first retry waits the base delay', firstDelay >= 1000 && firstDelay < 1500, `${firstDelay}ms`);
+        this.check('The error is recorded', first.error_message === 'HTTP 503' && first.response_body === 'unavailable');
+
+        const sent = this.received.length;
+        await MerchantWebhookDispatcher.poll();
+        this.check('A retry is not attempted before it is due', this.received.length === sent);
+
+        await this.makeDue(delivery.delivery_id);
+        const beforeSecond = Date.now();
+        await MerchantWebhookDispatcher.poll();
+        const second = await MerchantWebhookService.findDelivery(delivery.delivery_id);
+        const secondDelay = new Date(second.next_attempt_at).getTime() - beforeSecond;
+
+        this.check('The second retry waits twice as long',
+            second.attempt_count === 2 && secondDelay >= 2000 && secondDelay < 2500,
+            `${second.attempt_count} ${secondDelay}ms`);
+
+        await this.makeDue(delivery.delivery_id);
+        await MerchantWebhookDispatcher.poll();
+        const failed = await MerchantWebhookService.findDelivery(delivery.delivery_id);
+        const attempts = this.received.slice(sent - 1);
+
+        this.check('It fails after MERCHANT_WEBHOOK_MAX_ATTEMPTS',
+            failed.status === 'failed' && failed.attempt_count === MerchantWebhookDispatcher.MAX_ATTEMPTS && failed.next_attempt_at === null,
+            `${failed.status} ${failed.attempt_count}`);
+        this.check('Every attempt sends the same signed event',
+            attempts.length === 3 && attempts.every(r => r.body === attempts[0].body &&
+                r.headers['x-webhook-signature'] === attempts[0].headers['x-webhook-signature']),
+            String(attempts.length));
+
+        await this.makeDue(delivery.delivery_id);
+        await MerchantWebhookDispatcher.poll();
+        this.check('A failed delivery is not picked up again', this.received.length === sent + 2);
+
+        this.failedDelivery = failed;
+        this.responseStatus = 200;
+        console.log();
+    }
+
+    async testRedelivery() {
+        console.log('📋 Testing redelivery...');
+
+        const sent = this.received.length;
+        const response = await this.request('post', `/webhooks/deliveries/${this.failedDelivery.delivery_id}/redeliver`);
+        const redelivery = response.body.data || {};
+        const result = await this.waitForDelivery(redelivery.delivery_id);
+        const request = this.received[sent];
+
+        this.check('Redelivery is accepted as a new delivery',
+            response.status === 202 && redelivery.delivery_id !== this.failedDelivery.delivery_id &&
+            redelivery.redelivery_of === this.failedDelivery.delivery_id,
+            `${response.status} ${JSON.stringify(response.body)}`);
+        this.check('The redelivery is sent and delivered',
+            result.status === 'delivered' && result.attempt_count === 1 && result.redelivery_of === this.failedDelivery.delivery_id,
+            `${result.status} ${result.attempt_count}`);
+        this.check('It carries the same event under its own delivery id',
+            request && JSON.parse(request.body).event_id === this.failedDelivery.event_id &&
+            request.headers['x-webhook-delivery'] === redelivery.delivery_id);
+        this.check('Its signature verifies',
+            request && verifyWebhookSignature(JSON.parse(request.body), request.headers['x-webhook-signature'], this.secret));
+
+        const original = await MerchantWebhookService.findDelivery(this.failedDelivery.delivery_id);
+        this.check('The original delivery keeps its outcome', original.status === 'failed');
+
+        const unknown = await this.request('post', '/webhooks/deliveries/whd_unknown/redeliver');
+        this.check('An unknown delivery cannot be redelivered', unknown.status === 404 && unknown.body.code === 'NOT_FOUND');
+
+        console.log();
+    }
+}
+
+if (require.main === module) {
+    const tester = new MerchantWebhookTester();
+    tester.run().catch(console.error);
+}
+
+module.exports = MerchantWebhookTester;
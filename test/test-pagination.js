@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Pagination Test Script
+ * Checks cursor pagination of /qr/list and /transactions: walking every page
+ * returns each row exactly once, newest first, even while new payments and
+ * QR codes arrive between pages, and rows sharing a timestamp are ordered by
+ * ID. Also checks page sizes and invalid cursors. Runs the merchant API
+ * in-process against a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+const { MAX_PAGE_SIZE, encodeCursor } = require('../utils/cursor');
+
+class PaginationTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Pages hold still while payments stream in.',
+            failMessage: 'Pagination is broken. Do not deploy.'
+        });
+        this.server = null;
+        this.baseUrl = null;
+        this.key = null;
+        this.merchantId = null;
+        this.reference = null;
+        this.suffix = Date.now().toString().slice(-6);
+        this.sequence = 0;
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   PAGINATION TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.startServer();
+            await this.seed();
+
+            await this.testTransactionPages();
+            await this.testQRCodePages();
+            await this.testPageSizes();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/merchant', require('../routes/api/v1/merchant'));
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}/api/v1/merchant`;
+    }
+
+    async request(method, endpoint, data = null) {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${endpoint}`,
+            headers: { 'X-API-Key': this.key.key_id, 'X-API-Secret': this.key.api_secret },
+            data,
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+    }
+
+    async seed() {
+        const ApiKeyService = require('../services/ApiKeyService');
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        this.merchantId = `PAGES_${this.suffix}`;
+        this.reference = `PAGEQR${this.suffix}`;
+        this.key = await ApiKeyService.createKey({ merchantId: this.merchantId, merchantName: 'Pagination Test' });
+        await LocalTransactionStore.saveQRCode({
+            id: `PAGEQR${this.suffix}`,
+            transaction_ref: this.reference,
+            owner_merchant_id: this.merchantId,
+            merchant_id: null,
+            status: 'active',
+            created_at: '2026-10-01T00:00:00.000Z'
+        });
+    }
+
+    /**
+     * Record a payment at a given time; payments made "now" get increasing times
+     */
+    async pay(createdAt = null) {
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        this.sequence++;
+        const transactionId = `TXN_PAGE_${String(this.sequence).padStart(2, '0')}_${this.suffix}`;
+        await LocalTransactionStore.saveTransaction({
+            transactionId,
+            merchantId: 'HDFC000010380443',
+            qrIdentifier: this.reference,
+            amount: 100,
+            transactionStatus: 'SUCCESS',
+            paymentMode: 'UPI'
+        }, 'success', 'pagination_test');
+
+        const at = createdAt || new Date(Date.parse('2026-10-19T00:00:00Z') + this.sequence * 1000).toISOString();
+        LocalTransactionStore.saveTransactions(LocalTransactionStore.getTransactions().map(t =>
+            t.transactionId === transactionId ? { ...t, createdAt: at } : t));
+        return transactionId;
+    }
+
+    /**
+     * Walk a listing page by page; between pages `between(pageNumber)` may add rows
+     */
+    async walk(endpoint, field, idOf, limit, between = async () => {}) {
+        const seen = [];
+        let cursor = null;
+        let pages = 0;
+
+        do {
+            const query = `limit=${limit}${cursor ? `&cursor=${cursor}` : ''}`;
+            const { status, body } = await this.request('get', `${endpoint}?${query}`);
+            if (status !== 200) {
+                throw new Error(`${endpoint} failed: ${status} ${JSON.stringify(body)}`);
+            }
+
+            seen.push(...body.data[field].map(idOf));
+            cursor = body.data.pagination.next_cursor;
+            pages++;
+
+            if (body.data.pagination.has_more !== Boolean(cursor)) {
+                throw new Error('has_more and next_cursor disagree');
+            }
+            await between(pages);
+        } while (cursor && pages < 50);
+
+        return seen;
+    }
+
+    async testTransactionPages() {
+        console.log('📋 Testing transaction pages while payments arrive...');
+
+        // Seven payments at 00:00:01 to 00:00:05; the last two share 00:00:03 with the third
+        const initial = [];
+        for (let i = 0; i < 5; i++) {
+            initial.push(await this.pay());
+        }
+        initial.push(await this.pay('2026-10-19T00:00:03.000Z'));
+        initial.push(await this.pay('2026-10-19T00:00:03.000Z'));
+
+        const arrived = [];
+        const seen = await this.walk('/transactions', 'transactions', t => t.transactionId, 3, async () => {
+            arrived.push(await this.pay(new Date().toISOString()));
+        });
+
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+        const expected = [5, 4, 7, 6, 3, 2, 1].map(n => initial[n - 1]);
+
+        this.check('Every payment present at the start is returned once',
+            seen.length === initial.length && initial.every(id => seen.includes(id)), seen.join(','));
+        this.check('Payments arriving between pages do not shift or repeat rows',
+            !seen.some(id => arrived.includes(id)) && new Set(seen).size === seen.length, seen.join(','));
+        this.check('Rows are newest first, ties ordered by ID', seen.join(',') === expected.join(','), seen.join(','));
+
+        const fresh = await this.walk('/transactions', 'transactions', t => t.transactionId, 100);
+        this.check('A new walk starts with the newest payments',
+            fresh.length === initial.length + arrived.length && arrived.every(id => fresh.indexOf(id) < arrived.length), fresh.slice(0, 4).join(','));
+
+        // A status change does not move a payment between pages
+        const first = await this.request('get', '/transactions?limit=4');
+        await LocalTransactionStore.saveTransaction({
+            transactionId: first.body.data.transactions[3].transactionId,
+            merchantId: 'HDFC000010380443',
+            transactionStatus: 'REVERSED'
+        }, 'reversed', 'pagination_test');
+        const next = await this.request('get', `/transactions?limit=4&cursor=${first.body.data.pagination.next_cursor}`);
+        const fromStart = await this.request('get', '/transactions?limit=5');
+        this.check('Updated payments keep their place',
+            next.body.data.transactions[0].transactionId === fromStart.body.data.transactions[4].transactionId);
+
+        console.log();
+    }
+
+    async testQRCodePages() {
+        console.log('📋 Testing QR code pages while QR codes are added...');
+
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const add = (name, createdAt) => LocalTransactionStore.saveQRCode({
+            id: `PQR${name}${this.suffix}`,
+            transaction_ref: `PQRREF${name}${this.suffix}`,
+            owner_merchant_id: this.merchantId,
+            merchant_id: `PQROUT${name}${this.suffix}`,
+            status: 'active',
+            created_at: createdAt
+        });
+
+        const initial = [`PAGEQR${this.suffix}`];
+        for (const [name, createdAt] of [['A', '2026-10-02T00:00:00.000Z'], ['B', '2026-10-03T00:00:00.000Z'], ['C', '2026-10-03T00:00:00.000Z'], ['D', '2026-10-04T00:00:00.000Z']]) {
+            await add(name, createdAt);
+            initial.push(`PQR${name}${this.suffix}`);
+        }
+
+        let added = 0;
+        const seen = await this.walk('/qr/list', 'qr_codes', qr => qr.qr_id, 2, async () => {
+            added++;
+            await add(`NEW${added}`, new Date().toISOString());
+        });
+
+        this.check('Every QR code present at the start is returned once, newest first',
+            seen.join(',') === [`PQRD${this.suffix}`, `PQRC${this.suffix}`, `PQRB${this.suffix}`, `PQRA${this.suffix}`, `PAGEQR${this.suffix}`].join(','),
+            seen.join(','));
+
+        console.log();
+    }
+
+    async testPageSizes() {
+        console.log('📋 Testing page sizes and cursors...');
+
+        let response = await this.request('get', '/transactions?limit=1000');
+        this.check(`Page size is capped at ${MAX_PAGE_SIZE}`, response.body.data.pagination.limit === MAX_PAGE_SIZE, `${response.body.data.pagination.limit}`);
+
+        response = await this.request('get', '/transactions?limit=0');
+        this.check('Page size is at least 1', response.body.data.transactions.length === 1, `${response.body.data.transactions.length}`);
+
+        response = await this.request('get', '/transactions?limit=100');
+        this.check('The last page has no cursor', response.body.data.pagination.has_more === false && response.body.data.pagination.next_cursor === null);
+
+        response = await this.request('get', '/transactions?cursor=not-a-cursor');
+        this.check('A malformed cursor is refused', response.status === 400 && response.body.code === 'INVALID_CURSOR', JSON.stringify(response.body));
+
+        response = await this.request('get', `/qr/list?cursor=${encodeCursor(['2026-10-19', 'PQR'])}`);
+        this.check('A cursor with the wrong key types is refused', response.status === 400 && response.body.code === 'INVALID_CURSOR', JSON.stringify(response.body));
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new PaginationTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = PaginationTester;
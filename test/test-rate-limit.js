@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Rate Limit Test Script
+ * Checks the token buckets behind the merchant API: capacity, refill, endpoint
+ * groups, the 429 response and what happens when the store is unreachable.
+ * Bucket checks run against the memory store and the Redis store (with the
+ * fake client), so both stay interchangeable; the middleware checks use a
+ * temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+const RateLimitStores = require('../services/rateLimit');
+
+class RateLimitTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Rate limits hold.',
+            failMessage: 'Rate limiting is broken. Do not deploy.'
+        });
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   RATE LIMIT TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            for (const name of ['memory', 'redis-fake']) {
+                await this.testBucket(name);
+            }
+            this.testStoreConfig();
+            await this.testMiddleware();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        }
+
+        this.printResults();
+    }
+
+    async testBucket(storeName) {
+        console.log(`📋 Testing token buckets (${storeName})...`);
+
+        const store = RateLimitStores.createStore(storeName);
+        const limit = { capacity: 5, refillPerSecond: 1 };
+        const start = Date.now();
+
+        let allowed = 0;
+        let last;
+        for (let i = 0; i < 8; i++) {
+            last = await store.take('bucket', limit, { now: start });
+            if (last.allowed) {
+                allowed++;
+            }
+        }
+        this.check(`[${storeName}] Burst is capped at capacity`, allowed === 5, `${allowed} allowed`);
+        this.check(`[${storeName}] Denied request says when to retry`, last.retryAfterMs === 1000, `${last.retryAfterMs}ms`);
+
+        last = await store.take('bucket', limit, { now: start + 1000 });
+        this.check(`[${storeName}] Tokens refill at the sustained rate`, last.allowed && last.remaining === 0);
+
+        last = await store.take('bucket', limit, { now: start + 1500 });
+        this.check(`[${storeName}] No more than the sustained rate after a burst`, !last.allowed);
+
+        last = await store.take('bucket', limit, { now: start + 60000 });
+        this.check(`[${storeName}] Bucket refills to capacity, no further`, last.allowed && last.remaining === 4);
+
+        last = await store.take('other', limit, { now: start });
+        this.check(`[${storeName}] Buckets are independent`, last.allowed && last.remaining === 4);
+
+        console.log();
+    }
+
+    testStoreConfig() {
+        console.log('📋 Testing store configuration...');
+
+        let error = null;
+        try {
+            RateLimitStores.createStore('redsi');
+        } catch (e) {
+            error = e;
+        }
+        this.check('Unknown store name is refused', error && /Unknown rate limit store/.test(error.message));
+
+        let resolved = false;
+        try {
+            resolved = Boolean(require.resolve('ioredis'));
+        } catch (e) {
+            // Not installed
+        }
+        this.check('Redis client for the redis store is installed', resolved);
+
+        console.log();
+    }
+
+    async testMiddleware() {
+        console.log('📋 Testing the merchant API middleware...');
+
+        RateLimitStores.setStore(RateLimitStores.createStore('redis-fake'));
+        const ApiKeyService = require('../services/ApiKeyService');
+        const { authenticateAPI, requirePermission, rateLimit } = require('../middleware/apiAuth');
+
+        const merchantId = `RATE_${Date.now().toString().slice(-6)}`;
+        const strictKey = await ApiKeyService.createKey({ merchantId, merchantName: 'Rate Test', rateLimit: 3 });
+        const bulkKey = await ApiKeyService.createKey({ merchantId, merchantName: 'Rate Test' });
+        const otherKey = await ApiKeyService.createKey({ merchantId, merchantName: 'Rate Test' });
+        const refusedKey = await ApiKeyService.createKey({ merchantId, merchantName: 'Rate Test', permissions: ['qr.list'] });
+
+        const app = express();
+        app.get('/limited', authenticateAPI, (req, res) => res.json({ success: true }));
+        app.post('/bulk', authenticateAPI, requirePermission('qr.generate'), rateLimit('qr.bulk'), (req, res) => res.json({ success: true }));
+
+        const server = http.createServer(app);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+        const send = (method, path, key) => axios({
+            method,
+            url: `${baseUrl}${path}`,
+            headers: { 'X-API-Key': key.key_id, 'X-API-Secret': key.api_secret },
+            validateStatus: () => true
+        });
+
+        try {
+            const statuses = [];
+            for (let i = 0; i < 4; i++) {
+                statuses.push((await send('get', '/limited', strictKey)).status);
+            }
+            this.check('Key bucket capacity never exceeds its per-minute limit', statuses.join() === '200,200,200,429', statuses.join());
+
+            const bulk = [];
+            let response;
+            for (let i = 0; i < 3; i++) {
+                response = await send('post', '/bulk', bulkKey);
+                bulk.push(response.status);
+            }
+            this.check('Endpoint group has its own bucket', bulk.join() === '200,200,429', bulk.join());
+            this.check('429 carries Retry-After in seconds',
+                parseInt(response.headers['retry-after']) >= 1, response.headers['retry-after']);
+            this.check('429 body has code RATE_LIMITED', response.data.code === 'RATE_LIMITED');
+            this.check('Headers describe the exhausted group bucket',
+                response.headers['x-ratelimit-remaining'] === '0' && response.headers['x-ratelimit-limit'] === '10');
+
+            response = await send('post', '/bulk', otherKey);
+            this.check('Other keys are not affected', response.status === 200);
+
+            const refused = [];
+            for (let i = 0; i < 3; i++) {
+                refused.push((await send('post', '/bulk', refusedKey)).status);
+            }
+            await ApiKeyService.updatePermissions(refusedKey.key_id, ['qr.list', 'qr.generate']);
+            const granted = [];
+            for (let i = 0; i < 3; i++) {
+                granted.push((await send('post', '/bulk', refusedKey)).status);
+            }
+            this.check('Calls refused for a missing permission use no tokens',
+                refused.join() === '403,403,403' && granted.join() === '200,200,429', `${refused.join()} then ${granted.join()}`);
+
+            // A store that cannot be reached
+            const RateLimitService = require('../services/RateLimitService');
+            RateLimitStores.setStore({ take: async () => { throw new Error('connection refused'); } });
+
+            response = await send('get', '/limited', otherKey);
+            this.check('Unreachable store lets requests through by default', response.status === 200, `${response.status}`);
+
+            RateLimitService.FAIL_OPEN = false;
+            response = await send('get', '/limited', otherKey);
+            this.check('Unreachable store refuses requests with RATE_LIMIT_FAIL_OPEN=false',
+                response.status === 503 && response.data.code === 'RATE_LIMIT_UNAVAILABLE', `${response.status} ${JSON.stringify(response.data)}`);
+        } finally {
+            server.close();
+        }
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new RateLimitTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = RateLimitTester;
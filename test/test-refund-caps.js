@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Refund Cap Test Script
+ * Checks that partial refunds on a payment can never add up to more than was
+ * paid: refunds still with the bank count towards the cap, failed ones free
+ * their amount, a full refund takes what is left, and amounts are compared in
+ * paise. The bank is a scripted adapter. Uses a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const BankAdapters = require('../services/banks');
+
+const ACQUIRER = 'refundtest';
+
+// Answers refunds from a script; anything unscripted stays processing
+class ScriptedBank {
+    constructor() {
+        this.code = ACQUIRER;
+        this.answers = [];
+    }
+
+    async refund() {
+        return this.answers.shift() || { status: 'processing' };
+    }
+}
+
+class RefundCapTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Refunds stay within what was paid.',
+            failMessage: 'Refund caps are broken. Do not deploy.'
+        });
+        this.bank = new ScriptedBank();
+        this.tenant = null;
+        this.suffix = Date.now().toString().slice(-6);
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   REFUND CAP TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            BankAdapters.registerAdapter(this.bank);
+            await this.seed();
+
+            await this.testCumulativeCap();
+            await this.testFailedRefunds();
+            await this.testPaise();
+            await this.testValidation();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        }
+
+        this.printResults();
+    }
+
+    async seed() {
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const merchantId = `REFUND_${this.suffix}`;
+        this.tenant = { merchantId, subMerchantId: null, keyId: 'refund_test' };
+        this.reference = `RFDQR${this.suffix}`;
+        await LocalTransactionStore.saveQRCode({ transaction_ref: this.reference, owner_merchant_id: merchantId, merchant_id: null });
+    }
+
+    async pay(name, amount, state = 'success') {
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const transactionId = `TXN_RFD_${name}_${this.suffix}`;
+        await LocalTransactionStore.saveTransaction({
+            transactionId,
+            merchantId: 'HDFC000010380443',
+            qrIdentifier: this.reference,
+            acquirer: ACQUIRER,
+            amount,
+            transactionStatus: state.toUpperCase(),
+            paymentMode: 'UPI'
+        }, state, 'refund_test');
+        return transactionId;
+    }
+
+    refund(transactionId, amount, answer = null) {
+        const RefundService = require('../services/RefundService');
+
+        if (answer) {
+            this.bank.answers.push(answer);
+        }
+        return RefundService.initiate(this.tenant, transactionId, amount === 'full'
+            ? { refund_type: 'full', reason: 'Test refund' }
+            : { refund_type: 'partial', refund_amount: amount, reason: 'Test refund' });
+    }
+
+    status(transactionId) {
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+        return LocalTransactionStore.getTransactions().find(t => t.transactionId === transactionId).status;
+    }
+
+    async testCumulativeCap() {
+        console.log('📋 Testing the cumulative cap...');
+
+        const transactionId = await this.pay('CAP', 1000);
+
+        let result = await this.refund(transactionId, 300);
+        this.check('First partial refund is accepted', result.success && result.refundable_amount === 700, JSON.stringify(result));
+
+        result = await this.refund(transactionId, 800);
+        this.check('Refund over what is left is refused while the first is still with the bank',
+            !result.success && result.error.code === 'REFUND_LIMIT_EXCEEDED', JSON.stringify(result));
+
+        result = await this.refund(transactionId, 500, { status: 'success', bankReference: `BRF1${this.suffix}` });
+        this.check('Refund within what is left is accepted', result.success && result.refundable_amount === 200, JSON.stringify(result));
+        this.check('A succeeded partial refund marks the payment partial_refunded', this.status(transactionId) === 'PARTIAL_REFUNDED', this.status(transactionId));
+
+        result = await this.refund(transactionId, 'full', { status: 'success' });
+        this.check('Full refund takes only what is left', result.success && result.refund.refund_amount === 200, JSON.stringify(result.refund));
+
+        result = await this.refund(transactionId, 0.01);
+        this.check('Nothing can be refunded once the cap is reached',
+            !result.success && result.error.code === 'NOT_REFUNDABLE', JSON.stringify(result));
+
+        // The bank confirms the first refund, still processing
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+        const RefundService = require('../services/RefundService');
+        const pending = LocalTransactionStore.getCollection('refunds')
+            .find(r => r.transaction_id === transactionId && r.status === 'processing');
+        await RefundService.applyBankAnswer(pending, { status: 'success' });
+        this.check('Payment is refunded once every refund has succeeded', this.status(transactionId) === 'REFUNDED', this.status(transactionId));
+
+        console.log();
+    }
+
+    async testFailedRefunds() {
+        console.log('📋 Testing failed refunds...');
+
+        const transactionId = await this.pay('FAIL', 500);
+
+        let result = await this.refund(transactionId, 400, { status: 'failed', message: 'Rejected by bank' });
+        this.check('Bank rejection fails the refund', result.success && result.refund.status === 'failed', JSON.stringify(result.refund));
+
+        result = await this.refund(transactionId, 500);
+        this.check('A failed refund does not count towards the cap', result.success && result.refundable_amount === 0, JSON.stringify(result));
+
+        const unpaid = await this.pay('UNPAID', 500, 'failed');
+        result = await this.refund(unpaid, 100);
+        this.check('A failed payment cannot be refunded', !result.success && result.error.code === 'NOT_REFUNDABLE', JSON.stringify(result));
+
+        result = await this.refund(`TXN_RFD_MISSING_${this.suffix}`, 100);
+        this.check('A missing payment is not found', !result.success && result.error.code === 'NOT_FOUND');
+
+        console.log();
+    }
+
+    async testPaise() {
+        console.log('📋 Testing paise arithmetic...');
+
+        const transactionId = await this.pay('PAISE', 100.10);
+
+        await this.refund(transactionId, 33.37);
+        let result = await this.refund(transactionId, 33.37);
+        this.check('Partial refunds add up in paise', result.success && result.refundable_amount === 33.36, JSON.stringify(result));
+
+        result = await this.refund(transactionId, 33.37);
+        this.check('One paisa over the cap is refused', !result.success && result.error.code === 'REFUND_LIMIT_EXCEEDED', JSON.stringify(result));
+
+        result = await this.refund(transactionId, 33.36);
+        this.check('The exact remainder is accepted', result.success && result.refundable_amount === 0, JSON.stringify(result));
+
+        console.log();
+    }
+
+    async testValidation() {
+        console.log('📋 Testing validation...');
+
+        const transactionId = await this.pay('VALID', 100);
+
+        let result = await this.refund(transactionId, 10.005);
+        this.check('More than 2 decimals is refused', !result.success && result.error.code === 'VALIDATION_ERROR', JSON.stringify(result));
+
+        result = await this.refund(transactionId, -5);
+        this.check('Negative amounts are refused', !result.success && result.error.code === 'VALIDATION_ERROR');
+
+        const RefundService = require('../services/RefundService');
+        result = await RefundService.initiate(this.tenant, transactionId, { refund_type: 'full' });
+        this.check('A reason is required', !result.success && result.error.code === 'VALIDATION_ERROR');
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new RefundCapTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = RefundCapTester;
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+/**
+ * Report Export Test Script
+ * Checks the export formats (CSV escaping, the XLSX workbook, PDF paging) and
+ * the export API: column selection, direct enquiry exports and the job
+ * lifecycle from queueing to download and expiry. Runs the merchant API
+ * in-process against a temporary local store and export directory.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const fs = require('fs');
+const http = require('http');
+const { PassThrough } = require('stream');
+const axios = require('axios');
+const express = require('express');
+const JSZip = require('jszip');
+
+class ReportExportTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Reports export cleanly.',
+            failMessage: 'Report exports are broken. Do not deploy.'
+        });
+        this.server = null;
+        this.baseUrl = null;
+        this.keys = {};
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   REPORT EXPORT TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            this.testCsv();
+            await this.testXlsx();
+            this.testPdf();
+
+            await this.startServer();
+            await this.seed();
+
+            await this.testEnquiryExport();
+            await this.testExportJobs();
+            await this.testJobStates();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/merchant', require('../routes/api/v1/merchant'));
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}/api/v1/merchant`;
+    }
+
+    async request(method, endpoint, key, data = null, responseType = 'json') {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${endpoint}`,
+            headers: key ? { 'X-API-Key': key.key_id, 'X-API-Secret': key.api_secret } : {},
+            data,
+            responseType,
+            validateStatus: () => true
+        });
+        return { status: response.status, headers: response.headers, body: response.data };
+    }
+
+    // Everything a format writes, as one Buffer
+    async capture(format, columns, rows, meta = {}) {
+        const output = new PassThrough();
+        const chunks = [];
+        output.on('data', chunk => chunks.push(chunk));
+        await format.write(output, columns, rows, meta);
+        return Buffer.concat(chunks);
+    }
+
+    testCsv() {
+        console.log('📋 Testing CSV escaping...');
+
+        const csv = require('../services/exports/csv');
+
+        this.check('Plain values are left as they are', csv.toRow(['TXN1', 100, null]) === 'TXN1,100,\r\n');
+        this.check('Commas and quotes are quoted', csv.escapeValue('Shah, "Ravi"') === '"Shah, ""Ravi"""');
+        this.check('Line breaks are quoted', csv.escapeValue('line 1\nline 2') === '"line 1\nline 2"');
+        this.check('Formulas are neutralised', csv.escapeValue('=HYPERLINK("x")') === '"\'=HYPERLINK(""x"")"');
+        this.check('Negative amounts stay numbers', csv.escapeValue('-12.50') === '-12.50');
+
+        console.log('');
+    }
+
+    async testXlsx() {
+        console.log('📋 Testing XLSX workbook...');
+
+        const xlsx = require('../services/exports/xlsx');
+        const columns = [{ key: 'name', header: 'Name' }, { key: 'amount', header: 'Amount' }];
+        const buffer = await this.capture(xlsx, columns, [{ name: 'A & B <Traders>', amount: 250.5 }], { title: 'Report: Jan/Feb' });
+
+        const zip = await JSZip.loadAsync(buffer);
+        const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+        const workbook = await zip.file('xl/workbook.xml').async('string');
+
+        this.check('Workbook has the parts Excel needs',
+            ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/styles.xml'].every(name => zip.file(name)));
+        this.check('Text is escaped', sheet.includes('A &amp; B &lt;Traders&gt;'));
+        this.check('Amounts are numeric cells', sheet.includes('<v>250.5</v>'));
+        this.check('Header row is frozen', sheet.includes('state="frozen"'));
+        this.check('Sheet name has no invalid characters', !/name="[^"]*[:/][^"]*"/.test(workbook));
+
+        console.log('');
+    }
+
+    testPdf() {
+        console.log('📋 Testing PDF paging...');
+
+        const pdf = require('../services/exports/pdf');
+        const columns = [{ key: 'id', header: 'Transaction ID' }, { key: 'amount', header: 'Amount' }];
+        const rows = Array.from({ length: pdf.ROWS_PER_PAGE * 2 + 1 }, (_, i) => ({ id: `TXN${i}`, amount: i }));
+        const document = pdf.render(columns, rows, { title: 'Transaction Report' }).toString('latin1');
+
+        this.check('Rows run onto as many pages as needed', document.includes('/Count 3'));
+        this.check('Pages are numbered', document.includes('(Page 3 of 3)'));
+        this.check('Column headers repeat on every page', document.split('(Transaction ID  Amount)').length - 1 === 3);
+        this.check('Last row is on the last page', document.includes(`(TXN${rows.length - 1}`));
+
+        const empty = pdf.render(columns, []).toString('latin1');
+        this.check('Empty report still has a page', empty.includes('/Count 1') && empty.includes('No records match'));
+
+        console.log('');
+    }
+
+    /**
+     * A merchant with a QR code and three payments, one from a payer whose
+     * name needs escaping, and a second merchant with nothing
+     */
+    async seed() {
+        console.log('📋 Seeding merchants and transactions...');
+
+        const ApiKeyService = require('../services/ApiKeyService');
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const suffix = Date.now().toString().slice(-6);
+        this.keys.a = await ApiKeyService.createKey({ merchantId: `EXPORT_A_${suffix}`, merchantName: 'Export A' });
+        this.keys.b = await ApiKeyService.createKey({ merchantId: `EXPORT_B_${suffix}`, merchantName: 'Export B' });
+        this.keys.reportsOnly = await ApiKeyService.createKey({
+            merchantId: `EXPORT_A_${suffix}`,
+            merchantName: 'Export A',
+            permissions: ['reports.export', 'qr.list']
+        });
+        this.keys.listOnly = await ApiKeyService.createKey({
+            merchantId: `EXPORT_A_${suffix}`,
+            merchantName: 'Export A',
+            permissions: ['transactions.list']
+        });
+
+        const { status, body } = await this.request('post', '/qr/generate', this.keys.a, {
+            merchant_name: 'Export Test',
+            merchant_id: `OUTLETX${suffix}`,
+            amount: 100
+        });
+        if (status !== 200) {
+            throw new Error(`QR generation failed: ${status} ${JSON.stringify(body)}`);
+        }
+
+        this.transactions = [];
+        for (const [i, payer] of ['Shah, "Ravi"', 'Meena', 'Arjun'].entries()) {
+            const transactionId = `TXN_EXP_${i}_${suffix}`;
+            await LocalTransactionStore.saveTransaction({
+                transactionId,
+                merchantId: 'HDFC000010380443',
+                merchantTxnId: `STQ${body.data.transaction_ref}${i}`,
+                qrIdentifier: body.data.transaction_ref,
+                amount: 100 + i,
+                payerName: payer,
+                transactionStatus: 'SUCCESS',
+                transactionDateTime: new Date(Date.now() - i * 60000).toISOString()
+            }, 'success', 'export_test');
+            this.transactions.push(transactionId);
+        }
+
+        console.log('   ✅ Seeded\n');
+    }
+
+    async testEnquiryExport() {
+        console.log('📋 Testing enquiry exports...');
+
+        let result = await this.request('post', '/transactions/enquiry/export', this.keys.a, {
+            columns: ['transaction_id', 'amount'],
+            sort_by: 'amount',
+            sort_order: 'asc'
+        }, 'text');
+        const lines = String(result.body).split('\r\n');
+        this.check('CSV has only the chosen columns', result.status === 200 && lines[0] === 'Transaction ID,Amount',
+            `${result.status} ${lines[0]}`);
+        this.check('CSV keeps the enquiry order', lines[1]?.startsWith(this.transactions[0]) && lines[3]?.startsWith(this.transactions[2]));
+
+        result = await this.request('post', '/transactions/enquiry/export', this.keys.a, { format: 'xlsx' }, 'arraybuffer');
+        this.check('Enquiry exports as XLSX',
+            result.status === 200 && result.headers['content-type'].includes('spreadsheetml') &&
+            result.headers['content-disposition'].includes('.xlsx'));
+
+        result = await this.request('post', '/transactions/enquiry/export', this.keys.a, { format: 'docx' });
+        this.check('Unknown format is rejected', result.status === 400 && result.body.code === 'UNSUPPORTED_FORMAT');
+
+        result = await this.request('post', '/transactions/enquiry/export', this.keys.a, { columns: ['api_secret'] });
+        this.check('Unknown column is rejected', result.status === 400 && result.body.code === 'VALIDATION_ERROR');
+
+        result = await this.request('post', '/transactions/enquiry/export', this.keys.listOnly, {});
+        this.check('Enquiry export needs reports.export',
+            result.status === 403 && result.body.required_scope === 'reports.export', JSON.stringify(result.body));
+
+        result = await this.request('post', '/transactions/enquiry/export', this.keys.reportsOnly, {});
+        this.check('Enquiry export needs the scope of its data',
+            result.status === 403 && result.body.required_scope === 'transactions.list', JSON.stringify(result.body));
+
+        console.log('');
+    }
+
+    // Poll until the worker has finished the job
+    async waitForJob(key, exportId) {
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const { body } = await this.request('get', `/reports/exports/${exportId}`, key);
+            if (!['queued', 'processing'].includes(body.data?.status)) {
+                return body.data;
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        throw new Error(`Export ${exportId} did not finish`);
+    }
+
+    async testExportJobs() {
+        console.log('📋 Testing export jobs...');
+
+        let result = await this.request('post', '/reports/export', this.keys.a, {
+            report_type: 'transactions',
+            format: 'csv',
+            columns: ['transaction_id', 'customer_name'],
+            filters: { status: 'success' }
+        });
+        this.check('Export is queued', result.status === 202 && result.body.data?.status === 'queued',
+            `${result.status} ${JSON.stringify(result.body)}`);
+
+        const exportId = result.body.data?.export_id;
+        const job = await this.waitForJob(this.keys.a, exportId);
+        this.check('Export completes with a row count', job.status === 'completed' && job.row_count === 3,
+            `${job.status} ${job.row_count} ${job.error}`);
+        this.check('Completed export has a download URL', job.download_url === `/api/v1/merchant/reports/exports/${exportId}/download`);
+
+        result = await this.request('get', `/reports/exports/${exportId}/download`, this.keys.a, null, 'text');
+        this.check('Download is the escaped CSV',
+            result.status === 200 && String(result.body).includes(`${this.transactions[0]},"Shah, ""Ravi"""\r\n`),
+            `${result.status}`);
+
+        result = await this.request('get', '/reports/exports', this.keys.a);
+        this.check('Export is listed', result.body.data?.some(listed => listed.export_id === exportId));
+
+        result = await this.request('get', `/reports/exports/${exportId}/download`, this.keys.b);
+        this.check('Other merchant cannot download it', result.status === 404);
+
+        result = await this.request('get', '/reports/exports', this.keys.b);
+        this.check('Other merchant does not see it listed', result.status === 200 && result.body.data.length === 0);
+
+        result = await this.request('post', '/reports/export', this.keys.reportsOnly, { report_type: 'transactions' });
+        this.check('Report needs the scope of its data',
+            result.status === 403 && result.body.required_scope === 'transactions.list');
+
+        result = await this.request('post', '/reports/export', this.keys.reportsOnly, { report_type: 'qr_codes', format: 'pdf' });
+        const qrJob = result.status === 202 ? await this.waitForJob(this.keys.reportsOnly, result.body.data.export_id) : {};
+        this.check('QR code report exports as PDF', qrJob.status === 'completed' && qrJob.row_count === 1,
+            `${result.status} ${qrJob.status}`);
+
+        this.exportId = exportId;
+        console.log('');
+    }
+
+    async testJobStates() {
+        console.log('📋 Testing export job states...');
+
+        const ExportService = require('../services/ExportService');
+        const ExportWorker = require('../services/ExportWorker');
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const tenant = { merchantId: this.keys.a.merchant_id, subMerchantId: null };
+        const checked = ExportService.validate({ report_type: 'transactions' });
+        const pending = await ExportService.createJob(tenant, checked.report);
+
+        let result = await this.request('get', `/reports/exports/${pending.export_id}/download`, this.keys.a);
+        this.check('Queued export is not ready', result.status === 409 && result.body.code === 'EXPORT_NOT_READY');
+
+        await ExportService.finishJob(pending.export_id, 'failed', { error: 'Report generation failed' });
+        result = await this.request('get', `/reports/exports/${pending.export_id}/download`, this.keys.a);
+        this.check('Failed export says so', result.status === 409 && result.body.code === 'EXPORT_FAILED');
+
+        const filePath = ExportService.getFilePath(await ExportService.findJob(this.exportId));
+        LocalTransactionStore.updateRecord('export_jobs', job => job.export_id === this.exportId, {
+            expires_at: new Date(Date.now() - 1000).toISOString()
+        });
+        await ExportWorker.expireFiles();
+
+        result = await this.request('get', `/reports/exports/${this.exportId}/download`, this.keys.a);
+        this.check('Expired export is gone', result.status === 410 && result.body.code === 'EXPORT_EXPIRED');
+        this.check('Expired file is removed', !fs.existsSync(filePath));
+
+        console.log('');
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new ReportExportTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = ReportExportTester;
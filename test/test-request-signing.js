@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * Request Signing Test Script
+ * Checks HMAC-signed merchant API requests: the string to sign, body and
+ * query coverage, the clock-skew window, nonce replay, and which scheme each
+ * key accepts. Runs the merchant API in-process against a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const crypto = require('crypto');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+const RequestSigningService = require('../services/RequestSigningService');
+
+class RequestSigningTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Signed requests verify and cannot be replayed.',
+            failMessage: 'Request signing is broken. Do not deploy.'
+        });
+        this.server = null;
+        this.baseUrl = null;
+        this.basePath = '/api/v1/merchant';
+        this.keys = {};
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   REQUEST SIGNING TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            this.testStringToSign();
+
+            await this.startServer();
+            await this.seed();
+
+            await this.testSignedRequests();
+            await this.testReplay();
+            await this.testSchemes();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        // As in server.js: the signature covers the raw body
+        app.use(express.json({
+            verify: (req, res, buf) => {
+                req.rawBody = buf;
+            }
+        }));
+        app.use(this.basePath, require('../routes/api/v1/merchant'));
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    }
+
+    async seed() {
+        const ApiKeyService = require('../services/ApiKeyService');
+
+        const merchantId = `SIGN_${Date.now().toString().slice(-6)}`;
+        for (const scheme of ['hmac', 'secret', 'both']) {
+            this.keys[scheme] = await ApiKeyService.createKey({ merchantId, merchantName: 'Signing Test', authScheme: scheme });
+        }
+    }
+
+    nonce() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    /**
+     * Send a signed request; `sign` overrides what is signed, `send` what is sent
+     */
+    async signed(method, endpoint, key, { body = null, sign = {}, send = {} } = {}) {
+        const raw = body === null ? '' : JSON.stringify(body);
+        const request = {
+            method,
+            path: `${this.basePath}${endpoint}`,
+            timestamp: String(Math.floor(Date.now() / 1000)),
+            nonce: this.nonce(),
+            bodyHash: RequestSigningService.hashBody(raw),
+            ...sign
+        };
+        const secret = send.secret || key.api_secret;
+        const signature = RequestSigningService.sign(secret, request);
+
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${send.path || request.path}`,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-API-Key': key.key_id,
+                'X-Timestamp': send.timestamp || request.timestamp,
+                'X-Nonce': send.nonce || request.nonce,
+                'X-Signature': signature
+            },
+            data: send.body !== undefined ? JSON.stringify(send.body) : (raw || undefined),
+            transformRequest: [data => data],
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data, request };
+    }
+
+    async plain(method, endpoint, key) {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${this.basePath}${endpoint}`,
+            headers: { 'X-API-Key': key.key_id, 'X-API-Secret': key.api_secret },
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+    }
+
+    testStringToSign() {
+        console.log('📋 Testing the string to sign...');
+
+        const request = {
+            method: 'post',
+            path: '/api/v1/merchant/qr/generate?x=1',
+            timestamp: '1760000000',
+            nonce: 'n0nce-0123456789ab',
+            bodyHash: RequestSigningService.hashBody('{"amount":100}')
+        };
+        const expected = crypto.createHmac('sha256', 'sk_test_secret')
+            .update(`POST\n/api/v1/merchant/qr/generate?x=1\n1760000000\nn0nce-0123456789ab\n${crypto.createHash('sha256').update('{"amount":100}').digest('hex')}`)
+            .digest('hex');
+
+        this.check('Signature is HMAC-SHA256 over method, path, timestamp, nonce and body hash',
+            RequestSigningService.sign('sk_test_secret', request) === expected);
+        this.check('Signature check ignores hex case', RequestSigningService.verify('sk_test_secret', request, expected.toUpperCase()));
+        this.check('Empty body hashes as the empty string',
+            RequestSigningService.hashBody(undefined) === crypto.createHash('sha256').update('').digest('hex'));
+        this.check('Timestamp inside the skew window is fresh', RequestSigningService.checkTimestamp(String(Math.floor(Date.now() / 1000) - 60)) === null);
+        this.check('Timestamp outside the skew window is stale', RequestSigningService.checkTimestamp(String(Math.floor(Date.now() / 1000) - 3600)) !== null);
+        this.check('Millisecond timestamps are refused', RequestSigningService.checkTimestamp('1760000000.5') !== null);
+
+        console.log();
+    }
+
+    async testSignedRequests() {
+        console.log('📋 Testing signed requests...');
+
+        let response = await this.signed('get', '/qr/list', this.keys.hmac);
+        this.check('Signed GET is accepted', response.status === 200, `${response.status} ${JSON.stringify(response.body)}`);
+
+        response = await this.signed('post', '/qr/generate', this.keys.hmac, {
+            body: { merchant_name: 'Signing Test', merchant_id: `SIGNQR${Date.now().toString().slice(-6)}`, amount: 100 }
+        });
+        this.check('Signed POST with a body is accepted', response.status === 200, `${response.status} ${JSON.stringify(response.body)}`);
+
+        response = await this.signed('post', '/qr/generate', this.keys.hmac, {
+            body: { merchant_name: 'Signing Test', amount: 100 },
+            send: { body: { merchant_name: 'Signing Test', amount: 100000 } }
+        });
+        this.check('Changed body fails the signature', response.status === 401 && /signature/i.test(response.body.error), JSON.stringify(response.body));
+
+        response = await this.signed('get', '/qr/list', this.keys.hmac, { send: { path: `${this.basePath}/qr/list?limit=1` } });
+        this.check('Query string is covered by the signature', response.status === 401, `${response.status}`);
+
+        response = await this.signed('get', '/qr/list', this.keys.hmac, { send: { secret: 'sk_live_wrong' } });
+        this.check('Signature with the wrong secret is refused', response.status === 401, `${response.status}`);
+
+        const stale = String(Math.floor(Date.now() / 1000) - 3600);
+        response = await this.signed('get', '/qr/list', this.keys.hmac, { sign: { timestamp: stale } });
+        this.check('Request outside the skew window is refused', response.status === 401 && /window/.test(response.body.error), JSON.stringify(response.body));
+
+        response = await this.signed('get', '/qr/list', this.keys.hmac, { sign: { nonce: 'short' } });
+        this.check('Malformed nonce is refused', response.status === 401 && /X-Nonce/.test(response.body.error), JSON.stringify(response.body));
+
+        console.log();
+    }
+
+    async testReplay() {
+        console.log('📋 Testing nonce replay...');
+
+        const nonce = this.nonce();
+
+        let response = await this.signed('get', '/qr/list', this.keys.hmac, { sign: { nonce }, send: { secret: 'sk_live_wrong' } });
+        this.check('Badly signed request is refused', response.status === 401, `${response.status}`);
+
+        response = await this.signed('get', '/qr/list', this.keys.hmac, { sign: { nonce } });
+        this.check('A refused request does not use up its nonce', response.status === 200, `${response.status} ${JSON.stringify(response.body)}`);
+
+        response = await this.signed('get', '/qr/list', this.keys.hmac, { sign: { nonce } });
+        this.check('Replayed nonce is refused', response.status === 401 && /Nonce has already been used/.test(response.body.error), JSON.stringify(response.body));
+
+        response = await this.signed('get', '/qr/list', this.keys.both, { sign: { nonce } });
+        this.check('Nonces are tracked per key', response.status === 200, `${response.status}`);
+
+        console.log();
+    }
+
+    async testSchemes() {
+        console.log('📋 Testing schemes per key...');
+
+        let response = await this.plain('get', '/qr/list', this.keys.hmac);
+        this.check('hmac key refuses the raw secret', response.status === 401 && /requires signed requests/.test(response.body.error), JSON.stringify(response.body));
+
+        response = await this.signed('get', '/qr/list', this.keys.secret);
+        this.check('secret key refuses signed requests', response.status === 401 && /does not accept signed requests/.test(response.body.error), JSON.stringify(response.body));
+
+        response = await this.plain('get', '/qr/list', this.keys.both);
+        const signed = await this.signed('get', '/qr/list', this.keys.both);
+        this.check('Key set to both accepts either scheme', response.status === 200 && signed.status === 200, `${response.status}/${signed.status}`);
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new RequestSigningTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = RequestSigningTester;
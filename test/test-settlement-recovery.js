@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Settlement Recovery Test Script
+ * Checks that settlement batches take back what was paid out for payments
+ * reversed or charged back after they were settled, net of refunds recovered
+ * on their own, and that a payment reversed while its batch is out is still
+ * settled and recovered from the next batch. Uses a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+
+class SettlementRecoveryTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Reversed payouts are recovered.',
+            failMessage: 'Settlement recovery is broken. Do not deploy.'
+        });
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   SETTLEMENT RECOVERY TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.testRecoveries();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        }
+
+        this.printResults();
+    }
+
+    async testRecoveries() {
+        console.log('📋 Testing recoveries of reversed and charged-back payouts...');
+
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+        const SettlementService = require('../services/SettlementService');
+
+        const suffix = Date.now().toString().slice(-6);
+        const merchantId = `RECOVER_${suffix}`;
+        const reference = `RECQR${suffix}`;
+        const id = (name) => `TXN_REC_${name}_${suffix}`;
+
+        // No fees, so every amount below is what reaches the merchant
+        LocalTransactionStore.saveCollection('merchant_config', [
+            ...LocalTransactionStore.getCollection('merchant_config'),
+            { merchant_id: merchantId, transaction_charge_percent: 0, min_settlement_amount: 1 }
+        ]);
+        await LocalTransactionStore.saveQRCode({ transaction_ref: reference, owner_merchant_id: merchantId, merchant_id: null });
+
+        const move = (name, state, amount) => LocalTransactionStore.saveTransaction({
+            transactionId: id(name),
+            merchantId: 'HDFC000010380443',
+            qrIdentifier: reference,
+            amount,
+            transactionStatus: state.toUpperCase(),
+            paymentMode: 'UPI'
+        }, state, 'recovery_test');
+        const find = (name) => LocalTransactionStore.getTransactions().find(t => t.transactionId === id(name));
+        const settle = async () => {
+            const result = await SettlementService.settleMerchant(merchantId, { cutoff: new Date(Date.now() + 1000) });
+            if (!result.success) {
+                throw new Error(`Settlement failed: ${result.error.code}`);
+            }
+            return result.settlement;
+        };
+        const details = (settlement) => SettlementService.getSettlement({ merchantId, subMerchantId: null }, settlement.settlement_id);
+
+        await move('A', 'success', 1000);
+        await move('E', 'success', 1000);
+        let first = await settle();
+        await SettlementService.complete(first.settlement_id, { utr_number: `UTR1${suffix}` });
+
+        // A is reversed after it was paid out; E is partly refunded
+        await move('A', 'reversed', 1000);
+        await move('E', 'partial_refunded', 1000);
+        await LocalTransactionStore.insertRecord('refunds', {
+            refund_id: `RFD_REC_${suffix}`,
+            transaction_id: id('E'),
+            merchant_id: merchantId,
+            refund_amount: 200,
+            status: 'success',
+            settlement_batch_id: null
+        });
+
+        await move('B', 'success', 2000);
+        await move('C', 'success', 300);
+        const second = await settle();
+        this.check('Reversed payout and refund are recovered from the next batch',
+            second.adjustments === -1200 && second.net_settlement === 1100, `${second.adjustments}/${second.net_settlement}`);
+
+        let report = await details(second);
+        const reversal = report.recoveries.find(r => r.type === 'reversal');
+        this.check('Settlement lists the reversal recovery',
+            reversal && reversal.transaction_id === id('A') && reversal.amount === 1000, JSON.stringify(report.recoveries));
+        this.check('Settlement lists the refund recovery',
+            report.recoveries.some(r => r.type === 'refund' && r.refund_id === `RFD_REC_${suffix}` && r.amount === 200));
+        this.check('CSV report has a row for each recovery',
+            /reversal_recovery,,TXN_REC_A_\d+,1000\.00,,,,-1000\.00/.test(SettlementService.toCsv(report)));
+
+        // B is reversed while its batch is out; the payout still covers it
+        await move('B', 'reversed', 2000);
+        this.check('Payment reversed in an open batch is cancelled', find('B').settlementStatus === 'cancelled', find('B').settlementStatus);
+        await SettlementService.complete(second.settlement_id, { utr_number: `UTR2${suffix}` });
+        this.check('Completing the batch settles the payment it paid out',
+            find('B').settlementStatus === 'settled' && find('B').settledAmount === 2000, `${find('B').settlementStatus}/${find('B').settledAmount}`);
+        this.check('Other payments in the batch are settled', find('C').settlementStatus === 'settled');
+
+        // E is charged back after its refund was recovered
+        await move('E', 'disputed', 1000);
+        await move('E', 'charged_back', 1000);
+        await move('D', 'success', 3000);
+        const third = await settle();
+        this.check('Chargeback is recovered net of the refund already recovered, with no double recovery of A',
+            third.adjustments === -2800 && third.net_settlement === 200, `${third.adjustments}/${third.net_settlement}`);
+
+        report = await details(third);
+        this.check('Settlement lists the chargeback recovery',
+            report.recoveries.some(r => r.type === 'chargeback' && r.transaction_id === id('E') && r.amount === 800), JSON.stringify(report.recoveries));
+
+        await SettlementService.fail(third.settlement_id, { reason: 'Payout rejected' });
+        this.check('A failed batch releases its recoveries', !find('B').recoveryBatchId && !find('E').recoveryBatchId);
+
+        const fourth = await settle();
+        this.check('Released recoveries are taken by the next batch', fourth.adjustments === -2800, `${fourth.adjustments}`);
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new SettlementRecoveryTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = SettlementRecoveryTester;
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Transaction State Machine Test Script
+ * Checks the allowed status changes, repeated and out-of-order callbacks,
+ * the exceptions queue and audit trail, and disputes on refunded payments:
+ * a rejected dispute returns the payment to its refund state, and a refund
+ * completing during a dispute does not end it. Uses a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const TransactionStateMachine = require('../services/TransactionStateMachine');
+
+class StateMachineTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Transactions only move forwards.',
+            failMessage: 'The transaction state machine is broken. Do not deploy.'
+        });
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   STATE MACHINE TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            this.testTransitions();
+            await this.testCallbacks();
+            await this.testDisputes();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        }
+
+        this.printResults();
+    }
+
+    testTransitions() {
+        console.log('📋 Testing transitions...');
+
+        const evaluate = TransactionStateMachine.evaluateTransition;
+
+        this.check('Pending payment may succeed', evaluate('pending', 'SUCCESS').allowed);
+        this.check('Late FAILURE after SUCCESS is illegal', !evaluate('SUCCESS', 'FAILURE').allowed && !evaluate('SUCCESS', 'FAILURE').noop);
+        this.check('Repeated SUCCESS is a no-op', evaluate('SUCCESS', 'success').noop);
+        this.check('Each partial refund is a new transition', evaluate('partial_refunded', 'partial_refunded').allowed);
+        this.check('Bank spellings are normalized',
+            TransactionStateMachine.normalizeStatus('FAILURE') === 'failed' && TransactionStateMachine.normalizeStatus('TIMEOUT') === 'pending');
+        this.check('Unknown statuses are rejected', !evaluate('pending', 'BOGUS').allowed);
+        this.check('Final states allow nothing',
+            ['failed', 'reversed', 'expired', 'refunded', 'charged_back'].every(state => TransactionStateMachine.isFinal(state)));
+        this.check('Rejected dispute may return to a refund state',
+            evaluate('disputed', 'partial_refunded').allowed && evaluate('disputed', 'refunded').allowed);
+        this.check('First success is from a new or pre-success state',
+            [null, 'initiated', 'pending', 'deemed'].every(state => TransactionStateMachine.isFirstSuccess(evaluate(state, 'success'))));
+        this.check('Returning to success after a dispute is not a first success',
+            !TransactionStateMachine.isFirstSuccess(evaluate('disputed', 'success')));
+
+        console.log();
+    }
+
+    async testCallbacks() {
+        console.log('📋 Testing repeated and out-of-order callbacks...');
+
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const transactionId = `TXN_SM_CB_${Date.now().toString().slice(-6)}`;
+        const callback = (status, state) => LocalTransactionStore.saveTransaction({
+            transactionId,
+            merchantId: 'HDFC000010380443',
+            amount: 100,
+            transactionStatus: status,
+            paymentMode: 'UPI'
+        }, state, 'state_machine_test');
+        const current = () => LocalTransactionStore.getTransactions().find(t => t.transactionId === transactionId);
+
+        await callback('PENDING', 'pending');
+        await callback('SUCCESS', 'success');
+        this.check('PENDING then SUCCESS is applied', current().status === 'SUCCESS');
+
+        const repeated = await callback('SUCCESS', 'success');
+        this.check('Repeated callback is acknowledged as a duplicate', repeated.success && repeated.duplicate);
+
+        const late = await callback('FAILURE', 'failed');
+        this.check('Late FAILURE is rejected', late.rejected === true && current().status === 'SUCCESS', JSON.stringify(late));
+        this.check('Rejected callback is parked as an exception',
+            LocalTransactionStore.getCollection('transaction_exceptions')
+                .some(e => e.transaction_id === transactionId && e.attempted_status === 'failed'));
+
+        const audit = LocalTransactionStore.getCollection('transaction_audit').filter(a => a.transaction_id === transactionId);
+        this.check('Each applied transition is audited once',
+            audit.length === 2 && audit[1].old_status === 'pending' && audit[1].new_status === 'success',
+            JSON.stringify(audit.map(a => `${a.old_status}->${a.new_status}`)));
+
+        console.log();
+    }
+
+    async testDisputes() {
+        console.log('📋 Testing disputes on refunded payments...');
+
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+        const RefundService = require('../services/RefundService');
+        const TransactionDisputeService = require('../services/TransactionDisputeService');
+
+        const suffix = Date.now().toString().slice(-6);
+        const pay = async (name) => {
+            const transactionId = `TXN_SM_${name}_${suffix}`;
+            await LocalTransactionStore.saveTransaction({
+                transactionId,
+                merchantId: 'HDFC000010380443',
+                amount: 1000,
+                transactionStatus: 'SUCCESS',
+                paymentMode: 'UPI'
+            }, 'success', 'state_machine_test');
+            return transactionId;
+        };
+        const refund = async (transactionId, amount) => {
+            const record = await LocalTransactionStore.insertRecord('refunds', {
+                refund_id: `RFD_SM_${transactionId}_${amount}`,
+                transaction_id: transactionId,
+                refund_amount: amount,
+                status: 'success'
+            });
+            await RefundService.applyToTransaction(record);
+        };
+        const dispute = (transactionId, stage) => TransactionDisputeService.applyNotification({
+            stage,
+            transaction_id: transactionId,
+            source: 'state_machine_test'
+        });
+        const find = (transactionId) => LocalTransactionStore.getTransactions().find(t => t.transactionId === transactionId);
+
+        const plain = await pay('PLAIN');
+        await dispute(plain, 'opened');
+        await dispute(plain, 'won');
+        this.check('Rejected dispute returns an unrefunded payment to success',
+            find(plain).status === 'SUCCESS' && find(plain).settlementStatus === 'pending', `${find(plain).status}/${find(plain).settlementStatus}`);
+
+        const partial = await pay('PART');
+        await refund(partial, 300);
+        await dispute(partial, 'opened');
+        this.check('Dispute holds the partially refunded payment',
+            find(partial).status === 'DISPUTED' && find(partial).settlementStatus === 'on_hold', `${find(partial).status}/${find(partial).settlementStatus}`);
+        await dispute(partial, 'won');
+        this.check('Rejected dispute keeps partial_refunded',
+            find(partial).status === 'PARTIAL_REFUNDED' && find(partial).settlementStatus === 'pending', `${find(partial).status}/${find(partial).settlementStatus}`);
+
+        const during = await pay('DURING');
+        await refund(during, 400);
+        await dispute(during, 'opened');
+        await refund(during, 600);
+        this.check('Refund completing during a dispute does not end it', find(during).status === 'DISPUTED', find(during).status);
+        this.check('The refunded total is still recorded', find(during).refundedAmount === 1000, `${find(during).refundedAmount}`);
+        this.check('The refund status change is parked as an exception',
+            LocalTransactionStore.getCollection('transaction_exceptions')
+                .some(e => e.transaction_id === during && e.attempted_status === 'refunded'));
+        await dispute(during, 'won');
+        this.check('Rejected dispute then ends in refunded', find(during).status === 'REFUNDED', find(during).status);
+
+        const lost = await pay('LOST');
+        await refund(lost, 200);
+        await dispute(lost, 'opened');
+        await dispute(lost, 'lost');
+        this.check('Accepted dispute ends as charged_back', find(lost).status === 'CHARGED_BACK', find(lost).status);
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new StateMachineTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = StateMachineTester;
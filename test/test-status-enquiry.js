@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Status Enquiry Test Script
+ * Runs StatusEnquiryPoller against the HDFC simulator as the bank: a pending
+ * payment the bank has since completed is updated from the enquiry, one still
+ * pending at the cutoff is marked deemed, and one the bank has no record of
+ * (U11) is left alone until the cutoff and then expired.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const express = require('express');
+
+process.env.HDFC_MERCHANT_KEY = 'enquiry-test-key-0123456789abcde';
+
+const HDFCBankSimulator = require('../simulator/HDFCBankSimulator');
+
+const UPI_STRING = 'upi://pay?pa=enquiry.test@hdfcbank&pn=Enquiry%20Test&tr=ENQTEST';
+
+class StatusEnquiryTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Payments without a final callback are reconciled with the bank.',
+            failMessage: 'Status enquiry is broken. Do not deploy.'
+        });
+        this.bank = null;
+        // Callbacks are never delivered; the poller has to find out from the bank
+        this.simulator = new HDFCBankSimulator();
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   STATUS ENQUIRY TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.startBank();
+
+            // The bank adapter reads HDFC_BASE_URL when it is loaded
+            require('../routes/bank.webhook');
+            this.poller = require('../services/StatusEnquiryPoller');
+            this.store = require('../services/LocalTransactionStore');
+
+            await this.testCompletedAtBank();
+            await this.testStillPending();
+            await this.testUnknownAtBank();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.bank) {
+                this.bank.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    /**
+     * Serve the simulator's bank APIs, as simulator/server.js does
+     */
+    async startBank() {
+        const app = express();
+        app.use(express.json());
+        app.post('/upi/status-enquiry', (req, res) => {
+            res.json(this.simulator.statusEnquiry({
+                transactionId: req.body.transactionId,
+                merchantTxnId: req.body.merchantTxnId
+            }));
+        });
+
+        this.bank = http.createServer(app);
+        await new Promise(resolve => this.bank.listen(0, '127.0.0.1', resolve));
+        process.env.HDFC_BASE_URL = `http://127.0.0.1:${this.bank.address().port}/upi`;
+    }
+
+    /**
+     * A payment we hold as pending, whose final callback never arrived
+     * The bank only learns of it when `atBank` is set.
+     */
+    async pendingPayment({ atBank = true } = {}) {
+        const { transaction } = await this.simulator.pending(UPI_STRING, { amount: 120, deliver: false });
+        if (!atBank) {
+            this.simulator.ledger.delete(transaction.transactionId);
+        }
+        await this.store.saveTransaction({ ...transaction, acquirer: 'hdfc' }, 'pending', 'status_enquiry_test');
+        return transaction.transactionId;
+    }
+
+    /**
+     * Backdate a transaction and clear its last enquiry, so the next poll picks it up
+     */
+    age(transactionId, minutes) {
+        const transactions = this.store.getTransactions();
+        const transaction = transactions.find(t => t.transactionId === transactionId);
+        transaction.createdAt = new Date(Date.now() - minutes * 60 * 1000).toISOString();
+        transaction.lastEnquiryAt = null;
+        this.store.saveTransactions(transactions);
+    }
+
+    stored(transactionId) {
+        return this.store.getTransactionById(transactionId);
+    }
+
+    async poll(transactionId) {
+        const summary = await this.poller.poll();
+        return summary.results.find(r => r.transaction_id === transactionId) || null;
+    }
+
+    async testCompletedAtBank() {
+        console.log('📋 Testing a pending payment the bank has completed...');
+
+        const transactionId = await this.pendingPayment();
+        this.check('A payment younger than the minimum age is not enquired about', await this.poll(transactionId) === null);
+
+        await this.simulator.complete(transactionId, 'SUCCESS', '00', { deliver: false });
+        this.age(transactionId, this.poller.MIN_AGE_MINUTES + 1);
+        const result = await this.poll(transactionId);
+        const event = this.store.getCollection('webhook_events').find(e => e.event_id === (result && result.event_id));
+
+        this.check('The enquiry updates the payment', result && result.outcome === 'updated' && result.status === 'success',
+            JSON.stringify(result));
+        this.check('The payment is now successful', this.stored(transactionId).status === 'SUCCESS', this.stored(transactionId).status);
+        this.check('The enquiry response is journaled and processed',
+            event && event.event_type === 'hdfc.status_enquiry' && event.status === 'processed', JSON.stringify(event && event.status));
+        this.check('The enquiry is counted on the payment', this.stored(transactionId).enquiryAttempts === 1);
+        this.check('A final payment is not enquired about again', await this.poll(transactionId) === null);
+
+        console.log();
+    }
+
+    async testStillPending() {
+        console.log('📋 Testing a payment still pending at the bank...');
+
+        const transactionId = await this.pendingPayment();
+        this.age(transactionId, this.poller.MIN_AGE_MINUTES + 1);
+        const beforeCutoff = await this.poll(transactionId);
+
+        this.check('Before the cutoff it stays pending', beforeCutoff && beforeCutoff.outcome === 'unchanged' &&
+            this.stored(transactionId).status === 'PENDING', JSON.stringify(beforeCutoff));
+        this.check('It is not enquired about again within the retry interval', await this.poll(transactionId) === null);
+
+        this.age(transactionId, this.poller.CUTOFF_MINUTES + 1);
+        const afterCutoff = await this.poll(transactionId);
+
+        this.check('At the cutoff it is marked deemed', afterCutoff && afterCutoff.outcome === 'deemed' &&
+            this.stored(transactionId).status === 'DEEMED', JSON.stringify(afterCutoff));
+        this.check('A deemed payment past the cutoff is no longer enquired about', await this.poll(transactionId) === null);
+
+        console.log();
+    }
+
+    async testUnknownAtBank() {
+        console.log('📋 Testing a payment the bank has no record of (U11)...');
+
+        const transactionId = await this.pendingPayment({ atBank: false });
+        this.age(transactionId, this.poller.MIN_AGE_MINUTES + 1);
+        const beforeCutoff = await this.poll(transactionId);
+
+        this.check('Before the cutoff it is reported as not found', beforeCutoff && beforeCutoff.outcome === 'not_found' &&
+            this.stored(transactionId).status === 'PENDING', JSON.stringify(beforeCutoff));
+
+        this.age(transactionId, this.poller.CUTOFF_MINUTES + 1);
+        const afterCutoff = await this.poll(transactionId);
+
+        this.check('At the cutoff it is marked expired', afterCutoff && afterCutoff.outcome === 'expired' &&
+            this.stored(transactionId).status === 'EXPIRED', JSON.stringify(afterCutoff));
+
+        console.log();
+    }
+}
+
+if (require.main === module) {
+    const tester = new StatusEnquiryTester();
+    tester.run().catch(console.error);
+}
+
+module.exports = StatusEnquiryTester;
@@ -0,0 +1,447 @@
+#!/usr/bin/env node
+
+/**
+ * Tenant Isolation Test Script
+ * Verifies that a merchant API key can never read or change another
+ * merchant's QR codes, transactions or refunds, and that a sub-merchant key stays
+ * inside its sub-merchant. Runs the merchant API in-process against a
+ * temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+
+class TenantIsolationTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'No data crosses tenant boundaries.',
+            failMessage: 'Tenant isolation is broken. Do not deploy.'
+        });
+        this.server = null;
+        this.baseUrl = null;
+        this.keys = {};
+        this.qrCodes = {};
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   TENANT ISOLATION TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.startServer();
+            await this.seed();
+
+            await this.testQRCodeLookup();
+            await this.testQRCodeList();
+            await this.testQRCodeDeactivation();
+            await this.testTransactions();
+            await this.testAnalytics();
+            await this.testSubMerchantKey();
+            await this.testRefunds();
+            await this.testSettlements();
+            await this.testMerchantConfig();
+            await this.testCredentials();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/merchant', require('../routes/api/v1/merchant'));
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}/api/v1/merchant`;
+    }
+
+    async request(method, endpoint, key, data = null) {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${endpoint}`,
+            headers: key ? { 'X-API-Key': key.key_id, 'X-API-Secret': key.api_secret } : {},
+            data,
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+    }
+
+    /**
+     * Two merchants with a QR code and a paid transaction each; merchant A
+     * has a second sub-merchant and a key limited to it
+     */
+    async seed() {
+        console.log('📋 Seeding merchants, QR codes and transactions...');
+
+        const ApiKeyService = require('../services/ApiKeyService');
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const suffix = Date.now().toString().slice(-6);
+        const merchantA = `TENANT_A_${suffix}`;
+        const merchantB = `TENANT_B_${suffix}`;
+
+        this.keys.a = await ApiKeyService.createKey({ merchantId: merchantA, merchantName: 'Tenant A' });
+        this.keys.b = await ApiKeyService.createKey({ merchantId: merchantB, merchantName: 'Tenant B' });
+        this.keys.aOutlet = await ApiKeyService.createKey({
+            merchantId: merchantA,
+            merchantName: 'Tenant A',
+            subMerchantId: `OUTLETA2${suffix}`
+        });
+
+        const generate = async (key, merchantId) => {
+            const { status, body } = await this.request('post', '/qr/generate', key, {
+                merchant_name: 'Isolation Test',
+                merchant_id: merchantId,
+                amount: 100
+            });
+            if (status !== 200) {
+                throw new Error(`QR generation for ${merchantId} failed: ${status} ${JSON.stringify(body)}`);
+            }
+            return body.data;
+        };
+
+        this.qrCodes.a = await generate(this.keys.a, `OUTLETA1${suffix}`);
+        this.qrCodes.aOutlet = await generate(this.keys.a, `OUTLETA2${suffix}`);
+        this.qrCodes.b = await generate(this.keys.b, `OUTLETB1${suffix}`);
+
+        this.transactions = {};
+        for (const [name, qr] of Object.entries(this.qrCodes)) {
+            const transactionId = `TXN_ISO_${name.toUpperCase()}_${suffix}`;
+            await LocalTransactionStore.saveTransaction({
+                transactionId,
+                merchantId: 'HDFC000010380443',
+                merchantTxnId: `STQ${qr.transaction_ref}${Date.now()}`,
+                qrIdentifier: qr.transaction_ref,
+                amount: 100,
+                transactionStatus: 'SUCCESS',
+                transactionDateTime: new Date().toISOString()
+            }, 'success', 'isolation_test');
+            this.transactions[name] = transactionId;
+        }
+
+        console.log('   ✅ Seeded\n');
+    }
+
+    async testQRCodeLookup() {
+        console.log('📋 Testing GET /qr/:qr_id...');
+
+        let result = await this.request('get', `/qr/${this.qrCodes.a.qr_id}`, this.keys.a);
+        this.check('Owner can read its QR code', result.status === 200, `status ${result.status}`);
+
+        result = await this.request('get', `/qr/${this.qrCodes.a.qr_id}`, this.keys.b);
+        this.check('Other merchant gets 404 for the QR code', result.status === 404, `status ${result.status}`);
+        this.check('No QR data leaks in the 404', !result.body.data);
+
+        console.log();
+    }
+
+    async testQRCodeList() {
+        console.log('📋 Testing GET /qr/list...');
+
+        const result = await this.request('get', '/qr/list?limit=100', this.keys.b);
+        const ids = (result.body.data?.qr_codes || []).map(qr => qr.qr_id);
+
+        this.check('List returns the merchant\'s own QR code', ids.includes(this.qrCodes.b.qr_id));
+        this.check('List excludes other merchants\' QR codes',
+            !ids.includes(this.qrCodes.a.qr_id) && !ids.includes(this.qrCodes.aOutlet.qr_id));
+
+        console.log();
+    }
+
+    async testQRCodeDeactivation() {
+        console.log('📋 Testing PUT /qr/:qr_id/deactivate...');
+
+        let result = await this.request('put', `/qr/${this.qrCodes.a.qr_id}/deactivate`, this.keys.b);
+        this.check('Other merchant cannot deactivate the QR code', result.status === 404, `status ${result.status}`);
+
+        result = await this.request('get', `/qr/${this.qrCodes.a.qr_id}`, this.keys.a);
+        this.check('QR code is still active', result.body.data?.status === 'active');
+
+        console.log();
+    }
+
+    async testTransactions() {
+        console.log('📋 Testing GET /transactions and the enquiry...');
+
+        let result = await this.request('get', '/transactions?limit=100', this.keys.b);
+        let ids = (result.body.data?.transactions || []).map(t => t.transactionId || t.transaction_id);
+
+        this.check('Merchant B sees its own transaction', ids.includes(this.transactions.b));
+        this.check('Merchant B sees none of merchant A\'s transactions',
+            !ids.includes(this.transactions.a) && !ids.includes(this.transactions.aOutlet), ids.join(', '));
+
+        result = await this.request('get', '/transactions?limit=100', this.keys.a);
+        ids = (result.body.data?.transactions || []).map(t => t.transactionId || t.transaction_id);
+
+        this.check('Merchant A sees both of its sub-merchants\' transactions',
+            ids.includes(this.transactions.a) && ids.includes(this.transactions.aOutlet));
+        this.check('Merchant A sees none of merchant B\'s transactions', !ids.includes(this.transactions.b));
+
+        // Page one transaction at a time; the cursor only carries a position, never the tenant
+        const walked = [];
+        let cursor = null;
+        do {
+            const query = cursor ? `?limit=1&cursor=${encodeURIComponent(cursor)}` : '?limit=1';
+            result = await this.request('get', `/transactions${query}`, this.keys.a);
+            walked.push(...(result.body.data?.transactions || []).map(t => t.transactionId));
+            cursor = result.body.data?.pagination.next_cursor;
+        } while (cursor && walked.length < 10);
+        this.check('Cursor pages cover merchant A\'s transactions once each',
+            walked.length === 2 && walked.includes(this.transactions.a) && walked.includes(this.transactions.aOutlet),
+            walked.join(', '));
+
+        result = await this.request('get', '/transactions?cursor=not-a-cursor', this.keys.a);
+        this.check('Invalid cursor is rejected', result.status === 400 && result.body.code === 'INVALID_CURSOR', `${result.status}`);
+
+        result = await this.request('post', '/transactions/enquiry', this.keys.a, { transaction_id: this.transactions.b });
+        this.check('Enquiry does not find another merchant\'s transaction by ID', result.body.data?.pagination.total === 0,
+            `total ${result.body.data?.pagination.total}`);
+
+        result = await this.request('post', '/transactions/enquiry', this.keys.a, { qr_code: this.qrCodes.b.transaction_ref });
+        this.check('Enquiry does not find payments to another merchant\'s QR code', result.body.data?.pagination.total === 0);
+
+        result = await this.request('post', '/transactions/enquiry', this.keys.aOutlet, { limit: 100 });
+        ids = (result.body.data?.transactions || []).map(t => t.transaction_id);
+        this.check('Sub-merchant enquiry finds only its own transactions',
+            ids.length === 1 && ids[0] === this.transactions.aOutlet, ids.join(', '));
+
+        console.log();
+    }
+
+    async testAnalytics() {
+        console.log('📋 Testing GET /analytics...');
+
+        const result = await this.request('get', '/analytics?period=7d', this.keys.b);
+        const data = result.body.data || {};
+        const ranked = [...(data.top_qr_codes?.by_revenue || []), ...(data.top_qr_codes?.by_count || [])];
+
+        this.check('Analytics counts only the merchant\'s QR codes', data.qr_codes?.total === 1,
+            `total ${data.qr_codes?.total}`);
+        this.check('Analytics counts only the merchant\'s payments', data.summary?.total_transactions === 1,
+            `total ${data.summary?.total_transactions}`);
+        this.check('Top QR codes belong to the merchant',
+            ranked.length > 0 && ranked.every(qr => qr.qr_identifier === this.qrCodes.b.transaction_ref));
+
+        console.log();
+    }
+
+    async testSubMerchantKey() {
+        console.log('📋 Testing sub-merchant keys...');
+
+        let result = await this.request('get', '/qr/list?limit=100', this.keys.aOutlet);
+        const ids = (result.body.data?.qr_codes || []).map(qr => qr.qr_id);
+        this.check('Sub-merchant key lists only its sub-merchant\'s QR codes',
+            ids.length === 1 && ids[0] === this.qrCodes.aOutlet.qr_id, ids.join(', '));
+
+        result = await this.request('get', `/qr/${this.qrCodes.a.qr_id}`, this.keys.aOutlet);
+        this.check('Sub-merchant key gets 404 for a sibling sub-merchant\'s QR code', result.status === 404);
+
+        result = await this.request('get', '/transactions?limit=100', this.keys.aOutlet);
+        const transactionIds = (result.body.data?.transactions || []).map(t => t.transactionId);
+        this.check('Sub-merchant key sees only its sub-merchant\'s transactions',
+            transactionIds.length === 1 && transactionIds[0] === this.transactions.aOutlet, transactionIds.join(', '));
+
+        result = await this.request('post', '/qr/generate', this.keys.aOutlet, {
+            merchant_name: 'Isolation Test',
+            merchant_id: 'SOMEONE_ELSE'
+        });
+        this.check('Sub-merchant key cannot issue QR codes for another sub-merchant', result.status === 403);
+
+        result = await this.request('post', '/qr/bulk', this.keys.aOutlet, {
+            merchants: [{ merchant_name: 'Isolation Test', merchant_id: 'SOMEONE_ELSE' }]
+        });
+        this.check('Nor can it in bulk', result.status === 200 && result.body.successful === 0 &&
+            result.body.errors[0].code === 'FORBIDDEN', JSON.stringify(result.body));
+
+        console.log();
+    }
+
+    /**
+     * Refunds are only refused here, so no bank call is made
+     */
+    async testRefunds() {
+        console.log('📋 Testing refunds...');
+
+        const ApiKeyService = require('../services/ApiKeyService');
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const refundKeyB = await ApiKeyService.createKey({
+            merchantId: this.keys.b.merchant_id,
+            merchantName: 'Tenant B',
+            permissions: ['refunds.create', 'refunds.view']
+        });
+        const refundKeyAOutlet = await ApiKeyService.createKey({
+            merchantId: this.keys.a.merchant_id,
+            merchantName: 'Tenant A',
+            subMerchantId: this.keys.aOutlet.sub_merchant_id,
+            permissions: ['refunds.create', 'refunds.view']
+        });
+
+        let result = await this.request('post', `/transactions/${this.transactions.a}/refund`, refundKeyB, { reason: 'Isolation test' });
+        this.check('Other merchant cannot refund the transaction', result.status === 404, `status ${result.status}`);
+
+        result = await this.request('post', `/transactions/${this.transactions.a}/refund`, refundKeyAOutlet, { reason: 'Isolation test' });
+        this.check('Sub-merchant key cannot refund a sibling sub-merchant\'s transaction', result.status === 404, `status ${result.status}`);
+
+        const transaction = LocalTransactionStore.getTransactions().find(t => t.transactionId === this.transactions.a);
+        const refund = await LocalTransactionStore.insertRecord('refunds', {
+            refund_id: `REF_ISO_${Date.now()}`,
+            transaction_id: transaction.transactionId,
+            merchant_id: transaction.ownerMerchantId,
+            sub_merchant_id: transaction.subMerchantId,
+            original_amount: 100,
+            refund_amount: 10,
+            refund_type: 'partial',
+            refund_reason: 'Isolation test',
+            status: 'success',
+            initiated_at: new Date().toISOString()
+        });
+
+        result = await this.request('get', `/refunds/${refund.refund_id}`, refundKeyB);
+        this.check('Other merchant gets 404 for the refund', result.status === 404, `status ${result.status}`);
+
+        result = await this.request('get', `/refunds/${refund.refund_id}`, refundKeyAOutlet);
+        this.check('Sub-merchant key gets 404 for a sibling sub-merchant\'s refund', result.status === 404, `status ${result.status}`);
+
+        result = await this.request('get', `/refunds/${refund.refund_id}`, this.keys.a);
+        this.check('Merchant key sees its refund with the default scopes', result.status === 200, `status ${result.status}`);
+
+        const createOnlyKeyA = await ApiKeyService.createKey({
+            merchantId: this.keys.a.merchant_id,
+            merchantName: 'Tenant A',
+            permissions: ['refunds.create']
+        });
+        result = await this.request('get', `/refunds/${refund.refund_id}`, createOnlyKeyA);
+        this.check('Reading a refund needs refunds.view', result.status === 403, `status ${result.status}`);
+
+        console.log();
+    }
+
+    /**
+     * Settlements are paid to the merchant, so sub-merchant keys see none
+     */
+    async testSettlements() {
+        console.log('📋 Testing settlements...');
+
+        const ApiKeyService = require('../services/ApiKeyService');
+
+        const settlementKeyA = await ApiKeyService.createKey({
+            merchantId: this.keys.a.merchant_id,
+            merchantName: 'Tenant A',
+            permissions: ['settlements.create', 'settlements.view']
+        });
+        const settlementKeyAOutlet = await ApiKeyService.createKey({
+            merchantId: this.keys.a.merchant_id,
+            merchantName: 'Tenant A',
+            subMerchantId: this.keys.aOutlet.sub_merchant_id,
+            permissions: ['settlements.create', 'settlements.view']
+        });
+
+        let result = await this.request('post', '/settlements/manual', settlementKeyAOutlet, { reason: 'Isolation test' });
+        this.check('Sub-merchant key cannot request a settlement', result.status === 403, `status ${result.status}`);
+
+        result = await this.request('post', '/settlements/manual', settlementKeyA, { reason: 'Isolation test' });
+        if (result.status !== 201) {
+            throw new Error(`Manual settlement failed: ${result.status} ${JSON.stringify(result.body)}`);
+        }
+        const settlementId = result.body.data.settlement_id;
+
+        result = await this.request('get', `/settlements/${settlementId}`, this.keys.b);
+        this.check('Other merchant gets 404 for the settlement', result.status === 404, `status ${result.status}`);
+
+        result = await this.request('get', '/settlements', this.keys.b);
+        this.check('Settlement list excludes other merchants\' settlements',
+            !(result.body.data?.settlements || []).some(s => s.settlement_id === settlementId));
+
+        result = await this.request('get', `/settlements/${settlementId}/download`, settlementKeyAOutlet);
+        this.check('Sub-merchant key gets 404 for the merchant\'s settlement report', result.status === 404, `status ${result.status}`);
+
+        console.log();
+    }
+
+    async testMerchantConfig() {
+        console.log('📋 Testing merchant configuration...');
+
+        const ApiKeyService = require('../services/ApiKeyService');
+
+        const configKeyA = await ApiKeyService.createKey({
+            merchantId: this.keys.a.merchant_id,
+            merchantName: 'Tenant A',
+            permissions: ['config.view', 'config.update']
+        });
+        const configKeyAOutlet = await ApiKeyService.createKey({
+            merchantId: this.keys.a.merchant_id,
+            merchantName: 'Tenant A',
+            subMerchantId: this.keys.aOutlet.sub_merchant_id,
+            permissions: ['config.view', 'config.update']
+        });
+
+        let result = await this.request('put', '/config/merchant', configKeyA, {
+            webhook_url: 'https://tenant-a.example/hooks',
+            reason: 'Isolation test'
+        });
+        if (result.status !== 200) {
+            throw new Error(`Config update failed: ${result.status} ${JSON.stringify(result.body)}`);
+        }
+
+        result = await this.request('get', '/config/merchant', this.keys.b);
+        this.check('Other merchant sees its own configuration only',
+            result.body.data?.merchant_id === this.keys.b.merchant_id && result.body.data?.webhook_url !== 'https://tenant-a.example/hooks');
+
+        result = await this.request('get', '/config/merchant/history', this.keys.b);
+        this.check('Configuration history excludes other merchants\' changes',
+            !(result.body.data?.versions || []).some(v => v.reason === 'Isolation test'));
+
+        result = await this.request('put', '/config/merchant', configKeyAOutlet, { webhook_url: 'https://outlet.example/hooks' });
+        this.check('Sub-merchant key cannot change the merchant configuration', result.status === 403, `status ${result.status}`);
+
+        result = await this.request('put', '/config/merchant', configKeyA, { transaction_charge_percent: 0 });
+        this.check('Merchant cannot change its own pricing', result.status === 403, `status ${result.status}`);
+
+        console.log();
+    }
+
+    async testCredentials() {
+        console.log('📋 Testing credentials...');
+
+        let result = await this.request('get', '/transactions', {
+            key_id: 'mk_live_MERCH001',
+            api_secret: 'sk_live_demo_key'
+        });
+        this.check('Former demo credentials are rejected', result.status === 401, `status ${result.status}`);
+
+        result = await this.request('get', '/transactions', {
+            key_id: `mk_live_${this.keys.a.merchant_id}`,
+            api_secret: 'sk_live_anything'
+        });
+        this.check('A key named after a merchant ID is not accepted', result.status === 401, `status ${result.status}`);
+
+        result = await this.request('get', '/transactions', null);
+        this.check('Requests without credentials are rejected', result.status === 401);
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new TenantIsolationTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = TenantIsolationTester;
@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Transaction Enquiry Test Script
+ * Checks POST /transactions/enquiry: each criterion on its own and combined,
+ * partial VPA matches, RRN lookup on the merchant and bank references,
+ * sorting (ties included), paging, the summary and validation. Runs the
+ * merchant API in-process against a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+
+// [name, QR code, amount, status, payer VPA, recorded at]; OTHER belongs to merchant B
+const PAYMENTS = [
+    ['T1', 'main', 100, 'success', 'alice@okhdfc', '2026-10-01T12:00:00Z'],
+    ['T2', 'main', 250, 'failed', 'bob@ybl', '2026-10-02T12:00:00Z'],
+    ['T3', 'main', 250, 'success', 'Alice.Shop@paytm', '2026-10-03T12:00:00Z'],
+    ['T4', 'counter', 500, 'pending', 'carol@okhdfc', '2026-10-05T12:00:00Z'],
+    ['OTHER', 'other', 100, 'success', 'alice@okhdfc', '2026-10-01T13:00:00Z']
+];
+
+class TransactionEnquiryTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Enquiries find the right payments.',
+            failMessage: 'Transaction enquiry is broken. Do not deploy.'
+        });
+        this.server = null;
+        this.baseUrl = null;
+        this.keys = {};
+        this.suffix = Date.now().toString().slice(-6);
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   TRANSACTION ENQUIRY TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.startServer();
+            await this.seed();
+
+            await this.testCriteria();
+            await this.testReferences();
+            await this.testSorting();
+            await this.testValidation();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/v1/merchant', require('../routes/api/v1/merchant'));
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}/api/v1/merchant`;
+    }
+
+    async request(method, endpoint, key, data = null) {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${endpoint}`,
+            headers: { 'X-API-Key': key.key_id, 'X-API-Secret': key.api_secret },
+            data,
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+    }
+
+    id(name) {
+        return `TXN_ENQ_${name}_${this.suffix}`;
+    }
+
+    reference(qrCode) {
+        return `ENQ${qrCode.toUpperCase()}${this.suffix}`;
+    }
+
+    async seed() {
+        console.log('📋 Seeding payments...');
+
+        const ApiKeyService = require('../services/ApiKeyService');
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+        const merchantA = `ENQUIRY_A_${this.suffix}`;
+        const merchantB = `ENQUIRY_B_${this.suffix}`;
+        this.keys.a = await ApiKeyService.createKey({ merchantId: merchantA, merchantName: 'Enquiry A' });
+
+        for (const [qrCode, owner, outlet] of [
+            ['main', merchantA, null],
+            ['counter', merchantA, `ENQOUT${this.suffix}`],
+            ['other', merchantB, null]
+        ]) {
+            await LocalTransactionStore.saveQRCode({ transaction_ref: this.reference(qrCode), owner_merchant_id: owner, merchant_id: outlet });
+        }
+
+        for (const [name, qrCode, amount, state, payerVPA] of PAYMENTS) {
+            await LocalTransactionStore.saveTransaction({
+                transactionId: this.id(name),
+                merchantId: 'HDFC000010380443',
+                merchantTxnId: `MTX${name}${this.suffix}`,
+                bankRRN: `RRN${name}${this.suffix}`,
+                qrIdentifier: this.reference(qrCode),
+                amount,
+                payerVPA,
+                transactionStatus: state.toUpperCase(),
+                paymentMode: 'UPI'
+            }, state, 'enquiry_test');
+        }
+
+        // Back-date the payments to fixed days
+        const recordedAt = new Map(PAYMENTS.map(p => [this.id(p[0]), p[5]]));
+        LocalTransactionStore.saveTransactions(LocalTransactionStore.getTransactions().map(t =>
+            recordedAt.has(t.transactionId) ? { ...t, createdAt: recordedAt.get(t.transactionId) } : t));
+
+        console.log();
+    }
+
+    /**
+     * Names of the payments an enquiry returns, in order
+     */
+    async enquire(criteria) {
+        const { status, body } = await this.request('post', '/transactions/enquiry', this.keys.a, criteria);
+        if (status !== 200) {
+            return { status, names: null, body };
+        }
+        const names = body.data.transactions.map(t => t.transaction_id.replace(/^TXN_ENQ_/, '').replace(/_\d+$/, ''));
+        return { status, names, body };
+    }
+
+    expect(name, result, names) {
+        this.check(name, result.names && result.names.join(',') === names.join(','),
+            result.names ? result.names.join(',') : JSON.stringify(result.body));
+    }
+
+    async testCriteria() {
+        console.log('📋 Testing criteria...');
+
+        this.expect('Transaction id matches exactly', await this.enquire({ transaction_id: this.id('T2') }), ['T2']);
+        this.expect('Part of a VPA matches, in any case, within the merchant only',
+            await this.enquire({ customer_vpa: 'ALICE', sort_order: 'asc' }), ['T1', 'T3']);
+        this.expect('Date range includes both days', await this.enquire({ date_from: '2026-10-02', date_to: '2026-10-03', sort_order: 'asc' }), ['T2', 'T3']);
+        this.expect('Amount range includes both ends', await this.enquire({ amount_from: 250, amount_to: 500, sort_order: 'asc' }), ['T2', 'T3', 'T4']);
+        this.expect('Several statuses match', await this.enquire({ status: ['success', 'pending'], sort_order: 'asc' }), ['T1', 'T3', 'T4']);
+        this.expect('QR code matches by reference', await this.enquire({ qr_code: this.reference('counter') }), ['T4']);
+        this.expect('Criteria combine', await this.enquire({ customer_vpa: 'alice', status: 'success', amount_from: 200 }), ['T3']);
+        this.expect('Empty criteria are ignored', await this.enquire({ transaction_id: '', customer_vpa: null, status: 'all', sort_order: 'asc' }), ['T1', 'T2', 'T3', 'T4']);
+
+        const summary = (await this.enquire({})).body.data.summary;
+        this.check('Summary covers every match',
+            summary.total_transactions === 4 && summary.total_amount === 1100 &&
+            summary.successful_transactions === 2 && summary.successful_amount === 350, JSON.stringify(summary));
+
+        console.log();
+    }
+
+    async testReferences() {
+        console.log('📋 Testing RRN lookup...');
+
+        this.expect('Bank RRN finds the payment', await this.enquire({ reference_number: `RRNT3${this.suffix}` }), ['T3']);
+        this.expect('Merchant reference finds the payment', await this.enquire({ reference_number: `MTXT1${this.suffix}` }), ['T1']);
+        this.expect('Another merchant\'s RRN finds nothing', await this.enquire({ reference_number: `RRNOTHER${this.suffix}` }), []);
+        this.expect('Part of an RRN finds nothing', await this.enquire({ reference_number: 'RRNT3' }), []);
+
+        console.log();
+    }
+
+    async testSorting() {
+        console.log('📋 Testing sorting and paging...');
+
+        this.expect('Newest first by default', await this.enquire({}), ['T4', 'T3', 'T2', 'T1']);
+        this.expect('Amount ascending keeps ties in recorded order', await this.enquire({ sort_by: 'amount', sort_order: 'asc' }), ['T1', 'T2', 'T3', 'T4']);
+        this.expect('Amount descending reverses ties too', await this.enquire({ sort_by: 'amount', sort_order: 'DESC' }), ['T4', 'T3', 'T2', 'T1']);
+        this.expect('Status sorts alphabetically', await this.enquire({ sort_by: 'status', sort_order: 'asc' }), ['T2', 'T4', 'T1', 'T3']);
+
+        const page = await this.enquire({ limit: 2, page: 2 });
+        this.expect('Second page follows the first', page, ['T2', 'T1']);
+        this.check('Paging reports the total', page.body.data.pagination.total === 4 && page.body.data.pagination.pages === 2,
+            JSON.stringify(page.body.data.pagination));
+
+        console.log();
+    }
+
+    async testValidation() {
+        console.log('📋 Testing validation...');
+
+        for (const [name, criteria] of [
+            ['VPA search needs 3 characters', { customer_vpa: 'al' }],
+            ['Dates must be YYYY-MM-DD', { date_from: '01-10-2026' }],
+            ['date_from must not be after date_to', { date_from: '2026-10-05', date_to: '2026-10-01' }],
+            ['Amounts must be numbers', { amount_from: '100' }],
+            ['amount_from must not be above amount_to', { amount_from: 500, amount_to: 100 }],
+            ['Unknown statuses are refused', { status: ['success', 'paid'] }],
+            ['Unknown sort fields are refused', { sort_by: 'customer_vpa' }],
+            ['Sort order is asc or desc', { sort_order: 'up' }]
+        ]) {
+            const result = await this.enquire(criteria);
+            this.check(name, result.status === 400 && result.body.code === 'VALIDATION_ERROR', `${result.status} ${JSON.stringify(result.body)}`);
+        }
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new TransactionEnquiryTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = TransactionEnquiryTester;
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Transaction Limit Test Script
+ * Checks that merchant limits are enforced against the merchant that owns
+ * the QR code, with volume counted across its QR codes only, even when
+ * several owners share one bank merchant ID. Uses a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+
+const BANK_MERCHANT_ID = 'HDFC000010380443';
+
+class TransactionLimitTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Limits follow the QR code owner.',
+            failMessage: 'Transaction limits are broken. Do not deploy.'
+        });
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   TRANSACTION LIMIT TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.testOwnerLimits();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        }
+
+        this.printResults();
+    }
+
+    async testOwnerLimits() {
+        console.log('📋 Testing merchant limits of QR code owners...');
+
+        const LocalTransactionStore = require('../services/LocalTransactionStore');
+        const TransactionLimitService = require('../services/TransactionLimitService');
+
+        const suffix = Date.now().toString().slice(-6);
+        const ownerA = `LIMIT_A_${suffix}`;
+        const ownerB = `LIMIT_B_${suffix}`;
+
+        // Configuration under the bank merchant ID must not apply to owned QR codes
+        LocalTransactionStore.saveCollection('merchant_config', [
+            ...LocalTransactionStore.getCollection('merchant_config'),
+            { merchant_id: ownerA, daily_transaction_limit: 1500 },
+            { merchant_id: BANK_MERCHANT_ID, daily_transaction_limit: 100 }
+        ]);
+        // Owner A's second QR code belongs to one of its outlets
+        for (const [reference, owner, outlet] of [
+            [`LIMA1${suffix}`, ownerA, null],
+            [`LIMA2${suffix}`, ownerA, `OUTLET_${suffix}`],
+            [`LIMB1${suffix}`, ownerB, null]
+        ]) {
+            await LocalTransactionStore.saveQRCode({ transaction_ref: reference, owner_merchant_id: owner, merchant_id: outlet });
+        }
+
+        // Every payment comes through the same bank merchant ID
+        const pay = async (name, reference, amount) => {
+            const transactionId = `TXN_LIM_${name}_${suffix}`;
+            const saved = await LocalTransactionStore.saveTransaction({
+                transactionId,
+                merchantId: BANK_MERCHANT_ID,
+                merchantTxnId: `MTX${name}${suffix}`,
+                qrIdentifier: reference,
+                amount,
+                transactionStatus: 'SUCCESS',
+                paymentMode: 'UPI'
+            }, 'success', 'limit_test');
+            const transaction = saved.transaction || LocalTransactionStore.getTransactions().find(t => t.transactionId === transactionId);
+
+            return TransactionLimitService.enforce({
+                transaction_id: transactionId,
+                merchant_id: BANK_MERCHANT_ID,
+                owner_merchant_id: transaction.ownerMerchantId,
+                qr_code_id: transaction.qrId,
+                amount
+            });
+        };
+
+        let breaches = await pay('A1', `LIMA1${suffix}`, 1000);
+        this.check('Limits configured under the bank merchant ID do not apply to an owner',
+            breaches.length === 0, JSON.stringify(breaches));
+
+        breaches = await pay('B1', `LIMB1${suffix}`, 5000);
+        this.check('Owner without limits is not flagged', breaches.length === 0, JSON.stringify(breaches));
+
+        breaches = await pay('A2', `LIMA2${suffix}`, 600);
+        const daily = breaches.find(b => b.scope === 'merchant' && b.limit === 'daily_transaction_limit');
+        this.check('Owner volume covers all of its QR codes and no other owner\'s',
+            daily && daily.actual_value === 1600, JSON.stringify(breaches));
+
+        const alert = LocalTransactionStore.getCollection('merchant_alerts')
+            .find(a => a.transaction_id === `TXN_LIM_A2_${suffix}`);
+        this.check('Breach alert is raised for the owner', alert && alert.merchant_id === ownerA, alert && alert.merchant_id);
+
+        const flagged = LocalTransactionStore.getTransactions().find(t => t.transactionId === `TXN_LIM_A2_${suffix}`);
+        this.check('Breaching payment is flagged', flagged && flagged.limitBreached === true);
+
+        breaches = await pay('X1', `UNKNOWN${suffix}`, 200);
+        this.check('Payment to a QR code without an owner falls back to the bank merchant ID',
+            breaches.some(b => b.scope === 'merchant' && b.limit === 'daily_transaction_limit'), JSON.stringify(breaches));
+
+        console.log();
+    }
+}
+
+// Run tests
+if (require.main === module) {
+    const tester = new TransactionLimitTester();
+    tester.run().catch(error => {
+        console.error('Test suite error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = TransactionLimitTester;
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Journal Test Script
+ * Checks that every bank callback is journaled - raw body, headers, decrypt
+ * result and outcome - before it is processed, including callbacks that are
+ * malformed or cannot be decrypted, and that operators can replay failed
+ * events through the same pipeline by event ID, journal id range or time range.
+ * Delivers callbacks from the HDFC simulator to the webhook routes in-process.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+
+process.env.HDFC_MERCHANT_KEY = 'journal-test-key-0123456789abcde';
+process.env.ADMIN_API_KEY = 'journal-test-admin-key';
+
+const HDFCBankSimulator = require('../simulator/HDFCBankSimulator');
+const LocalTransactionStore = require('../services/LocalTransactionStore');
+const WebhookEventService = require('../services/WebhookEventService');
+const WebhookQueue = require('../services/WebhookQueue');
+
+const UPI_STRING = 'upi://pay?pa=journal.test@hdfcbank&pn=Journal%20Test&tr=JRNTEST';
+// Keys the bank moves to without telling us first
+const ROTATED_KEY = 'journal-rotated-key-0123456789ab';
+const SECOND_ROTATED_KEY = 'journal-second-key-0123456789abc';
+
+class WebhookJournalTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Every callback is journaled and failed ones can be re-driven.',
+            failMessage: 'Bank callbacks can be lost. Do not deploy.'
+        });
+        this.server = null;
+        this.baseUrl = null;
+        // Journal entries as the handler found them when processing started
+        this.seenByHandler = new Map();
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   WEBHOOK JOURNAL TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            await this.startServer();
+
+            await this.testJournaledBeforeProcessing();
+            await this.testMalformedCallback();
+            await this.testUndecryptableCallbacks();
+            await this.testReplayById();
+            await this.testReplayByIdRange();
+            await this.testReplayByDateRange();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.server) {
+                this.server.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    async startServer() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api', require('../routes/bank.webhook'));
+
+        // Record what the journal held when the pipeline picked each event up
+        const pipeline = WebhookQueue.handlers.get('hdfc');
+        WebhookQueue.registerHandler('hdfc', async (event) => {
+            if (!this.seenByHandler.has(event.event_id)) {
+                this.seenByHandler.set(event.event_id, { ...LocalTransactionStore.getWebhookEventById(event.event_id) });
+            }
+            return pipeline(event);
+        });
+
+        this.server = http.createServer(app);
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}/api/hdfc`;
+
+        const webhookUrl = `${this.baseUrl}/webhook`;
+        this.simulator = new HDFCBankSimulator({ webhookUrl });
+        this.rotated = new HDFCBankSimulator({ webhookUrl, encryptionKey: ROTATED_KEY });
+        this.rotatedAgain = new HDFCBankSimulator({ webhookUrl, encryptionKey: SECOND_ROTATED_KEY });
+    }
+
+    async admin(method, endpoint, data = null) {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${endpoint}`,
+            headers: { 'X-Admin-Key': process.env.ADMIN_API_KEY, 'X-Admin-User': 'journal-test' },
+            data,
+            validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+    }
+
+    /**
+     * Wait for the queue worker to finish with a journaled event
+     */
+    async waitForEvent(eventId) {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const event = await WebhookEventService.getEvent(eventId);
+            if (event && !['received', 'processing'].includes(event.status)) {
+                return event;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Event ${eventId} was not processed`);
+    }
+
+    stored(transactionId) {
+        return LocalTransactionStore.getTransactionById(transactionId);
+    }
+
+    /**
+     * A payment the bank encrypted with a key we do not hold yet
+     */
+    async undecryptable(simulator) {
+        const { transaction, responses } = await simulator.pay(UPI_STRING, { amount: 300 });
+        const event = await this.waitForEvent(responses[0].body.eventId);
+        return { transactionId: transaction.transactionId, event };
+    }
+
+    async testJournaledBeforeProcessing() {
+        console.log('📋 Testing a callback is journaled before processing...');
+
+        const { transaction, payload, responses } = await this.simulator.pay(UPI_STRING, { amount: 100 });
+        const eventId = responses[0].body.eventId;
+        const event = await this.waitForEvent(eventId);
+        const seen = this.seenByHandler.get(eventId);
+
+        this.check('The callback is acknowledged with its event ID', responses[0].status === 200 && Boolean(eventId),
+            `${responses[0].status} ${JSON.stringify(responses[0].body)}`);
+        this.check('The event is journaled before the pipeline runs',
+            seen && seen.event_type === 'hdfc.callback' && seen.decrypt_status === 'pending' && seen.decrypted_payload === null,
+            JSON.stringify(seen && seen.decrypt_status));
+        this.check('The raw encrypted body is kept as received',
+            seen && JSON.stringify(seen.payload) === JSON.stringify(payload));
+        this.check('Only the allowed headers are kept',
+            seen && seen.headers['user-agent'] === 'HDFC-Simulator/1.0' &&
+            Object.keys(seen.headers).every(name => WebhookEventService.filterHeaders({ [name]: 'x' })[name] === 'x'),
+            JSON.stringify(seen && seen.headers));
+        this.check('The source address is recorded', seen && /127\.0\.0\.1/.test(seen.source_ip || ''));
+        this.check('The decrypt result is recorded',
+            event.decrypt_status === 'success' && event.decrypted_payload.transactionId === transaction.transactionId &&
+            event.transaction_id === transaction.transactionId && Boolean(event.key_id));
+        this.check('The outcome is recorded',
+            event.status === 'processed' && event.processing_result.state === 'success' && Boolean(event.processed_at),
+            JSON.stringify(event.processing_result));
+
+        console.log();
+    }
+
+    async testMalformedCallback() {
+        console.log('📋 Testing a malformed callback...');
+
+        const response = await this.simulator.post({ merchantId: this.simulator.merchantId });
+        const event = await WebhookEventService.getEvent(
+            LocalTransactionStore.getWebhookEvents().slice(-1)[0].event_id);
+
+        this.check('The bank is told the callback is malformed', response.status === 400, String(response.status));
+        this.check('It is still journaled with its body',
+            event && event.payload.merchantId === this.simulator.merchantId && event.status === 'failed' &&
+            event.processing_result.stage === 'validate',
+            JSON.stringify(event && event.processing_result));
+
+        console.log();
+    }
+
+    async testUndecryptableCallbacks() {
+        console.log('📋 Testing a callback that cannot be decrypted...');
+
+        const { transactionId, event } = await this.undecryptable(this.rotated);
+        this.undecrypted = [{ transactionId, event }];
+
+        this.check('It fails at the decrypt stage',
+            event.status === 'failed' && event.decrypt_status === 'failed' && event.processing_result.stage === 'decrypt',
+            `${event.status} ${event.decrypt_status} ${event.error_message}`);
+        this.check('The raw body is kept for investigation', Boolean(event.payload.encryptedData));
+        this.check('No transaction is recorded', !this.stored(transactionId));
+
+        const failed = await this.admin('get', '/webhook/events?status=failed');
+        this.check('Operators can list failed events',
+            failed.status === 200 && failed.body.data.events.some(e => e.event_id === event.event_id));
+
+        console.log();
+    }
+
+    async testReplayById() {
+        console.log('📋 Testing replay by event ID...');
+
+        const [{ transactionId, event }] = this.undecrypted;
+        const added = await this.admin('post', '/keys', {
+            bank_merchant_id: this.rotated.merchantId,
+            encryption_key: ROTATED_KEY
+        });
+        this.check('The operator adds the bank\'s new key', added.status === 201, `${added.status} ${JSON.stringify(added.body)}`);
+
+        const replay = await this.admin('post', `/webhook/events/${event.event_id}/replay`);
+        const replayed = await WebhookEventService.getEvent(event.event_id);
+
+        this.check('The replay is processed',
+            replay.status === 200 && replay.body.data.status === 'processed' && replay.body.data.replay_count === 1,
+            `${replay.status} ${JSON.stringify(replay.body)}`);
+        this.check('The journal records the replay',
+            replayed.status === 'processed' && replayed.decrypt_status === 'success' && replayed.replay_count === 1 &&
+            Boolean(replayed.last_replayed_at));
+        this.check('The payment is recorded', this.stored(transactionId) && this.stored(transactionId).status === 'SUCCESS');
+
+        const unknown = await this.admin('post', '/webhook/events/00000000-0000-0000-0000-000000000000/replay');
+        this.check('An unknown event cannot be replayed', unknown.status === 404 && unknown.body.code === 'NOT_FOUND');
+
+        const unauthenticated = await axios.post(`${this.baseUrl}/webhook/events/${event.event_id}/replay`, null,
+            { validateStatus: () => true });
+        this.check('Replay requires the admin key', unauthenticated.status === 401);
+
+        console.log();
+    }
+
+    async testReplayByIdRange() {
+        console.log('📋 Testing replay by journal id range...');
+
+        const before = await this.undecryptable(this.rotatedAgain);
+        const after = await this.undecryptable(this.rotatedAgain);
+        const fromId = before.event.id;
+        const toId = after.event.id;
+
+        await this.admin('post', '/keys', {
+            bank_merchant_id: this.rotatedAgain.merchantId,
+            encryption_key: SECOND_ROTATED_KEY
+        });
+        const replay = await this.admin('post', '/webhook/events/replay', { from_id: fromId, to_id: toId });
+        const results = (replay.body.data && replay.body.data.results) || [];
+
+        this.check('Every event in the range is replayed, oldest first',
+            replay.status === 200 && results.length === 2 &&
+            results[0].event_id === before.event.event_id && results[1].event_id === after.event.event_id,
+            `${replay.status} ${JSON.stringify(replay.body)}`);
+        this.check('Both are processed', replay.body.data.processed === 2 && replay.body.data.failed === 0);
+        this.check('Both payments are recorded',
+            [before, after].every(({ transactionId }) => this.stored(transactionId) && this.stored(transactionId).status === 'SUCCESS'));
+
+        const invalid = await this.admin('post', '/webhook/events/replay', { from_id: toId, to_id: fromId });
+        this.check('A reversed range is refused', invalid.status === 400 && invalid.body.code === 'VALIDATION_ERROR');
+
+        console.log();
+    }
+
+    async testReplayByDateRange() {
+        console.log('📋 Testing replay by time range...');
+
+        // The bank rotates again; callbacks in the window fail until we hold the key
+        const key = 'journal-third-key-0123456789abcd';
+        const bank = new HDFCBankSimulator({ webhookUrl: this.simulator.webhookUrl, encryptionKey: key });
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const fromDate = new Date().toISOString();
+        const first = await this.undecryptable(bank);
+        const second = await this.undecryptable(bank);
+        const toDate = new Date().toISOString();
+        await new Promise(resolve => setTimeout(resolve, 10));
+        const outside = await this.undecryptable(bank);
+
+        await this.admin('post', '/keys', { bank_merchant_id: bank.merchantId, encryption_key: key });
+        const replay = await this.admin('post', '/webhook/events/replay', { from_date: fromDate, to_date: toDate });
+        const replayedIds = ((replay.body.data && replay.body.data.results) || []).map(r => r.event_id);
+
+        this.check('Only events received in the window are replayed',
+            replay.status === 200 && replayedIds.length === 2 &&
+            replayedIds[0] === first.event.event_id && replayedIds[1] === second.event.event_id,
+            `${replay.status} ${JSON.stringify(replay.body)}`);
+        this.check('They are processed',
+            [first, second].every(({ transactionId }) => this.stored(transactionId) && this.stored(transactionId).status === 'SUCCESS'));
+        this.check('An event outside the window is left alone',
+            (await WebhookEventService.getEvent(outside.event.event_id)).status === 'failed' && !this.stored(outside.transactionId));
+
+        const missing = await this.admin('post', '/webhook/events/replay', { from_date: fromDate });
+        this.check('A replay without a selection is refused', missing.status === 400 && missing.body.code === 'VALIDATION_ERROR');
+
+        console.log();
+    }
+}
+
+if (require.main === module) {
+    const tester = new WebhookJournalTester();
+    tester.run().catch(console.error);
+}
+
+module.exports = WebhookJournalTester;
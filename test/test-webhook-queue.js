@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Queue Test Script
+ * Checks the in-process worker over the webhook journal: exponential backoff
+ * with its cap, retries only once they are due, dead-lettering when retries
+ * are used up, and another worker taking over an event whose lease expired.
+ * Uses a handler registered for a test source and a temporary local store.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+
+process.env.WEBHOOK_RETRY_BASE_MS = '1000';
+process.env.WEBHOOK_RETRY_MAX_MS = '5000';
+process.env.WEBHOOK_MAX_RETRIES = '3';
+
+const WebhookQueue = require('../services/WebhookQueue');
+const WebhookEventService = require('../services/WebhookEventService');
+const LocalTransactionStore = require('../services/LocalTransactionStore');
+
+const SOURCE = 'queue_test';
+
+class WebhookQueueTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Journaled callbacks are retried and never lost.',
+            failMessage: 'The webhook queue is broken. Do not deploy.'
+        });
+        // event_id -> number of times the handler ran
+        this.calls = new Map();
+        // event_ids the handler fails with a transient error
+        this.failing = new Set();
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   WEBHOOK QUEUE TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        WebhookQueue.registerHandler(SOURCE, async (event) => {
+            this.calls.set(event.event_id, (this.calls.get(event.event_id) || 0) + 1);
+
+            if (this.failing.has(event.event_id)) {
+                return { httpStatus: 500, retryable: true, error: 'Database unavailable' };
+            }
+
+            await WebhookEventService.markProcessed(event.event_id);
+            return { httpStatus: 200, retryable: false };
+        });
+
+        try {
+            this.testBackoff();
+            await this.testRetries();
+            await this.testDeadLetter();
+            await this.testLeaseTakeover();
+            await this.testUnknownSource();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        }
+
+        this.printResults();
+    }
+
+    async journal(source = SOURCE) {
+        return WebhookEventService.recordReceived({ source, body: { test: true } });
+    }
+
+    event(eventId) {
+        return LocalTransactionStore.getWebhookEventById(eventId);
+    }
+
+    // Move a scheduled retry into the past, as if its delay had elapsed
+    makeDue(eventId) {
+        return LocalTransactionStore.updateWebhookEvent(eventId, {
+            next_retry_at: new Date(Date.now() - 1000).toISOString()
+        });
+    }
+
+    testBackoff() {
+        console.log('📋 Testing backoff...');
+
+        const delays = [1, 2, 3, 4, 5].map(retry => WebhookQueue.getRetryDelay(retry));
+
+        this.check('Delay doubles with each retry', delays[0] === 1000 && delays[1] === 2000 && delays[2] === 4000,
+            delays.join(', '));
+        this.check('Delay is capped at WEBHOOK_RETRY_MAX_MS', delays[3] === 5000 && delays[4] === 5000, delays.join(', '));
+
+        console.log();
+    }
+
+    async testRetries() {
+        console.log('📋 Testing retry scheduling...');
+
+        const { event_id: eventId } = await this.journal();
+        this.failing.add(eventId);
+
+        const before = Date.now();
+        await WebhookQueue.poll();
+        const first = this.event(eventId);
+        const firstDelay = new Date(first.next_retry_at).getTime() - before;
+
+        this.check('A transient failure schedules a retry', first.status === 'retrying' && first.retry_count === 1,
+            `${first.status} ${first.retry_count}`);
+        this.check('The first retry waits the base delay', firstDelay >= 1000 && firstDelay < 1500, `${firstDelay}ms`);
+        this.check('The error is recorded', first.error_message === 'Database unavailable');
+        this.check('The lock is released', first.locked_at === null);
+
+        await WebhookQueue.poll();
+        this.check('A retry is not attempted before it is due', this.calls.get(eventId) === 1, String(this.calls.get(eventId)));
+
+        await this.makeDue(eventId);
+        const beforeSecond = Date.now();
+        await WebhookQueue.poll();
+        const second = this.event(eventId);
+        const secondDelay = new Date(second.next_retry_at).getTime() - beforeSecond;
+
+        this.check('A due retry is attempted', this.calls.get(eventId) === 2);
+        this.check('The second retry waits twice as long', second.retry_count === 2 && secondDelay >= 2000 && secondDelay < 2500,
+            `${second.retry_count} ${secondDelay}ms`);
+
+        this.failing.delete(eventId);
+        await this.makeDue(eventId);
+        await WebhookQueue.poll();
+
+        this.check('A retry that succeeds completes the event', this.event(eventId).status === 'processed');
+
+        console.log();
+    }
+
+    async testDeadLetter() {
+        console.log('📋 Testing dead-lettering...');
+
+        const { event_id: eventId } = await this.journal();
+        this.failing.add(eventId);
+
+        await WebhookQueue.poll();
+        for (let retry = 1; retry <= WebhookQueue.MAX_RETRIES; retry++) {
+            await this.makeDue(eventId);
+            await WebhookQueue.poll();
+        }
+        const event = this.event(eventId);
+
+        this.check('The event runs once plus WEBHOOK_MAX_RETRIES times', this.calls.get(eventId) === 1 + WebhookQueue.MAX_RETRIES,
+            String(this.calls.get(eventId)));
+        this.check('It is dead-lettered when the retries are used up',
+            event.status === 'dead_letter' && event.retry_count === WebhookQueue.MAX_RETRIES && event.next_retry_at === null,
+            `${event.status} ${event.retry_count}`);
+        this.check('The dead-letter reason is kept',
+            event.error_message === 'Database unavailable' && event.processing_result.dead_lettered === true);
+
+        await WebhookQueue.poll();
+        this.check('A dead-lettered event is not picked up again', this.calls.get(eventId) === 1 + WebhookQueue.MAX_RETRIES);
+
+        console.log();
+    }
+
+    async testLeaseTakeover() {
+        console.log('📋 Testing lease takeover...');
+
+        const { event_id: eventId } = await this.journal();
+
+        // Worker A claims the event and dies before processing it
+        const claimedByA = await WebhookEventService.claimEvent(eventId, WebhookQueue.leaseExpiredBefore());
+        const claimedByB = await WebhookEventService.claimEvent(eventId, WebhookQueue.leaseExpiredBefore());
+
+        this.check('Only one worker can claim an event', claimedByA === true && claimedByB === false);
+
+        await WebhookQueue.poll();
+        this.check('A held lease is not taken over', !this.calls.has(eventId) && this.event(eventId).status === 'processing');
+
+        await LocalTransactionStore.updateWebhookEvent(eventId, {
+            locked_at: new Date(Date.now() - WebhookQueue.LEASE_MS - 1000).toISOString()
+        });
+        await WebhookQueue.poll();
+
+        this.check('Another worker takes over once the lease expires',
+            this.calls.get(eventId) === 1 && this.event(eventId).status === 'processed');
+
+        console.log();
+    }
+
+    async testUnknownSource() {
+        console.log('📋 Testing an event without a handler...');
+
+        const { event_id: eventId } = await this.journal('unknown_bank');
+        await WebhookQueue.poll();
+        const event = this.event(eventId);
+
+        this.check('It fails without a retry', event.status === 'failed' && event.retry_count === 0, event.status);
+        this.check('The reason names the source', event.error_message === 'No handler registered for source unknown_bank');
+
+        console.log();
+    }
+}
+
+if (require.main === module) {
+    const tester = new WebhookQueueTester();
+    tester.run().catch(console.error);
+}
+
+module.exports = WebhookQueueTester;
@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Security Test Script
+ * Checks the protections in front of the bank callback pipeline: the source
+ * IP allowlist (single addresses and CIDR ranges), the freshness window, the
+ * replay cache - including reversal and dispute notices, whose replay keys
+ * never expire - and the security_audit_log row left by every rejection.
+ * Delivers callbacks from the HDFC simulator to the webhook routes in-process.
+ */
+
+// First, so the services below use a temporary data directory
+const { TestSuite } = require('./support');
+const express = require('express');
+
+process.env.HDFC_MERCHANT_KEY = 'security-test-key-0123456789abcd';
+
+const HDFCBankSimulator = require('../simulator/HDFCBankSimulator');
+const LocalTransactionStore = require('../services/LocalTransactionStore');
+const WebhookEventService = require('../services/WebhookEventService');
+const WebhookSecurityService = require('../services/WebhookSecurityService');
+const BankAdapters = require('../services/banks');
+
+const UPI_STRING = 'upi://pay?pa=security.test@hdfcbank&pn=Security%20Test&tr=SECTEST';
+
+class WebhookSecurityTester extends TestSuite {
+    constructor() {
+        super({
+            passMessage: 'Only fresh callbacks from the bank are processed, once.',
+            failMessage: 'Bank callbacks can be forged or replayed. Do not deploy.'
+        });
+        this.simulator = null;
+    }
+
+    async run() {
+        console.log('\n' + '='.repeat(50));
+        console.log('   WEBHOOK SECURITY TEST SUITE');
+        console.log('='.repeat(50) + '\n');
+
+        try {
+            const app = express();
+            app.use(express.json());
+            app.use('/api', require('../routes/bank.webhook'));
+            this.simulator = new HDFCBankSimulator({ app });
+
+            this.testAllowlist();
+            await this.testRejectedSource();
+            this.testFreshness();
+            await this.testReplayCache();
+            await this.testReplayedCallback();
+            await this.testReplayedDispute();
+        } catch (error) {
+            console.error('❌ Critical error:', error.message);
+            this.results.failed.push(`Critical: ${error.message}`);
+        } finally {
+            if (this.simulator) {
+                await this.simulator.close();
+            }
+        }
+
+        this.printResults();
+    }
+
+    /**
+     * Wait for the queue worker to finish with a journaled event
+     */
+    async waitForEvent(eventId) {
+        for (let attempt = 0; attempt < 100; attempt++) {
+            const event = await WebhookEventService.getEvent(eventId);
+            if (event && !['received', 'processing'].includes(event.status)) {
+                return event;
+            }
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Event ${eventId} was not processed`);
+    }
+
+    auditRows(eventType, referenceId = null) {
+        return LocalTransactionStore.getCollection('security_audit_log')
+            .filter(row => row.event_type === eventType && (!referenceId || row.reference_id === referenceId));
+    }
+
+    // Make every windowed replay cache entry look expired, as if the window had passed
+    expireReplayWindow() {
+        const past = new Date(Date.now() - 1000).toISOString();
+        LocalTransactionStore.saveCollection('webhook_replay_cache',
+            LocalTransactionStore.getCollection('webhook_replay_cache')
+                .map(entry => entry.expires_at ? { ...entry, expires_at: past } : entry));
+    }
+
+    testAllowlist() {
+        console.log('📋 Testing the source allowlist...');
+
+        const adapter = BankAdapters.getAdapter('hdfc');
+        const allowed = ip => WebhookSecurityService.isAllowedSource(adapter, ip);
+
+        delete process.env.HDFC_WEBHOOK_ALLOWED_IPS;
+        this.check('Any source is accepted without an allowlist', allowed('192.0.2.1'));
+
+        process.env.HDFC_WEBHOOK_ALLOWED_IPS = '203.0.113.10, 198.51.100.0/24, 10.0.0.0/8';
+        this.check('A listed address is accepted', allowed('203.0.113.10'));
+        this.check('An IPv4-mapped IPv6 address is matched as IPv4', allowed('::ffff:203.0.113.10'));
+        this.check('An address inside a /24 is accepted', allowed('198.51.100.254'));
+        this.check('An address inside a /8 is accepted', allowed('10.200.3.4'));
+        this.check('An address just outside a range is refused', !allowed('198.51.101.0'));
+        this.check('An unlisted address is refused', !allowed('203.0.113.11'));
+        this.check('A malformed address is refused', !allowed('not-an-ip'));
+
+        process.env.HDFC_WEBHOOK_ALLOWED_IPS = '198.51.100.0/33';
+        this.check('An invalid prefix length matches nothing', !allowed('198.51.100.1'));
+
+        delete process.env.HDFC_WEBHOOK_ALLOWED_IPS;
+        console.log();
+    }
+
+    async testRejectedSource() {
+        console.log('📋 Testing a callback from an unlisted source...');
+
+        process.env.HDFC_WEBHOOK_ALLOWED_IPS = '203.0.113.10';
+        const { responses } = await this.simulator.pay(UPI_STRING, { amount: 100 });
+        delete process.env.HDFC_WEBHOOK_ALLOWED_IPS;
+
+        const [row] = this.auditRows('WEBHOOK_REJECTED').filter(r => r.details && r.details.stage === 'source');
+
+        this.check('The callback is refused with 403', responses[0].status === 403, String(responses[0].status));
+        this.check('The rejection is audited with the source address',
+            row && row.source === 'hdfc' && /127\.0\.0\.1/.test(row.source_ip) && row.reason === 'Source IP not in allowlist',
+            JSON.stringify(row));
+        this.check('The refused callback is not journaled',
+            LocalTransactionStore.getCollection('webhook_events').length === 0);
+
+        console.log();
+    }
+
+    testFreshness() {
+        console.log('📋 Testing the freshness window...');
+
+        const now = new Date('2026-10-19T12:00:00Z');
+        const minutes = offset => new Date(now.getTime() + offset * 60 * 1000).toISOString();
+        const window = WebhookSecurityService.REPLAY_WINDOW_MINUTES;
+        const skew = WebhookSecurityService.CLOCK_SKEW_MINUTES;
+
+        this.check('A recent callback is fresh', WebhookSecurityService.checkFreshness(minutes(-1), now) === null);
+        this.check('A callback at the edge of the window is fresh',
+            WebhookSecurityService.checkFreshness(minutes(-window), now) === null);
+        this.check('A callback older than the window is stale',
+            WebhookSecurityService.checkFreshness(minutes(-window - 1), now) === `Callback is older than ${window} minutes`);
+        this.check('Clock skew within the tolerance is accepted',
+            WebhookSecurityService.checkFreshness(minutes(skew - 1), now) === null);
+        this.check('A callback too far in the future is refused',
+            WebhookSecurityService.checkFreshness(minutes(skew + 1), now) === 'Callback timestamp is in the future');
+        this.check('An unreadable timestamp is refused',
+            /^Invalid callback timestamp/.test(WebhookSecurityService.checkFreshness('yesterday', now) || ''));
+
+        console.log();
+    }
+
+    async testReplayCache() {
+        console.log('📋 Testing the replay cache...');
+
+        const claim = (replayKey, eventId, retain = false) =>
+            WebhookSecurityService.checkReplay({ source: 'hdfc', replayKey, eventId, retain });
+
+        const first = await claim('RRN1:SUCCESS:00:AAAA', 'event-1');
+        const retried = await claim('RRN1:SUCCESS:00:AAAA', 'event-1');
+        const replayed = await claim('RRN1:SUCCESS:00:AAAA', 'event-2');
+
+        this.check('A new key is accepted', first.replay === false);
+        this.check('The same event may claim its key again (retries, operator replays)', retried.replay === false);
+        this.check('Another event with the key is a replay of the first',
+            replayed.replay === true && replayed.event_id === 'event-1', JSON.stringify(replayed));
+
+        await claim('RRN2:CHARGEBACK::BBBB', 'event-3', true);
+        const retained = LocalTransactionStore.getCollection('webhook_replay_cache')
+            .find(entry => entry.replay_key === 'hdfc:RRN2:CHARGEBACK::BBBB');
+        this.check('A retained key has no expiry', retained && retained.expires_at === null, JSON.stringify(retained));
+
+        this.expireReplayWindow();
+
+        const afterWindow = await claim('RRN1:SUCCESS:00:AAAA', 'event-4');
+        const retainedReplay = await claim('RRN2:CHARGEBACK::BBBB', 'event-5');
+
+        this.check('A windowed key can be claimed again once it expires', afterWindow.replay === false);
+        this.check('A retained key is still a replay after the window',
+            retainedReplay.replay === true && retainedReplay.event_id === 'event-3');
+
+        console.log();
+    }
+
+    async testReplayedCallback() {
+        console.log('📋 Testing a duplicated payment callback...');
+
+        const { transaction, responses } = await this.simulator.pay(UPI_STRING, { amount: 150, duplicates: 1 });
+        const [first, second] = await Promise.all(responses.map(r => this.waitForEvent(r.body.eventId)));
+        const [row] = this.auditRows('WEBHOOK_REJECTED', second.event_id);
+
+        this.check('Both deliveries are acknowledged', responses.every(r => r.status === 200));
+        this.check('The first delivery is processed', first.status === 'processed', first.status);
+        this.check('The second delivery is rejected as a replay',
+            second.status === 'failed' && second.error_message === `Replayed callback, first received as event ${first.event_id}`,
+            second.error_message);
+        this.check('The replay is audited against its event',
+            row && row.details.stage === 'replay' && row.details.transaction_id === transaction.transactionId,
+            JSON.stringify(row));
+
+        console.log();
+    }
+
+    async testReplayedDispute() {
+        console.log('📋 Testing a replayed dispute notice after the replay window...');
+
+        const { transaction } = await this.simulator.pay(UPI_STRING, { amount: 200 });
+        const opened = await this.simulator.chargeback(transaction.transactionId, { reason: 'Goods not received' });
+        await this.waitForEvent(opened.responses[0].body.eventId);
+        const won = await this.simulator.resolveChargeback(transaction.transactionId, 'REJECTED');
+        await this.waitForEvent(won.responses[0].body.eventId);
+
+        const stored = () => LocalTransactionStore.getTransactions()
+            .find(t => t.transactionId === transaction.transactionId);
+        this.check('The won dispute returns the payment to success', stored().status === 'SUCCESS', stored().status);
+
+        // Dispute notices carry the payment time, so they cannot be rejected as stale
+        this.expireReplayWindow();
+        const replayResponse = await this.simulator.post(opened.payload);
+        const replay = await this.waitForEvent(replayResponse.body.eventId);
+
+        this.check('The replayed chargeback is rejected', replay.status === 'failed' && /^Replayed callback/.test(replay.error_message || ''),
+            replay.error_message);
+        this.check('The dispute stays closed', stored().status === 'SUCCESS', stored().status);
+        this.check('The replay is audited', this.auditRows('WEBHOOK_REJECTED', replay.event_id).length === 1);
+
+        console.log();
+    }
+}
+
+if (require.main === module) {
+    const tester = new WebhookSecurityTester();
+    tester.run().catch(console.error);
+}
+
+module.exports = WebhookSecurityTester;
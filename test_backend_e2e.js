@@ -8,8 +8,9 @@ const fs = require('fs');
 const path = require('path');
 
 const BASE_URL = 'http://localhost:3001';
-const API_KEY = 'mk_live_MERCH001';
-const API_SECRET = 'sk_live_demo_key';
+// Issue a key with POST /api/admin/merchants/:merchantId/api-keys
+const API_KEY = process.env.TEST_API_KEY;
+const API_SECRET = process.env.TEST_API_SECRET;
 
 // Test results storage
 const testResults = {
@@ -331,6 +332,11 @@ async function runTests() {
     console.log('Base URL:', BASE_URL);
     console.log('Starting tests at:', new Date().toLocaleString());
     
+    if (!API_KEY || !API_SECRET) {
+        console.error('❌ Set TEST_API_KEY and TEST_API_SECRET to a merchant API key');
+        process.exit(1);
+    }
+    
     try {
         // Check if server is running
         console.log('\n📡 Checking server status...');
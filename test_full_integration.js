@@ -10,8 +10,9 @@ const FormData = require('form-data');
 
 const BASE_URL = 'http://localhost:3001';
 const FRONTEND_URL = 'http://localhost:3000';
-const API_KEY = 'mk_live_MERCH001';
-const API_SECRET = 'sk_live_demo_key';
+// Issue a key with POST /api/admin/merchants/:merchantId/api-keys
+const API_KEY = process.env.TEST_API_KEY;
+const API_SECRET = process.env.TEST_API_SECRET;
 
 // Color codes for console output
 const colors = {
@@ -228,7 +229,7 @@ async function testBackendAPIs() {
     
     // 4. List QR Codes
     log('\n📍 Testing List QR Codes API...');
-    const listQR = await makeAPIRequest('GET', '/api/v1/merchant/qr/list?page=1&limit=10');
+    const listQR = await makeAPIRequest('GET', '/api/v1/merchant/qr/list?limit=10');
     const listTest = {
         name: 'List QR Codes API',
         passed: listQR.success,
@@ -521,6 +522,11 @@ async function runFullIntegrationTest() {
     console.log('Backend URL: ' + BASE_URL);
     console.log('Frontend URL: ' + FRONTEND_URL);
     
+    if (!API_KEY || !API_SECRET) {
+        console.log(colors.red + '❌ Set TEST_API_KEY and TEST_API_SECRET to a merchant API key' + colors.reset);
+        process.exit(1);
+    }
+    
     try {
         // Check if backend is running
         console.log('\n' + colors.yellow + '🔍 Checking backend server status...' + colors.reset);
@@ -0,0 +1,58 @@
+/**
+ * Cursors for keyset pagination
+ * A cursor holds the sort key of the last row a page returned; the next page
+ * starts strictly after it. Rows added in the meantime sort before the cursor
+ * (lists are newest first), so they never shift or repeat later pages.
+ */
+
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE) || 100;
+
+// Opaque to clients: base64url of the JSON sort key
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+// Sort key of a cursor, or null when it is not one we issued. types lists the
+// typeof each part of the key must have; a null part is allowed for nullable columns.
+const decodeCursor = (cursor, types = ['number', 'string']) => {
+    if (typeof cursor !== 'string' || cursor.length === 0 || cursor.length > 500) {
+        return null;
+    }
+    try {
+        const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const valid = Array.isArray(key) && key.length === types.length &&
+            key.every((part, i) => typeof part === types[i] || (part === null && i < types.length - 1));
+        return valid ? key : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Requested page size, kept between 1 and MAX_PAGE_SIZE
+const parsePageSize = (limit, defaultSize = 20) => {
+    const size = parseInt(limit);
+    return Number.isNaN(size) ? defaultSize : Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+};
+
+/**
+ * One page of records already sorted by keyOf, descending
+ * keyOf(record) returns [sortValue, uniqueId]; after is a decoded cursor.
+ */
+const keysetPage = (records, keyOf, after, limit) => {
+    const isAfter = (key) => key[0] < after[0] || (key[0] === after[0] && key[1] < after[1]);
+    const remaining = after ? records.filter(record => isAfter(keyOf(record))) : records;
+    const page = remaining.slice(0, limit);
+    const hasMore = remaining.length > limit;
+
+    return {
+        records: page,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(keyOf(page[page.length - 1])) : null
+    };
+};
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    parsePageSize,
+    keysetPage
+};
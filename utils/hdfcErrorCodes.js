@@ -0,0 +1,30 @@
+/**
+ * HDFC UPI response codes
+ * Shared by the webhook handler and the local bank simulator
+ */
+
+const HDFC_ERROR_CODES = {
+    '00': 'Success',
+    'U01': 'The request is duplicate',
+    'U02': 'Not sufficient funds',
+    'U03': 'Debit has failed',
+    'U04': 'Credit has failed',
+    'U05': 'Transaction not permitted',
+    'U06': 'Invalid VPA',
+    'U07': 'Transaction timeout',
+    'U08': 'Invalid Amount',
+    'U09': 'Remitter bank not available',
+    'U10': 'Beneficiary bank not available',
+    'U11': 'Invalid transaction',
+    'U12': 'Invalid reference number',
+    'U13': 'Approval declined',
+    'U14': 'Transaction already completed',
+    'U15': 'Request timeout',
+    'U16': 'Risk threshold exceeded',
+    'U17': 'PSP not available',
+    'U18': 'Invalid merchant',
+    'U19': 'Merchant blocked',
+    'U20': 'Invalid response'
+};
+
+module.exports = HDFC_ERROR_CODES;
@@ -0,0 +1,152 @@
+/**
+ * Time zone arithmetic for reports, on top of Intl
+ * A wall-clock time is { year, month, day, hour, minute } as read in a zone;
+ * an instant is a Date. Days, weeks and months follow the zone's calendar,
+ * so in a zone with daylight saving a day is not always 24 hours.
+ */
+
+const DEFAULT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// Whether Intl knows the zone, e.g. Asia/Kolkata or UTC
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || timeZone.length === 0 || timeZone.length > 64) {
+        return false;
+    }
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const wallClock = (date, timeZone) => {
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(date)) {
+        parts[type] = parseInt(value);
+    }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+};
+
+// Minutes the zone is ahead of UTC at an instant
+const offsetMinutes = (date, timeZone) => {
+    const clock = wallClock(date, timeZone);
+    const asUtc = Date.UTC(clock.year, clock.month - 1, clock.day, clock.hour, clock.minute, clock.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * The instant a wall-clock time reads in a zone
+ * Out-of-range fields carry over (day 32 is the 1st of the next month). The
+ * offset is checked again at the result, since it may change in between.
+ */
+const toInstant = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    const guess = asUtc - offsetMinutes(new Date(asUtc), timeZone) * 60000;
+    return new Date(asUtc - offsetMinutes(new Date(guess), timeZone) * 60000);
+};
+
+// Midnight at the start of a YYYY-MM-DD date in a zone
+const startOfDate = (date, timeZone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return toInstant({ year, month, day }, timeZone);
+};
+
+// Start of the bucket holding an instant; weeks start on Monday
+const bucketStart = (date, interval, timeZone) => {
+    const clock = wallClock(date, timeZone);
+
+    switch (interval) {
+        case 'hour':
+            return new Date(date.getTime() - (clock.minute * 60 + clock.second) * 1000 - date.getUTCMilliseconds());
+        case 'week': {
+            const weekday = (new Date(Date.UTC(clock.year, clock.month - 1, clock.day)).getUTCDay() + 6) % 7;
+            return toInstant({ year: clock.year, month: clock.month, day: clock.day - weekday }, timeZone);
+        }
+        case 'month':
+            return toInstant({ year: clock.year, month: clock.month, day: 1 }, timeZone);
+        default:
+            return toInstant({ year: clock.year, month: clock.month, day: clock.day }, timeZone);
+    }
+};
+
+// Start of the bucket after the one starting at `start`
+const nextBucket = (start, interval, timeZone) => {
+    if (interval === 'hour') {
+        return new Date(start.getTime() + HOUR_MS);
+    }
+
+    const clock = wallClock(start, timeZone);
+    if (interval === 'month') {
+        return toInstant({ year: clock.year, month: clock.month + 1, day: 1 }, timeZone);
+    }
+    return toInstant({ year: clock.year, month: clock.month, day: clock.day + (interval === 'week' ? 7 : 1) }, timeZone);
+};
+
+/**
+ * Starts of the buckets covering [from, to), oldest first
+ * The first bucket may start before `from`. Stops once there are more than
+ * maxBuckets, so callers can reject a range too long for the interval.
+ */
+const bucketStarts = (from, to, interval, timeZone, maxBuckets = Infinity) => {
+    const starts = [];
+    let start = bucketStart(from, interval, timeZone);
+    while (start < to && starts.length <= maxBuckets) {
+        starts.push(start);
+        start = nextBucket(start, interval, timeZone);
+    }
+    return starts;
+};
+
+// ISO 8601 with the zone's offset, e.g. 2026-10-19T00:00:00+05:30
+const formatInZone = (date, timeZone) => {
+    const clock = wallClock(date, timeZone);
+    const offset = offsetMinutes(date, timeZone);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    return `${pad(clock.year, 4)}-${pad(clock.month)}-${pad(clock.day)}T${pad(clock.hour)}:${pad(clock.minute)}:${pad(clock.second)}` +
+        `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    INTERVALS,
+    isValidTimeZone,
+    wallClock,
+    offsetMinutes,
+    toInstant,
+    startOfDate,
+    bucketStart,
+    nextBucket,
+    bucketStarts,
+    formatInZone
+};
@@ -0,0 +1,55 @@
+/**
+ * Background Workers
+ * Starts the in-process workers next to the HTTP server. Each one can be
+ * switched off on an instance with its flag set to 'false'. Requiring routes
+ * or services never starts a timer, so scripts and tests can load them freely;
+ * only the server calls startWorkers().
+ */
+
+const logger = require('./utils/logger');
+
+const WORKERS = [
+    // Callbacks journaled by the bank webhook routes, which register the handlers
+    { flag: 'WEBHOOK_WORKER_ENABLED', load: () => require('./services/WebhookQueue'), needs: './routes/bank.webhook' },
+    // Merchant webhooks queued by MerchantEventService
+    { flag: 'MERCHANT_WEBHOOK_WORKER_ENABLED', load: () => require('./services/MerchantWebhookDispatcher') },
+    // Transactions whose final callback never arrived
+    { flag: 'STATUS_ENQUIRY_POLLER_ENABLED', load: () => require('./services/StatusEnquiryPoller') },
+    // Refunds the bank has not completed or rejected yet
+    { flag: 'REFUND_POLLER_ENABLED', load: () => require('./services/RefundStatusPoller') },
+    // Settlements of merchants whose settlement cycle came due
+    { flag: 'SETTLEMENT_SCHEDULER_ENABLED', load: () => require('./services/SettlementScheduler') },
+    // Report exports queued by merchants, and removal of expired files
+    { flag: 'EXPORT_WORKER_ENABLED', load: () => require('./services/ExportWorker') }
+];
+
+const started = [];
+
+/**
+ * Start every worker whose flag is not 'false'
+ * Returns the flags of the workers started
+ */
+function startWorkers() {
+    for (const worker of WORKERS) {
+        if (process.env[worker.flag] === 'false') {
+            logger.info(`[Workers] ${worker.flag}=false, not starting`);
+            continue;
+        }
+        if (worker.needs) {
+            require(worker.needs);
+        }
+
+        const instance = worker.load();
+        instance.start();
+        started.push({ flag: worker.flag, instance });
+    }
+    return started.map(worker => worker.flag);
+}
+
+function stopWorkers() {
+    while (started.length > 0) {
+        started.pop().instance.stop();
+    }
+}
+
+module.exports = { startWorkers, stopWorkers };